@@ -0,0 +1,300 @@
+#!/usr/bin/env node
+/**
+ * dna-convert
+ * Command line front end of the bioUtils library (dist/bioUtils.cjs, built
+ * with npm run build:lib). Reads FASTA from files or stdin, one record at a
+ * time, so files larger than memory can be converted
+ *
+ * Usage: dna-convert <command> [options] [file ...]
+ * See usage() below or run dna-convert --help
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+let bio;
+try {
+    bio = require('../dist/bioUtils.cjs');
+} catch (err) {
+    process.stderr.write('dna-convert: library not built, run "npm run build:lib" first\n');
+    process.exit(1);
+}
+
+const FORMATS = ['fasta', 'tsv', 'json'];
+
+//Columns of the gc command (subset of the stats table)
+const GC_COLUMNS = bio.STATS_COLUMNS.filter(column => ['id', 'description', 'length', 'gcContent'].includes(column.key));
+const SEQUENCE_COLUMNS = [
+    { key: 'id', label: 'id' },
+    { key: 'description', label: 'description' },
+    { key: 'sequence', label: 'sequence' }
+];
+
+const usage = () => `Usage: dna-convert <command> [options] [file ...]
+
+Reads FASTA records from the files (plain or .gz) or from stdin when no file
+or "-" is given, and writes the results to stdout.
+
+Commands:
+  transcribe    mRNA of each record
+  translate     Protein of each record (mRNA frame +1 up to the first stop, as on the web page)
+  complement    Complementary strand (--reverse for the reverse complement)
+  gc            Length and GC content
+  stats         Length, GC, protein length, molecular weight, stop codons and base counts
+
+Options:
+  -f, --format <fasta|tsv|json>   Output format (default: fasta for sequences, tsv for gc/stats)
+  -s, --strand <coding|template>  Strand given in the input (default: coding)
+  -t, --table <id>                NCBI translation table (default: ${bio.DEFAULT_GENETIC_CODE})
+  -S, --through-stops             translate/stats: keep translating past stop codons (written as *)
+  -c, --circular                  translate/stats: circular sequences, read across the origin
+  -w, --width <n>                 FASTA line width (default: 60)
+  -r, --reverse                   complement: output the reverse complement
+  -h, --help                      Show this help
+  -V, --version                   Show the version
+`;
+
+const warn = (message) => process.stderr.write(`dna-convert: ${message}\n`);
+
+/**
+ * Command line error: message printed with the usage hint, exit code 2
+ */
+const usageError = (message) => {
+    const err = new Error(message);
+    err.usage = true;
+    return err;
+};
+
+/**
+ * Parses argv into { command, files, options }
+ * @throws {Error} - On unknown commands or options
+ */
+const parseArgs = (argv) => {
+    const options = {
+        format: null,
+        strand: bio.STRANDS.CODING,
+        table: bio.DEFAULT_GENETIC_CODE,
+        width: 60,
+        reverse: false,
+        throughStops: false,
+        circular: false
+    };
+    const positional = [];
+
+    const takeValue = (name, idx) => {
+        if (idx + 1 >= argv.length) throw usageError(`Missing value for ${name}`);
+        return argv[idx + 1];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        //--option=value is accepted too
+        const [name, inlineValue] = arg.startsWith('--') && arg.includes('=') ? arg.split(/=(.*)/s) : [arg];
+        const value = () => {
+            if (inlineValue !== undefined) return inlineValue;
+            return takeValue(name, i++);
+        };
+
+        switch (name) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-V':
+            case '--version':
+                options.version = true;
+                break;
+            case '-f':
+            case '--format':
+                options.format = value().toLowerCase();
+                break;
+            case '-s':
+            case '--strand':
+                options.strand = value().toLowerCase();
+                break;
+            case '-t':
+            case '--table':
+                options.table = value();
+                break;
+            case '-S':
+            case '--through-stops':
+                options.throughStops = true;
+                break;
+            case '-c':
+            case '--circular':
+                options.circular = true;
+                break;
+            case '-w':
+            case '--width':
+                options.width = Number(value());
+                break;
+            case '-r':
+            case '--reverse':
+                options.reverse = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw usageError(`Unknown option: ${arg}`);
+                positional.push(arg);
+        }
+    }
+
+    const [command, ...files] = positional;
+    return { command, files, options };
+};
+
+/**
+ * Checks option values for a command
+ * @throws {Error} - On invalid values
+ */
+const checkOptions = (command, options) => {
+    if (!bio.CLI_COMMANDS.includes(command)) {
+        throw usageError(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+
+    const table = command === 'gc' || command === 'stats' ? 'tsv' : 'fasta';
+    options.format = options.format || table;
+    if (!FORMATS.includes(options.format)) throw usageError(`Unknown format: ${options.format}`);
+    if (options.format === 'fasta' && table === 'tsv') {
+        throw usageError(`${command} writes a table, use --format tsv or json`);
+    }
+    if (!Object.values(bio.STRANDS).includes(options.strand)) {
+        throw usageError(`Unknown strand: ${options.strand} (use coding or template)`);
+    }
+    const tableId = Number(options.table);
+    const tableIds = bio.listGeneticCodes().map(code => code.id);
+    if (!Number.isInteger(tableId) || !tableIds.includes(tableId)) {
+        throw usageError(`Unknown translation table: ${options.table} (available: ${tableIds.join(', ')})`);
+    }
+    options.table = tableId;
+    if (!Number.isInteger(options.width) || options.width < 1) {
+        throw usageError(`Invalid line width: ${options.width}`);
+    }
+};
+
+/**
+ * Writes records in the chosen format as they arrive
+ * write() returns false when stdout is full (the caller pauses its input)
+ */
+const createWriter = (command, options) => {
+    const columns = command === 'gc' ? GC_COLUMNS : command === 'stats' ? bio.STATS_COLUMNS : SEQUENCE_COLUMNS;
+    let count = 0;
+
+    const write = (text) => process.stdout.write(text);
+
+    return {
+        write: (item) => {
+            let text;
+            if (options.format === 'fasta') {
+                text = bio.formatFASTA([item], options.width);
+            } else if (options.format === 'tsv') {
+                text = (count === 0 ? bio.formatTable(columns, [], '\t') : '') + bio.formatTableRow(columns, item, '\t') + '\n';
+            } else {
+                text = (count === 0 ? '[\n' : ',\n') + JSON.stringify(item);
+            }
+            count++;
+            return write(text);
+        },
+        end: () => {
+            if (options.format === 'json') {
+                write(count === 0 ? '[]\n' : '\n]\n');
+            } else if (options.format === 'tsv' && count === 0) {
+                write(bio.formatTable(columns, [], '\t'));
+            }
+            return count;
+        }
+    };
+};
+
+/**
+ * Opens a file (or stdin for '-') as a text stream, decompressing .gz files
+ */
+const openInput = (file) => {
+    const raw = file === '-' ? process.stdin : fs.createReadStream(file);
+    const stream = file !== '-' && /\.gz$/i.test(file) ? raw.pipe(zlib.createGunzip()) : raw;
+    if (stream !== raw) raw.on('error', err => stream.destroy(err));
+    stream.setEncoding('utf8');
+    return stream;
+};
+
+/**
+ * Streams one input through the FASTA parser into the writer
+ * @returns {Promise<number>} - Records read
+ */
+const processInput = (file, command, options, writer) => new Promise((resolve, reject) => {
+    const stream = openInput(file);
+    let records = 0;
+
+    const parser = bio.createFASTAParser(record => {
+        records++;
+        if (record.validation.removed.length > 0) {
+            warn(`${record.id}: removed ${record.validation.removed.length} invalid character(s)`);
+        }
+        //Empty records are skipped, as on the web page
+        if (record.sequence.length === 0) {
+            warn(`${record.id}: empty sequence, record skipped`);
+            return;
+        }
+        const item = bio.convertRecord(command, record, options, warn);
+        if (item && !writer.write(item) && !stream.isPaused()) {
+            //Backpressure: wait until stdout drains before reading more input
+            stream.pause();
+            process.stdout.once('drain', () => stream.resume());
+        }
+    });
+
+    stream.on('data', chunk => {
+        try {
+            parser.push(chunk);
+        } catch (err) {
+            stream.destroy();
+            reject(err);
+        }
+    });
+    stream.on('end', () => {
+        try {
+            parser.end();
+            resolve(records);
+        } catch (err) {
+            reject(err);
+        }
+    });
+    stream.on('error', err => reject(new Error(`${file === '-' ? 'stdin' : file}: ${err.message}`)));
+});
+
+const main = async () => {
+    const { command, files, options } = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        process.stdout.write(usage());
+        return;
+    }
+    if (options.version) {
+        process.stdout.write(`${require(path.join(__dirname, '..', 'package.json')).version}\n`);
+        return;
+    }
+    checkOptions(command, options);
+
+    const writer = createWriter(command, options);
+    let records = 0;
+    for (const file of files.length > 0 ? files : ['-']) {
+        records += await processInput(file, command, options, writer);
+    }
+    writer.end();
+
+    if (records === 0) {
+        throw new Error('No FASTA records found in the input');
+    }
+};
+
+//A closed pipe (e.g. "| head") is not an error
+process.stdout.on('error', err => {
+    if (err.code === 'EPIPE') process.exit(0);
+    throw err;
+});
+
+main().catch(err => {
+    warn(err.message);
+    if (err.usage) process.stderr.write('Run "dna-convert --help" for usage\n');
+    process.exitCode = err.usage ? 2 : 1;
+});
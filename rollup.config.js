@@ -0,0 +1,11 @@
+//Build of the standalone library (src/library.js) for Node and bundlers
+//npm run build:lib -> dist/bioUtils.mjs (ES module) and dist/bioUtils.cjs (CommonJS)
+const config = {
+  input: 'src/library.js',
+  output: [
+    { file: 'dist/bioUtils.mjs', format: 'es' },
+    { file: 'dist/bioUtils.cjs', format: 'cjs', exports: 'named' }
+  ]
+};
+
+export default config;
@@ -1,99 +1,479 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as bioUtils from './bioUtils';
+import * as sequenceParsers from './sequenceParsers';
+import * as fileUtils from './fileUtils';
+import * as proteinUtils from './proteinUtils';
+import * as codonUtils from './codonUtils';
+import * as analysisClient from './analysisClient';
+import * as sessionUtils from './sessionUtils';
+import LineChart from './components/LineChart';
+import PrimerDesigner from './components/PrimerDesigner';
+import RestrictionPanel from './components/RestrictionPanel';
+import CodonUsageTable from './components/CodonUsageTable';
+import CodonOptimizer from './components/CodonOptimizer';
+import CompositionPanel from './components/CompositionPanel';
+import ProteinStructurePanel from './components/ProteinStructurePanel';
+import ProteinSequence from './components/ProteinSequence';
+import PlasmidMap from './components/PlasmidMap';
+import SplicingPanel from './components/SplicingPanel';
+import DatasetDashboard from './components/DatasetDashboard';
+import AlignmentPanel from './components/AlignmentPanel';
+import DotPlot from './components/DotPlot';
+import MotifSearch from './components/MotifSearch';
+import RepeatFinder from './components/RepeatFinder';
+import VariantSimulator from './components/VariantSimulator';
+import SequenceViewer from './components/SequenceViewer';
+import SessionPanel, { useWorkspace } from './components/SessionPanel';
+import { LazyRender, useVirtualWindow } from './components/virtualization';
+import { Download, Upload } from 'lucide-react';
+
+//Limita a lista de avisos para entradas muito grandes
+const MAX_WARNINGS_LISTED = 20;
+
+const formatWarningList = (items, format) => {
+  const listed = items.slice(0, MAX_WARNINGS_LISTED).map(format).join(', ');
+  const extra = items.length - MAX_WARNINGS_LISTED;
+  return extra > 0 ? `${listed} and ${extra} more` : listed;
+};
+
+const ValidationWarnings = ({ validation, className = '' }) => {
+  if (!validation || (validation.removed.length === 0 && validation.ambiguous.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className={`p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-yellow-800 text-sm space-y-1 ${className}`}>
+      {validation.removed.length > 0 && (
+        <div>
+          <span className="font-semibold">Removed {validation.removed.length} invalid character(s):</span>{' '}
+          <span className="font-mono">
+            {formatWarningList(validation.removed, item => `'${item.char}' at ${item.position}`)}
+          </span>
+        </div>
+      )}
+      {validation.ambiguous.length > 0 && (
+        <div>
+          <span className="font-semibold">{validation.ambiguous.length} ambiguous base(s):</span>{' '}
+          <span className="font-mono">
+            {formatWarningList(validation.ambiguous, item => `${item.char} (${item.bases}) at ${item.position}`)}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+//<details> que só monta o conteúdo quando aberto (gráficos e análises pesadas)
+const LazyDetails = ({ summary, className = '', children }) => {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <details className={className} onToggle={(e) => setOpen(e.currentTarget.open)}>
+      <summary className="text-xs font-semibold text-gray-600 cursor-pointer">{summary}</summary>
+      {open && <div className="bg-gray-50 p-2 rounded mt-1">{children}</div>}
+    </details>
+  );
+};
+
+//Mapa de um registro circular; os ORFs vêm do worker, como no mapa da entrada única
+const RecordPlasmidMap = ({ record }) => {
+  const [orfs, setOrfs] = useState(null);
+
+  useEffect(() => {
+    const task = analysisClient.runAnalysisTask('orfs', {
+      sequence: record.original,
+      options: { tableId: record.geneticCode, circular: true }
+    });
+    task.promise
+      .then(setOrfs)
+      .catch(err => {
+        if (!err.cancelled) setOrfs([]);
+      });
+    return task.cancel;
+  }, [record]);
+
+  if (!orfs) return <div className="text-xs text-gray-500">Finding ORFs...</div>;
+  return <PlasmidMap sequence={record.original} name={record.id} orfs={orfs} features={record.features} />;
+};
+
+//Features de GenBank/EMBL como anotações do visualizador (a feature 'source' cobre tudo)
+const featureAnnotations = (features) => features
+  .filter(feature => feature.type !== 'source')
+  .flatMap(feature => feature.ranges.map(range => ({ start: range.start, end: range.end, type: 'feature' })));
+
+//Registro sem ocorrências de motivos ou repetições
+const EMPTY_MOTIFS = { dna: [], protein: [] };
+const EMPTY_REPEATS = [];
 
 const DNAConverter = () => {
   const [sequence, setSequence] = useState('');
   const [results, setResults] = useState(null);
   const [error, setError] = useState('');
   const [multipleSequences, setMultipleSequences] = useState([]);
+  const [dataset, setDataset] = useState(null);
+  const [geneticCode, setGeneticCode] = useState(bioUtils.DEFAULT_GENETIC_CODE);
+  const [strand, setStrand] = useState(bioUtils.STRANDS.CODING);
+  const [throughStops, setThroughStops] = useState(false);
+  const [topology, setTopology] = useState(bioUtils.TOPOLOGIES.LINEAR);
+  const [detectedFormat, setDetectedFormat] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [isDragging, setIsDragging] = useState(false);
 
-  const handleConvert = () => {
-    // Verifica se tem algo digitado
-    if (!sequence.trim()) {
-      setError('Please enter a DNA sequence or FASTA format');
-      setResults(null);
-      setMultipleSequences([]);
-      return;
+  const [orfOptions, setOrfOptions] = useState({
+    minLength: bioUtils.ORF_DEFAULTS.minLength,
+    startMode: bioUtils.ORF_DEFAULTS.startMode,
+    nested: bioUtils.ORF_DEFAULTS.nested
+  });
+  const [selectedOrf, setSelectedOrf] = useState(null);
+  const [chargePH, setChargePH] = useState(7.0);
+  const [hydropathyWindow, setHydropathyWindow] = useState(9);
+  const [showPrimerDesigner, setShowPrimerDesigner] = useState(false);
+  const [codonHost, setCodonHost] = useState(codonUtils.DEFAULT_HOST);
+  const [progress, setProgress] = useState(null);
+  const [orfs, setOrfs] = useState([]);
+  const [orfsLoading, setOrfsLoading] = useState(false);
+  const [motifHits, setMotifHits] = useState([]);
+  const [repeatHits, setRepeatHits] = useState([]);
+  const conversionTask = useRef(null);
+  const workspace = useWorkspace();
+
+  const geneticCodeInfo = bioUtils.getGeneticCodeInfo(geneticCode);
+
+  //ORFs são recalculados no worker quando as opções mudam, sem precisar converter de novo
+  useEffect(() => {
+    if (!results) {
+      setOrfs([]);
+      setOrfsLoading(false);
+      return undefined;
     }
 
-    //Detecta se é FASTA
-    if (bioUtils.isFASTA(sequence)) {
-      //Processa múltiplas sequências FASTA
-      const sequences = bioUtils.parseFASTA(sequence);
+    setOrfsLoading(true);
+    const task = analysisClient.runAnalysisTask('orfs', {
+      sequence: results.original,
+      options: { ...orfOptions, tableId: results.geneticCode, circular: results.topology === bioUtils.TOPOLOGIES.CIRCULAR }
+    });
+    task.promise
+      .then(found => {
+        setOrfs(found);
+        setOrfsLoading(false);
+      })
+      .catch(err => {
+        if (err.cancelled) return;
+        setOrfs([]);
+        setOrfsLoading(false);
+      });
 
-      if (sequences.length === 0) {
-        setError('No valid sequences found in FASTA input');
-        setResults(null);
-        setMultipleSequences([]);
-        return;
-      }
+    return task.cancel;
+  }, [results, orfOptions]);
 
-      //Processa cada sequência
-      const processedSequences =sequences.map(seq => {
-        if (seq.sequence.length === 0) {
-          return null;
-        }
+  //Listas longas (ORFs, códons de parada) só renderizam as linhas visíveis
+  const orfWindow = useVirtualWindow(orfs.length, 28, 256);
+  const stopWindow = useVirtualWindow(results ? results.stopCodons.length : 0, 20, 256);
+
+  //ORF selecionado (ou todos, se nenhum) destacado no visualizador
+  const orfAnnotations = useMemo(() => {
+    const shown = selectedOrf !== null && orfs[selectedOrf] ? [orfs[selectedOrf]] : orfs;
+    return shown.map(orf => ({ start: orf.start, end: orf.end, type: 'orf' }));
+  }, [orfs, selectedOrf]);
+
+  //Estatísticas da proteína: tradução do frame +1 ou o ORF selecionado
+  const activeProtein = useMemo(() => {
+    if (!results) return null;
+    if (selectedOrf === null || !orfs[selectedOrf]) {
+      return {
+        label: 'frame +1',
+        sequence: results.protein,
+        length: results.proteinLength,
+        molecularWeight: results.molecularWeight,
+        composition: results.aaComposition
+      };
+    }
+
+    const orf = orfs[selectedOrf];
+    return {
+      label: `ORF ${orf.strand}${Math.abs(orf.frame)} ${orf.start}-${orf.end}`,
+      sequence: orf.protein,
+      ...bioUtils.getProteinInfo(orf.protein)
+    };
+  }, [results, orfs, selectedOrf]);
+
+  const proteinProperties = useMemo(() => {
+    if (!activeProtein) return null;
+    return proteinUtils.getProteinProperties(activeProtein.sequence, chargePH);
+  }, [activeProtein, chargePH]);
+
+  const hydropathyProfile = useMemo(() => {
+    if (!proteinProperties) return [];
+    return proteinUtils.getHydropathyProfile(activeProtein.sequence, hydropathyWindow);
+  }, [activeProtein, proteinProperties, hydropathyWindow]);
+
+  const codonUsage = results ? results.codonUsage : null;
+
+  //Sequências disponíveis para o alinhamento par a par (DNA e proteína de cada registro)
+  const alignmentItems = useMemo(() => {
+    const sources = multipleSequences.length > 0
+      ? multipleSequences.map(record => ({ id: record.id, dna: record.original, protein: record.protein }))
+      : results ? [{ id: 'Input', dna: results.original, protein: results.protein }] : [];
+    const hasProtein = (protein) => protein && protein !== 'No protein found';
+
+    return sources.flatMap(source => [
+      {
+        label: `${source.id} (DNA)`,
+        type: 'nucleotide',
+        sequence: source.dna,
+        translation: hasProtein(source.protein) ? source.protein : ''
+      },
+      ...(hasProtein(source.protein)
+        ? [{ label: `${source.id} (protein)`, type: 'protein', sequence: source.protein }]
+        : [])
+    ]);
+  }, [multipleSequences, results]);
+
+  //Registros pesquisados pela busca de motivos (DNA e proteína do frame +1)
+  const searchRecords = useMemo(() => {
+    if (multipleSequences.length > 0) {
+      return multipleSequences.map(record => ({
+        id: record.id,
+        sequence: record.original,
+        protein: record.protein,
+        circular: record.topology === bioUtils.TOPOLOGIES.CIRCULAR
+      }));
+    }
+    return results
+      ? [{ id: 'Input', sequence: results.original, protein: results.protein, circular: results.topology === bioUtils.TOPOLOGIES.CIRCULAR }]
+      : [];
+  }, [multipleSequences, results]);
+
+  //Ocorrências de motivos agrupadas pelo índice do registro (IDs podem se repetir), como anotações do visualizador
+  const motifAnnotations = useMemo(() => {
+    const byRecord = [];
+    motifHits.forEach(hit => {
+      if (!byRecord[hit.recordIndex]) byRecord[hit.recordIndex] = { dna: [], protein: [] };
+      byRecord[hit.recordIndex][hit.strand ? 'dna' : 'protein'].push({ start: hit.start, end: hit.end, type: 'motif' });
+    });
+    return byRecord;
+  }, [motifHits]);
 
-        const complement = bioUtils.getComplement(seq.sequence);
-        const rna = bioUtils.transcribe(seq.sequence);
-        const protein = bioUtils.translate(rna);
-        const nucleotideCounts = bioUtils.countNucleotides(seq.sequence);
-        const gcContent = bioUtils.calculateGC(seq.sequence);
-
-        return {
-          id: seq.id,
-          description: seq.description,
-          original: seq.sequence,
-          complement,
-          rna,
-          protein,
-          nucleotideCounts,
-          gcContent,
-          length: seq.sequence.length,
-          proteinLength: protein === 'No protein found' ? 0 : protein.length
-        };
-      }).filter(Boolean);
+  //Repetições por índice do registro; as diretas destacam as duas cópias
+  const repeatAnnotations = useMemo(() => {
+    const byRecord = [];
+    repeatHits.forEach(repeat => {
+      if (!byRecord[repeat.recordIndex]) byRecord[repeat.recordIndex] = [];
+      repeat.ranges.forEach(range => byRecord[repeat.recordIndex].push({ start: range.start, end: range.end, type: 'repeat' }));
+    });
+    return byRecord;
+  }, [repeatHits]);
+
+  //Anotações do DNA de cada registro (pelo índice), memoizadas para o visualizador não repintar a cada render
+  const recordAnnotations = useMemo(
+    () => multipleSequences.map((record, idx) => [
+      ...featureAnnotations(record.features),
+      ...(motifAnnotations[idx] || EMPTY_MOTIFS).dna,
+      ...(repeatAnnotations[idx] || EMPTY_REPEATS)
+    ]),
+    [multipleSequences, motifAnnotations, repeatAnnotations]
+  );
+
+  const inputMotifs = motifAnnotations[0] || EMPTY_MOTIFS;
+  const inputRepeats = repeatAnnotations[0] || EMPTY_REPEATS;
+  const originalAnnotations = useMemo(
+    () => [...orfAnnotations, ...inputMotifs.dna, ...inputRepeats],
+    [orfAnnotations, inputMotifs, inputRepeats]
+  );
+
+  //Leva ao card de um registro (tabela de resumo e duplicatas)
+  const scrollToRecord = (index) => {
+    const element = document.getElementById(`record-${index}`);
+    if (element) element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
 
+  const updateOrfOption = (name, value) => {
+    setOrfOptions(prev => ({ ...prev, [name]: value }));
+    setSelectedOrf(null);
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+
+    try {
+      const text = await fileUtils.readSequenceFile(file);
+      setSequence(text);
+      setFileName(file.name);
       setError('');
-      setResults(null); //Limpa resultado único
-      setMultipleSequences(processedSequences);
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  //Resultados no formato de lista, para exportar sequência única ou múltiplas
+  const getExportRecords = () => {
+    if (results) {
+      return [{ id: fileName || 'sequence', description: '', ...results }];
+    }
+    return multipleSequences;
+  };
+
+  const handleExport = (type) => {
+    const records = getExportRecords();
+    const baseName = (fileName || 'sequences').replace(/\.gz$/i, '').replace(/\.[^.]+$/, '');
+
+    if (type === 'protein' || type === 'mrna') {
+      const fastaRecords = records
+        .map(record => ({
+          id: record.id,
+          description: record.description,
+          sequence: type === 'protein' ? record.protein : record.rna
+        }))
+        .filter(record => record.sequence && record.sequence !== 'No protein found');
+      fileUtils.downloadText(`${baseName}_${type}.fasta`, fileUtils.formatFASTA(fastaRecords));
       return;
     }
 
-    //Processa sequência única (formato normal)
-    const cleaned = bioUtils.validateSequence(sequence);
+    if (type === 'csv' || type === 'tsv') {
+      const rows = records.map(fileUtils.getStatsRow);
+      const delimiter = type === 'csv' ? ',' : '\t';
+      fileUtils.downloadText(
+        `${baseName}_stats.${type}`,
+        fileUtils.formatTable(fileUtils.STATS_COLUMNS, rows, delimiter),
+        type === 'csv' ? 'text/csv' : 'text/tab-separated-values'
+      );
+      return;
+    }
+
+    const report = {
+      format: detectedFormat,
+      geneticCode: geneticCodeInfo.ncbiTable,
+      strand,
+      sequences: records
+    };
+    fileUtils.downloadText(`${baseName}_report.json`, JSON.stringify(report, null, 2), 'application/json');
+  };
 
-    if (cleaned.length === 0) {
-      setError('Invalid sequence. Please use only A, T, G, C characters.');
+  //Entrada e opções atuais, para links, histórico e projetos
+  const getSession = () => ({
+    input: sequence,
+    fileName,
+    geneticCode,
+    strand,
+    throughStops,
+    topology,
+    codonHost,
+    orfOptions,
+    chargePH,
+    hydropathyWindow
+  });
+
+  //Converte uma sessão; ao terminar, ela vai para o histórico e para o endereço da página
+  const runConversion = (session) => {
+    //Uma nova conversão cancela a anterior
+    if (conversionTask.current) conversionTask.current.cancel();
+
+    // Verifica se tem algo digitado
+    if (!session.input.trim()) {
+      setError('Please enter a DNA sequence, FASTA, FASTQ, GenBank or EMBL input');
       setResults(null);
       setMultipleSequences([]);
+      setDataset(null);
+      setDetectedFormat(null);
       return;
     }
 
+    //Detecção de formato, leitura e análise rodam no worker
     setError('');
-    setMultipleSequences([]); //Limpa múltiplas sequências
-
-    const complement = bioUtils.getComplement(cleaned);
-    const rna = bioUtils.transcribe(cleaned);
-    const protein = bioUtils.translate(rna);
-    const nucleotideCounts = bioUtils.countNucleotides(cleaned);
-    const gcContent = bioUtils.calculateGC(cleaned);
-    const stopCodons = bioUtils.findStopCodons(rna);
-    const proteinInfo = bioUtils.getProteinInfo(protein);
-
-    setResults({
-      original: cleaned,
-      complement,
-      rna,
-      protein,
-      nucleotideCounts,
-      gcContent,
-      length: cleaned.length,
-      proteinLength: proteinInfo.length,
-      molecularWeight: proteinInfo.molecularWeight,
-      stopCodons: stopCodons,
-      aaComposition: proteinInfo.composition
-    });
+    setProgress({ stage: 'Starting', done: 0, total: 1 });
+    const task = analysisClient.runAnalysisTask(
+      'analyze',
+      { input: session.input, options: {
+          strand: session.strand,
+          tableId: session.geneticCode,
+          throughStops: session.throughStops,
+          topology: session.topology
+        }
+      },
+      setProgress
+    );
+    conversionTask.current = task;
+
+    task.promise
+      .then(({ format, records, result, dataset: summary }) => {
+        setDetectedFormat(format);
+        setSelectedOrf(null);
+        setResults(result);
+        setMultipleSequences(records);
+        setDataset(summary);
+        setMotifHits([]);
+        setRepeatHits([]);
+
+        workspace.addHistory(sessionUtils.createHistoryEntry(session, {
+          format,
+          records: result ? 1 : records.length,
+          length: result ? result.length : records.reduce((sum, record) => sum + record.length, 0)
+        }));
+        //Recarregar a página reabre esta análise (entradas grandes demais para o link limpam o endereço)
+        const base = `${window.location.pathname}${window.location.search}`;
+        sessionUtils.createShareURL(session, base)
+          .then(url => window.history.replaceState(null, '', url))
+          .catch(() => window.history.replaceState(null, '', base));
+      })
+      .catch(err => {
+        if (err.cancelled) return;
+        setError(err.message);
+        setResults(null);
+        setMultipleSequences([]);
+        setDataset(null);
+        setDetectedFormat(null);
+      })
+      .finally(() => {
+        if (conversionTask.current === task) {
+          conversionTask.current = null;
+          setProgress(null);
+        }
+      });
+  };
+
+  const handleConvert = () => runConversion(getSession());
+
+  //Restaura entrada e opções de um link, do histórico ou de um projeto e converte
+  const applySession = (session) => {
+    setSequence(session.input);
+    setFileName(session.fileName);
+    setGeneticCode(session.geneticCode);
+    setStrand(session.strand);
+    setThroughStops(session.throughStops);
+    setTopology(session.topology);
+    setCodonHost(session.codonHost);
+    setOrfOptions(session.orfOptions);
+    setChargePH(session.chargePH);
+    setHydropathyWindow(session.hydropathyWindow);
+    setSelectedOrf(null);
+    runConversion(session);
+  };
+
+  //Links compartilhados (#s=...) abrem ao carregar a página ou quando o endereço muda
+  const applySessionRef = useRef(applySession);
+  applySessionRef.current = applySession;
+  useEffect(() => {
+    const openSharedSession = () => {
+      const token = sessionUtils.readShareHash(window.location.hash);
+      if (!token) return;
+      sessionUtils.decodeSession(token)
+        .then(session => applySessionRef.current(session))
+        .catch(err => setError(err.message));
+    };
+
+    openSharedSession();
+    window.addEventListener('hashchange', openSharedSession);
+    return () => window.removeEventListener('hashchange', openSharedSession);
+  }, []);
+
+  const handleCancel = () => {
+    if (conversionTask.current) conversionTask.current.cancel();
   };
 
   return (
@@ -108,19 +488,148 @@ const DNAConverter = () => {
         {/* Input Section */}
         <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
           <label className="block text-sm font-semibold text-gray-700 mb-2">
-            Enter DNA Sequence (A, T, G, C)
+            Enter DNA Sequence (A, T, G, C and IUPAC codes)
           </label>
           <textarea
             value={sequence}
-            onChange={(e) => setSequence(e.target.value)}
-            className="w-full h-32 p-3 border-2 border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none font-mono text-sm"
+            onChange={(e) => {
+              setSequence(e.target.value);
+              setFileName('');
+            }}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setIsDragging(true);
+            }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
+            className={`w-full h-32 p-3 border-2 rounded-lg focus:border-indigo-500 focus:outline-none font-mono text-sm ${
+              isDragging ? 'border-indigo-500 bg-indigo-50' : 'border-gray-300'
+            }`}
             placeholder="ATGGCCATTGTAATGGGCCGCTGAAAGGGTGCCCGATAG
           
-          Or paste FASTA format:
+          Or paste FASTA, FASTQ, GenBank or EMBL format:
           >gene1 Example sequence
           ATGGCCATTGTAATGGGCCGC"
           />
-          
+
+          <div className="flex items-center gap-3 mt-2 text-sm text-gray-600">
+            <label className="inline-flex items-center gap-2 cursor-pointer bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded-lg">
+              <Upload size={16} />
+              Open file
+              <input
+                type="file"
+                accept={fileUtils.ACCEPTED_EXTENSIONS.join(',')}
+                onChange={(e) => {
+                  handleFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+                className="hidden"
+              />
+            </label>
+            <span>{fileName ? `Loaded: ${fileName}` : 'or drag and drop a .fa/.fastq/.gb file (gzip accepted)'}</span>
+          </div>
+
+          <div className="mt-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Genetic Code (NCBI translation table)
+            </label>
+            <select
+              value={geneticCode}
+              onChange={(e) => setGeneticCode(Number(e.target.value))}
+              className="w-full p-2 border-2 border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none text-sm"
+            >
+              {bioUtils.listGeneticCodes().map(code => (
+                <option key={code.id} value={code.id}>
+                  {code.id}. {code.name}
+                </option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              Stop codons: {geneticCodeInfo.stopCodons.join(', ') || 'none'} | Start codons: {geneticCodeInfo.startCodons.join(', ')}
+            </p>
+          </div>
+
+          <div className="mt-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              CAI Reference Host
+            </label>
+            <select
+              value={codonHost}
+              onChange={(e) => setCodonHost(e.target.value)}
+              className="w-full p-2 border-2 border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none text-sm"
+            >
+              {Object.entries(codonUtils.CODON_USAGE_TABLES).map(([key, table]) => (
+                <option key={key} value={key}>{table.name}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="mt-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Input Strand
+            </label>
+            <div className="flex gap-6 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="strand"
+                  checked={strand === bioUtils.STRANDS.CODING}
+                  onChange={() => setStrand(bioUtils.STRANDS.CODING)}
+                />
+                Coding (sense) strand
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="strand"
+                  checked={strand === bioUtils.STRANDS.TEMPLATE}
+                  onChange={() => setStrand(bioUtils.STRANDS.TEMPLATE)}
+                />
+                Template (antisense) strand
+              </label>
+            </div>
+          </div>
+
+          <div className="mt-4">
+            <label className="block text-sm font-semibold text-gray-700 mb-2">
+              Topology
+            </label>
+            <div className="flex gap-6 text-sm text-gray-700">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="topology"
+                  checked={topology === bioUtils.TOPOLOGIES.LINEAR}
+                  onChange={() => setTopology(bioUtils.TOPOLOGIES.LINEAR)}
+                />
+                Linear
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="topology"
+                  checked={topology === bioUtils.TOPOLOGIES.CIRCULAR}
+                  onChange={() => setTopology(bioUtils.TOPOLOGIES.CIRCULAR)}
+                />
+                Circular (plasmid, organelle or bacterial genome)
+              </label>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              Circular sequences are translated and searched across the origin. GenBank and EMBL records keep the topology they declare.
+            </p>
+          </div>
+
+          <div className="mt-4">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={throughStops}
+                onChange={(e) => setThroughStops(e.target.checked)}
+              />
+              Translate through stop codons (shown as *) instead of stopping at the first one
+            </label>
+          </div>
+
           {error && (
             <div className="mt-2 p-3 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">
               {error}
@@ -131,16 +640,73 @@ const DNAConverter = () => {
             onClick={handleConvert}
             className="mt-4 w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 px-6 rounded-lg transition-colors"
           >
-            Convert Sequence
+            {progress ? 'Restart Conversion' : 'Convert Sequence'}
           </button>
+
+          {/* Progress */}
+          {progress && (
+            <div className="mt-3 flex items-center gap-3 text-sm text-gray-700">
+              <div className="flex-1">
+                <div className="flex justify-between text-xs text-gray-600 mb-1">
+                  <span>{progress.stage}...</span>
+                  <span>{Math.round((progress.done / progress.total) * 100)}%</span>
+                </div>
+                <div className="h-2 bg-gray-200 rounded">
+                  <div
+                    className="h-2 bg-indigo-500 rounded transition-all"
+                    style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                  />
+                </div>
+              </div>
+              <button onClick={handleCancel} className="text-red-600 hover:underline">
+                Cancel
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Sessions and Projects */}
+        <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+          <h2 className="text-xl font-bold text-gray-800 mb-4">Sessions &amp; Projects</h2>
+          <SessionPanel workspace={workspace} getSession={getSession} onLoad={applySession} />
         </div>
 
+        {/* Export */}
+        {(results || multipleSequences.length > 0) && (
+          <div className="bg-white rounded-lg shadow-lg p-4 mb-6">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-semibold text-gray-700 mr-2">Export:</span>
+              {[
+                { type: 'protein', label: 'Protein FASTA' },
+                { type: 'mrna', label: 'mRNA FASTA' },
+                { type: 'csv', label: 'Stats CSV' },
+                { type: 'tsv', label: 'Stats TSV' },
+                { type: 'json', label: 'JSON report' }
+              ].map(option => (
+                <button
+                  key={option.type}
+                  onClick={() => handleExport(option.type)}
+                  className="inline-flex items-center gap-1 bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded-lg"
+                >
+                  <Download size={14} />
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Results Section */}
         {results && (
           <div className="space-y-4">
+            <ValidationWarnings validation={results.validation} />
+
             {/* Statistics */}
             <div className="bg-white rounded-lg shadow-lg p-6">
-              <h2 className="text-xl font-bold text-gray-800 mb-4">Sequence Statistics</h2>
+              <h2 className="text-xl font-bold text-gray-800 mb-1">Sequence Statistics</h2>
+              <p className="text-sm text-gray-600 mb-4">
+                Detected format: <span className="font-semibold">{sequenceParsers.FORMAT_NAMES[detectedFormat]}</span>
+              </p>
               <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
                 
                 <div className="bg-blue-50 p-4 rounded-lg">
@@ -154,16 +720,16 @@ const DNAConverter = () => {
                 </div>
 
                 <div className="bg-orange-50 p-4 rounded-lg">
-                  <div className="text-sm text-gray-600">Protein Length</div>
+                  <div className="text-sm text-gray-600">Protein Length ({activeProtein.label})</div>
                   <div className="text-2xl font-bold text-orange-600">
-                    {results.proteinLength} aa
+                    {activeProtein.length} aa
                     </div>
                   </div>
 
                   <div className="bg-pink-50 p-4 rounded-lg">
                     <div className="text-sm text-gray-600">Molecular Weight</div>
                     <div className="text-2xl font-bold text-pink-600">
-                      {results.molecularWeight} Da
+                      {activeProtein.molecularWeight} Da
                       </div>
                     </div>
 
@@ -198,34 +764,63 @@ const DNAConverter = () => {
               
               <div className="space-y-4">
                 <div>
-                  <div className="text-sm font-semibold text-gray-600 mb-1">Original DNA (5' → 3')</div>
-                  <div className="bg-blue-50 p-3 rounded font-mono text-sm break-all">
-                    {results.original}
-                  </div>
+                  <div className="text-sm font-semibold text-gray-600 mb-1">Original DNA - {results.strand} strand (5' → 3')</div>
+                  <SequenceViewer
+                    key={results.original}
+                    sequence={results.original}
+                    tableId={results.geneticCode}
+                    annotations={originalAnnotations}
+                    translate
+                    defaultFrame={results.strand === bioUtils.STRANDS.CODING ? 1 : -1}
+                    className="bg-blue-50"
+                  />
                 </div>
 
                 <div>
                   <div className="text-sm font-semibold text-gray-600 mb-1">Complementary DNA (3' → 5')</div>
-                  <div className="bg-green-50 p-3 rounded font-mono text-sm break-all">
-                    {results.complement}
+                  <SequenceViewer key={results.complement} sequence={results.complement} className="bg-green-50" />
+                </div>
+
+                <div>
+                  <div className="text-sm font-semibold text-gray-600 mb-1">
+                    Reverse Complement - {results.strand === bioUtils.STRANDS.CODING ? 'template' : 'coding'} strand (5' → 3')
                   </div>
+                  <SequenceViewer key={results.reverseComplement} sequence={results.reverseComplement} className="bg-teal-50" />
                 </div>
 
                 <div>
                   <div className="text-sm font-semibold text-gray-600 mb-1">mRNA (5' → 3')</div>
-                  <div className="bg-purple-50 p-3 rounded font-mono text-sm break-all">
-                    {results.rna}
-                  </div>
+                  <SequenceViewer key={results.rna} sequence={results.rna} className="bg-purple-50" />
                 </div>
 
                 <div>
                   <div className="text-sm font-semibold text-gray-600 mb-1">Protein Sequence</div>
-                  <div className="bg-orange-50 p-3 rounded font-mono text-sm break-all">
-                    {results.protein}
-                  </div>
+                  <ProteinSequence result={results} annotations={inputMotifs.protein} />
                 </div>
               </div>
             </div>
+
+            {/* Plasmid Map */}
+            {results.topology === bioUtils.TOPOLOGIES.CIRCULAR && (
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <h2 className="text-xl font-bold text-gray-800 mb-4">
+                  Plasmid Map {orfsLoading && <span className="text-sm font-normal text-gray-500">(finding ORFs...)</span>}
+                </h2>
+                <PlasmidMap sequence={results.original} name={fileName || 'Input'} orfs={orfs} />
+              </div>
+            )}
+
+            {/* Local Composition */}
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-xl font-bold text-gray-800 mb-4">Local Composition</h2>
+              <CompositionPanel key={results.original} sequence={results.original} />
+            </div>
+
+            {/* Exon/Intron Splicing */}
+            <div className="bg-white rounded-lg shadow-lg p-6">
+              <h2 className="text-xl font-bold text-gray-800 mb-4">Exon/Intron Splicing</h2>
+              <SplicingPanel key={results.original} sequence={results.original} tableId={results.geneticCode} />
+            </div>
           </div>
         )}
 
@@ -234,12 +829,24 @@ const DNAConverter = () => {
             <div className="space-y-6">
               <div className="bg-white rounded-lg shadow-lg p-6">
                 <h2 className="text-xl font-bold text-gray-800 mb-4">
-                  FASTA Results ({multipleSequences.length} sequences)
+                  {sequenceParsers.FORMAT_NAMES[detectedFormat]} Results ({multipleSequences.length} sequences)
                 </h2>
+                <p className="text-sm text-gray-600">
+                  Detected format: <span className="font-semibold">{sequenceParsers.FORMAT_NAMES[detectedFormat]}</span>
+                </p>
               </div>
 
+              {/* Dataset Dashboard */}
+              {dataset && (
+                <div className="bg-white rounded-lg shadow-lg p-6">
+                  <h2 className="text-xl font-bold text-gray-800 mb-4">Dataset Overview</h2>
+                  <DatasetDashboard records={multipleSequences} dataset={dataset} onSelect={scrollToRecord} />
+                </div>
+              )}
+
           {multipleSequences.map((result, idx) => (
-            <div key={idx} className="bg-white rounded-lg shadow-lg p-6">
+            <LazyRender key={idx} id={`record-${idx}`} estimatedHeight={900}>
+            <div className="bg-white rounded-lg shadow-lg p-6">
               <div className="mb-4 pb-3 border-b border-gray-200">
                 <h3 className="text-lg font-bold text-indigo-600">
                   {result.id}
@@ -249,6 +856,8 @@ const DNAConverter = () => {
                 )}
               </div>
 
+              <ValidationWarnings validation={result.validation} className="mb-4" />
+
         {/* Statistics */}
         <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
           <div className="bg-blue-50 p-3 rounded-lg">
@@ -269,30 +878,126 @@ const DNAConverter = () => {
               A:{result.nucleotideCounts.A} T:{result.nucleotideCounts.T} G:{result.nucleotideCounts.G} C:{result.nucleotideCounts.C}
             </div>
           </div>
+          <div className="bg-indigo-50 p-3 rounded-lg">
+            <div className="text-xs text-gray-600">CAI ({codonUtils.CODON_USAGE_TABLES[codonHost].shortName})</div>
+            <div className="text-lg font-bold text-indigo-600">{result.cai[codonHost].toFixed(3)}</div>
+          </div>
+          {result.meanQuality !== undefined && (
+            <div className="bg-yellow-50 p-3 rounded-lg">
+              <div className="text-xs text-gray-600">Mean Quality (Phred)</div>
+              <div className="text-lg font-bold text-yellow-600">{result.meanQuality}</div>
+            </div>
+          )}
+          <div className="bg-orange-50 p-3 rounded-lg">
+            <div className="text-xs text-gray-600">Molecular Weight</div>
+            <div className="text-lg font-bold text-orange-600">{result.molecularWeight} Da</div>
+          </div>
+          <div className="bg-red-50 p-3 rounded-lg">
+            <div className="text-xs text-gray-600">Stop Codons (frame +1)</div>
+            <div className="text-lg font-bold text-red-600">{result.stopCodons.length}</div>
+          </div>
+          {result.topology && (
+            <div className="bg-gray-50 p-3 rounded-lg">
+              <div className="text-xs text-gray-600">Topology</div>
+              <div className="text-lg font-bold text-gray-600">{result.topology}</div>
+            </div>
+          )}
         </div>
 
+        {/* Codon Usage */}
+        <details className="mb-4">
+          <summary className="text-xs font-semibold text-gray-600 cursor-pointer">
+            Codon usage ({result.codonUsage.totalCodons} codons)
+          </summary>
+          <div className="bg-gray-50 p-2 rounded mt-1">
+            <CodonUsageTable usage={result.codonUsage} />
+          </div>
+        </details>
+
+        {/* Amino Acid Composition and Stop Codons */}
+        <LazyDetails summary={`Amino acid composition and stop codons (${result.stopCodons.length})`} className="mb-4">
+          {Object.keys(result.aaComposition).length > 0 && (
+            <div className="grid grid-cols-3 md:grid-cols-6 lg:grid-cols-10 gap-1 mb-2">
+              {Object.entries(result.aaComposition)
+                .sort((a, b) => b[1].count - a[1].count)
+                .map(([aa, data]) => (
+                  <div key={aa} className="bg-white p-1 rounded border border-gray-200 text-xs">
+                    <span className="font-mono font-bold text-indigo-600">{aa}</span>{' '}
+                    <span className="text-gray-600">{data.count} ({data.percentage}%)</span>
+                  </div>
+                ))}
+            </div>
+          )}
+          <div className="text-xs font-mono text-gray-700 max-h-32 overflow-y-auto break-words">
+            {result.stopCodons.length > 0
+              ? formatWarningList(result.stopCodons, stop => `${stop.codon}@${stop.position}`)
+              : 'No stop codons in reading frame'}
+          </div>
+        </LazyDetails>
+
+        {/* Plasmid Map */}
+        {result.topology === bioUtils.TOPOLOGIES.CIRCULAR && (
+          <LazyDetails summary="Plasmid map (ORFs, GC content and features)" className="mb-4">
+            <RecordPlasmidMap record={result} />
+          </LazyDetails>
+        )}
+
+        {/* Local Composition */}
+        <LazyDetails summary="Local composition (GC, skew, CpG islands)" className="mb-4">
+          <CompositionPanel sequence={result.original} />
+        </LazyDetails>
+
+        {/* Exon/Intron Splicing */}
+        <LazyDetails summary="Exon/intron splicing (CDS from exon coordinates)" className="mb-4">
+          <SplicingPanel key={result.original} sequence={result.original} features={result.features} tableId={result.geneticCode} />
+        </LazyDetails>
+
+        {/* Features (GenBank/EMBL) */}
+        {result.features.length > 0 && (
+          <div className="mb-4">
+            <div className="text-xs font-semibold text-gray-600 mb-1">Features ({result.features.length})</div>
+            <div className="bg-gray-50 p-2 rounded max-h-48 overflow-y-auto">
+              {result.features.map((feature, featureIdx) => (
+                <div key={featureIdx} className="text-xs font-mono">
+                  <span className="text-indigo-600 font-bold">{feature.type}</span> {feature.location}
+                  {(feature.qualifiers.gene || feature.qualifiers.product) && (
+                    <span className="text-gray-600"> - {feature.qualifiers.gene || feature.qualifiers.product}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Sequences */}
         <div className="space-y-3">
           <div>
-            <div className="text-xs font-semibold text-gray-600 mb-1">DNA (5' → 3')</div>
-            <div className="bg-blue-50 p-2 rounded font-mono text-xs break-all">
-              {result.original}
-            </div>
+            <div className="text-xs font-semibold text-gray-600 mb-1">DNA - {result.strand} strand (5' → 3')</div>
+            <SequenceViewer
+              key={result.original}
+              sequence={result.original}
+              tableId={result.geneticCode}
+              annotations={recordAnnotations[idx]}
+              translate
+              defaultFrame={result.strand === bioUtils.STRANDS.CODING ? 1 : -1}
+              className="bg-blue-50"
+            />
+          </div>
+          <div>
+            <div className="text-xs font-semibold text-gray-600 mb-1">Reverse Complement (5' → 3')</div>
+            <SequenceViewer key={result.reverseComplement} sequence={result.reverseComplement} className="bg-teal-50" />
           </div>
           <div>
             <div className="text-xs font-semibold text-gray-600 mb-1">mRNA (5' → 3')</div>
-            <div className="bg-purple-50 p-2 rounded font-mono text-xs break-all">
-              {result.rna}
-            </div>
+            <SequenceViewer key={result.rna} sequence={result.rna} className="bg-purple-50" />
           </div>
           <div>
             <div className="text-xs font-semibold text-gray-600 mb-1">Protein</div>
-            <div className="bg-orange-50 p-2 rounded font-mono text-xs break-all">
-              {result.protein}
-            </div>
+            <ProteinSequence result={result} annotations={(motifAnnotations[idx] || EMPTY_MOTIFS).protein} />
           </div>
         </div>
       </div>
+      </LazyRender>
     ))}
   </div>
 )}
@@ -303,16 +1008,106 @@ const DNAConverter = () => {
             <h2 className="text-xl font-bold text-gray-800 mb-4">Advanced Analysis</h2>
 
             <div className="space-y-4">
+              {/* Open Reading Frames */}
+              <div>
+                <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                  Open Reading Frames (6 frames) - {orfsLoading ? 'searching...' : `${orfs.length} found`}
+                </h3>
+                <div className="flex flex-wrap items-center gap-4 mb-2 text-sm text-gray-700">
+                  <label className="flex items-center gap-2">
+                    Min length (aa)
+                    <input
+                      type="number"
+                      min="1"
+                      value={orfOptions.minLength}
+                      onChange={(e) => updateOrfOption('minLength', Math.max(1, Number(e.target.value) || 1))}
+                      className="w-20 p-1 border border-gray-300 rounded"
+                    />
+                  </label>
+                  <label className="flex items-center gap-2">
+                    Start codons
+                    <select
+                      value={orfOptions.startMode}
+                      onChange={(e) => updateOrfOption('startMode', e.target.value)}
+                      className="p-1 border border-gray-300 rounded"
+                    >
+                      <option value="atg">ATG only</option>
+                      <option value="alternative">Alternative starts (genetic code)</option>
+                      <option value="any">Any codon (stop to stop)</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={orfOptions.nested}
+                      onChange={(e) => updateOrfOption('nested', e.target.checked)}
+                    />
+                    Include nested ORFs
+                  </label>
+                </div>
+                {orfs.length > 0 ? (
+                  <div className="bg-gray-50 p-3 rounded max-h-64 overflow-y-auto" onScroll={orfWindow.onScroll}>
+                    <table className="w-full text-sm font-mono">
+                      <thead>
+                        <tr className="text-left text-xs text-gray-500">
+                          <th className="pr-2">Frame</th>
+                          <th className="pr-2">Start</th>
+                          <th className="pr-2">End</th>
+                          <th className="pr-2">Length (nt)</th>
+                          <th className="pr-2">Protein (aa)</th>
+                          <th></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {orfWindow.paddingTop > 0 && <tr style={{ height: orfWindow.paddingTop }} />}
+                        {orfs.slice(orfWindow.first, orfWindow.last).map((orf, offset) => {
+                          const idx = orfWindow.first + offset;
+                          return (
+                            <tr key={idx} style={{ height: 28 }} className={selectedOrf === idx ? 'bg-indigo-100' : ''}>
+                              <td className="pr-2">{orf.frame > 0 ? `+${orf.frame}` : orf.frame}</td>
+                              <td className="pr-2">{orf.start}</td>
+                              <td className="pr-2">{orf.end}</td>
+                              <td className="pr-2">{orf.length}</td>
+                              <td className="pr-2">{orf.proteinLength}{!orf.hasStop && ' (no stop)'}</td>
+                              <td>
+                                <button
+                                  onClick={() => setSelectedOrf(selectedOrf === idx ? null : idx)}
+                                  className="text-xs text-indigo-600 hover:underline"
+                                >
+                                  {selectedOrf === idx ? 'Deselect' : 'Use for stats'}
+                                </button>
+                              </td>
+                            </tr>
+                          );
+                        })}
+                        {orfWindow.paddingBottom > 0 && <tr style={{ height: orfWindow.paddingBottom }} />}
+                      </tbody>
+                    </table>
+                  </div>
+                ) : (
+                  <div className="bg-gray-50 p-3 rounded text-sm text-gray-600">
+                    No ORFs of at least {orfOptions.minLength} aa
+                  </div>
+                )}
+                {selectedOrf !== null && orfs[selectedOrf] && (
+                  <div className="mt-2 bg-orange-50 p-3 rounded font-mono text-sm break-all">
+                    {orfs[selectedOrf].protein}
+                  </div>
+                )}
+              </div>
+
               {/* Stop Codons */}
               <div>
                 <h3 className="text-sm font-semibold text-gray-700 mb-2">Stop Codons Found</h3>
                 {results.stopCodons.length > 0 ? (
-                  <div className="bg-red-50 p-3 rounded">
-                    {results.stopCodons.map((stop, idx) => (
-                      <div key={idx} className="text-sm font-mono">
-                        <span className="text-red-600 font-bold">{stop.codon}</span> at position {stop.position}-{stop.positionEnd}
-                      </div>
-                    ))}
+                  <div className="bg-red-50 p-3 rounded max-h-64 overflow-y-auto" onScroll={stopWindow.onScroll}>
+                    <div style={{ paddingTop: stopWindow.paddingTop, paddingBottom: stopWindow.paddingBottom }}>
+                      {results.stopCodons.slice(stopWindow.first, stopWindow.last).map(stop => (
+                        <div key={stop.position} className="text-sm font-mono" style={{ height: 20 }}>
+                          <span className="text-red-600 font-bold">{stop.codon}</span> at position {stop.position}-{stop.positionEnd}
+                        </div>
+                      ))}
+                    </div>
                   </div>
                 ) : (
                   <div className="bg-gray-50 p-3 rounded text-sm text-gray-600">
@@ -322,14 +1117,14 @@ const DNAConverter = () => {
               </div>
 
               {/* Amino Acid Composition */}
-              {Object.keys(results.aaComposition).length > 0 && (
+              {Object.keys(activeProtein.composition).length > 0 && (
                 <div>
                   <h3 className="text-sm font-semibold text-gray-700 mb-2">
-                    Amino Acid Composition
+                    Amino Acid Composition ({activeProtein.label})
                   </h3>
                   <div className="bg-gray-50 p-3 rounded">
                     <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-2">
-                      {Object.entries(results.aaComposition)
+                      {Object.entries(activeProtein.composition)
                         .sort((a, b) => b[1].count - a[1].count)
                         .map(([aa, data]) => (
                           <div key={aa} className="bg-white p-2 rounded border border-gray-200">
@@ -343,18 +1138,219 @@ const DNAConverter = () => {
                   </div>
                 </div>
               )}
+
+              {/* Codon Usage */}
+              {codonUsage && codonUsage.totalCodons > 0 && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                    Codon Usage (mRNA frame +1) - CAI{' '}
+                    {results.cai[codonHost].toFixed(3)}
+                  </h3>
+                  <div className="bg-gray-50 p-3 rounded">
+                    <CodonUsageTable usage={codonUsage} />
+                  </div>
+                </div>
+              )}
+
+              {/* Physicochemical Properties */}
+              {proteinProperties && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                    Physicochemical Properties ({activeProtein.label})
+                  </h3>
+                  <div className="bg-gray-50 p-3 rounded">
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
+                      {[
+                        { label: 'Isoelectric point (pI)', value: proteinProperties.isoelectricPoint.toFixed(2) },
+                        {
+                          label: (
+                            <span className="flex items-center gap-1">
+                              Net charge at pH
+                              <input
+                                type="number"
+                                step="0.1"
+                                min="0"
+                                max="14"
+                                value={chargePH}
+                                onChange={(e) => setChargePH(Number(e.target.value))}
+                                className="w-16 px-1 border border-gray-300 rounded"
+                              />
+                            </span>
+                          ),
+                          value: proteinProperties.netCharge.toFixed(2)
+                        },
+                        { label: 'GRAVY', value: proteinProperties.gravy.toFixed(3) },
+                        {
+                          label: 'Ext. coefficient 280 nm (M⁻¹ cm⁻¹)',
+                          value: `${proteinProperties.extinctionCoefficient.reduced} (reduced) / ${proteinProperties.extinctionCoefficient.oxidized} (cystines)`
+                        },
+                        {
+                          label: 'Instability index',
+                          value: `${proteinProperties.instabilityIndex.toFixed(2)} (${proteinProperties.isStable ? 'stable' : 'unstable'})`
+                        },
+                        { label: 'Aliphatic index', value: proteinProperties.aliphaticIndex.toFixed(2) },
+                        { label: 'Average mass (Da)', value: proteinProperties.averageMass.toFixed(2) },
+                        { label: 'Monoisotopic mass (Da)', value: proteinProperties.monoisotopicMass.toFixed(4) }
+                      ].map((property, idx) => (
+                        <div key={idx} className="bg-white p-2 rounded border border-gray-200">
+                          <div className="text-xs text-gray-600">{property.label}</div>
+                          <div className="font-mono font-bold text-indigo-600">{property.value}</div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              )}
+
+              {/* Hydropathy Plot */}
+              {proteinProperties && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2 flex items-center gap-2">
+                    Kyte-Doolittle Hydropathy Plot
+                    <label className="font-normal text-gray-600 flex items-center gap-1">
+                      window
+                      <input
+                        type="number"
+                        min="3"
+                        max="31"
+                        step="2"
+                        value={hydropathyWindow}
+                        onChange={(e) => setHydropathyWindow(Math.max(3, Number(e.target.value) || 3))}
+                        className="w-16 px-1 border border-gray-300 rounded"
+                      />
+                    </label>
+                  </h3>
+                  {hydropathyProfile.length > 0 ? (
+                    <LineChart
+                      series={[{
+                        label: 'Hydropathy',
+                        color: '#4f46e5',
+                        points: hydropathyProfile.map(point => ({ x: point.position, y: point.value }))
+                      }]}
+                      referenceLines={[{ y: 0, label: 'Hydrophobic above / hydrophilic below' }]}
+                      xLabel="Residue position"
+                      yLabel="Hydropathy"
+                    />
+                  ) : (
+                    <div className="bg-gray-50 p-3 rounded text-sm text-gray-600">
+                      Protein shorter than the window ({hydropathyWindow} aa)
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Structure and Feature Prediction */}
+              {proteinProperties && (
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                    Structure &amp; Feature Prediction ({activeProtein.label})
+                  </h3>
+                  <div className="bg-gray-50 p-3 rounded">
+                    <ProteinStructurePanel protein={activeProtein.sequence} />
+                  </div>
+                </div>
+              )}
             </div>
           </div>
         )}
 
+        {/* Motif Search */}
+        {searchRecords.length > 0 && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Motif Search</h2>
+            <MotifSearch records={searchRecords} onHits={setMotifHits} />
+          </div>
+        )}
+
+        {/* Repeat Finder */}
+        {searchRecords.length > 0 && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Repeat Finder</h2>
+            <RepeatFinder records={searchRecords} onRepeats={setRepeatHits} />
+          </div>
+        )}
+
+        {/* Variant Simulator */}
+        {results && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Variant Simulator</h2>
+            <VariantSimulator
+              key={results.original}
+              sequence={results.original}
+              strand={results.strand}
+              tableId={results.geneticCode}
+            />
+          </div>
+        )}
+
+        {/* Pairwise Alignment */}
+        {alignmentItems.length > 1 && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Pairwise Alignment</h2>
+            <AlignmentPanel key={alignmentItems.map(item => item.label).join('|')} items={alignmentItems} />
+          </div>
+        )}
+
+        {/* Dot Plot */}
+        {searchRecords.length > 0 && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Dot Plot</h2>
+            <DotPlot key={searchRecords.map(record => record.id).join('|')} records={searchRecords} />
+          </div>
+        )}
+
+        {/* Codon Optimization */}
+        {results && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Codon Optimization</h2>
+            <CodonOptimizer
+              key={activeProtein.sequence}
+              protein={activeProtein.sequence === 'No protein found' ? '' : activeProtein.sequence}
+              tableId={results.geneticCode}
+            />
+          </div>
+        )}
+
+        {/* Primer Design */}
+        {results && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+            <div className="flex items-center justify-between">
+              <h2 className="text-xl font-bold text-gray-800">Primer Design</h2>
+              <button
+                onClick={() => setShowPrimerDesigner(!showPrimerDesigner)}
+                className="text-sm text-indigo-600 hover:underline"
+              >
+                {showPrimerDesigner ? 'Hide' : 'Show'}
+              </button>
+            </div>
+            {showPrimerDesigner && (
+              <div className="mt-4">
+                <PrimerDesigner key={results.original} sequence={results.original} />
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Restriction Map */}
+        {results && (
+          <div className="bg-white rounded-lg shadow-lg p-6 mt-6">
+            <h2 className="text-xl font-bold text-gray-800 mb-4">Restriction Map</h2>
+            <RestrictionPanel
+              key={`${results.topology}-${results.original}`}
+              sequence={results.original}
+              circular={results.topology === bioUtils.TOPOLOGIES.CIRCULAR}
+            />
+          </div>
+        )}
+
         {/* Info Footer */}
         <div className="bg-indigo-50 border border-indigo-200 rounded-lg p-4 text-sm text-gray-700 mt-6">
           <div className="font-semibold mb-2">ℹ️ About this tool:</div>
           <ul className="list-disc list-inside space-y-1">
-            <li>Transcription: DNA → RNA (T becomes U)</li>
-            <li>Translation: RNA → Protein (using standard genetic code)</li>
+            <li>Transcription: DNA → RNA (T becomes U; a template strand is reverse-complemented first)</li>
+            <li>Translation: RNA → Protein (using NCBI table {geneticCodeInfo.ncbiTable}, {geneticCodeInfo.name})</li>
             <li>GC Content: Percentage of G and C nucleotides</li>
-            <li>Stop codons (*): UAA, UAG, UGA</li>
+            <li>Stop codons (*): {geneticCodeInfo.stopCodons.join(', ') || 'none'}</li>
           </ul>
         </div>
 
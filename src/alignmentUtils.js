@@ -0,0 +1,266 @@
+/**
+ * Alignment Utilities Module
+ * Pairwise global (Needleman-Wunsch) and local (Smith-Waterman) alignment
+ * with affine gap penalties (Gotoh)
+ *
+ * References:
+ * - Needleman & Wunsch (1970) J Mol Biol 48:443
+ * - Smith & Waterman (1981) J Mol Biol 147:195
+ * - Gotoh (1982) J Mol Biol 162:705
+ */
+
+import { SUBSTITUTION_MATRICES } from './substitutionMatrices';
+
+export { SUBSTITUTION_MATRICES } from './substitutionMatrices';
+
+/**
+ * Default scoring per sequence type
+ * Gap of length k costs gapOpen + (k - 1) * gapExtend
+ */
+export const ALIGNMENT_DEFAULTS = {
+    nucleotide: { mode: 'global', match: 2, mismatch: -3, gapOpen: 5, gapExtend: 2 },
+    protein: { mode: 'global', matrix: 'BLOSUM62', gapOpen: 10, gapExtend: 1 }
+};
+
+/**
+ * Largest matrix (length A x length B) aligned in the browser
+ */
+export const MAX_ALIGNMENT_CELLS = 25000000;
+
+//Traceback pointers: M uses bits 0-1, X bits 2-3, Y bits 4-5
+const FROM_M = 0;
+const FROM_X = 1;
+const FROM_Y = 2;
+const FROM_START = 3;
+
+/**
+ * Builds the scoring function for a sequence type
+ */
+const getScorer = (type, settings) => {
+    if (type === 'protein') {
+        const matrix = SUBSTITUTION_MATRICES[settings.matrix];
+        return (a, b) => {
+            const row = matrix[a] || matrix.X;
+            return row[b] !== undefined ? row[b] : row.X;
+        };
+    }
+    return (a, b) => (a === b ? settings.match : settings.mismatch);
+};
+
+/**
+ * Aligns two sequences
+ * @param {string} a - First sequence
+ * @param {string} b - Second sequence
+ * @param {Object} options - type ('nucleotide' | 'protein'), mode ('global' | 'local'),
+ *   match/mismatch (nucleotide) or matrix (protein), gapOpen, gapExtend
+ * @returns {Object} - { alignedA, alignedB, midline, score, startA, endA, startB, endB,
+ *   length, identity, similarity, gaps (counts) and identityPercent, similarityPercent, gapPercent }
+ */
+export const alignSequences = (a, b, options = {}) => {
+    const type = options.type === 'protein' ? 'protein' : 'nucleotide';
+    const settings = { ...ALIGNMENT_DEFAULTS[type], ...options };
+    const local = settings.mode === 'local';
+    const score = getScorer(type, settings);
+    const n = a.length;
+    const m = b.length;
+
+    if ((n + 1) * (m + 1) > MAX_ALIGNMENT_CELLS) {
+        throw new Error(`Sequences too long to align (${n} x ${m})`);
+    }
+
+    const open = settings.gapOpen;
+    const extend = settings.gapExtend;
+    const NEG = -Infinity;
+    const width = m + 1;
+    const trace = new Uint8Array((n + 1) * width);
+
+    //Only two rows of scores are kept; the traceback matrix holds the path
+    let prevM = new Float64Array(width);
+    let prevX = new Float64Array(width);
+    let prevY = new Float64Array(width);
+    let curM = new Float64Array(width);
+    let curX = new Float64Array(width);
+    let curY = new Float64Array(width);
+
+    prevM[0] = 0;
+    prevX[0] = NEG;
+    prevY[0] = NEG;
+    for (let j = 1; j <= m; j++) {
+        prevM[j] = local ? 0 : NEG;
+        prevX[j] = NEG;
+        prevY[j] = local ? NEG : -open - (j - 1) * extend;
+        trace[j] = FROM_START | ((j === 1 ? FROM_M : FROM_Y) << 4);
+    }
+
+    //Local alignments with no positive score are empty
+    let best = { score: 0, i: 0, j: 0, state: FROM_M };
+
+    for (let i = 1; i <= n; i++) {
+        curM[0] = local ? 0 : NEG;
+        curX[0] = local ? NEG : -open - (i - 1) * extend;
+        curY[0] = NEG;
+        trace[i * width] = FROM_START | ((i === 1 ? FROM_M : FROM_X) << 2);
+
+        for (let j = 1; j <= m; j++) {
+            //M: a[i] aligned with b[j]
+            let mFrom = FROM_M;
+            let mBest = prevM[j - 1];
+            if (prevX[j - 1] > mBest) { mBest = prevX[j - 1]; mFrom = FROM_X; }
+            if (prevY[j - 1] > mBest) { mBest = prevY[j - 1]; mFrom = FROM_Y; }
+            if (i === 1 && j === 1 && !local) { mBest = 0; mFrom = FROM_START; }
+            if (local && mBest <= 0) { mBest = 0; mFrom = FROM_START; }
+            curM[j] = mBest + score(a[i - 1], b[j - 1]);
+
+            //X: a[i] aligned with a gap
+            let xFrom = FROM_M;
+            let xBest = prevM[j] - open;
+            if (prevX[j] - extend > xBest) { xBest = prevX[j] - extend; xFrom = FROM_X; }
+            if (prevY[j] - open > xBest) { xBest = prevY[j] - open; xFrom = FROM_Y; }
+            curX[j] = xBest;
+
+            //Y: b[j] aligned with a gap
+            let yFrom = FROM_M;
+            let yBest = curM[j - 1] - open;
+            if (curY[j - 1] - extend > yBest) { yBest = curY[j - 1] - extend; yFrom = FROM_Y; }
+            if (curX[j - 1] - open > yBest) { yBest = curX[j - 1] - open; yFrom = FROM_X; }
+            curY[j] = yBest;
+
+            trace[i * width + j] = mFrom | (xFrom << 2) | (yFrom << 4);
+
+            if (local && curM[j] > best.score) {
+                best = { score: curM[j], i, j, state: FROM_M };
+            }
+        }
+
+        [prevM, curM] = [curM, prevM];
+        [prevX, curX] = [curX, prevX];
+        [prevY, curY] = [curY, prevY];
+    }
+
+    if (!local) {
+        //prev* now hold the last row
+        best = { score: prevM[m], i: n, j: m, state: FROM_M };
+        if (prevX[m] > best.score) best = { score: prevX[m], i: n, j: m, state: FROM_X };
+        if (prevY[m] > best.score) best = { score: prevY[m], i: n, j: m, state: FROM_Y };
+    }
+
+    //Traceback
+    const rowA = [];
+    const rowB = [];
+    let { i, j, state } = best;
+
+    while (i > 0 || j > 0) {
+        if (!local && (i === 0 || j === 0)) {
+            //Remaining residues of one sequence against gaps
+            if (i > 0) { rowA.push(a[i - 1]); rowB.push('-'); i--; }
+            else { rowA.push('-'); rowB.push(b[j - 1]); j--; }
+            continue;
+        }
+
+        const pointers = trace[i * width + j];
+        if (state === FROM_M) {
+            rowA.push(a[i - 1]);
+            rowB.push(b[j - 1]);
+            state = pointers & 3;
+            i--;
+            j--;
+            if (state === FROM_START) {
+                if (local) break;
+                state = FROM_M;
+            }
+        } else if (state === FROM_X) {
+            rowA.push(a[i - 1]);
+            rowB.push('-');
+            state = (pointers >> 2) & 3;
+            i--;
+        } else {
+            rowA.push('-');
+            rowB.push(b[j - 1]);
+            state = (pointers >> 4) & 3;
+            j--;
+        }
+    }
+
+    const alignedA = rowA.reverse().join('');
+    const alignedB = rowB.reverse().join('');
+
+    let identity = 0;
+    let similarity = 0;
+    let gaps = 0;
+    let midline = '';
+
+    for (let k = 0; k < alignedA.length; k++) {
+        const x = alignedA[k];
+        const y = alignedB[k];
+        if (x === '-' || y === '-') {
+            gaps++;
+            midline += ' ';
+        } else if (x === y) {
+            identity++;
+            similarity++;
+            midline += '|';
+        } else if (type === 'protein' && score(x, y) > 0) {
+            similarity++;
+            midline += ':';
+        } else {
+            midline += ' ';
+        }
+    }
+
+    const length = alignedA.length;
+    const percent = (value) => (length > 0 ? ((value / length) * 100).toFixed(2) : '0.00');
+
+    return {
+        type,
+        mode: settings.mode,
+        alignedA,
+        alignedB,
+        midline,
+        score: best.score,
+        startA: i + 1,
+        endA: best.i,
+        startB: j + 1,
+        endB: best.j,
+        length,
+        identity,
+        similarity,
+        gaps,
+        identityPercent: percent(identity),
+        similarityPercent: percent(similarity),
+        gapPercent: percent(gaps)
+    };
+};
+
+/**
+ * Formats an alignment in blocks (EMBOSS style) with coordinates
+ * @param {Object} alignment - Result of alignSequences
+ * @param {Object} names - { a, b } labels for the two sequences
+ * @param {number} lineWidth - Columns per block (default: 60)
+ * @returns {string} - Text alignment
+ */
+export const formatAlignment = (alignment, names = { a: 'seqA', b: 'seqB' }, lineWidth = 60) => {
+    const labelWidth = Math.max(names.a.length, names.b.length, 4);
+    const blocks = [];
+    let posA = alignment.startA;
+    let posB = alignment.startB;
+
+    for (let k = 0; k < alignment.length; k += lineWidth) {
+        const chunkA = alignment.alignedA.substring(k, k + lineWidth);
+        const chunkB = alignment.alignedB.substring(k, k + lineWidth);
+        const residuesA = chunkA.replace(/-/g, '').length;
+        const residuesB = chunkB.replace(/-/g, '').length;
+        const endA = posA + residuesA - 1;
+        const endB = posB + residuesB - 1;
+
+        blocks.push([
+            `${names.a.padEnd(labelWidth)} ${String(posA).padStart(6)} ${chunkA} ${endA}`,
+            `${''.padEnd(labelWidth)} ${''.padStart(6)} ${alignment.midline.substring(k, k + lineWidth)}`,
+            `${names.b.padEnd(labelWidth)} ${String(posB).padStart(6)} ${chunkB} ${endB}`
+        ].join('\n'));
+
+        posA = endA + 1;
+        posB = endB + 1;
+    }
+
+    return blocks.join('\n\n');
+};
@@ -0,0 +1,20 @@
+/**
+ * Analysis Worker
+ * Runs one task of ANALYSIS_TASKS per message and posts progress, then the
+ * result or the error message back to analysisClient
+ */
+
+import { ANALYSIS_TASKS } from './sequenceAnalysis';
+
+globalThis.onmessage = (event) => {
+    const { task, payload } = event.data;
+
+    try {
+        const result = ANALYSIS_TASKS[task](payload, progress => {
+            globalThis.postMessage({ type: 'progress', progress });
+        });
+        globalThis.postMessage({ type: 'result', result });
+    } catch (err) {
+        globalThis.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,90 @@
+/**
+ * Analysis Client Module
+ * Runs ANALYSIS_TASKS (sequenceAnalysis.js) in a Web Worker so large inputs
+ * do not freeze the page
+ *
+ * Each task gets its own worker; cancelling terminates it, which also stops
+ * work that is still running. Without Worker support the task runs on the
+ * main thread instead.
+ */
+
+import { ANALYSIS_TASKS } from './sequenceAnalysis';
+
+/**
+ * Error used to reject cancelled tasks (check error.cancelled)
+ */
+const cancelledError = () => {
+    const error = new Error('Analysis cancelled');
+    error.cancelled = true;
+    return error;
+};
+
+/**
+ * Starts an analysis task
+ * @param {string} task - Key of ANALYSIS_TASKS ('analyze', 'orfs', 'motifs')
+ * @param {Object} payload - Task input (must be structured-cloneable)
+ * @param {Function} onProgress - Called with { stage, done, total }
+ * @returns {Object} - { promise, cancel }
+ */
+export const runAnalysisTask = (task, payload, onProgress = () => {}) => {
+    if (typeof Worker === 'undefined') {
+        let cancelled = false;
+        const promise = new Promise((resolve, reject) => {
+            //Let the page repaint before blocking it
+            setTimeout(() => {
+                if (cancelled) {
+                    reject(cancelledError());
+                    return;
+                }
+                try {
+                    resolve(ANALYSIS_TASKS[task](payload, onProgress));
+                } catch (err) {
+                    reject(err);
+                }
+            }, 0);
+        });
+        return { promise, cancel: () => { cancelled = true; } };
+    }
+
+    const worker = new Worker(new URL('./analysis.worker.js', import.meta.url));
+    let rejectTask = () => {};
+    let finished = false;
+
+    const promise = new Promise((resolve, reject) => {
+        rejectTask = reject;
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress(message.progress);
+                return;
+            }
+
+            finished = true;
+            worker.terminate();
+            if (message.type === 'result') {
+                resolve(message.result);
+            } else {
+                reject(new Error(message.message));
+            }
+        };
+
+        worker.onerror = (event) => {
+            finished = true;
+            worker.terminate();
+            reject(new Error(event.message || 'Analysis failed'));
+        };
+    });
+
+    worker.postMessage({ task, payload });
+
+    return {
+        promise,
+        cancel: () => {
+            if (finished) return;
+            finished = true;
+            worker.terminate();
+            rejectTask(cancelledError());
+        }
+    };
+};
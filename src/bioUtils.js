@@ -3,95 +3,378 @@
  * Genetic code functions for DNA/RNA sequence analysis
  * 
  * References:
- * - NCBI Genetic Code Table 1 (Standard Code)
+ * - NCBI Genetic Codes (Table 1 = Standard Code, see geneticCodes.js)
  * - https://www.ncbi.nlm.nih.gov/Taxonomy/Utils/wprintgc.cgi
  */
 
+import { getGeneticCode, DEFAULT_GENETIC_CODE } from './geneticCodes';
+
+export { listGeneticCodes, DEFAULT_GENETIC_CODE } from './geneticCodes';
+
 /**
- * Standard Genetic Code (NCBI Table 1)
- * Used by most organisms (nuclear genomes)
- * Note: This does not include mitochondrial or alternative genetic codes
+ * IUPAC nucleotide codes and the bases each one stands for
+ * https://www.bioinformatics.org/sms/iupac.html
  */
+export const IUPAC_CODES = {
+    'A': 'A', 'C': 'C', 'G': 'G', 'T': 'T', 'U': 'U',
+    'R': 'AG', 'Y': 'CT', 'S': 'GC', 'W': 'AT', 'K': 'GT', 'M': 'AC',
+    'B': 'CGT', 'D': 'AGT', 'H': 'ACT', 'V': 'ACG',
+    'N': 'ACGT'
+};
 
-const CODON_TABLE = {
-    'UUU': 'F', 'UUC': 'F', 'UUA': 'L', 'UUG': 'L',
-    'UCU': 'S', 'UCC': 'S', 'UCA': 'S', 'UCG': 'S',
-    'UAU': 'Y', 'UAC': 'Y', 'UAA': '*', 'UAG': '*',
-    'UGU': 'C', 'UGC': 'C', 'UGA': '*', 'UGG': 'W',
-    'CUU': 'L', 'CUC': 'L', 'CUA': 'L', 'CUG': 'L',
-    'CCU': 'P', 'CCC': 'P', 'CCA': 'P', 'CCG': 'P',
-    'CAU': 'H', 'CAC': 'H', 'CAA': 'Q', 'CAG': 'Q',
-    'CGU': 'R', 'CGC': 'R', 'CGA': 'R', 'CGG': 'R',
-    'AUU': 'I', 'AUC': 'I', 'AUA': 'I', 'AUG': 'M',
-    'ACU': 'T', 'ACC': 'T', 'ACA': 'T', 'ACG': 'T',
-    'AAU': 'N', 'AAC': 'N', 'AAA': 'K', 'AAG': 'K',
-    'AGU': 'S', 'AGC': 'S', 'AGA': 'R', 'AGG': 'R',
-    'GUU': 'V', 'GUG': 'V', 'GUA': 'V', 'GUC': 'V',
-    'GCU': 'A', 'GCC': 'A', 'GCA': 'A', 'GCG': 'A',
-    'GAU': 'D', 'GAC': 'D', 'GAA': 'E', 'GAG': 'E',
-    'GGU': 'G', 'GGC': 'G', 'GGA': 'G', 'GGG': 'G'
+/**
+ * Complement of every IUPAC DNA code (ambiguity codes included)
+ */
+const DNA_COMPLEMENT = {
+    'A': 'T', 'T': 'A', 'G': 'C', 'C': 'G',
+    'R': 'Y', 'Y': 'R', 'S': 'S', 'W': 'W', 'K': 'M', 'M': 'K',
+    'B': 'V', 'V': 'B', 'D': 'H', 'H': 'D', 'N': 'N'
 };
 
+//Lookup tables indexed by character code, so long sequences are processed in one pass
+//DNA_CODES: uppercase code of each IUPAC DNA character (either case), 0 if not DNA
+const DNA_CODES = new Uint8Array(128);
+const COMPLEMENT_CODES = new Uint8Array(128);
+Object.keys(DNA_COMPLEMENT).forEach(base => {
+    DNA_CODES[base.charCodeAt(0)] = base.charCodeAt(0);
+    DNA_CODES[base.toLowerCase().charCodeAt(0)] = base.charCodeAt(0);
+    COMPLEMENT_CODES[base.charCodeAt(0)] = DNA_COMPLEMENT[base].charCodeAt(0);
+});
+
+const WHITESPACE_CODES = new Set([9, 10, 11, 12, 13, 32]);
+const CHUNK_SIZE = 8192;
+
 /**
- * Stop codons in standard genetic code
+ * Builds a string from the first length character codes of a buffer
+ * (in chunks, so the argument list of fromCharCode stays small)
  */
-const STOP_CODONS = ['UAA', 'UAG', 'UGA'];
+const codesToString = (codes, length) => {
+    const chunks = [];
+    for (let i = 0; i < length; i += CHUNK_SIZE) {
+        chunks.push(String.fromCharCode.apply(null, codes.subarray(i, Math.min(i + CHUNK_SIZE, length))));
+    }
+    return chunks.join('');
+};
 
 /**
- * Start codon (Methionine - initiates translation)
+ * Checks a DNA sequence and reports what was removed or is ambiguous
+ * Whitespace is dropped silently, anything else outside the IUPAC DNA
+ * alphabet is removed and reported
+ * @param {string} sequence - Raw DNA sequence
+ * @returns {Object} - { sequence, removed, ambiguous, isValid }
+ *   removed: [{ position, char }] - 1-based position in the raw input
+ *   ambiguous: [{ position, char, bases }] - 1-based position in the cleaned sequence
  */
-const START_CODON = 'AUG';
+export const validateSequenceReport = (sequence) => {
+    const cleaned = new Uint8Array(sequence.length);
+    const removed = [];
+    const ambiguous = [];
+    let length = 0;
+
+    for (let i = 0; i < sequence.length; i++) {
+        const code = sequence.charCodeAt(i);
+        const base = code < 128 ? DNA_CODES[code] : 0;
+
+        if (base) {
+            cleaned[length++] = base;
+            //Only A, C, G and T are unambiguous
+            if (base !== 65 && base !== 67 && base !== 71 && base !== 84) {
+                const char = String.fromCharCode(base);
+                ambiguous.push({ position: length, char, bases: IUPAC_CODES[char] });
+            }
+        } else if (!WHITESPACE_CODES.has(code) && !(code >= 128 && /\s/.test(sequence[i]))) {
+            removed.push({ position: i + 1, char: sequence[i] });
+        }
+    }
+
+    return {
+        sequence: codesToString(cleaned, length),
+        removed,
+        ambiguous,
+        isValid: removed.length === 0
+    };
+};
 
 /**
  * Validates DNA Sequence
  * @param {string} sequence - DNA sequence to validate
- * @returns {string} - Cleaned sequence (uppercase, only ATGC)
+ * @returns {string} - Cleaned sequence (uppercase, ATGC and IUPAC ambiguity codes)
  */
 export const validateSequence = (sequence) => {
-    return sequence.toUpperCase().replace(/[^ATGC]/g, '');
+    return validateSequenceReport(sequence).sequence;
 };
 
 /**
  * Generates complementary DNA strand
+ * Ambiguity codes are complemented too (R <-> Y, K <-> M, B <-> V, D <-> H)
  * @param {string} dna - DNA sequence (5' to 3')
  * @return {string} - Complementary strand (3' to 5')
  */
 export const getComplement = (dna) => {
-    const complement = { 'A': 'T', 'T': 'A', 'G': 'C', 'C': 'G' };
-    return dna.split('').map(base => complement[base]).join('');
+    const codes = new Uint8Array(dna.length);
+    let length = 0;
+
+    for (let i = 0; i < dna.length; i++) {
+        const code = dna.charCodeAt(i);
+        const complement = code < 128 ? COMPLEMENT_CODES[code] : 0;
+        //Characters without a complement are dropped
+        if (complement) codes[length++] = complement;
+    }
+
+    return codesToString(codes, length);
+};
+
+/**
+ * Generates reverse complement DNA strand
+ * This is the opposite strand read in the usual direction (for primer tools, BLAST)
+ * @param {string} dna - DNA sequence (5' to 3')
+ * @return {string} - Reverse complement strand (5' to 3')
+ */
+export const getReverseComplement = (dna) => {
+    const codes = new Uint8Array(dna.length);
+    let length = 0;
+
+    for (let i = dna.length - 1; i >= 0; i--) {
+        const code = dna.charCodeAt(i);
+        const complement = code < 128 ? COMPLEMENT_CODES[code] : 0;
+        if (complement) codes[length++] = complement;
+    }
+
+    return codesToString(codes, length);
 };
 
+/**
+ * Strand types accepted by transcribe
+ * coding: sense strand, same sequence as the mRNA (T instead of U)
+ * template: antisense strand, the one RNA polymerase reads
+ */
+export const STRANDS = {
+    CODING: 'coding',
+    TEMPLATE: 'template'
+};
+
+/**
+ * Sequence topologies (GenBank LOCUS / EMBL ID wording)
+ * Circular sequences (plasmids, organelle and bacterial genomes) are read
+ * across the origin: the base after the last one is the first one
+ */
+export const TOPOLOGIES = {
+    LINEAR: 'linear',
+    CIRCULAR: 'circular'
+};
+
+/**
+ * Sequence as read by a codon scan: circular sequences get their first
+ * two bases appended, so the codon spanning the origin can be read
+ */
+const codonText = (rna, circular) => (circular && rna.length >= 3 ? rna + rna.substring(0, 2) : rna);
+
 /**
  * Transcribes DNA to mRNA
- * @param {string} dna - DNA sequence
- * @return {string} - mRNA sequence (T replaced by U)
+ * @param {string} dna - DNA sequence (5' to 3')
+ * @param {string} strand - Which strand dna is: 'coding' (default) or 'template'
+ * @return {string} - mRNA sequence (5' to 3', T replaced by U)
  */
-export const transcribe = (dna) => {
-    return dna.replace(/T/g, 'U');
+export const transcribe = (dna, strand = STRANDS.CODING) => {
+    //mRNA is antiparallel and complementary to the template strand
+    const coding = strand === STRANDS.TEMPLATE ? getReverseComplement(dna) : dna;
+    return coding.replace(/T/g, 'U');
+};
+
+/**
+ * Translates a single RNA codon
+ * Ambiguous codons (IUPAC codes) are expanded: if every possible codon gives
+ * the same amino acid that one is returned, otherwise 'X'
+ * @param {string} codon - RNA codon (3 characters)
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @return {string|undefined} - Amino acid, '*' for stop, undefined if not a codon
+ */
+export const translateCodon = (codon, tableId = DEFAULT_GENETIC_CODE) => {
+    const { codonTable } = getGeneticCode(tableId);
+    if (codonTable[codon]) {
+        return codonTable[codon];
+    }
+
+    //Expand ambiguity codes (T and U are the same base here)
+    const options = codon.split('').map(base => {
+        const bases = IUPAC_CODES[base === 'U' ? 'T' : base];
+        return bases ? bases.replace(/T/g, 'U') : null;
+    });
+    if (codon.length !== 3 || options.includes(null)) {
+        return undefined;
+    }
+
+    const aminoAcids = new Set();
+    for (const first of options[0]) {
+        for (const second of options[1]) {
+            for (const third of options[2]) {
+                aminoAcids.add(codonTable[first + second + third]);
+            }
+        }
+    }
+
+    return aminoAcids.size === 1 ? [...aminoAcids][0] : 'X';
 };
 
 /**
  * Translates RNA sequence to protein
- * Stops at first stop codon encountered
+ * Stops at first stop codon encountered, unless throughStops is set
+ * Ambiguous codons become the amino acid they resolve to, or X
+ * Codons that are not nucleotides at all (e.g. gaps) become X too
  * @param {string} rna - RNA sequence
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @param {boolean} throughStops - Keep translating past stop codons, writing them as '*'
+ * @param {boolean} circular - Read across the origin (one lap, the codon spanning it included)
  * @return {string} - Protein sequence (single-letter amino acid codes)
  */
-export const translate = (rna) => {
-    let protein ='';
+export const translate = (rna, tableId = DEFAULT_GENETIC_CODE, throughStops = false, circular = false) => {
+    const { codonTable } = getGeneticCode(tableId);
+    const text = codonText(rna, circular);
+    const protein = [];
 
-    for (let i = 0; i < rna.length - 2; i += 3) {
-        const codon = rna.substring(i, i + 3);
-        const aminoAcid = CODON_TABLE[codon];
+    for (let i = 0; i < rna.length && i + 3 <= text.length; i += 3) {
+        const codon = text.substring(i, i + 3);
+        const aminoAcid = codonTable[codon] || translateCodon(codon, tableId) || 'X';
 
         //Stop at stop codon
-        if (aminoAcid === '*') break;
+        if (aminoAcid === '*' && !throughStops) break;
+
+        protein.push(aminoAcid);
+    }
+
+    return protein.join('') || 'No protein found';
+};
+
+/**
+ * Three-letter amino acid codes (HGVS style, Ter for stop)
+ */
+export const THREE_LETTER_CODES = {
+    A: 'Ala', R: 'Arg', N: 'Asn', D: 'Asp', C: 'Cys',
+    Q: 'Gln', E: 'Glu', G: 'Gly', H: 'His', I: 'Ile',
+    L: 'Leu', K: 'Lys', M: 'Met', F: 'Phe', P: 'Pro',
+    S: 'Ser', T: 'Thr', W: 'Trp', Y: 'Tyr', V: 'Val',
+    U: 'Sec', O: 'Pyl', X: 'Xaa', '*': 'Ter'
+};
+
+/**
+ * Full amino acid names
+ */
+export const AMINO_ACID_NAMES = {
+    A: 'Alanine', R: 'Arginine', N: 'Asparagine', D: 'Aspartic acid', C: 'Cysteine',
+    Q: 'Glutamine', E: 'Glutamic acid', G: 'Glycine', H: 'Histidine', I: 'Isoleucine',
+    L: 'Leucine', K: 'Lysine', M: 'Methionine', F: 'Phenylalanine', P: 'Proline',
+    S: 'Serine', T: 'Threonine', W: 'Tryptophan', Y: 'Tyrosine', V: 'Valine',
+    U: 'Selenocysteine', O: 'Pyrrolysine', X: 'Unknown', '*': 'Stop'
+};
+
+/**
+ * Aminoacyl-tRNA synthetase class charging each amino acid's tRNA
+ * Class I: Rossmann fold, acylates the 2'-OH; class II: antiparallel beta fold, 3'-OH
+ * (Lys is class II except in some archaea; Sec is charged by SerRS, Pyl by PylRS)
+ * https://doi.org/10.1038/347203a0 (Eriani et al. 1990)
+ */
+export const TRNA_SYNTHETASE_CLASSES = {
+    R: 'I', C: 'I', Q: 'I', E: 'I', I: 'I', L: 'I', M: 'I', W: 'I', Y: 'I', V: 'I',
+    A: 'II', N: 'II', D: 'II', G: 'II', H: 'II', K: 'II', F: 'II', P: 'II', S: 'II', T: 'II',
+    U: 'II', O: 'II'
+};
+
+/**
+ * Converts a protein to three-letter codes
+ * @param {string} protein - Protein sequence (single-letter codes)
+ * @param {string} separator - Text between residues (default: '-')
+ * @returns {string} - e.g. 'Met-Ala-Ile'
+ */
+export const toThreeLetter = (protein, separator = '-') => {
+    if (!protein || protein === 'No protein found') {
+        return '';
+    }
+    return protein.split('').map(aa => THREE_LETTER_CODES[aa] || 'Xaa').join(separator);
+};
+
+/**
+ * Codon statuses reported by describeCodon
+ */
+export const CODON_STATUS = {
+    SENSE: 'sense',
+    AMBIGUOUS: 'ambiguous', //IUPAC codes that do not resolve to one amino acid (X)
+    STOP: 'stop',
+    UNKNOWN: 'unknown', //Not a codon (characters outside the IUPAC alphabet)
+    INCOMPLETE: 'incomplete' //Trailing 1 or 2 bases
+};
+
+/**
+ * Describes one codon for a codon-by-codon translation table
+ * @param {string} codon - RNA codon (a shorter trailing codon is reported as incomplete)
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @returns {Object} - { codon, anticodon, aminoAcid, threeLetter, name, tRNA, synthetaseClass, status }
+ *   anticodon is 5' to 3' (e.g. CAU for AUG), '' for stops; aminoAcid is '' for incomplete or unknown codons
+ */
+export const describeCodon = (codon, tableId = DEFAULT_GENETIC_CODE) => {
+    const complete = codon.length === 3;
+    const aminoAcid = complete ? translateCodon(codon, tableId) || '' : '';
+
+    let status = CODON_STATUS.SENSE;
+    if (!complete) status = CODON_STATUS.INCOMPLETE;
+    else if (!aminoAcid) status = CODON_STATUS.UNKNOWN;
+    else if (aminoAcid === '*') status = CODON_STATUS.STOP;
+    else if (aminoAcid === 'X') status = CODON_STATUS.AMBIGUOUS;
 
-        if (aminoAcid) {
-            protein += aminoAcid;
+    //Stop codons are read by release factors, not tRNAs
+    const charged = TRNA_SYNTHETASE_CLASSES[aminoAcid];
+
+    return {
+        codon,
+        anticodon: complete && aminoAcid && aminoAcid !== '*' ? getReverseComplement(codon.replace(/U/g, 'T')).replace(/T/g, 'U') : '',
+        aminoAcid,
+        threeLetter: aminoAcid ? THREE_LETTER_CODES[aminoAcid] : '',
+        name: aminoAcid ? AMINO_ACID_NAMES[aminoAcid] : '',
+        tRNA: charged ? `tRNA-${THREE_LETTER_CODES[aminoAcid]}` : '',
+        synthetaseClass: charged || '',
+        status
+    };
+};
+
+/**
+ * Counts what translate() reads from an RNA
+ * @param {string} rna - RNA sequence
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @param {boolean} throughStops - Same option as translate()
+ * @param {boolean} circular - Same option as translate()
+ * @returns {Object} - { codons, stopIndex, ambiguous, unknown, trailing, circular }
+ *   codons: codons read (the first stop included); stopIndex: 0-based codon index of that stop, or -1
+ *   ambiguous/unknown: counts among the codons read; trailing: incomplete bases at the end, '' if none
+ *   (trailing is only reported when translation reaches the end of a linear sequence)
+ */
+export const getTranslationSummary = (rna, tableId = DEFAULT_GENETIC_CODE, throughStops = false, circular = false) => {
+    const text = codonText(rna, circular);
+    const whole = circular && rna.length >= 3 ? Math.ceil(rna.length / 3) : Math.floor(rna.length / 3);
+    let stopIndex = -1;
+    let ambiguous = 0;
+    let unknown = 0;
+    let codons = whole;
+
+    for (let i = 0; i < whole; i++) {
+        const aminoAcid = translateCodon(text.substring(i * 3, i * 3 + 3), tableId);
+        if (!aminoAcid) unknown++;
+        else if (aminoAcid === 'X') ambiguous++;
+        else if (aminoAcid === '*' && stopIndex < 0) {
+            stopIndex = i;
+            if (!throughStops) {
+                codons = i + 1;
+                break;
+            }
         }
     }
 
-    return protein || 'No protein found';
+    return {
+        codons,
+        stopIndex,
+        ambiguous,
+        unknown,
+        trailing: codons === whole && !circular ? rna.substring(whole * 3) : '',
+        circular
+    };
 };
 
 /**
@@ -100,16 +383,27 @@ export const translate = (rna) => {
  * @return {Object} - Count of each nucleotide
  */
 export const countNucleotides = (sequence) => {
-    const counts = { A: 0, T: 0, G: 0, C: 0, U: 0 };
-
-    sequence.split('').forEach(base => {
-        if (counts.hasOwnProperty(base)) {
-            counts[base]++;
+    let a = 0;
+    let t = 0;
+    let g = 0;
+    let c = 0;
+    let u = 0;
+
+    for (let i = 0; i < sequence.length; i++) {
+        switch (sequence.charCodeAt(i)) {
+            case 65: a++; break;
+            case 84: t++; break;
+            case 71: g++; break;
+            case 67: c++; break;
+            case 85: u++; break;
+            default: break;
         }
-    });
+    }
+
+    const counts = { A: a, T: t, G: g, C: c, U: u };
 
     //Remove U if DNA, remove T if RNA
-    if (sequence.includes('U')) {
+    if (u > 0) {
         delete counts.T;
     } else {
         delete counts.U;
@@ -125,31 +419,43 @@ export const countNucleotides = (sequence) => {
  * @return {string} - GC percentage (2 decimal places)
  */
 export const calculateGC = (sequence) => {
-    const gc = (sequence.match(/[GC]/g) || []).length;
+    let gc = 0;
+    for (let i = 0; i < sequence.length; i++) {
+        const code = sequence.charCodeAt(i);
+        if (code === 71 || code === 67) gc++;
+    }
     return ((gc / sequence.length) * 100).toFixed(2);
 };
 
-/**Gets genetic code information
- * @return {Object} - Information about the genetic code used
- */
-
 /**
- * Parses FASTA format input
- * @param {string} input - FASTA formatted text
- * @returns {Array} - Array of objects with id, description, and sequence
+ * Incremental FASTA parser for streamed input (files larger than memory,
+ * stdin): text can be pushed in chunks split anywhere, even inside a line
+ * Records are validated exactly like parseFASTA
+ * @param {Function} onRecord - Called with each complete record ({ id, description, sequence, validation })
+ * @returns {Object} - { push(chunk), end() } (end flushes the last record)
  */
-export const parseFASTA = (input) => {
-    const sequences = [];
-    const lines = input.trim().split('\n');
+export const createFASTAParser = (onRecord) => {
     let currentSeq = null;
+    //Pieces of a line not yet terminated by '\n' (joined once, so long lines stay linear)
+    let pending = [];
+
+    const pushSequence = () => {
+        const { sequence, removed, ambiguous } = validateSequenceReport(currentSeq.lines.join(''));
+        onRecord({
+            id: currentSeq.id,
+            description: currentSeq.description,
+            sequence,
+            validation: { removed, ambiguous }
+        });
+    };
 
-    lines.forEach(line => {
-        line = line.trim();
+    const handleLine = (rawLine) => {
+        const line = rawLine.trim();
 
         if (line.startsWith('>')) {
             //New sequence header
             if (currentSeq) {
-                sequences.push(currentSeq);
+                pushSequence();
             }
 
             //Parse header: >id description
@@ -157,19 +463,52 @@ export const parseFASTA = (input) => {
             currentSeq = {
                 id: headerParts[0] || 'sequence',
                 description: headerParts.slice(1).join(' ') || '',
-                sequence: ''
+                lines: []
             };
         } else if (currentSeq && line) {
-            //Append sequence line (remove spaces and validate)
-            currentSeq.sequence += validateSequence(line);
+            //Raw sequence lines are joined and validated once the record is complete
+            currentSeq.lines.push(line);
         }
-    });
+    };
 
-    //Push last sequence
-    if (currentSeq) {
-        sequences.push(currentSeq);
-    }
+    return {
+        push: (chunk) => {
+            let start = 0;
+            let newline = chunk.indexOf('\n');
+            while (newline !== -1) {
+                pending.push(chunk.substring(start, newline));
+                handleLine(pending.join(''));
+                pending = [];
+                start = newline + 1;
+                newline = chunk.indexOf('\n', start);
+            }
+            if (start < chunk.length) pending.push(chunk.substring(start));
+        },
+        end: () => {
+            if (pending.length > 0) {
+                handleLine(pending.join(''));
+                pending = [];
+            }
+            //Push last sequence
+            if (currentSeq) {
+                pushSequence();
+                currentSeq = null;
+            }
+        }
+    };
+};
 
+/**
+ * Parses FASTA format input
+ * @param {string} input - FASTA formatted text
+ * @returns {Array} - Array of objects with id, description, sequence and validation
+ *   (removed/ambiguous characters, see validateSequenceReport)
+ */
+export const parseFASTA = (input) => {
+    const sequences = [];
+    const parser = createFASTAParser(record => sequences.push(record));
+    parser.push(input);
+    parser.end();
     return sequences;
 };
 
@@ -182,18 +521,23 @@ export const isFASTA = (input) => {
     return input.trim().startsWith('>');
 };
 
-export const getGeneticCodeInfo = () => {
+/**
+ * Gets genetic code information
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @return {Object} - Information about the genetic code used
+ */
+export const getGeneticCodeInfo = (tableId = DEFAULT_GENETIC_CODE) => {
+    const code = getGeneticCode(tableId);
+
     return {
-        name: 'Standard Genetic Code',
-        ncbiTable: 1,
-        description: 'Used by nuclear genomes of most organisms',
-        startCodon: START_CODON,
-        stopCodons: STOP_CODONS,
-        totalCodons: Object.keys(CODON_TABLE).length,
+        name: code.name,
+        ncbiTable: code.id,
+        startCodons: code.startCodons,
+        stopCodons: code.stopCodons,
+        totalCodons: Object.keys(code.codonTable).length,
         limitations: [
-            'Does not include mitochondrial genetic codes',
-            'Does not include alternative start codons',
-            'Does not handle ambiguous nucleotides (N, R, Y, etc.)'
+            'Alternative start codons are listed but translated as their usual amino acid',
+            'Ambiguous codons (N, R, Y, etc.) that do not resolve to one amino acid are translated as X'
         ]
     };
 };
@@ -201,16 +545,42 @@ export const getGeneticCodeInfo = () => {
 /**
  * Finds all stop codon positions in RNA sequence
  * @param {string} rna - RNA sequence
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @param {boolean} circular - Also read the codon spanning the origin (its positionEnd is then < position)
  * @returns {Array} - Array of stop codon positions
  */
-export const findStopCodons = (rna) => {
+export const findStopCodons = (rna, tableId = DEFAULT_GENETIC_CODE, circular = false) => {
+    const text = codonText(rna, circular);
     const stopPositions = [];
-    const stopCodons = ['UAA', 'UAG', 'UGA'];
+
+    for (let i = 0; i < rna.length && i + 3 <= text.length; i += 3) {
+        const codon = text.substring(i, i + 3);
+        if (translateCodon(codon, tableId) === '*') {
+            stopPositions.push({
+                position: i + 1, // 1-based position
+                codon: codon,
+                positionEnd: ((i + 2) % rna.length) + 1
+            });
+        }
+    }
+
+    return stopPositions;
+};
+
+/**
+ * Finds all start codon positions in RNA sequence (frame +1)
+ * @param {string} rna - RNA sequence
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @returns {Array} - Array of start codon positions (same shape as findStopCodons)
+ */
+export const findStartCodons = (rna, tableId = DEFAULT_GENETIC_CODE) => {
+    const { startCodons } = getGeneticCode(tableId);
+    const startPositions = [];
 
     for (let i = 0; i < rna.length - 2; i += 3) {
         const codon = rna.substring(i, i + 3);
-        if (stopCodons.includes(codon)) {
-            stopPositions.push({
+        if (startCodons.includes(codon)) {
+            startPositions.push({
                 position: i + 1, // 1-based position
                 codon: codon,
                 positionEnd: i + 3
@@ -218,7 +588,192 @@ export const findStopCodons = (rna) => {
         }
     }
 
-    return stopPositions;
+    return startPositions;
+};
+
+/**
+ * Default options for findORFs
+ */
+export const ORF_DEFAULTS = {
+    minLength: 30,          // Minimum protein length (aa, stop not included)
+    startMode: 'atg',       // 'atg' | 'alternative' (table start codons) | 'any' (stop to stop)
+    nested: false,          // Also report ORFs starting at inner start codons
+    circular: false,        // Also report ORFs crossing the origin
+    tableId: DEFAULT_GENETIC_CODE
+};
+
+/**
+ * Start codon test for the ORF start mode
+ */
+const getStartTest = (options) => {
+    const { startCodons } = getGeneticCode(options.tableId);
+    return (codon) => {
+        if (options.startMode === 'any') return true;
+        if (options.startMode === 'alternative') return startCodons.includes(codon);
+        return codon === 'AUG';
+    };
+};
+
+/**
+ * Scans one strand (3 frames) for ORFs
+ * Coordinates returned are 0-based on the scanned strand
+ */
+const scanStrandForORFs = (rna, options) => {
+    const isStart = getStartTest(options);
+    const orfs = [];
+
+    for (let frame = 0; frame < 3; frame++) {
+        let openStarts = [];
+
+        const closeORFs = (end, hasStop) => {
+            openStarts.forEach(start => orfs.push({ frame, start, end, hasStop }));
+            openStarts = [];
+        };
+
+        for (let i = frame; i + 3 <= rna.length; i += 3) {
+            const codon = rna.substring(i, i + 3);
+
+            if (translateCodon(codon, options.tableId) === '*') {
+                closeORFs(i + 3, true);
+            } else if (isStart(codon) && (options.nested || openStarts.length === 0)) {
+                openStarts.push(i);
+            }
+        }
+
+        //ORFs running off the end of the sequence (no stop codon)
+        const lastCodonEnd = frame + Math.floor((rna.length - frame) / 3) * 3;
+        closeORFs(lastCodonEnd, false);
+    }
+
+    return orfs;
+};
+
+/**
+ * Scans one circular strand for ORFs, those crossing the origin included
+ * Coordinates returned are 0-based on the scanned strand; end may pass
+ * rna.length when the ORF wraps around. ORFs are at most one lap long:
+ * longer ones (no stop in a full turn) are cut there and have no stop
+ */
+const scanCircularStrandForORFs = (rna, options) => {
+    const isStart = getStartTest(options);
+    const length = rna.length;
+    const text = codonText(rna, true);
+    const maxLength = Math.floor(length / 3) * 3;
+    const orfs = [];
+
+    //A circle has three separate frames when its length is a multiple of 3;
+    //otherwise one frame runs three times around before meeting its first codon again
+    const cycles = length % 3 === 0 ? [0, 1, 2] : [0];
+    const cycleCodons = length % 3 === 0 ? length / 3 : length;
+
+    cycles.forEach(first => {
+        const codonAt = (k) => {
+            const position = (first + 3 * k) % length;
+            return text.substring(position, position + 3);
+        };
+
+        //Scanning from just after a stop, no ORF is split by the starting point
+        let offset = 0;
+        for (let k = 0; k < cycleCodons; k++) {
+            if (translateCodon(codonAt(k), options.tableId) === '*') {
+                offset = k + 1;
+                break;
+            }
+        }
+
+        //Positions along the unrolled cycle (first + 3 * k, not wrapped)
+        let openStarts = [];
+        const closeORFs = (end, hasStop) => {
+            openStarts.forEach(start => {
+                const tooLong = end - start > maxLength + (hasStop ? 3 : 0);
+                const orfEnd = tooLong ? start + maxLength : end;
+                const wrappedStart = start % length;
+                orfs.push({
+                    frame: wrappedStart % 3,
+                    start: wrappedStart,
+                    end: wrappedStart + orfEnd - start,
+                    hasStop: hasStop && !tooLong
+                });
+            });
+            openStarts = [];
+        };
+
+        for (let k = offset; k < offset + cycleCodons; k++) {
+            const position = first + 3 * k;
+            const codon = codonAt(k);
+
+            if (translateCodon(codon, options.tableId) === '*') {
+                closeORFs(position + 3, true);
+            } else if (isStart(codon) && (options.nested || openStarts.length === 0)) {
+                openStarts.push(position);
+            }
+        }
+
+        //Frames without any stop codon: each start reads one full lap,
+        //wherever the scan began
+        closeORFs(Infinity, false);
+    });
+
+    return orfs;
+};
+
+/**
+ * Finds open reading frames in all six frames
+ * (three on the input strand, three on its reverse complement)
+ * @param {string} dna - DNA sequence (5' to 3')
+ * @param {Object} options - See ORF_DEFAULTS
+ * @returns {Array} - ORFs sorted by length (longest first), each with
+ *   start/end (1-based, on the input strand), strand ('+'/'-'), frame (+1..+3, -1..-3),
+ *   length (nt, stop included), protein, proteinLength and hasStop
+ *   With options.circular, an ORF crossing the origin has end < start
+ */
+export const findORFs = (dna, options = {}) => {
+    const settings = { ...ORF_DEFAULTS, ...options };
+    const reverse = getReverseComplement(dna);
+    const strands = [
+        { strand: '+', rna: transcribe(dna) },
+        { strand: '-', rna: transcribe(reverse) }
+    ];
+
+    const circular = settings.circular && dna.length >= 3;
+    const length = dna.length;
+    const orfs = [];
+
+    strands.forEach(({ strand, rna }) => {
+        //Circular ORFs are at most one lap long, so two laps hold any of them
+        const text = circular ? rna + rna : rna;
+        const found = circular ? scanCircularStrandForORFs(rna, settings) : scanStrandForORFs(rna, settings);
+
+        found.forEach(orf => {
+            const codingEnd = orf.hasStop ? orf.end - 3 : orf.end;
+            let protein = '';
+            for (let i = orf.start; i < codingEnd; i += 3) {
+                protein += translateCodon(text.substring(i, i + 3), settings.tableId) || 'X';
+            }
+
+            //Start codons are read as Methionine, even alternative ones
+            if (settings.startMode !== 'any' && protein.length > 0) {
+                protein = 'M' + protein.substring(1);
+            }
+
+            if (protein.length < settings.minLength) return;
+
+            //Last base of the ORF on the scanned strand (0-based, wrapped)
+            const last = (orf.end - 1) % length;
+            orfs.push({
+                strand,
+                frame: strand === '+' ? orf.frame + 1 : -(orf.frame + 1),
+                start: strand === '+' ? orf.start + 1 : length - last,
+                end: strand === '+' ? last + 1 : length - orf.start,
+                length: orf.end - orf.start,
+                protein,
+                proteinLength: protein.length,
+                hasStop: orf.hasStop
+            });
+        });
+    });
+
+    return orfs.sort((a, b) => b.length - a.length);
 };
 
 /**
@@ -234,9 +789,10 @@ export const getAminoAcidComposition = (protein) => {
     const counts = {};
     const total = protein.length;
 
-    protein.split('').forEach(aa => {
+    for (let i = 0; i < total; i++) {
+        const aa = protein[i];
         counts[aa] = (counts[aa] || 0) + 1;
-    });
+    }
 
     const composition = {};
     Object.keys(counts).forEach(aa => {
@@ -272,9 +828,9 @@ export const getProteinInfo = (protein) => {
     };
 
     let molecularWeight = 0;
-    protein.split('').forEach(aa => {
-        molecularWeight += aaWeights[aa] || 0;
-    });
+    for (let i = 0; i < protein.length; i++) {
+        molecularWeight += aaWeights[protein[i]] || 0;
+    }
 
     // Subtract water molecules (peptide bonds)
     molecularWeight -= (18 * (protein.length - 1));
@@ -0,0 +1,51 @@
+import * as bioUtils from './bioUtils';
+import { detectFormat, parseFASTQ } from './sequenceParsers';
+import { searchMotif } from './motifUtils';
+
+describe('bioUtils', () => {
+    test('validateSequenceReport keeps IUPAC codes and reports removed characters', () => {
+        const report = bioUtils.validateSequenceReport('ACGT-NRX');
+        expect(report.sequence).toBe('ACGTNR');
+        expect(report.removed.map(item => item.char)).toEqual(['-', 'X']);
+        expect(report.ambiguous.map(item => item.char)).toEqual(['N', 'R']);
+    });
+
+    test('complements and GC content', () => {
+        expect(bioUtils.getComplement('ATGC')).toBe('TACG');
+        expect(bioUtils.getReverseComplement('AATGC')).toBe('GCATT');
+        expect(bioUtils.calculateGC('ATGGTGCACCTGACTCCTGAGGAGAAG')).toBe('55.56');
+    });
+
+    test('translate stops at the first stop codon unless asked to go through', () => {
+        const rna = bioUtils.transcribe('ATGGTGCACTAAGGG');
+        expect(bioUtils.translate(rna)).toBe('MVH');
+        expect(bioUtils.translate(rna, 1, true)).toBe('MVH*G');
+    });
+
+    test('translate uses the selected genetic code', () => {
+        //UGA is Trp in the vertebrate mitochondrial code (table 2)
+        expect(bioUtils.translate(bioUtils.transcribe('ATGTGAAAA'), 2)).toBe('MWK');
+    });
+
+    test('circular frames without a stop read one full lap from the start codon', () => {
+        const orfs = bioUtils.findORFs('AAATAAGGCCCCCATGAAAAA', { circular: true, minLength: 1 });
+        const orf = orfs.find(item => item.frame === 2);
+        expect([orf.start, orf.end, orf.protein, orf.hasStop]).toEqual([14, 13, 'MKKNKAP', false]);
+    });
+});
+
+describe('sequenceParsers', () => {
+    test('detects wrapped FASTQ', () => {
+        const fastq = '@r1\nACGTACGT\nACGT\n+\nIIIIIIII\nIIII\n';
+        expect(detectFormat(fastq)).toBe('fastq');
+        expect(parseFASTQ(fastq)[0].sequence).toBe('ACGTACGTACGT');
+    });
+});
+
+describe('motifUtils', () => {
+    test('regex backreferences keep their numbers and matches may overlap', () => {
+        const records = [{ id: 'a', sequence: 'CCGGAATTAAA', protein: '' }];
+        const { hits } = searchMotif(records, '(A)\\1', { type: 'regex', bothStrands: false });
+        expect(hits.map(hit => [hit.start, hit.end])).toEqual([[5, 6], [9, 10], [10, 11]]);
+    });
+});
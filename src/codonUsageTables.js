@@ -0,0 +1,85 @@
+/**
+ * Codon Usage Tables Module
+ * Bundled reference codon usage (frequency per thousand codons) for CAI and codon optimization
+ *
+ * References:
+ * - Codon Usage Database, Kazusa DNA Research Institute (https://www.kazusa.or.jp/codon/)
+ * - Nakamura et al. (2000) Nucleic Acids Res 28:292
+ */
+
+/**
+ * Reference hosts, frequencies per thousand codons (RNA codons)
+ */
+export const CODON_USAGE_TABLES = {
+    ecoli: {
+        name: 'Escherichia coli K-12',
+        shortName: 'E. coli',
+        perThousand: {
+            'UUU': 22.1, 'UUC': 16.0, 'UUA': 13.9, 'UUG': 13.7,
+            'UCU': 8.5, 'UCC': 8.6, 'UCA': 7.2, 'UCG': 8.9,
+            'UAU': 16.2, 'UAC': 12.2, 'UAA': 2.0, 'UAG': 0.2,
+            'UGU': 5.2, 'UGC': 6.1, 'UGA': 1.0, 'UGG': 15.2,
+            'CUU': 11.0, 'CUC': 11.0, 'CUA': 3.9, 'CUG': 52.6,
+            'CCU': 7.0, 'CCC': 5.5, 'CCA': 8.5, 'CCG': 23.2,
+            'CAU': 12.9, 'CAC': 9.7, 'CAA': 15.3, 'CAG': 28.8,
+            'CGU': 20.9, 'CGC': 22.0, 'CGA': 3.6, 'CGG': 5.4,
+            'AUU': 30.3, 'AUC': 25.0, 'AUA': 4.4, 'AUG': 27.8,
+            'ACU': 9.0, 'ACC': 23.4, 'ACA': 7.1, 'ACG': 14.4,
+            'AAU': 17.7, 'AAC': 21.6, 'AAA': 33.6, 'AAG': 10.2,
+            'AGU': 8.8, 'AGC': 16.1, 'AGA': 2.1, 'AGG': 1.2,
+            'GUU': 18.3, 'GUC': 15.3, 'GUA': 10.9, 'GUG': 26.4,
+            'GCU': 15.3, 'GCC': 25.5, 'GCA': 20.3, 'GCG': 33.7,
+            'GAU': 32.1, 'GAC': 19.1, 'GAA': 39.6, 'GAG': 17.8,
+            'GGU': 24.7, 'GGC': 29.6, 'GGA': 8.0, 'GGG': 11.1
+        }
+    },
+    yeast: {
+        name: 'Saccharomyces cerevisiae',
+        shortName: 'S. cerevisiae',
+        perThousand: {
+            'UUU': 26.1, 'UUC': 18.4, 'UUA': 26.2, 'UUG': 27.2,
+            'UCU': 23.5, 'UCC': 14.2, 'UCA': 18.7, 'UCG': 8.6,
+            'UAU': 18.8, 'UAC': 14.8, 'UAA': 1.1, 'UAG': 0.5,
+            'UGU': 8.1, 'UGC': 4.8, 'UGA': 0.7, 'UGG': 10.4,
+            'CUU': 12.3, 'CUC': 5.4, 'CUA': 13.4, 'CUG': 10.5,
+            'CCU': 13.5, 'CCC': 6.8, 'CCA': 18.3, 'CCG': 5.3,
+            'CAU': 13.6, 'CAC': 7.8, 'CAA': 27.3, 'CAG': 12.1,
+            'CGU': 6.4, 'CGC': 2.6, 'CGA': 3.0, 'CGG': 1.7,
+            'AUU': 30.1, 'AUC': 17.2, 'AUA': 17.8, 'AUG': 20.9,
+            'ACU': 20.3, 'ACC': 12.7, 'ACA': 17.8, 'ACG': 8.0,
+            'AAU': 35.7, 'AAC': 24.8, 'AAA': 41.9, 'AAG': 30.8,
+            'AGU': 14.2, 'AGC': 9.8, 'AGA': 21.3, 'AGG': 9.2,
+            'GUU': 22.1, 'GUC': 11.8, 'GUA': 11.8, 'GUG': 10.8,
+            'GCU': 21.2, 'GCC': 12.6, 'GCA': 16.2, 'GCG': 6.2,
+            'GAU': 37.6, 'GAC': 20.2, 'GAA': 45.6, 'GAG': 19.2,
+            'GGU': 23.9, 'GGC': 9.8, 'GGA': 10.9, 'GGG': 6.0
+        }
+    },
+    human: {
+        name: 'Homo sapiens',
+        shortName: 'H. sapiens',
+        perThousand: {
+            'UUU': 17.6, 'UUC': 20.3, 'UUA': 7.7, 'UUG': 12.9,
+            'UCU': 15.2, 'UCC': 17.7, 'UCA': 12.2, 'UCG': 4.4,
+            'UAU': 12.2, 'UAC': 15.3, 'UAA': 1.0, 'UAG': 0.8,
+            'UGU': 10.6, 'UGC': 12.6, 'UGA': 1.6, 'UGG': 13.2,
+            'CUU': 13.2, 'CUC': 19.6, 'CUA': 7.2, 'CUG': 39.6,
+            'CCU': 17.5, 'CCC': 19.8, 'CCA': 16.9, 'CCG': 6.9,
+            'CAU': 10.9, 'CAC': 15.1, 'CAA': 12.3, 'CAG': 34.2,
+            'CGU': 4.5, 'CGC': 10.4, 'CGA': 6.2, 'CGG': 11.4,
+            'AUU': 16.0, 'AUC': 20.8, 'AUA': 7.5, 'AUG': 22.0,
+            'ACU': 13.1, 'ACC': 18.9, 'ACA': 15.1, 'ACG': 6.1,
+            'AAU': 17.0, 'AAC': 19.1, 'AAA': 24.4, 'AAG': 31.9,
+            'AGU': 12.1, 'AGC': 19.5, 'AGA': 12.2, 'AGG': 12.0,
+            'GUU': 11.0, 'GUC': 14.5, 'GUA': 7.1, 'GUG': 28.1,
+            'GCU': 18.4, 'GCC': 27.7, 'GCA': 15.8, 'GCG': 7.4,
+            'GAU': 21.8, 'GAC': 25.1, 'GAA': 29.0, 'GAG': 39.6,
+            'GGU': 10.8, 'GGC': 22.2, 'GGA': 16.5, 'GGG': 16.5
+        }
+    }
+};
+
+/**
+ * Default host for CAI and optimization
+ */
+export const DEFAULT_HOST = 'ecoli';
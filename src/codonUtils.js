@@ -0,0 +1,233 @@
+/**
+ * Codon Utilities Module
+ * Codon usage, Codon Adaptation Index (CAI) and codon optimization
+ *
+ * References:
+ * - Sharp & Li (1987) Nucleic Acids Res 15:1281 (CAI and RSCU)
+ * - Reference tables: codonUsageTables.js
+ */
+
+import { DEFAULT_GENETIC_CODE, getGeneticCode } from './geneticCodes';
+import { calculateGC, getReverseComplement } from './bioUtils';
+import { RESTRICTION_ENZYMES, siteToPattern } from './restrictionUtils';
+import { CODON_USAGE_TABLES, DEFAULT_HOST } from './codonUsageTables';
+
+export { CODON_USAGE_TABLES, DEFAULT_HOST } from './codonUsageTables';
+
+/**
+ * Default options for optimizeCodons
+ */
+export const OPTIMIZATION_DEFAULTS = {
+    host: DEFAULT_HOST,
+    avoidEnzymes: [],      // Enzyme names whose sites must not appear
+    gcWindow: 50,          // Sliding window for local GC (bp)
+    minGC: 30,             // Minimum GC% allowed in any window
+    maxGC: 70,             // Maximum GC% allowed in any window
+    tableId: DEFAULT_GENETIC_CODE
+};
+
+/**
+ * Groups codons by the amino acid they encode
+ * @param {number} tableId - NCBI translation table ID
+ * @returns {Object} - amino acid -> array of codons
+ */
+const getSynonymousCodons = (tableId) => {
+    const { codonTable } = getGeneticCode(tableId);
+    const groups = {};
+
+    Object.keys(codonTable).forEach(codon => {
+        const aminoAcid = codonTable[codon];
+        (groups[aminoAcid] = groups[aminoAcid] || []).push(codon);
+    });
+
+    return groups;
+};
+
+/**
+ * Codon usage of a coding sequence (frame +1, stop codons included)
+ * Codons with ambiguous bases and incomplete trailing codons are not counted
+ * @param {string} rna - RNA coding sequence
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @returns {Object} - { totalCodons, codons: { codon: { aminoAcid, count, fraction,
+ *   perThousand, rscu } } } (all 64 codons listed)
+ */
+export const getCodonUsage = (rna, tableId = DEFAULT_GENETIC_CODE) => {
+    const { codonTable } = getGeneticCode(tableId);
+    const counts = {};
+    let totalCodons = 0;
+
+    Object.keys(codonTable).forEach(codon => {
+        counts[codon] = 0;
+    });
+
+    for (let i = 0; i + 3 <= rna.length; i += 3) {
+        const codon = rna.substring(i, i + 3);
+        if (counts[codon] !== undefined) {
+            counts[codon]++;
+            totalCodons++;
+        }
+    }
+
+    const groups = getSynonymousCodons(tableId);
+    const codons = {};
+
+    Object.keys(groups).forEach(aminoAcid => {
+        const synonyms = groups[aminoAcid];
+        const aminoAcidTotal = synonyms.reduce((sum, codon) => sum + counts[codon], 0);
+
+        synonyms.forEach(codon => {
+            const count = counts[codon];
+            codons[codon] = {
+                aminoAcid,
+                count,
+                fraction: aminoAcidTotal > 0 ? count / aminoAcidTotal : 0,
+                perThousand: totalCodons > 0 ? (count / totalCodons) * 1000 : 0,
+                //RSCU: observed / expected if all synonyms were used equally
+                rscu: aminoAcidTotal > 0 ? (count * synonyms.length) / aminoAcidTotal : 0
+            };
+        });
+    });
+
+    return { totalCodons, codons };
+};
+
+/**
+ * Relative adaptiveness (w) of each codon for a host
+ * w = frequency / frequency of the most used synonymous codon
+ */
+const getRelativeAdaptiveness = (host, tableId) => {
+    const reference = CODON_USAGE_TABLES[host].perThousand;
+    const groups = getSynonymousCodons(tableId);
+    const weights = {};
+
+    Object.keys(groups).forEach(aminoAcid => {
+        const synonyms = groups[aminoAcid];
+        const max = Math.max(...synonyms.map(codon => reference[codon]));
+        synonyms.forEach(codon => {
+            weights[codon] = {
+                w: max > 0 ? reference[codon] / max : 0,
+                //Met, Trp and stops carry no choice, so they are left out of CAI
+                informative: synonyms.length > 1 && aminoAcid !== '*'
+            };
+        });
+    });
+
+    return weights;
+};
+
+/**
+ * Codon Adaptation Index against a reference host
+ * Geometric mean of w over informative codons (0.5 is used for w = 0)
+ * @param {string} rna - RNA coding sequence
+ * @param {string} host - Key of CODON_USAGE_TABLES (default: 'ecoli')
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @returns {number} - CAI between 0 and 1 (0 if no informative codons)
+ */
+export const calculateCAI = (rna, host = DEFAULT_HOST, tableId = DEFAULT_GENETIC_CODE) => {
+    const weights = getRelativeAdaptiveness(host, tableId);
+    let logSum = 0;
+    let count = 0;
+
+    for (let i = 0; i + 3 <= rna.length; i += 3) {
+        const weight = weights[rna.substring(i, i + 3)];
+        if (weight && weight.informative) {
+            logSum += Math.log(weight.w > 0 ? weight.w : 0.5);
+            count++;
+        }
+    }
+
+    return count > 0 ? Math.exp(logSum / count) : 0;
+};
+
+/**
+ * Reverse translates a protein into DNA optimized for a host
+ * Codons are chosen left to right, most used first, skipping codons that
+ * would create a forbidden restriction site or push the local GC out of range
+ * @param {string} protein - Protein sequence (one-letter codes, '*' for stop)
+ * @param {Object} options - See OPTIMIZATION_DEFAULTS
+ * @returns {Object} - { dna, cai, gcContent, warnings }
+ */
+export const optimizeCodons = (protein, options = {}) => {
+    const settings = { ...OPTIMIZATION_DEFAULTS, ...options };
+    const reference = CODON_USAGE_TABLES[settings.host].perThousand;
+    const groups = getSynonymousCodons(settings.tableId);
+    const warnings = [];
+
+    //Forbidden sites, both orientations
+    const forbidden = RESTRICTION_ENZYMES
+        .filter(enzyme => settings.avoidEnzymes.includes(enzyme.name))
+        .flatMap(enzyme => [enzyme.site, getReverseComplement(enzyme.site)].map(site => ({
+            name: enzyme.name,
+            length: site.length,
+            regex: new RegExp(siteToPattern(site))
+        })));
+    const longestSite = forbidden.reduce((max, site) => Math.max(max, site.length), 0);
+
+    const gcOf = (text) => (text.match(/[GC]/g) || []).length / text.length * 100;
+
+    //Penalty of appending a codon: forbidden sites first, then GC window distance
+    const penalty = (dna, codon) => {
+        const candidate = dna + codon;
+        let score = 0;
+
+        const tail = candidate.substring(Math.max(0, candidate.length - longestSite - 2));
+        forbidden.forEach(site => {
+            if (site.regex.test(tail)) score += 1000;
+        });
+
+        if (candidate.length >= settings.gcWindow) {
+            const gc = gcOf(candidate.substring(candidate.length - settings.gcWindow));
+            if (gc < settings.minGC) score += settings.minGC - gc;
+            if (gc > settings.maxGC) score += gc - settings.maxGC;
+        }
+
+        return score;
+    };
+
+    let dna = '';
+
+    protein.toUpperCase().split('').forEach((aminoAcid, index) => {
+        const synonyms = groups[aminoAcid];
+        if (!synonyms) {
+            warnings.push(`Unknown residue '${aminoAcid}' at ${index + 1} written as NNN`);
+            dna += 'NNN';
+            return;
+        }
+
+        //Most used codons first; the first one without a penalty wins
+        const ranked = synonyms
+            .map(codon => codon.replace(/U/g, 'T'))
+            .sort((a, b) => reference[b.replace(/T/g, 'U')] - reference[a.replace(/T/g, 'U')]);
+
+        let best = ranked[0];
+        let bestPenalty = Infinity;
+        for (const codon of ranked) {
+            const codonPenalty = penalty(dna, codon);
+            if (codonPenalty < bestPenalty) {
+                best = codon;
+                bestPenalty = codonPenalty;
+            }
+            if (codonPenalty === 0) break;
+        }
+
+        if (bestPenalty >= 1000) {
+            warnings.push(`Could not avoid a restriction site at residue ${index + 1}`);
+        }
+        dna += best;
+    });
+
+    //Report GC windows that could not be fixed
+    for (let i = 0; i + settings.gcWindow <= dna.length; i += settings.gcWindow) {
+        const gc = gcOf(dna.substring(i, i + settings.gcWindow));
+        if (gc < settings.minGC || gc > settings.maxGC) {
+            warnings.push(`GC ${gc.toFixed(1)}% in window ${i + 1}-${i + settings.gcWindow}`);
+        }
+    }
+
+    return {
+        dna,
+        cai: calculateCAI(dna.replace(/T/g, 'U'), settings.host, settings.tableId),
+        gcContent: dna.length > 0 ? calculateGC(dna) : '0.00',
+        warnings
+    };
+};
@@ -0,0 +1,68 @@
+/**
+ * Command Line Conversions
+ * Per-record output of the dna-convert commands. Lives in the library (not in
+ * bin/) so the tool and the web page share every step and tests can compare them
+ */
+
+import * as bioUtils from './bioUtils';
+import { analyzeSequence } from './sequenceAnalysis';
+import { getStatsRow } from './fileUtils';
+
+/**
+ * Commands of dna-convert
+ */
+export const CLI_COMMANDS = ['transcribe', 'translate', 'complement', 'gc', 'stats'];
+
+/**
+ * Output of one record for a command
+ * Sequence commands return { id, description, sequence }, gc and stats a table row
+ * translate reads mRNA frame +1 up to the first stop codon, like the protein of the web page
+ * @param {string} command - One of CLI_COMMANDS
+ * @param {Object} record - Parsed FASTA record { id, description, sequence }
+ * @param {Object} options - { strand, table, throughStops, circular, reverse }
+ * @param {Function} warn - Called with a message when a record gives no output
+ * @returns {Object|null} - null when there is nothing to write
+ */
+export const convertRecord = (command, record, options, warn = () => {}) => {
+    switch (command) {
+        case 'transcribe':
+            return { id: record.id, description: record.description, sequence: bioUtils.transcribe(record.sequence, options.strand) };
+        case 'translate': {
+            const protein = bioUtils.translate(
+                bioUtils.transcribe(record.sequence, options.strand),
+                options.table,
+                options.throughStops,
+                options.circular
+            );
+            if (protein === 'No protein found') {
+                warn(`${record.id}: no protein found, record skipped`);
+                return null;
+            }
+            return { id: record.id, description: record.description, sequence: protein };
+        }
+        case 'complement':
+            return {
+                id: record.id,
+                description: record.description,
+                sequence: options.reverse ? bioUtils.getReverseComplement(record.sequence) : bioUtils.getComplement(record.sequence)
+            };
+        case 'gc':
+            return {
+                id: record.id,
+                description: record.description,
+                length: record.sequence.length,
+                gcContent: bioUtils.calculateGC(record.sequence)
+            };
+        default:
+            return getStatsRow({
+                id: record.id,
+                description: record.description,
+                ...analyzeSequence(record.sequence, {
+                    strand: options.strand,
+                    tableId: options.table,
+                    throughStops: options.throughStops,
+                    topology: options.circular ? bioUtils.TOPOLOGIES.CIRCULAR : bioUtils.TOPOLOGIES.LINEAR
+                })
+            });
+    }
+};
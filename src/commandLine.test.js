@@ -0,0 +1,57 @@
+import { convertRecord } from './commandLine';
+import { analyzeInput } from './sequenceAnalysis';
+import { parseFASTA } from './bioUtils';
+import { getStatsRow } from './fileUtils';
+
+const FASTA = [
+    '>hbb Hemoglobin beta',
+    'ATGGTGCACCTGACTCCTGAGGAGAAGTCTGCCGTTACTGCCCTGTGGGGCAAGGTGAACGTGTAA',
+    '>short',
+    'CCATGGTGCACTAA',
+    '>ambiguous with N',
+    'ATGNNNAAACGTTAGGC'
+].join('\n');
+
+const CLI_OPTIONS = { strand: 'coding', table: 1, throughStops: false, circular: false };
+const WEB_OPTIONS = { strand: 'coding', tableId: 1, throughStops: false, topology: 'linear' };
+
+describe('dna-convert gives the same results as the web page', () => {
+    const web = analyzeInput(FASTA, WEB_OPTIONS).records;
+    const cli = parseFASTA(FASTA);
+
+    test('stats rows match the page export', () => {
+        expect(cli.map(record => convertRecord('stats', record, CLI_OPTIONS))).toEqual(web.map(getStatsRow));
+    });
+
+    test('translate matches the page protein', () => {
+        cli.forEach((record, idx) => {
+            expect(convertRecord('translate', record, CLI_OPTIONS).sequence).toBe(web[idx].protein);
+        });
+    });
+
+    test('transcribe and gc match the page', () => {
+        cli.forEach((record, idx) => {
+            expect(convertRecord('transcribe', record, CLI_OPTIONS).sequence).toBe(web[idx].rna);
+            expect(convertRecord('gc', record, CLI_OPTIONS).gcContent).toBe(web[idx].gcContent);
+        });
+    });
+
+    test('the same holds for the template strand, another table and through stops', () => {
+        const cliOptions = { strand: 'template', table: 2, throughStops: true, circular: false };
+        const webRecords = analyzeInput(FASTA, { strand: 'template', tableId: 2, throughStops: true, topology: 'linear' }).records;
+        expect(cli.map(record => convertRecord('stats', record, cliOptions))).toEqual(webRecords.map(getStatsRow));
+    });
+});
+
+describe('convertRecord', () => {
+    test('translate reads frame +1 up to the first stop', () => {
+        const record = { id: 'short', description: '', sequence: 'CCATGGTGCACTAA' };
+        expect(convertRecord('translate', record, CLI_OPTIONS).sequence).toBe('PWCT');
+    });
+
+    test('complement and reverse complement', () => {
+        const record = { id: 'x', description: '', sequence: 'AACG' };
+        expect(convertRecord('complement', record, CLI_OPTIONS).sequence).toBe('TTGC');
+        expect(convertRecord('complement', record, { ...CLI_OPTIONS, reverse: true }).sequence).toBe('CGTT');
+    });
+});
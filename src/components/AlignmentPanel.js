@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import * as alignmentUtils from '../alignmentUtils';
+
+/**
+ * Pairwise alignment between any two sequences of the current input
+ * items: [{ label, type: 'nucleotide' | 'protein', sequence, translation? }]
+ */
+const AlignmentPanel = ({ items }) => {
+  const [first, setFirst] = useState(0);
+  const [second, setSecond] = useState(Math.min(1, items.length - 1));
+  const [mode, setMode] = useState('global');
+  const [scoring, setScoring] = useState({
+    nucleotide: { ...alignmentUtils.ALIGNMENT_DEFAULTS.nucleotide },
+    protein: { ...alignmentUtils.ALIGNMENT_DEFAULTS.protein }
+  });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  //Alinhamento antigo deixa de valer quando a entrada muda (os rótulos podem ser os mesmos)
+  useEffect(() => {
+    setResult(null);
+    setError('');
+  }, [items]);
+
+  const itemA = items[first];
+  const itemB = items[second];
+  //DNA contra proteína: a DNA é comparada pela sua tradução
+  const type = itemA && itemB && itemA.type === 'nucleotide' && itemB.type === 'nucleotide' ? 'nucleotide' : 'protein';
+  const settings = scoring[type];
+
+  const sequenceFor = (item) => (type === 'protein' && item.type === 'nucleotide' ? item.translation : item.sequence);
+
+  const updateSetting = (name, value) => {
+    setScoring(prev => ({ ...prev, [type]: { ...prev[type], [name]: value } }));
+  };
+
+  const handleAlign = () => {
+    setError('');
+    setResult(null);
+    try {
+      const alignment = alignmentUtils.alignSequences(
+        sequenceFor(itemA),
+        sequenceFor(itemB),
+        { ...settings, type, mode }
+      );
+      setResult({
+        alignment,
+        text: alignmentUtils.formatAlignment(alignment, { a: `#${first + 1}`, b: `#${second + 1}` }),
+        translated: type === 'protein' && (itemA.type === 'nucleotide' || itemB.type === 'nucleotide')
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const numberFields = type === 'nucleotide'
+    ? [
+        { name: 'match', label: 'Match' },
+        { name: 'mismatch', label: 'Mismatch' },
+        { name: 'gapOpen', label: 'Gap open' },
+        { name: 'gapExtend', label: 'Gap extend' }
+      ]
+    : [
+        { name: 'gapOpen', label: 'Gap open' },
+        { name: 'gapExtend', label: 'Gap extend' }
+      ];
+
+  const selectItem = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => { onChange(Number(e.target.value)); setResult(null); }}
+      className="p-1 border border-gray-300 rounded max-w-xs"
+    >
+      {items.map((item, idx) => (
+        <option key={idx} value={idx}>#{idx + 1} {item.label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        {selectItem(first, setFirst)}
+        <span>vs</span>
+        {selectItem(second, setSecond)}
+        <select value={mode} onChange={(e) => setMode(e.target.value)} className="p-1 border border-gray-300 rounded">
+          <option value="global">Global (Needleman-Wunsch)</option>
+          <option value="local">Local (Smith-Waterman)</option>
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        <span className="font-semibold">{type === 'nucleotide' ? 'Nucleotide' : 'Protein'} scoring</span>
+        {type === 'protein' && (
+          <select
+            value={settings.matrix}
+            onChange={(e) => updateSetting('matrix', e.target.value)}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {Object.keys(alignmentUtils.SUBSTITUTION_MATRICES).map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        )}
+        {numberFields.map(field => (
+          <label key={field.name} className="flex items-center gap-1">
+            {field.label}
+            <input
+              type="number"
+              step={field.name === 'gapExtend' ? '0.5' : '1'}
+              value={settings[field.name]}
+              onChange={(e) => updateSetting(field.name, Number(e.target.value) || 0)}
+              className="w-16 p-1 border border-gray-300 rounded"
+            />
+          </label>
+        ))}
+        <button onClick={handleAlign} className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg">
+          Align
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>
+      )}
+
+      {result && (
+        <div className="space-y-2">
+          {result.translated && (
+            <p className="text-xs text-gray-500">DNA compared through its frame +1 translation.</p>
+          )}
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2 text-sm">
+            {[
+              { label: 'Score', value: result.alignment.score },
+              { label: 'Length', value: result.alignment.length },
+              { label: 'Identity', value: `${result.alignment.identity} (${result.alignment.identityPercent}%)` },
+              { label: 'Similarity', value: `${result.alignment.similarity} (${result.alignment.similarityPercent}%)` },
+              { label: 'Gaps', value: `${result.alignment.gaps} (${result.alignment.gapPercent}%)` }
+            ].map(stat => (
+              <div key={stat.label} className="bg-gray-50 p-2 rounded">
+                <div className="text-xs text-gray-500">{stat.label}</div>
+                <div className="font-semibold text-gray-800">{stat.value}</div>
+              </div>
+            ))}
+          </div>
+          <pre className="bg-gray-50 p-3 rounded font-mono text-xs overflow-x-auto max-h-96">{result.text}</pre>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlignmentPanel;
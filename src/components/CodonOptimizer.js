@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import * as codonUtils from '../codonUtils';
+import { RESTRICTION_ENZYMES } from '../restrictionUtils';
+
+/**
+ * Reverse translation / codon optimization of a protein for a host
+ */
+const CodonOptimizer = ({ protein, tableId }) => {
+  const [input, setInput] = useState(protein);
+  const [host, setHost] = useState(codonUtils.DEFAULT_HOST);
+  const [avoidEnzymes, setAvoidEnzymes] = useState([]);
+  const [gcSettings, setGcSettings] = useState({
+    gcWindow: codonUtils.OPTIMIZATION_DEFAULTS.gcWindow,
+    minGC: codonUtils.OPTIMIZATION_DEFAULTS.minGC,
+    maxGC: codonUtils.OPTIMIZATION_DEFAULTS.maxGC
+  });
+  const [result, setResult] = useState(null);
+
+  const handleOptimize = () => {
+    const cleaned = input.toUpperCase().replace(/[^A-Z*]/g, '');
+    setResult(codonUtils.optimizeCodons(cleaned, { host, avoidEnzymes, tableId, ...gcSettings }));
+  };
+
+  return (
+    <div className="space-y-3">
+      <textarea
+        value={input}
+        onChange={(e) => setInput(e.target.value)}
+        className="w-full h-20 p-2 border border-gray-300 rounded font-mono text-sm"
+        placeholder="Protein sequence (one-letter codes)"
+      />
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        <label className="flex items-center gap-1">
+          Host
+          <select value={host} onChange={(e) => setHost(e.target.value)} className="p-1 border border-gray-300 rounded">
+            {Object.entries(codonUtils.CODON_USAGE_TABLES).map(([key, table]) => (
+              <option key={key} value={key}>{table.name}</option>
+            ))}
+          </select>
+        </label>
+        {[
+          { name: 'gcWindow', label: 'GC window (bp)' },
+          { name: 'minGC', label: 'Min GC%' },
+          { name: 'maxGC', label: 'Max GC%' }
+        ].map(field => (
+          <label key={field.name} className="flex items-center gap-1">
+            {field.label}
+            <input
+              type="number"
+              min="1"
+              value={gcSettings[field.name]}
+              onChange={(e) => setGcSettings(prev => ({ ...prev, [field.name]: Math.max(1, Number(e.target.value) || 1) }))}
+              className="w-16 p-1 border border-gray-300 rounded"
+            />
+          </label>
+        ))}
+        <label className="flex items-center gap-1">
+          Avoid sites
+          <select
+            multiple
+            value={avoidEnzymes}
+            onChange={(e) => setAvoidEnzymes([...e.target.selectedOptions].map(option => option.value))}
+            className="p-1 border border-gray-300 rounded h-16"
+          >
+            {RESTRICTION_ENZYMES.map(enzyme => (
+              <option key={enzyme.name} value={enzyme.name}>{enzyme.name}</option>
+            ))}
+          </select>
+        </label>
+        <button onClick={handleOptimize} className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg">
+          Optimize
+        </button>
+      </div>
+
+      {result && (
+        <div className="bg-gray-50 p-3 rounded space-y-1">
+          <div className="text-sm text-gray-700">
+            {result.dna.length} bp | CAI {result.cai.toFixed(3)} | GC {result.gcContent}%
+          </div>
+          <div className="bg-white p-2 rounded font-mono text-xs break-all">{result.dna}</div>
+          {result.warnings.length > 0 && (
+            <div className="text-xs text-yellow-700">{result.warnings.join('; ')}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodonOptimizer;
@@ -0,0 +1,40 @@
+import React from 'react';
+
+/**
+ * Codon usage grid: count, RSCU and frequency per thousand for each codon,
+ * grouped by amino acid
+ */
+const CodonUsageTable = ({ usage }) => {
+  const byAminoAcid = {};
+  Object.entries(usage.codons).forEach(([codon, data]) => {
+    (byAminoAcid[data.aminoAcid] = byAminoAcid[data.aminoAcid] || []).push({ codon, ...data });
+  });
+
+  return (
+    <div>
+      <div className="text-xs text-gray-600 mb-2">{usage.totalCodons} codons counted</div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+        {Object.keys(byAminoAcid).sort().map(aminoAcid => (
+          <div key={aminoAcid} className="bg-white p-2 rounded border border-gray-200">
+            <div className="font-mono font-bold text-indigo-600">{aminoAcid === '*' ? 'Stop' : aminoAcid}</div>
+            <table className="w-full text-xs font-mono">
+              <tbody>
+                {byAminoAcid[aminoAcid].map(item => (
+                  <tr key={item.codon} className={item.count === 0 ? 'text-gray-400' : 'text-gray-700'}>
+                    <td className="pr-1">{item.codon}</td>
+                    <td className="pr-1 text-right">{item.count}</td>
+                    <td className="pr-1 text-right" title="RSCU">{item.rscu.toFixed(2)}</td>
+                    <td className="text-right" title="per thousand">{item.perThousand.toFixed(1)}‰</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ))}
+      </div>
+      <div className="text-xs text-gray-500 mt-1">Columns: codon, count, RSCU, frequency per thousand</div>
+    </div>
+  );
+};
+
+export default CodonUsageTable;
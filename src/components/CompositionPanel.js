@@ -0,0 +1,172 @@
+import React, { useMemo, useState } from 'react';
+import * as compositionUtils from '../compositionUtils';
+import { calculateGC } from '../bioUtils';
+import LineChart from './LineChart';
+
+//Número máximo de pontos por gráfico; o passo aumenta se necessário
+const MAX_POINTS = 2000;
+
+//Janela inicial proporcional ao tamanho da sequência
+const suggestWindow = (length) => {
+  if (length < 1000) return Math.max(10, Math.floor(length / 10));
+  if (length < 100000) return compositionUtils.COMPOSITION_DEFAULTS.window;
+  return 1000;
+};
+
+/**
+ * Sliding-window GC content, GC skew, cumulative skew and CpG islands for one sequence
+ */
+const CompositionPanel = ({ sequence }) => {
+  const [settings, setSettings] = useState(() => {
+    const windowSize = suggestWindow(sequence.length);
+    return { window: windowSize, step: Math.max(1, Math.floor(windowSize / 10)) };
+  });
+  const [cpgSettings, setCpgSettings] = useState({ ...compositionUtils.CPG_ISLAND_DEFAULTS });
+
+  const step = Math.max(settings.step, Math.ceil((sequence.length - settings.window) / MAX_POINTS));
+
+  const windows = useMemo(
+    () => compositionUtils.getSlidingWindowComposition(sequence, settings.window, step),
+    [sequence, settings.window, step]
+  );
+  const cumulative = useMemo(() => compositionUtils.getCumulativeSkew(windows), [windows]);
+  const islands = useMemo(() => compositionUtils.findCpGIslands(sequence, cpgSettings), [sequence, cpgSettings]);
+
+  const islandRegions = islands.map(island => ({
+    start: island.start,
+    end: island.end,
+    color: '#86efac',
+    label: `CpG island ${island.start}-${island.end}`
+  }));
+
+  const updateSetting = (setter, name, value, min) => {
+    setter(prev => ({ ...prev, [name]: Math.max(min, Number(value) || min) }));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          Window (bp)
+          <input
+            type="number"
+            min="2"
+            value={settings.window}
+            onChange={(e) => updateSetting(setSettings, 'window', e.target.value, 2)}
+            className="w-24 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Step (bp)
+          <input
+            type="number"
+            min="1"
+            value={settings.step}
+            onChange={(e) => updateSetting(setSettings, 'step', e.target.value, 1)}
+            className="w-24 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        {step !== settings.step && (
+          <span className="text-xs text-gray-500">Step raised to {step} bp to keep charts under {MAX_POINTS} points</span>
+        )}
+      </div>
+
+      {windows.length > 0 ? (
+        <>
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">GC Content (%)</h3>
+            <LineChart
+              series={[{ label: 'GC%', color: '#2563eb', points: windows.map(w => ({ x: w.position, y: w.gc })) }]}
+              regions={islandRegions}
+              referenceLines={[{ y: Number(calculateGC(sequence)), label: 'Whole sequence GC%' }]}
+              xLabel="Position (bp)"
+              yLabel="GC %"
+            />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">GC Skew (G - C) / (G + C)</h3>
+            <LineChart
+              series={[{ label: 'GC skew', color: '#db2777', points: windows.map(w => ({ x: w.position, y: w.skew })) }]}
+              referenceLines={[{ y: 0 }]}
+              xLabel="Position (bp)"
+              yLabel="Skew"
+            />
+          </div>
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Cumulative GC Skew</h3>
+            <LineChart
+              series={[{ label: 'Cumulative skew', color: '#7c3aed', points: cumulative.points.map(p => ({ x: p.position, y: p.value })) }]}
+              xLabel="Position (bp)"
+              yLabel="Cumulative skew"
+            />
+            <p className="text-xs text-gray-600 mt-1">
+              Minimum at {cumulative.minimum.position} bp (likely origin of replication) |
+              Maximum at {cumulative.maximum.position} bp (likely terminus)
+            </p>
+          </div>
+        </>
+      ) : (
+        <div className="bg-gray-50 p-3 rounded text-sm text-gray-600">
+          Sequence shorter than the window ({settings.window} bp)
+        </div>
+      )}
+
+      {/* CpG Islands */}
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">CpG Islands (Gardiner-Garden &amp; Frommer) - {islands.length} found</h3>
+        <div className="flex flex-wrap items-center gap-4 mb-2 text-sm text-gray-700">
+          {[
+            { name: 'window', label: 'Window (bp)', min: 2, stepSize: 1 },
+            { name: 'minLength', label: 'Min length (bp)', min: 1, stepSize: 1 },
+            { name: 'minGC', label: 'GC% >', min: 0, stepSize: 1 },
+            { name: 'minObsExp', label: 'Obs/Exp CpG >', min: 0, stepSize: 0.05 }
+          ].map(field => (
+            <label key={field.name} className="flex items-center gap-2">
+              {field.label}
+              <input
+                type="number"
+                min={field.min}
+                step={field.stepSize}
+                value={cpgSettings[field.name]}
+                onChange={(e) => updateSetting(setCpgSettings, field.name, e.target.value, field.min)}
+                className="w-20 p-1 border border-gray-300 rounded"
+              />
+            </label>
+          ))}
+        </div>
+        {islands.length > 0 ? (
+          <div className="bg-gray-50 p-3 rounded max-h-48 overflow-y-auto">
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="pr-2">Start</th>
+                  <th className="pr-2">End</th>
+                  <th className="pr-2">Length (bp)</th>
+                  <th className="pr-2">GC%</th>
+                  <th>Obs/Exp CpG</th>
+                </tr>
+              </thead>
+              <tbody>
+                {islands.map(island => (
+                  <tr key={island.start}>
+                    <td className="pr-2">{island.start}</td>
+                    <td className="pr-2">{island.end}</td>
+                    <td className="pr-2">{island.length}</td>
+                    <td className="pr-2">{island.gcContent.toFixed(2)}</td>
+                    <td>{island.obsExp.toFixed(3)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <div className="bg-gray-50 p-3 rounded text-sm text-gray-600">No CpG islands found</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CompositionPanel;
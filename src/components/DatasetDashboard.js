@@ -0,0 +1,253 @@
+import React, { useMemo, useState } from 'react';
+import * as datasetUtils from '../datasetUtils';
+import Histogram from './Histogram';
+import { useVirtualWindow } from './virtualization';
+
+const ROW_HEIGHT = 24;
+
+const COLUMNS = [
+  { key: 'id', label: 'ID', numeric: false },
+  { key: 'length', label: 'Length (bp)', numeric: true },
+  { key: 'gcContent', label: 'GC%', numeric: true },
+  { key: 'proteinLength', label: 'Protein (aa)', numeric: true },
+  { key: 'molecularWeight', label: 'MW (Da)', numeric: true },
+  { key: 'stopCount', label: 'Stop codons', numeric: true }
+];
+
+//Classes completas para o Tailwind encontrar no build
+const TILE_COLORS = {
+  blue: { tile: 'bg-blue-50', value: 'text-blue-600' },
+  indigo: { tile: 'bg-indigo-50', value: 'text-indigo-600' },
+  purple: { tile: 'bg-purple-50', value: 'text-purple-600' },
+  green: { tile: 'bg-green-50', value: 'text-green-600' }
+};
+
+const formatNumber = (value, digits = 0) => Number(value).toLocaleString(undefined, {
+  minimumFractionDigits: digits,
+  maximumFractionDigits: digits
+});
+
+//Grupo de registros duplicados: "id1, id2 (rev. comp.), ..."
+const DuplicateGroup = ({ members, onSelect, detail }) => (
+  <li className="text-xs font-mono">
+    {members.map((member, idx) => (
+      <span key={member.index}>
+        {idx > 0 && ', '}
+        <button onClick={() => onSelect(member.index)} className="text-indigo-600 hover:underline">
+          {member.id}
+        </button>
+        {detail(member, idx)}
+      </span>
+    ))}
+  </li>
+);
+
+/**
+ * Multi-record dashboard: aggregate statistics, length/GC histograms,
+ * sortable and filterable summary table and duplicate detection
+ * records: analyzed records; dataset: { summary, duplicates } from analyzeInput
+ * onSelect: called with a record index (scrolls to its card)
+ */
+const DatasetDashboard = ({ records, dataset, onSelect }) => {
+  const [sort, setSort] = useState({ key: null, ascending: true });
+  const [filters, setFilters] = useState({ text: '', minLength: '', maxLength: '', minGC: '', maxGC: '' });
+
+  const rows = useMemo(() => records.map((record, index) => ({
+    index,
+    id: record.id,
+    description: record.description,
+    length: record.length,
+    gcContent: Number(record.gcContent),
+    proteinLength: record.proteinLength,
+    molecularWeight: record.molecularWeight,
+    stopCount: record.stopCodons.length
+  })), [records]);
+
+  const visibleRows = useMemo(() => {
+    const text = filters.text.trim().toLowerCase();
+    const within = (value, min, max) => (min === '' || value >= Number(min)) && (max === '' || value <= Number(max));
+
+    const filtered = rows.filter(row =>
+      (!text || row.id.toLowerCase().includes(text) || (row.description || '').toLowerCase().includes(text)) &&
+      within(row.length, filters.minLength, filters.maxLength) &&
+      within(row.gcContent, filters.minGC, filters.maxGC)
+    );
+
+    if (!sort.key) return filtered;
+    const column = COLUMNS.find(item => item.key === sort.key);
+    const direction = sort.ascending ? 1 : -1;
+    return [...filtered].sort((a, b) => direction * (column.numeric
+      ? a[sort.key] - b[sort.key]
+      : String(a[sort.key]).localeCompare(String(b[sort.key]))));
+  }, [rows, filters, sort]);
+
+  const rowWindow = useVirtualWindow(visibleRows.length, ROW_HEIGHT, 320);
+
+  const lengthBins = useMemo(() => datasetUtils.getHistogram(rows.map(row => row.length)), [rows]);
+  const gcBins = useMemo(() => datasetUtils.getHistogram(rows.map(row => row.gcContent), { bins: 20, min: 0, max: 100 }), [rows]);
+
+  const toggleSort = (key) => {
+    setSort(prev => (prev.key === key ? { key, ascending: !prev.ascending } : { key, ascending: true }));
+  };
+
+  const updateFilter = (name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  const { summary, duplicates } = dataset;
+
+  return (
+    <div className="space-y-4">
+      {/* Aggregate Statistics */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {[
+          { label: 'Sequences', value: formatNumber(summary.count), color: 'blue' },
+          { label: 'Total length', value: `${formatNumber(summary.totalLength)} bp`, color: 'blue' },
+          { label: 'N50 / L50', value: `${formatNumber(summary.n50)} bp / ${formatNumber(summary.l50)}`, color: 'indigo' },
+          { label: 'N90 / L90', value: `${formatNumber(summary.n90)} bp / ${formatNumber(summary.l90)}`, color: 'indigo' },
+          { label: 'Min / Max length', value: `${formatNumber(summary.minLength)} / ${formatNumber(summary.maxLength)} bp`, color: 'purple' },
+          { label: 'Mean / Median length', value: `${formatNumber(summary.meanLength, 1)} / ${formatNumber(summary.medianLength, 1)} bp`, color: 'purple' },
+          { label: 'GC% (overall)', value: `${summary.overallGC.toFixed(2)}%`, color: 'green' },
+          { label: 'GC% (mean ± SD)', value: `${summary.meanGC.toFixed(2)} ± ${summary.gcStdDev.toFixed(2)}`, color: 'green' }
+        ].map(item => (
+          <div key={item.label} className={`${TILE_COLORS[item.color].tile} p-3 rounded-lg`}>
+            <div className="text-xs text-gray-600">{item.label}</div>
+            <div className={`text-sm font-bold ${TILE_COLORS[item.color].value}`}>{item.value}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Distributions */}
+      <div className="grid md:grid-cols-2 gap-4">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">Length Distribution</h3>
+          <Histogram bins={lengthBins} xLabel="Length (bp)" color="#6366f1" />
+        </div>
+        <div>
+          <h3 className="text-sm font-semibold text-gray-700 mb-2">GC Distribution</h3>
+          <Histogram bins={gcBins} xLabel="GC %" color="#16a34a" />
+        </div>
+      </div>
+
+      {/* Summary Table */}
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">
+          Summary Table ({visibleRows.length} of {rows.length} records)
+        </h3>
+        <div className="flex flex-wrap items-center gap-3 mb-2 text-sm text-gray-700">
+          <input
+            type="text"
+            value={filters.text}
+            onChange={(e) => updateFilter('text', e.target.value)}
+            placeholder="Filter by ID or description"
+            className="p-1 border border-gray-300 rounded"
+          />
+          {[
+            { min: 'minLength', max: 'maxLength', label: 'Length' },
+            { min: 'minGC', max: 'maxGC', label: 'GC%' }
+          ].map(range => (
+            <label key={range.label} className="flex items-center gap-1">
+              {range.label}
+              <input
+                type="number"
+                value={filters[range.min]}
+                onChange={(e) => updateFilter(range.min, e.target.value)}
+                placeholder="min"
+                className="w-20 p-1 border border-gray-300 rounded"
+              />
+              -
+              <input
+                type="number"
+                value={filters[range.max]}
+                onChange={(e) => updateFilter(range.max, e.target.value)}
+                placeholder="max"
+                className="w-20 p-1 border border-gray-300 rounded"
+              />
+            </label>
+          ))}
+        </div>
+        <div className="bg-gray-50 p-3 rounded max-h-80 overflow-y-auto" onScroll={rowWindow.onScroll}>
+          <table className="w-full text-xs font-mono">
+            <thead>
+              <tr className="text-left text-gray-500">
+                {COLUMNS.map(column => (
+                  <th key={column.key} className="pr-2">
+                    <button onClick={() => toggleSort(column.key)} className="hover:text-indigo-600">
+                      {column.label}{sort.key === column.key && (sort.ascending ? ' ▲' : ' ▼')}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rowWindow.paddingTop > 0 && <tr style={{ height: rowWindow.paddingTop }} />}
+              {visibleRows.slice(rowWindow.first, rowWindow.last).map(row => (
+                <tr key={row.index} style={{ height: ROW_HEIGHT }}>
+                  <td className="pr-2">
+                    <button onClick={() => onSelect(row.index)} className="text-indigo-600 hover:underline text-left">
+                      {row.id}
+                    </button>
+                  </td>
+                  <td className="pr-2">{row.length}</td>
+                  <td className="pr-2">{row.gcContent.toFixed(2)}</td>
+                  <td className="pr-2">{row.proteinLength}</td>
+                  <td className="pr-2">{row.molecularWeight}</td>
+                  <td>{row.stopCount}</td>
+                </tr>
+              ))}
+              {rowWindow.paddingBottom > 0 && <tr style={{ height: rowWindow.paddingBottom }} />}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Duplicates */}
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">
+          Duplicates - {duplicates.exact.length} exact group(s), {duplicates.near.length} near-duplicate group(s)
+          (≥ {datasetUtils.DUPLICATE_DEFAULTS.minIdentity}% estimated identity, either strand)
+        </h3>
+        {duplicates.exact.length === 0 && duplicates.near.length === 0 ? (
+          <div className="bg-gray-50 p-3 rounded text-sm text-gray-600">No duplicate records found</div>
+        ) : (
+          <div className="bg-gray-50 p-3 rounded max-h-64 overflow-y-auto space-y-2">
+            {duplicates.exact.length > 0 && (
+              <div>
+                <div className="text-xs font-semibold text-gray-600 mb-1">Identical sequences</div>
+                <ul className="space-y-1">
+                  {duplicates.exact.map((members, idx) => (
+                    <DuplicateGroup
+                      key={idx}
+                      members={members}
+                      onSelect={onSelect}
+                      detail={(member) => member.reverse && <span className="text-gray-500"> (rev. comp.)</span>}
+                    />
+                  ))}
+                </ul>
+              </div>
+            )}
+            {duplicates.near.length > 0 && (
+              <div>
+                <div className="text-xs font-semibold text-gray-600 mb-1">Near-duplicates (identity to the first record)</div>
+                <ul className="space-y-1">
+                  {duplicates.near.map((members, idx) => (
+                    <DuplicateGroup
+                      key={idx}
+                      members={members}
+                      onSelect={onSelect}
+                      detail={(member, position) => position > 0 && (
+                        <span className="text-gray-500"> ({member.identity.toFixed(1)}%)</span>
+                      )}
+                    />
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DatasetDashboard;
@@ -0,0 +1,346 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download } from 'lucide-react';
+import * as dotPlotUtils from '../dotPlotUtils';
+import * as analysisClient from '../analysisClient';
+import * as fileUtils from '../fileUtils';
+
+const PLOT = dotPlotUtils.DOTPLOT_DEFAULTS.size;
+const MARGIN_LEFT = 64;
+const MARGIN_TOP = 24;
+const MARGIN_BOTTOM = 40;
+const CANVAS_WIDTH = MARGIN_LEFT + PLOT + 16;
+const CANVAS_HEIGHT = MARGIN_TOP + PLOT + MARGIN_BOTTOM;
+
+//Cores em RGB para a opacidade variar com o número de janelas na célula
+const MATCH_COLORS = { forward: '79, 70, 229', reverse: '234, 88, 12' };
+
+/**
+ * Dot plot (canvas) of two records of the current input, or of one record
+ * against itself. Drag over the plot to zoom into a region; the plot is then
+ * recomputed at full resolution for the selected positions
+ * records: [{ id, sequence (DNA) }]
+ */
+const DotPlot = ({ records }) => {
+  const [first, setFirst] = useState(0);
+  const [second, setSecond] = useState(Math.min(1, records.length - 1));
+  const [windowSize, setWindowSize] = useState(dotPlotUtils.DOTPLOT_DEFAULTS.window);
+  const [stringency, setStringency] = useState(dotPlotUtils.DOTPLOT_DEFAULTS.stringency);
+  const [showForward, setShowForward] = useState(true);
+  const [showReverse, setShowReverse] = useState(true);
+  const [plot, setPlot] = useState(null);
+  const [zoomStack, setZoomStack] = useState([]);
+  const [hover, setHover] = useState(null);
+  const [drag, setDrag] = useState(null);
+  const [error, setError] = useState('');
+  const [plotting, setPlotting] = useState(false);
+  const canvasRef = useRef(null);
+  const task = useRef(null);
+
+  //Cancela o cálculo em andamento ao desmontar
+  useEffect(() => () => {
+    if (task.current) task.current.cancel();
+  }, []);
+
+  //Resultados antigos deixam de valer quando a entrada muda
+  useEffect(() => {
+    if (task.current) task.current.cancel();
+    task.current = null;
+    setPlot(null);
+    setZoomStack([]);
+    setError('');
+    setPlotting(false);
+  }, [records]);
+
+  const recordA = records[Math.min(first, records.length - 1)];
+  const recordB = records[Math.min(second, records.length - 1)];
+
+  const runPlot = (ranges) => {
+    if (task.current) task.current.cancel();
+    setError('');
+    setPlotting(true);
+
+    const current = analysisClient.runAnalysisTask('dotplot', {
+      sequenceA: recordA.sequence,
+      sequenceB: recordB.sequence,
+      options: { window: windowSize, stringency, ...ranges }
+    });
+    task.current = current;
+
+    current.promise
+      .then(found => setPlot({ ...found, labelA: recordA.id, labelB: recordB.id }))
+      .catch(err => {
+        if (err.cancelled) return;
+        setError(err.message);
+        setPlot(null);
+      })
+      .finally(() => {
+        if (task.current === current) {
+          task.current = null;
+          setPlotting(false);
+        }
+      });
+  };
+
+  const handlePlot = () => {
+    setZoomStack([]);
+    setHover(null);
+    runPlot({});
+  };
+
+  //Desenha a grade; só depende do resultado e das fitas visíveis
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !plot) return;
+    const context = canvas.getContext('2d');
+    const cellWidth = PLOT / plot.columns;
+    const cellHeight = PLOT / plot.rows;
+
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    context.strokeStyle = '#d1d5db';
+    context.strokeRect(MARGIN_LEFT - 0.5, MARGIN_TOP - 0.5, PLOT + 1, PLOT + 1);
+
+    const paint = (grid, color) => {
+      for (let row = 0; row < plot.rows; row++) {
+        for (let column = 0; column < plot.columns; column++) {
+          const count = grid[row * plot.columns + column];
+          if (count === 0) continue;
+          context.fillStyle = `rgba(${color}, ${Math.min(1, 0.35 + count / 8)})`;
+          context.fillRect(
+            MARGIN_LEFT + column * cellWidth,
+            MARGIN_TOP + row * cellHeight,
+            Math.max(1, cellWidth),
+            Math.max(1, cellHeight)
+          );
+        }
+      }
+    };
+    if (showForward) paint(plot.forward, MATCH_COLORS.forward);
+    if (showReverse) paint(plot.reverse, MATCH_COLORS.reverse);
+
+    //Escala: início, meio e fim de cada região
+    context.fillStyle = '#4b5563';
+    context.font = '10px Arial, Helvetica, sans-serif';
+    const ticks = (range) => [range.start, Math.round((range.start + range.end) / 2), range.end];
+    context.textAlign = 'center';
+    ticks(plot.rangeA).forEach((position, idx) => {
+      context.fillText(position.toLocaleString(), MARGIN_LEFT + (PLOT * idx) / 2, MARGIN_TOP + PLOT + 14);
+    });
+    context.fillText(plot.labelA, MARGIN_LEFT + PLOT / 2, MARGIN_TOP + PLOT + 30);
+    context.textAlign = 'right';
+    ticks(plot.rangeB).forEach((position, idx) => {
+      context.fillText(position.toLocaleString(), MARGIN_LEFT - 4, MARGIN_TOP + (PLOT * idx) / 2 + 4);
+    });
+    context.textAlign = 'left';
+    context.fillText(plot.labelB, 4, MARGIN_TOP - 8);
+  }, [plot, showForward, showReverse]);
+
+  //Posição do mouse -> célula da grade (o canvas pode estar redimensionado pelo CSS)
+  const cellAt = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = ((event.clientX - rect.left) * CANVAS_WIDTH) / rect.width - MARGIN_LEFT;
+    const y = ((event.clientY - rect.top) * CANVAS_HEIGHT) / rect.height - MARGIN_TOP;
+    if (x < 0 || y < 0 || x >= PLOT || y >= PLOT) return null;
+    return {
+      column: Math.min(plot.columns - 1, Math.floor((x * plot.columns) / PLOT)),
+      row: Math.min(plot.rows - 1, Math.floor((y * plot.rows) / PLOT))
+    };
+  };
+
+  const handleMouseDown = (event) => {
+    const cell = plot && cellAt(event);
+    if (cell) setDrag({ from: cell, to: cell });
+  };
+
+  const handleMouseMove = (event) => {
+    if (!plot) return;
+    const cell = cellAt(event);
+    setHover(cell ? { ...cell, ...dotPlotUtils.cellToPositions(plot, cell.column, cell.row) } : null);
+    if (drag && cell) setDrag(prev => ({ ...prev, to: cell }));
+  };
+
+  const handleMouseUp = () => {
+    if (!drag) return;
+    setDrag(null);
+    const { from, to } = drag;
+    if (from.column === to.column && from.row === to.row) return;
+
+    const topLeft = dotPlotUtils.cellToPositions(plot, Math.min(from.column, to.column), Math.min(from.row, to.row));
+    const bottomRight = dotPlotUtils.cellToPositions(plot, Math.max(from.column, to.column), Math.max(from.row, to.row));
+    setZoomStack(prev => [...prev, { rangeA: plot.rangeA, rangeB: plot.rangeB }]);
+    runPlot({
+      rangeA: { start: topLeft.a.start, end: bottomRight.a.end },
+      rangeB: { start: topLeft.b.start, end: bottomRight.b.end }
+    });
+  };
+
+  const handleZoomOut = () => {
+    const previous = zoomStack[zoomStack.length - 1];
+    setZoomStack(prev => prev.slice(0, -1));
+    runPlot(previous);
+  };
+
+  const handleExportPNG = () => {
+    canvasRef.current.toBlob(blob => {
+      if (blob) fileUtils.downloadBlob(`dotplot_${plot.labelA}_${plot.labelB}.png`.replace(/[^\w.-]+/g, '_'), blob);
+    }, 'image/png');
+  };
+
+  const selectRecord = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => { onChange(Number(e.target.value)); setPlot(null); setZoomStack([]); }}
+      className="p-1 border border-gray-300 rounded max-w-xs"
+    >
+      {records.map((record, idx) => (
+        <option key={idx} value={idx}>#{idx + 1} {record.id}</option>
+      ))}
+    </select>
+  );
+
+  //Retângulo de seleção em % da área do canvas
+  const dragBox = drag && plot && (() => {
+    const left = MARGIN_LEFT + (Math.min(drag.from.column, drag.to.column) * PLOT) / plot.columns;
+    const right = MARGIN_LEFT + ((Math.max(drag.from.column, drag.to.column) + 1) * PLOT) / plot.columns;
+    const top = MARGIN_TOP + (Math.min(drag.from.row, drag.to.row) * PLOT) / plot.rows;
+    const bottom = MARGIN_TOP + ((Math.max(drag.from.row, drag.to.row) + 1) * PLOT) / plot.rows;
+    return {
+      left: `${(left / CANVAS_WIDTH) * 100}%`,
+      width: `${((right - left) / CANVAS_WIDTH) * 100}%`,
+      top: `${(top / CANVAS_HEIGHT) * 100}%`,
+      height: `${((bottom - top) / CANVAS_HEIGHT) * 100}%`
+    };
+  })();
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        {selectRecord(first, setFirst)}
+        <span>vs</span>
+        {selectRecord(second, setSecond)}
+        {first === second && <span className="text-xs text-gray-500">(self comparison)</span>}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          Window
+          <input
+            type="number"
+            min="1"
+            max="100"
+            value={windowSize}
+            onChange={(e) => {
+              const value = Math.min(100, Math.max(1, Number(e.target.value) || 1));
+              setWindowSize(value);
+              setStringency(prev => Math.min(prev, value));
+            }}
+            className="w-16 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Stringency
+          <input
+            type="number"
+            min="1"
+            max={windowSize}
+            value={stringency}
+            onChange={(e) => setStringency(Math.min(windowSize, Math.max(1, Number(e.target.value) || 1)))}
+            className="w-16 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={showForward} onChange={(e) => setShowForward(e.target.checked)} />
+          <span style={{ color: `rgb(${MATCH_COLORS.forward})` }}>■</span> Forward
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={showReverse} onChange={(e) => setShowReverse(e.target.checked)} />
+          <span style={{ color: `rgb(${MATCH_COLORS.reverse})` }}>■</span> Reverse complement
+        </label>
+        <button onClick={handlePlot} className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg">
+          {plotting ? 'Plotting...' : 'Plot'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>
+      )}
+
+      {plot && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+            <span>
+              {plot.labelA} {plot.rangeA.start.toLocaleString()}-{plot.rangeA.end.toLocaleString()} vs{' '}
+              {plot.labelB} {plot.rangeB.start.toLocaleString()}-{plot.rangeB.end.toLocaleString()}
+            </span>
+            <span className="text-xs text-gray-500">
+              {plot.binA > 1 || plot.binB > 1 ? `${plot.binA} × ${plot.binB} bp per dot` : '1 bp per dot'}
+            </span>
+            {zoomStack.length > 0 && (
+              <>
+                <button
+                  onClick={handleZoomOut}
+                  className="inline-flex items-center gap-1 bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded-lg"
+                >
+                  Zoom out
+                </button>
+                <button
+                  onClick={handlePlot}
+                  className="inline-flex items-center gap-1 bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded-lg"
+                >
+                  Reset zoom
+                </button>
+              </>
+            )}
+            <button
+              onClick={handleExportPNG}
+              className="inline-flex items-center gap-1 bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded-lg"
+            >
+              <Download size={14} />
+              Export PNG
+            </button>
+          </div>
+
+          {plot.method === 'word' && (
+            <div className="text-xs text-amber-700">
+              Region too large to compare window by window: only exact {plot.window}-bp words are plotted
+              {plot.skippedWords > 0 && ` (${plot.skippedWords} very frequent words left out)`}. Zoom in for the full stringency filter.
+            </div>
+          )}
+
+          <div className="relative max-w-2xl">
+            <canvas
+              ref={canvasRef}
+              width={CANVAS_WIDTH}
+              height={CANVAS_HEIGHT}
+              className="w-full h-auto border border-gray-200 rounded cursor-crosshair select-none"
+              onMouseDown={handleMouseDown}
+              onMouseMove={handleMouseMove}
+              onMouseUp={handleMouseUp}
+              onMouseLeave={() => { setHover(null); setDrag(null); }}
+            />
+            {dragBox && <div className="absolute border border-indigo-500 bg-indigo-200 bg-opacity-30 pointer-events-none" style={dragBox} />}
+          </div>
+
+          <div className="text-xs font-mono text-gray-600 h-4">
+            {hover && (
+              <>
+                {plot.labelA} {hover.a.start === hover.a.end ? hover.a.start : `${hover.a.start}-${hover.a.end}`} ·{' '}
+                {plot.labelB} {hover.b.start === hover.b.end ? hover.b.start : `${hover.b.start}-${hover.b.end}`}
+                {plot.forward[hover.row * plot.columns + hover.column] > 0 && ' · forward match'}
+                {plot.reverse[hover.row * plot.columns + hover.column] > 0 && ' · reverse-complement match'}
+              </>
+            )}
+          </div>
+
+          <p className="text-xs text-gray-500">
+            {plot.forwardCount.toLocaleString()} forward and {plot.reverseCount.toLocaleString()} reverse-complement
+            windows with ≥ {plot.stringency}/{plot.window} identical bases. Diagonals are shared segments, lines
+            against the diagonal are inversions; drag over the plot to zoom in.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DotPlot;
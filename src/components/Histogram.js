@@ -0,0 +1,60 @@
+import React from 'react';
+
+const WIDTH = 600;
+const PADDING = { top: 10, right: 10, bottom: 30, left: 45 };
+
+/**
+ * Simple SVG bar chart for histograms (no chart library)
+ * @param {Array} bins - [{ start, end, count }]
+ */
+const Histogram = ({
+  bins,
+  color = '#4f46e5',
+  xLabel = '',
+  yLabel = 'Count',
+  height = 180,
+  formatValue = (value) => (Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(1)))
+}) => {
+  if (bins.length === 0) {
+    return null;
+  }
+
+  const maxCount = bins.reduce((max, bin) => Math.max(max, bin.count), 0) || 1;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const barWidth = plotWidth / bins.length;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full bg-white rounded border border-gray-200">
+      {bins.map((bin, idx) => {
+        const barHeight = (bin.count / maxCount) * plotHeight;
+        return (
+          <rect
+            key={idx}
+            x={PADDING.left + idx * barWidth + 1}
+            y={PADDING.top + plotHeight - barHeight}
+            width={Math.max(1, barWidth - 2)}
+            height={barHeight}
+            fill={color}
+          >
+            <title>{`${formatValue(bin.start)}-${formatValue(bin.end)}: ${bin.count}`}</title>
+          </rect>
+        );
+      })}
+
+      {/* Axes */}
+      <line x1={PADDING.left} x2={PADDING.left} y1={PADDING.top} y2={PADDING.top + plotHeight} stroke="#6b7280" />
+      <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={PADDING.top + plotHeight} y2={PADDING.top + plotHeight} stroke="#6b7280" />
+      <text x={PADDING.left - 4} y={PADDING.top + 8} fontSize="10" textAnchor="end" fill="#4b5563">{maxCount}</text>
+      <text x={PADDING.left - 4} y={PADDING.top + plotHeight} fontSize="10" textAnchor="end" fill="#4b5563">0</text>
+      <text x={PADDING.left} y={height - 14} fontSize="10" textAnchor="start" fill="#4b5563">{formatValue(bins[0].start)}</text>
+      <text x={WIDTH - PADDING.right} y={height - 14} fontSize="10" textAnchor="end" fill="#4b5563">{formatValue(bins[bins.length - 1].end)}</text>
+      <text x={PADDING.left + plotWidth / 2} y={height - 4} fontSize="10" textAnchor="middle" fill="#4b5563">{xLabel}</text>
+      <text x={10} y={PADDING.top + plotHeight / 2} fontSize="10" textAnchor="middle" fill="#4b5563" transform={`rotate(-90 10 ${PADDING.top + plotHeight / 2})`}>
+        {yLabel}
+      </text>
+    </svg>
+  );
+};
+
+export default Histogram;
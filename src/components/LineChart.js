@@ -0,0 +1,110 @@
+import React from 'react';
+
+const WIDTH = 600;
+const PADDING = { top: 10, right: 10, bottom: 30, left: 45 };
+
+/**
+ * Simple SVG line chart (no chart library)
+ * @param {Array} series - [{ label, color, points: [{ x, y }] }]
+ * @param {Array} regions - Shaded x ranges: [{ start, end, color, label }]
+ * @param {Array} referenceLines - Horizontal lines: [{ y, color, label }]
+ */
+const LineChart = ({
+  series,
+  regions = [],
+  referenceLines = [],
+  xLabel = '',
+  yLabel = '',
+  height = 200
+}) => {
+  const allPoints = series.flatMap(line => line.points);
+  if (allPoints.length === 0) {
+    return null;
+  }
+
+  const xs = allPoints.map(point => point.x);
+  const ys = allPoints.map(point => point.y).concat(referenceLines.map(line => line.y));
+  //reduce em vez de Math.min(...arr), que estoura a pilha com muitos pontos
+  const xMin = xs.reduce((min, x) => Math.min(min, x), Infinity);
+  const xMax = xs.reduce((max, x) => Math.max(max, x), -Infinity);
+  const yMin = ys.reduce((min, y) => Math.min(min, y), Infinity);
+  const yMax = ys.reduce((max, y) => Math.max(max, y), -Infinity);
+  const xRange = xMax - xMin || 1;
+  const yRange = yMax - yMin || 1;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const scaleX = (x) => PADDING.left + ((x - xMin) / xRange) * plotWidth;
+  const scaleY = (y) => PADDING.top + plotHeight - ((y - yMin) / yRange) * plotHeight;
+
+  const formatTick = (value) => (Math.abs(value) >= 100 ? Math.round(value) : Number(value.toFixed(2)));
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full bg-white rounded border border-gray-200">
+        {regions.map((region, idx) => (
+          <rect
+            key={`region-${idx}`}
+            x={scaleX(Math.max(region.start, xMin))}
+            y={PADDING.top}
+            width={Math.max(1, scaleX(Math.min(region.end, xMax)) - scaleX(Math.max(region.start, xMin)))}
+            height={plotHeight}
+            fill={region.color || '#fde68a'}
+            opacity="0.5"
+          >
+            {region.label && <title>{region.label}</title>}
+          </rect>
+        ))}
+
+        {referenceLines.map((line, idx) => (
+          <line
+            key={`ref-${idx}`}
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={scaleY(line.y)}
+            y2={scaleY(line.y)}
+            stroke={line.color || '#9ca3af'}
+            strokeDasharray="4 3"
+          >
+            {line.label && <title>{line.label}</title>}
+          </line>
+        ))}
+
+        {series.map((line, idx) => (
+          <polyline
+            key={`series-${idx}`}
+            fill="none"
+            stroke={line.color || '#4f46e5'}
+            strokeWidth="1.5"
+            points={line.points.map(point => `${scaleX(point.x)},${scaleY(point.y)}`).join(' ')}
+          />
+        ))}
+
+        {/* Axes */}
+        <line x1={PADDING.left} x2={PADDING.left} y1={PADDING.top} y2={PADDING.top + plotHeight} stroke="#6b7280" />
+        <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={PADDING.top + plotHeight} y2={PADDING.top + plotHeight} stroke="#6b7280" />
+        <text x={PADDING.left - 4} y={PADDING.top + 8} fontSize="10" textAnchor="end" fill="#4b5563">{formatTick(yMax)}</text>
+        <text x={PADDING.left - 4} y={PADDING.top + plotHeight} fontSize="10" textAnchor="end" fill="#4b5563">{formatTick(yMin)}</text>
+        <text x={PADDING.left} y={height - 14} fontSize="10" textAnchor="start" fill="#4b5563">{formatTick(xMin)}</text>
+        <text x={WIDTH - PADDING.right} y={height - 14} fontSize="10" textAnchor="end" fill="#4b5563">{formatTick(xMax)}</text>
+        <text x={PADDING.left + plotWidth / 2} y={height - 4} fontSize="10" textAnchor="middle" fill="#4b5563">{xLabel}</text>
+        <text x={10} y={PADDING.top + plotHeight / 2} fontSize="10" textAnchor="middle" fill="#4b5563" transform={`rotate(-90 10 ${PADDING.top + plotHeight / 2})`}>
+          {yLabel}
+        </text>
+      </svg>
+
+      {series.length > 1 && (
+        <div className="flex gap-4 mt-1 text-xs text-gray-600">
+          {series.map((line, idx) => (
+            <span key={idx} className="flex items-center gap-1">
+              <span className="inline-block w-3 h-0.5" style={{ backgroundColor: line.color || '#4f46e5' }} />
+              {line.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineChart;
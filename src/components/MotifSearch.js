@@ -0,0 +1,187 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as motifUtils from '../motifUtils';
+import * as analysisClient from '../analysisClient';
+import { useVirtualWindow } from './virtualization';
+
+const ROW_HEIGHT = 24;
+
+/**
+ * Motif / pattern search over every record of the current input
+ * records: [{ id, sequence (DNA), protein }]
+ * onHits: called with the hit list after each search (used for viewer highlights)
+ */
+const MotifSearch = ({ records, onHits }) => {
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState(motifUtils.MOTIF_DEFAULTS.type);
+  const [mismatches, setMismatches] = useState(motifUtils.MOTIF_DEFAULTS.mismatches);
+  const [bothStrands, setBothStrands] = useState(motifUtils.MOTIF_DEFAULTS.bothStrands);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [searching, setSearching] = useState(false);
+  const task = useRef(null);
+
+  //Cancela a busca em andamento ao desmontar
+  useEffect(() => () => {
+    if (task.current) task.current.cancel();
+  }, []);
+
+  //Resultados antigos deixam de valer quando a entrada muda
+  useEffect(() => {
+    if (task.current) task.current.cancel();
+    task.current = null;
+    setResult(null);
+    setError('');
+    setSearching(false);
+  }, [records]);
+
+  const hits = result ? result.hits : [];
+  const hitWindow = useVirtualWindow(hits.length, ROW_HEIGHT, 256);
+  const isProtein = type === motifUtils.MOTIF_TYPES.PROSITE;
+
+  const handleLibrary = (name) => {
+    const motif = motifUtils.MOTIF_LIBRARY.find(item => item.name === name);
+    if (!motif) return;
+    setQuery(motif.pattern);
+    setType(motif.type);
+  };
+
+  const handleSearch = () => {
+    if (task.current) task.current.cancel();
+    setError('');
+    setSearching(true);
+
+    const current = analysisClient.runAnalysisTask('motifs', {
+      records,
+      query,
+      options: { type, mismatches, bothStrands }
+    });
+    task.current = current;
+
+    current.promise
+      .then(found => {
+        setResult(found);
+        onHits(found.hits);
+      })
+      .catch(err => {
+        if (err.cancelled) return;
+        setError(err.message);
+        setResult(null);
+        onHits([]);
+      })
+      .finally(() => {
+        if (task.current === current) {
+          task.current = null;
+          setSearching(false);
+        }
+      });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        <select
+          value=""
+          onChange={(e) => handleLibrary(e.target.value)}
+          className="p-1 border border-gray-300 rounded"
+        >
+          <option value="">Motif library...</option>
+          <optgroup label="DNA (IUPAC)">
+            {motifUtils.MOTIF_LIBRARY.filter(item => item.type !== motifUtils.MOTIF_TYPES.PROSITE).map(item => (
+              <option key={item.name} value={item.name}>{item.name} - {item.pattern}</option>
+            ))}
+          </optgroup>
+          <optgroup label="Protein (PROSITE)">
+            {motifUtils.MOTIF_LIBRARY.filter(item => item.type === motifUtils.MOTIF_TYPES.PROSITE).map(item => (
+              <option key={item.name} value={item.name}>{item.name} ({item.description})</option>
+            ))}
+          </optgroup>
+        </select>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+          placeholder={isProtein ? 'PROSITE pattern, e.g. N-{P}-[ST]-{P}' : 'Motif, e.g. TATAWAWR'}
+          className="flex-1 min-w-[12rem] p-1 border border-gray-300 rounded font-mono"
+        />
+        <select value={type} onChange={(e) => setType(e.target.value)} className="p-1 border border-gray-300 rounded">
+          <option value={motifUtils.MOTIF_TYPES.IUPAC}>DNA - IUPAC</option>
+          <option value={motifUtils.MOTIF_TYPES.REGEX}>DNA - regular expression</option>
+          <option value={motifUtils.MOTIF_TYPES.PROSITE}>Protein - PROSITE</option>
+        </select>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        {type === motifUtils.MOTIF_TYPES.IUPAC && (
+          <label className="flex items-center gap-2">
+            Mismatches
+            <input
+              type="number"
+              min="0"
+              max="5"
+              value={mismatches}
+              onChange={(e) => setMismatches(Math.min(5, Math.max(0, Number(e.target.value) || 0)))}
+              className="w-16 p-1 border border-gray-300 rounded"
+            />
+          </label>
+        )}
+        {!isProtein && (
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={bothStrands} onChange={(e) => setBothStrands(e.target.checked)} />
+            Both strands
+          </label>
+        )}
+        <button
+          onClick={handleSearch}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg"
+        >
+          {searching ? 'Searching...' : 'Search'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>
+      )}
+
+      {result && (
+        <div>
+          <div className="text-sm text-gray-700 mb-1">
+            {hits.length} hit(s){result.truncated && ' (limit reached, search stopped)'}
+          </div>
+          {hits.length > 0 && (
+            <div className="bg-gray-50 p-3 rounded max-h-64 overflow-y-auto" onScroll={hitWindow.onScroll}>
+              <table className="w-full text-xs font-mono">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    {records.length > 1 && <th className="pr-2">Record</th>}
+                    {!isProtein && <th className="pr-2">Strand</th>}
+                    <th className="pr-2">Start</th>
+                    <th className="pr-2">End</th>
+                    <th className="pr-2">Match</th>
+                    {mismatches > 0 && !isProtein && <th>Mismatches</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {hitWindow.paddingTop > 0 && <tr style={{ height: hitWindow.paddingTop }} />}
+                  {hits.slice(hitWindow.first, hitWindow.last).map((hit, offset) => (
+                    <tr key={hitWindow.first + offset} style={{ height: ROW_HEIGHT }}>
+                      {records.length > 1 && <td className="pr-2 text-indigo-600">{hit.recordId}</td>}
+                      {!isProtein && <td className="pr-2">{hit.strand}</td>}
+                      <td className="pr-2">{hit.start}</td>
+                      <td className="pr-2">{hit.end}</td>
+                      <td className="pr-2 break-all">{hit.match}</td>
+                      {mismatches > 0 && !isProtein && <td>{hit.mismatches}</td>}
+                    </tr>
+                  ))}
+                  {hitWindow.paddingBottom > 0 && <tr style={{ height: hitWindow.paddingBottom }} />}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MotifSearch;
@@ -0,0 +1,259 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { Download } from 'lucide-react';
+import * as bioUtils from '../bioUtils';
+import * as compositionUtils from '../compositionUtils';
+import * as fileUtils from '../fileUtils';
+
+const SIZE = 560;
+const CENTER = SIZE / 2;
+const BACKBONE = 170;
+const FEATURE_RADIUS = 190;
+const LABEL_RADIUS = 210;
+const ORF_RADIUS = { '+': 156, '-': 144 };
+const GC_RADIUS = 118;
+const GC_AMPLITUDE = 16;
+const TICK_LABEL_RADIUS = 90;
+const MAX_ORFS = 40;
+const MAX_LABELS = 30;
+
+//Cores em atributos (não em classes) para o SVG exportado ficar igual ao da tela
+const FEATURE_COLORS = {
+  CDS: '#6366f1',
+  gene: '#10b981',
+  promoter: '#f59e0b',
+  rep_origin: '#ef4444',
+  misc_feature: '#6b7280'
+};
+const DEFAULT_FEATURE_COLOR = '#0ea5e9';
+const ORF_COLORS = { '+': '#4f46e5', '-': '#0d9488' };
+const GC_COLORS = { above: '#16a34a', below: '#9ca3af' };
+
+//Ângulo da posição (1-based): origem no topo, sentido horário
+const angleOf = (position, length) => ((position - 1) / length) * 2 * Math.PI - Math.PI / 2;
+
+const pointAt = (radius, angle) => ({
+  x: CENTER + radius * Math.cos(angle),
+  y: CENTER + radius * Math.sin(angle)
+});
+
+//Arco de start a end (1-based, inclusive); end < start cruza a origem
+const arcPath = (radius, start, end, length) => {
+  const span = Math.min(length - 0.5, end >= start ? end - start + 1 : length - start + 1 + end);
+  const from = angleOf(start, length);
+  const to = from + (span / length) * 2 * Math.PI;
+  const a = pointAt(radius, from);
+  const b = pointAt(radius, to);
+  const largeArc = span > length / 2 ? 1 : 0;
+  return `M ${a.x.toFixed(2)} ${a.y.toFixed(2)} A ${radius} ${radius} 0 ${largeArc} 1 ${b.x.toFixed(2)} ${b.y.toFixed(2)}`;
+};
+
+//Meio do arco, para rótulos
+const arcMiddle = (start, end, length) => {
+  const span = end >= start ? end - start + 1 : length - start + 1 + end;
+  return angleOf(start, length) + (span / length) * Math.PI;
+};
+
+//Intervalo "redondo" entre marcas da escala (1, 2 ou 5 x 10^n), cerca de 12 marcas
+const tickStep = (length) => {
+  const raw = length / 12;
+  const power = Math.pow(10, Math.floor(Math.log10(raw)));
+  return Math.max(1, [1, 2, 5, 10].map(factor => factor * power).find(step => step >= raw));
+};
+
+const featureLabel = (feature) => {
+  const { gene, label, product, note } = feature.qualifiers;
+  return gene || label || product || note || feature.type;
+};
+
+/**
+ * Circular plasmid map (SVG): ORFs on both strands, GC content around the
+ * circle and GenBank/EMBL features, exportable as SVG or PNG
+ * orfs: findORFs() output (1-based; end < start across the origin), longest first,
+ *   computed by the caller in the analysis worker
+ * features: parsed record features ({ type, strand, ranges, qualifiers })
+ */
+const PlasmidMap = ({ sequence, name = 'sequence', orfs, features = [] }) => {
+  const svgRef = useRef(null);
+  const [error, setError] = useState('');
+  const length = sequence.length;
+
+  //Cerca de 360 janelas em volta do círculo
+  const gcBars = useMemo(() => {
+    const windowSize = Math.min(length, Math.max(50, Math.round(length / 90)));
+    const step = Math.max(1, Math.round(length / 360));
+    const windows = compositionUtils.getSlidingWindowComposition(sequence, windowSize, step, true);
+    if (windows.length === 0) return { mean: 0, bars: [] };
+
+    const mean = windows.reduce((sum, window) => sum + window.gc, 0) / windows.length;
+    const maxDeviation = windows.reduce((max, window) => Math.max(max, Math.abs(window.gc - mean)), 0) || 1;
+    return {
+      mean,
+      bars: windows.map(window => ({
+        position: window.position,
+        offset: ((window.gc - mean) / maxDeviation) * GC_AMPLITUDE
+      }))
+    };
+  }, [sequence, length]);
+
+  const shownFeatures = features.filter(feature => feature.type !== 'source' && feature.ranges.length > 0);
+  const shownOrfs = orfs.slice(0, MAX_ORFS);
+  const step = tickStep(length);
+  const ticks = [];
+  for (let position = step; position < length; position += step) ticks.push(position);
+
+  const fileBase = name.replace(/[^\w.-]+/g, '_') || 'plasmid';
+
+  const handleExportSVG = () => {
+    fileUtils.downloadText(`${fileBase}_map.svg`, fileUtils.serializeSVG(svgRef.current), 'image/svg+xml');
+  };
+
+  const handleExportPNG = async () => {
+    setError('');
+    try {
+      fileUtils.downloadBlob(`${fileBase}_map.png`, await fileUtils.svgToPNG(svgRef.current));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={handleExportSVG}
+          className="inline-flex items-center gap-1 bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded-lg"
+        >
+          <Download size={14} />
+          Export SVG
+        </button>
+        <button
+          onClick={handleExportPNG}
+          className="inline-flex items-center gap-1 bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded-lg"
+        >
+          <Download size={14} />
+          Export PNG
+        </button>
+        {orfs.length > MAX_ORFS && (
+          <span className="text-xs text-gray-500">Showing the {MAX_ORFS} longest of {orfs.length} ORFs</span>
+        )}
+      </div>
+
+      {error && <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>}
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        width={SIZE}
+        height={SIZE}
+        className="w-full max-w-xl mx-auto h-auto bg-white rounded border border-gray-200"
+        fontFamily="Arial, Helvetica, sans-serif"
+      >
+        <rect x="0" y="0" width={SIZE} height={SIZE} fill="#ffffff" />
+
+        {/* GC content (deviation from the mean) */}
+        <circle cx={CENTER} cy={CENTER} r={GC_RADIUS} fill="none" stroke="#e5e7eb" strokeWidth="1" />
+        {gcBars.bars.map((bar, idx) => {
+          const angle = angleOf(bar.position, length);
+          const a = pointAt(GC_RADIUS, angle);
+          const b = pointAt(GC_RADIUS + bar.offset, angle);
+          return (
+            <line
+              key={idx}
+              x1={a.x.toFixed(2)}
+              y1={a.y.toFixed(2)}
+              x2={b.x.toFixed(2)}
+              y2={b.y.toFixed(2)}
+              stroke={bar.offset >= 0 ? GC_COLORS.above : GC_COLORS.below}
+              strokeWidth="1.5"
+            />
+          );
+        })}
+
+        {/* Backbone and scale */}
+        <circle cx={CENTER} cy={CENTER} r={BACKBONE} fill="none" stroke="#374151" strokeWidth="3" />
+        {[1, ...ticks].map(position => {
+          const angle = angleOf(position, length);
+          const outer = pointAt(BACKBONE, angle);
+          const inner = pointAt(BACKBONE - 6, angle);
+          const label = pointAt(TICK_LABEL_RADIUS, angle);
+          return (
+            <g key={position}>
+              <line x1={outer.x} y1={outer.y} x2={inner.x} y2={inner.y} stroke="#374151" strokeWidth="1" />
+              <text x={label.x} y={label.y + 3} fontSize="9" fill="#6b7280" textAnchor="middle">
+                {position === 1 ? '1' : position.toLocaleString()}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* ORFs: + strand outside, - strand inside */}
+        {shownOrfs.map((orf, idx) => (
+          <path
+            key={`orf-${idx}`}
+            d={arcPath(ORF_RADIUS[orf.strand], orf.start, orf.end, length)}
+            fill="none"
+            stroke={ORF_COLORS[orf.strand]}
+            strokeWidth="7"
+            opacity="0.8"
+          >
+            <title>ORF {orf.strand}{Math.abs(orf.frame)} {orf.start}-{orf.end} ({orf.proteinLength} aa)</title>
+          </path>
+        ))}
+
+        {/* Features */}
+        {shownFeatures.map((feature, idx) => (
+          <g key={`feature-${idx}`}>
+            {feature.ranges.map((range, rangeIdx) => (
+              <path
+                key={rangeIdx}
+                d={arcPath(FEATURE_RADIUS, range.start, range.end, length)}
+                fill="none"
+                stroke={FEATURE_COLORS[feature.type] || DEFAULT_FEATURE_COLOR}
+                strokeWidth="10"
+              >
+                <title>{feature.type} {featureLabel(feature)} {feature.location}</title>
+              </path>
+            ))}
+          </g>
+        ))}
+        {shownFeatures.slice(0, MAX_LABELS).map((feature, idx) => {
+          const range = feature.ranges[0];
+          const angle = arcMiddle(range.start, range.end, length);
+          const anchor = pointAt(FEATURE_RADIUS + 6, angle);
+          const label = pointAt(LABEL_RADIUS, angle);
+          const rightSide = Math.cos(angle) >= 0;
+          return (
+            <g key={`label-${idx}`}>
+              <line x1={anchor.x} y1={anchor.y} x2={label.x} y2={label.y} stroke="#9ca3af" strokeWidth="0.75" />
+              <text
+                x={label.x + (rightSide ? 2 : -2)}
+                y={label.y + 3}
+                fontSize="9"
+                fill="#374151"
+                textAnchor={rightSide ? 'start' : 'end'}
+              >
+                {featureLabel(feature)}
+              </text>
+            </g>
+          );
+        })}
+
+        {/* Title */}
+        <text x={CENTER} y={CENTER - 4} fontSize="14" fontWeight="bold" fill="#1f2937" textAnchor="middle">{name}</text>
+        <text x={CENTER} y={CENTER + 14} fontSize="11" fill="#4b5563" textAnchor="middle">
+          {length.toLocaleString()} bp · GC {bioUtils.calculateGC(sequence)}%
+        </text>
+      </svg>
+
+      <div className="flex flex-wrap gap-4 text-xs text-gray-600 justify-center">
+        <span><span style={{ color: ORF_COLORS['+'] }}>■</span> ORF + strand (outer)</span>
+        <span><span style={{ color: ORF_COLORS['-'] }}>■</span> ORF − strand (inner)</span>
+        <span><span style={{ color: GC_COLORS.above }}>■</span> GC above mean ({gcBars.mean.toFixed(1)}%)</span>
+        <span><span style={{ color: GC_COLORS.below }}>■</span> GC below mean</span>
+        {shownFeatures.length > 0 && <span>Outer ring: features ({shownFeatures.length})</span>}
+      </div>
+    </div>
+  );
+};
+
+export default PlasmidMap;
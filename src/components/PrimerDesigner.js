@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import * as primerUtils from '../primerUtils';
+
+//Região inicial no meio da sequência, com até searchDistance bases livres de cada lado para os primers
+const defaultRegion = (length) => {
+  const margin = Math.min(primerUtils.PRIMER_DEFAULTS.searchDistance, Math.floor(length / 3));
+  const width = Math.min(100, length - 2 * margin);
+  const start = Math.floor((length - width) / 2) + 1;
+  return { start, end: start + width - 1 };
+};
+
+/**
+ * Primer design mode: suggests primer pairs flanking a region of the
+ * validated sequence and analyzes a manually entered pair
+ */
+const PrimerDesigner = ({ sequence }) => {
+  const [regionStart, setRegionStart] = useState(() => defaultRegion(sequence.length).start);
+  const [regionEnd, setRegionEnd] = useState(() => defaultRegion(sequence.length).end);
+  const [conditions, setConditions] = useState(primerUtils.PRIMER_CONDITIONS);
+  const [pairs, setPairs] = useState(null);
+  const [manualForward, setManualForward] = useState('');
+  const [manualReverse, setManualReverse] = useState('');
+  const [error, setError] = useState('');
+
+  const updateCondition = (name, value) => {
+    setConditions(prev => ({ ...prev, [name]: Math.max(0, Number(value) || 0) }));
+  };
+
+  const handleDesign = () => {
+    if (regionStart < 1 || regionEnd > sequence.length || regionStart > regionEnd) {
+      setError(`Region must be within 1-${sequence.length}`);
+      setPairs(null);
+      return;
+    }
+
+    setError('');
+    setPairs(primerUtils.designPrimers(sequence, regionStart, regionEnd, conditions));
+  };
+
+  const cleanPrimer = (primer) => primer.toUpperCase().replace(/[^ACGT]/g, '');
+  const manualPair = cleanPrimer(manualForward).length >= 2 && cleanPrimer(manualReverse).length >= 2
+    ? primerUtils.analyzePrimerPair(cleanPrimer(manualForward), cleanPrimer(manualReverse), conditions)
+    : null;
+
+  const renderPrimer = (label, primer) => (
+    <div className="text-xs">
+      <div className="font-mono font-bold text-indigo-600 break-all">{label}: 5'-{primer.sequence}-3'</div>
+      <div className="text-gray-600">
+        {primer.length} nt | GC {primer.gcContent}% {primer.gcClamp ? '(GC clamp)' : ''} |
+        Tm basic {primer.tmBasic.toFixed(1)}°C, salt {primer.tmSalt.toFixed(1)}°C, NN {primer.tmNN.toFixed(1)}°C
+      </div>
+      {primer.warnings.length > 0 && (
+        <div className="text-yellow-700">{primer.warnings.join('; ')}</div>
+      )}
+    </div>
+  );
+
+  const renderPair = (analysis) => (
+    <div className="space-y-1">
+      {renderPrimer('Forward', analysis.forward)}
+      {renderPrimer('Reverse', analysis.reverse)}
+      <div className="text-xs text-gray-600">
+        ΔTm {analysis.tmDifference.toFixed(1)}°C | Cross-dimer: {analysis.crossDimer.maxRun} bp
+        (3' end {analysis.crossDimer.threePrimeRun} bp)
+      </div>
+      {analysis.warnings.length > 0 && (
+        <div className="text-xs text-yellow-700">{analysis.warnings.join('; ')}</div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        <label className="flex items-center gap-1">
+          Region
+          <input
+            type="number"
+            min="1"
+            max={sequence.length}
+            value={regionStart}
+            onChange={(e) => setRegionStart(Number(e.target.value))}
+            className="w-24 p-1 border border-gray-300 rounded"
+          />
+          -
+          <input
+            type="number"
+            min="1"
+            max={sequence.length}
+            value={regionEnd}
+            onChange={(e) => setRegionEnd(Number(e.target.value))}
+            className="w-24 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        {[
+          { name: 'na', label: 'Na⁺ (mM)' },
+          { name: 'mg', label: 'Mg²⁺ (mM)' },
+          { name: 'dntp', label: 'dNTP (mM)' },
+          { name: 'oligo', label: 'Oligo (nM)' }
+        ].map(field => (
+          <label key={field.name} className="flex items-center gap-1">
+            {field.label}
+            <input
+              type="number"
+              min="0"
+              step="0.1"
+              value={conditions[field.name]}
+              onChange={(e) => updateCondition(field.name, e.target.value)}
+              className="w-20 p-1 border border-gray-300 rounded"
+            />
+          </label>
+        ))}
+        <button
+          onClick={handleDesign}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg"
+        >
+          Suggest primers
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded-lg text-red-700 text-sm">{error}</div>
+      )}
+
+      {pairs && (
+        pairs.length > 0 ? (
+          <div className="space-y-2">
+            {pairs.map((pair, idx) => (
+              <div key={idx} className="bg-gray-50 p-3 rounded">
+                <div className="text-sm font-semibold text-gray-700 mb-1">
+                  Pair {idx + 1}: product {pair.productSize} bp ({pair.forwardStart}-{pair.reverseEnd})
+                </div>
+                {renderPair(pair.analysis)}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="bg-gray-50 p-3 rounded text-sm text-gray-600">
+            No primer pairs found within {primerUtils.PRIMER_DEFAULTS.searchDistance} bp of the region
+          </div>
+        )
+      )}
+
+      <div className="bg-gray-50 p-3 rounded space-y-2">
+        <div className="text-sm font-semibold text-gray-700">Check a primer pair</div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+          <input
+            value={manualForward}
+            onChange={(e) => setManualForward(e.target.value)}
+            placeholder="Forward primer 5'→3'"
+            className="p-1 border border-gray-300 rounded font-mono text-sm"
+          />
+          <input
+            value={manualReverse}
+            onChange={(e) => setManualReverse(e.target.value)}
+            placeholder="Reverse primer 5'→3'"
+            className="p-1 border border-gray-300 rounded font-mono text-sm"
+          />
+        </div>
+        {manualPair && renderPair(manualPair)}
+      </div>
+    </div>
+  );
+};
+
+export default PrimerDesigner;
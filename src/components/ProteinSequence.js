@@ -0,0 +1,163 @@
+import React, { useMemo, useState } from 'react';
+import * as bioUtils from '../bioUtils';
+import SequenceViewer from './SequenceViewer';
+import { useVirtualWindow } from './virtualization';
+
+const ROW_HEIGHT = 22;
+
+//Classes completas para o Tailwind encontrar no build
+const STATUS_STYLES = {
+  [bioUtils.CODON_STATUS.SENSE]: '',
+  [bioUtils.CODON_STATUS.AMBIGUOUS]: 'bg-yellow-50 text-yellow-800',
+  [bioUtils.CODON_STATUS.STOP]: 'bg-red-50 text-red-700',
+  [bioUtils.CODON_STATUS.UNKNOWN]: 'bg-yellow-100 text-yellow-900',
+  [bioUtils.CODON_STATUS.INCOMPLETE]: 'bg-gray-100 text-gray-500'
+};
+
+/**
+ * Notes about codons that translate() could not turn into an amino acid
+ * summary: from bioUtils.getTranslationSummary (results.translation)
+ */
+const TranslationWarnings = ({ summary, className = '' }) => {
+  const notes = [];
+  if (summary.unknown > 0) {
+    notes.push(`${summary.unknown} unknown codon${summary.unknown === 1 ? '' : 's'} translated as X`);
+  }
+  if (summary.ambiguous > 0) {
+    notes.push(`${summary.ambiguous} ambiguous codon${summary.ambiguous === 1 ? '' : 's'} translated as X`);
+  }
+  if (summary.trailing) {
+    notes.push(`Incomplete trailing codon ${summary.trailing} (${summary.trailing.length} nt) not translated`);
+  }
+  if (notes.length === 0) return null;
+
+  return (
+    <div className={`p-2 bg-yellow-50 border border-yellow-200 rounded text-yellow-800 text-xs ${className}`}>
+      {notes.join(' · ')}
+    </div>
+  );
+};
+
+/**
+ * Codon-by-codon translation of an mRNA (frame +1, same reading as translate())
+ * Rows are built only for the visible window, so long mRNAs are fine
+ */
+const TranslationTable = ({ rna, summary, tableId }) => {
+  //Um códon incompleto no fim também vira linha
+  const count = summary.codons + (summary.trailing ? 1 : 0);
+  const rowWindow = useVirtualWindow(count, ROW_HEIGHT, 320);
+  //Em sequências circulares o último códon pode cruzar a origem
+  const text = summary.circular ? rna + rna.substring(0, 2) : rna;
+
+  const rows = [];
+  for (let i = rowWindow.first; i < rowWindow.last; i++) {
+    rows.push({ index: i, ...bioUtils.describeCodon(text.substring(i * 3, i * 3 + 3), tableId) });
+  }
+
+  return (
+    <div className="bg-white p-2 rounded border border-gray-200 max-h-80 overflow-y-auto" onScroll={rowWindow.onScroll}>
+      <table className="w-full text-xs font-mono">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="pr-2">#</th>
+            <th className="pr-2">Position</th>
+            <th className="pr-2">Codon</th>
+            <th className="pr-2">Anticodon</th>
+            <th className="pr-2">Amino acid</th>
+            <th className="pr-2">Name</th>
+            <th>tRNA (aaRS class)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rowWindow.paddingTop > 0 && <tr style={{ height: rowWindow.paddingTop }} />}
+          {rows.map(row => (
+            <tr key={row.index} className={STATUS_STYLES[row.status]} style={{ height: ROW_HEIGHT }}>
+              <td className="pr-2 text-gray-500">{row.index + 1}</td>
+              <td className="pr-2">{row.index * 3 + 1}-{((row.index * 3 + row.codon.length - 1) % rna.length) + 1}</td>
+              <td className="pr-2 font-bold">{row.codon}</td>
+              <td className="pr-2">{row.anticodon || '-'}</td>
+              <td className="pr-2">{row.aminoAcid ? `${row.threeLetter} (${row.aminoAcid})` : '-'}</td>
+              <td className="pr-2">
+                {row.status === bioUtils.CODON_STATUS.INCOMPLETE && 'Incomplete codon (not translated)'}
+                {row.status === bioUtils.CODON_STATUS.UNKNOWN && 'Unknown codon (X)'}
+                {row.status === bioUtils.CODON_STATUS.AMBIGUOUS && 'Ambiguous codon'}
+                {(row.status === bioUtils.CODON_STATUS.SENSE || row.status === bioUtils.CODON_STATUS.STOP) && row.name}
+              </td>
+              <td>
+                {row.tRNA
+                  ? `${row.tRNA} (${row.synthetaseClass})`
+                  : row.status === bioUtils.CODON_STATUS.STOP ? 'Release factor' : '-'}
+              </td>
+            </tr>
+          ))}
+          {rowWindow.paddingBottom > 0 && <tr style={{ height: rowWindow.paddingBottom }} />}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * Protein of a conversion result in one- or three-letter codes, with the
+ * codons translate() could not read and an expandable codon-by-codon table
+ * result: analyzeSequence() output (protein, rna, translation, geneticCode)
+ * annotations: SequenceViewer annotations on the protein (one-letter mode)
+ */
+const ProteinSequence = ({ result, annotations = [], className = 'bg-orange-50' }) => {
+  const [threeLetter, setThreeLetter] = useState(false);
+  const [tableOpen, setTableOpen] = useState(false);
+
+  //Só monta o texto de três letras quando pedido
+  const threeLetterText = useMemo(
+    () => (threeLetter ? bioUtils.toThreeLetter(result.protein) : ''),
+    [threeLetter, result.protein]
+  );
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+        <label className="flex items-center gap-1">
+          Codes
+          <select
+            value={threeLetter ? 'three' : 'one'}
+            onChange={(e) => setThreeLetter(e.target.value === 'three')}
+            className="p-1 border border-gray-300 rounded"
+          >
+            <option value="one">One-letter (MAI)</option>
+            <option value="three">Three-letter (Met-Ala-Ile)</option>
+          </select>
+        </label>
+        {result.throughStops && <span>Translated through stop codons (*)</span>}
+      </div>
+
+      {threeLetter ? (
+        <div className={`p-3 rounded font-mono text-sm break-all max-h-64 overflow-y-auto ${className}`}>
+          {threeLetterText || result.protein}
+        </div>
+      ) : (
+        <SequenceViewer
+          key={result.protein}
+          sequence={result.protein}
+          alphabet="protein"
+          annotations={annotations}
+          className={className}
+        />
+      )}
+
+      <TranslationWarnings summary={result.translation} />
+
+      <details onToggle={(e) => setTableOpen(e.currentTarget.open)}>
+        <summary className="text-xs font-semibold text-gray-600 cursor-pointer">
+          Codon-by-codon translation ({result.translation.codons} codons{result.translation.trailing ? ' + incomplete' : ''})
+        </summary>
+        {tableOpen && (
+          <div className="mt-1">
+            <TranslationTable rna={result.rna} summary={result.translation} tableId={result.geneticCode} />
+          </div>
+        )}
+      </details>
+    </div>
+  );
+};
+
+export default ProteinSequence;
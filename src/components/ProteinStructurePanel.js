@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react';
+import * as structureUtils from '../structureUtils';
+import SequenceViewer from './SequenceViewer';
+
+//Cores das faixas por resíduo
+const STRUCTURE_STYLES = { H: 'text-rose-600', E: 'text-sky-600', T: 'text-green-600', '-': 'text-gray-300' };
+const FEATURE_STYLES = { S: 'text-purple-600', M: 'text-amber-600', N: 'text-green-700' };
+
+const FEATURE_LABELS = { S: 'Signal peptide', M: 'Membrane span', N: 'N-glycosylation (Asn)' };
+
+const LIKELIHOOD_STYLES = {
+  likely: 'text-purple-700',
+  possible: 'text-amber-700',
+  unlikely: 'text-gray-600'
+};
+
+/**
+ * Chou-Fasman secondary structure, transmembrane helices, signal peptide and
+ * N-glycosylation sequons, shown as tracks under the protein sequence
+ */
+const ProteinStructurePanel = ({ protein }) => {
+  const prediction = useMemo(() => structureUtils.predictProteinFeatures(protein), [protein]);
+  const { secondary, transmembrane, signalPeptide, glycosylation } = prediction;
+
+  const tracks = useMemo(() => [
+    { label: 'ss', text: prediction.secondary.states, styles: STRUCTURE_STYLES },
+    { label: 'ftr', text: prediction.featureTrack, styles: FEATURE_STYLES }
+  ], [prediction]);
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+        {Object.entries(structureUtils.STRUCTURE_STATES).map(([state, label]) => (
+          <div key={state} className="bg-white p-2 rounded border border-gray-200">
+            <div className="text-xs text-gray-600">{label} ({state})</div>
+            <div className={`font-mono font-bold ${STRUCTURE_STYLES[state]}`}>{secondary.fractions[state].toFixed(1)}%</div>
+          </div>
+        ))}
+      </div>
+
+      <SequenceViewer key={protein} sequence={protein} alphabet="protein" tracks={tracks} className="bg-orange-50" />
+
+      <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+        <span>ss: Chou-Fasman secondary structure</span>
+        {Object.entries(FEATURE_LABELS).map(([char, label]) => (
+          <span key={char}>
+            <span className={`font-mono font-bold ${FEATURE_STYLES[char]}`}>{char}</span> {label}
+          </span>
+        ))}
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-3 text-sm">
+        {/* Signal Peptide */}
+        <div className="bg-white p-2 rounded border border-gray-200">
+          <div className="text-xs text-gray-600">N-terminal signal peptide</div>
+          <div className={`font-bold capitalize ${LIKELIHOOD_STYLES[signalPeptide.likelihood]}`}>
+            {signalPeptide.likelihood} ({signalPeptide.score}/3)
+          </div>
+          {signalPeptide.hRegion && (
+            <div className="text-xs text-gray-600 mt-1 space-y-0.5">
+              <div>
+                h-region {signalPeptide.hRegion.start}-{signalPeptide.hRegion.end} (mean hydropathy{' '}
+                {signalPeptide.hRegion.hydropathy.toFixed(2)})
+              </div>
+              <div>n-region net charge {signalPeptide.nRegionCharge > 0 ? '+' : ''}{signalPeptide.nRegionCharge}</div>
+              <div>
+                {signalPeptide.cleavageSite
+                  ? `Cleavage after residue ${signalPeptide.cleavageSite} (${protein.substring(signalPeptide.cleavageSite - 3, signalPeptide.cleavageSite)}|${protein.substring(signalPeptide.cleavageSite, signalPeptide.cleavageSite + 2)})`
+                  : 'No -3, -1 cleavage site'}
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Transmembrane Helices */}
+        <div className="bg-white p-2 rounded border border-gray-200">
+          <div className="text-xs text-gray-600">
+            Transmembrane helix candidates ({structureUtils.STRUCTURE_DEFAULTS.tmWindow}-residue windows,
+            mean ≥ {structureUtils.STRUCTURE_DEFAULTS.tmThreshold})
+          </div>
+          <div className="font-bold text-amber-700">{transmembrane.length}</div>
+          <ul className="text-xs font-mono text-gray-600 max-h-32 overflow-y-auto">
+            {transmembrane.map(segment => (
+              <li key={segment.start}>
+                {segment.start}-{segment.end} ({segment.length} aa, max {segment.maxHydropathy.toFixed(2)})
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {/* N-Glycosylation */}
+        <div className="bg-white p-2 rounded border border-gray-200">
+          <div className="text-xs text-gray-600">N-glycosylation sequons (N-X-S/T, X ≠ P)</div>
+          <div className="font-bold text-green-700">{glycosylation.length}</div>
+          <ul className="text-xs font-mono text-gray-600 max-h-32 overflow-y-auto">
+            {glycosylation.map(site => (
+              <li key={site.position}>N{site.position} ({site.sequon})</li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500">
+        Sequence-only rules for a first look; a signal peptide's hydrophobic core may also be listed as a membrane span.
+      </p>
+    </div>
+  );
+};
+
+export default ProteinStructurePanel;
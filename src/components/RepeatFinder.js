@@ -0,0 +1,267 @@
+import React, { useEffect, useRef, useState } from 'react';
+import * as repeatUtils from '../repeatUtils';
+import * as analysisClient from '../analysisClient';
+import { useVirtualWindow } from './virtualization';
+
+const ROW_HEIGHT = 24;
+
+const TYPE_LABELS = {
+  [repeatUtils.REPEAT_TYPES.MICROSATELLITE]: 'Microsatellites (1-6 bp)',
+  [repeatUtils.REPEAT_TYPES.TANDEM]: 'Tandem repeats',
+  [repeatUtils.REPEAT_TYPES.DIRECT]: 'Direct repeats',
+  [repeatUtils.REPEAT_TYPES.INVERTED]: 'Inverted repeats'
+};
+
+const TYPE_STYLES = {
+  [repeatUtils.REPEAT_TYPES.MICROSATELLITE]: 'text-pink-700',
+  [repeatUtils.REPEAT_TYPES.TANDEM]: 'text-rose-700',
+  [repeatUtils.REPEAT_TYPES.DIRECT]: 'text-indigo-700',
+  [repeatUtils.REPEAT_TYPES.INVERTED]: 'text-teal-700'
+};
+
+//Texto da última coluna, conforme o tipo
+const repeatDetail = (repeat) => {
+  if (repeat.type === repeatUtils.REPEAT_TYPES.INVERTED) {
+    const hairpin = repeat.palindrome
+      ? `${repeat.leftArm}|${repeat.rightArm} palindrome`
+      : `${repeat.leftArm} (${repeat.loop}) ${repeat.rightArm}`;
+    const terminator = repeat.terminator ? ` · terminator? (${repeat.terminator})` : '';
+    return `${hairpin} · GC ${repeat.stemGC}%${terminator}`;
+  }
+  if (repeat.type === repeatUtils.REPEAT_TYPES.DIRECT) {
+    return `${repeat.unit} · copy 2 at ${repeat.ranges[1].start}-${repeat.ranges[1].end}`;
+  }
+  return `(${repeat.unit})${repeat.copies}`;
+};
+
+/**
+ * Repeat finder over every record of the current input: microsatellites,
+ * tandem, direct and inverted repeats (hairpin / terminator candidates)
+ * records: [{ id, sequence (DNA) }]
+ * onRepeats: called with the repeat list after each search (used for viewer highlights)
+ */
+const RepeatFinder = ({ records, onRepeats }) => {
+  const [types, setTypes] = useState(repeatUtils.REPEAT_DEFAULTS.types);
+  const [minCopies, setMinCopies] = useState('');
+  const [tandemMaxPeriod, setTandemMaxPeriod] = useState(repeatUtils.REPEAT_DEFAULTS.tandemMaxPeriod);
+  const [directMinLength, setDirectMinLength] = useState(repeatUtils.REPEAT_DEFAULTS.directMinLength);
+  const [stemMinLength, setStemMinLength] = useState(repeatUtils.REPEAT_DEFAULTS.stemMinLength);
+  const [stemMinGC, setStemMinGC] = useState(repeatUtils.REPEAT_DEFAULTS.stemMinGC);
+  const [loopMaxLength, setLoopMaxLength] = useState(repeatUtils.REPEAT_DEFAULTS.loopMaxLength);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [searching, setSearching] = useState(false);
+  const task = useRef(null);
+
+  //Cancela a busca em andamento ao desmontar
+  useEffect(() => () => {
+    if (task.current) task.current.cancel();
+  }, []);
+
+  //Resultados antigos deixam de valer quando a entrada muda
+  useEffect(() => {
+    if (task.current) task.current.cancel();
+    task.current = null;
+    setResult(null);
+    setError('');
+    setSearching(false);
+  }, [records]);
+
+  const repeats = result ? result.repeats : [];
+  const repeatWindow = useVirtualWindow(repeats.length, ROW_HEIGHT, 256);
+
+  const toggleType = (type, checked) => {
+    setTypes(prev => (checked ? [...prev, type] : prev.filter(item => item !== type)));
+  };
+
+  const handleSearch = () => {
+    if (task.current) task.current.cancel();
+    setError('');
+    setSearching(true);
+
+    //Sem valor: mínimos do MISA para cada tamanho de unidade
+    const options = { types, tandemMaxPeriod, directMinLength, stemMinLength, stemMinGC, loopMaxLength };
+    if (minCopies !== '') options.minCopies = Number(minCopies);
+
+    const current = analysisClient.runAnalysisTask('repeats', {
+      records: records.map(record => ({ id: record.id, sequence: record.sequence })),
+      options
+    });
+    task.current = current;
+
+    current.promise
+      .then(found => {
+        setResult(found);
+        onRepeats(found.repeats);
+      })
+      .catch(err => {
+        if (err.cancelled) return;
+        setError(err.message);
+        setResult(null);
+        onRepeats([]);
+      })
+      .finally(() => {
+        if (task.current === current) {
+          task.current = null;
+          setSearching(false);
+        }
+      });
+  };
+
+  const counts = repeats.reduce((acc, repeat) => {
+    acc[repeat.type] = (acc[repeat.type] || 0) + 1;
+    return acc;
+  }, {});
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        {Object.values(repeatUtils.REPEAT_TYPES).map(type => (
+          <label key={type} className="flex items-center gap-2">
+            <input type="checkbox" checked={types.includes(type)} onChange={(e) => toggleType(type, e.target.checked)} />
+            {TYPE_LABELS[type]}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          SSR min copies
+          <input
+            type="number"
+            min="2"
+            max="50"
+            value={minCopies}
+            placeholder="MISA"
+            onChange={(e) => setMinCopies(e.target.value === '' ? '' : Math.min(50, Math.max(2, Number(e.target.value) || 2)))}
+            className="w-20 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Max tandem period
+          <input
+            type="number"
+            min="7"
+            max="500"
+            value={tandemMaxPeriod}
+            onChange={(e) => setTandemMaxPeriod(Math.min(500, Math.max(7, Number(e.target.value) || 7)))}
+            className="w-20 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Min direct repeat
+          <input
+            type="number"
+            min="8"
+            max="1000"
+            value={directMinLength}
+            onChange={(e) => setDirectMinLength(Math.min(1000, Math.max(8, Number(e.target.value) || 8)))}
+            className="w-20 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Min stem
+          <input
+            type="number"
+            min="4"
+            max="50"
+            value={stemMinLength}
+            onChange={(e) => setStemMinLength(Math.min(50, Math.max(4, Number(e.target.value) || 4)))}
+            className="w-16 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Min stem GC %
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={stemMinGC}
+            onChange={(e) => setStemMinGC(Math.min(100, Math.max(0, Number(e.target.value) || 0)))}
+            className="w-16 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <label className="flex items-center gap-2">
+          Max loop
+          <input
+            type="number"
+            min={repeatUtils.REPEAT_DEFAULTS.loopMinLength}
+            max="100"
+            value={loopMaxLength}
+            onChange={(e) => setLoopMaxLength(Math.min(100, Math.max(repeatUtils.REPEAT_DEFAULTS.loopMinLength, Number(e.target.value) || 0)))}
+            className="w-16 p-1 border border-gray-300 rounded"
+          />
+        </label>
+        <button
+          onClick={handleSearch}
+          disabled={types.length === 0}
+          className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 text-white px-3 py-1 rounded-lg"
+        >
+          {searching ? 'Searching...' : 'Find Repeats'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>
+      )}
+
+      {result && (
+        <div>
+          <div className="flex flex-wrap gap-3 text-sm text-gray-700 mb-1">
+            <span>{repeats.length} repeat(s){result.truncated && ' (limit reached, search stopped)'}</span>
+            {Object.entries(counts).map(([type, count]) => (
+              <span key={type} className={TYPE_STYLES[type]}>{TYPE_LABELS[type]}: {count}</span>
+            ))}
+          </div>
+          {result.skipped.length > 0 && (
+            <div className="text-xs text-amber-700 mb-1">
+              Direct repeats not searched in {result.skipped.join(', ')} (longer than{' '}
+              {repeatUtils.REPEAT_DEFAULTS.directMaxLength.toLocaleString()} bp)
+            </div>
+          )}
+          {repeats.length > 0 && (
+            <div className="bg-gray-50 p-3 rounded max-h-64 overflow-y-auto" onScroll={repeatWindow.onScroll}>
+              <table className="w-full text-xs font-mono">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    {records.length > 1 && <th className="pr-2">Record</th>}
+                    <th className="pr-2">Type</th>
+                    <th className="pr-2">Start</th>
+                    <th className="pr-2">End</th>
+                    <th className="pr-2" title="Unit length; distance between copies (direct); loop length (inverted)">Period</th>
+                    <th className="pr-2">Copies</th>
+                    <th className="pr-2">Length</th>
+                    <th>Unit / detail</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {repeatWindow.paddingTop > 0 && <tr style={{ height: repeatWindow.paddingTop }} />}
+                  {repeats.slice(repeatWindow.first, repeatWindow.last).map((repeat, offset) => (
+                    <tr key={repeatWindow.first + offset} style={{ height: ROW_HEIGHT }}>
+                      {records.length > 1 && <td className="pr-2 text-indigo-600">{repeat.recordId}</td>}
+                      <td className={`pr-2 ${TYPE_STYLES[repeat.type]}`}>{repeat.type}</td>
+                      <td className="pr-2">{repeat.start}</td>
+                      <td className="pr-2">{repeat.end}</td>
+                      <td className="pr-2">{repeat.period}</td>
+                      <td className="pr-2">{repeat.copies}</td>
+                      <td className="pr-2">{repeat.length}</td>
+                      <td className="truncate max-w-xs" title={repeatDetail(repeat)}>{repeatDetail(repeat)}</td>
+                    </tr>
+                  ))}
+                  {repeatWindow.paddingBottom > 0 && <tr style={{ height: repeatWindow.paddingBottom }} />}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Perfect repeats only. SSR minimum copies default to MISA (10 / 6 / 5 / 5 / 5 / 5 for 1-6 bp units);
+        terminator candidates are GC-rich hairpins next to a T-tract (+) or an A-tract (−).
+      </p>
+    </div>
+  );
+};
+
+export default RepeatFinder;
@@ -0,0 +1,180 @@
+import React, { useMemo, useState } from 'react';
+import * as restrictionUtils from '../restrictionUtils';
+
+const MAP_WIDTH = 600;
+const GEL_HEIGHT = 260;
+
+//Posição vertical da banda: migração proporcional ao log do tamanho
+const bandY = (size, minSize, maxSize) => {
+  const logMin = Math.log10(minSize);
+  const logMax = Math.log10(maxSize);
+  const ratio = (logMax - Math.log10(size)) / (logMax - logMin || 1);
+  return 20 + ratio * (GEL_HEIGHT - 40);
+};
+
+/**
+ * Virtual agarose gel: ladder lane plus one digest lane
+ */
+const GelLane = ({ fragments }) => {
+  const ladder = restrictionUtils.GEL_LADDER;
+  const sizes = fragments.map(fragment => fragment.size).concat(ladder);
+  const minSize = Math.max(50, Math.min(...sizes));
+  const maxSize = Math.max(...sizes);
+
+  return (
+    <svg viewBox={`0 0 200 ${GEL_HEIGHT}`} className="w-48 bg-gray-900 rounded">
+      <text x="50" y="12" fontSize="9" fill="#d1d5db" textAnchor="middle">Ladder</text>
+      <text x="140" y="12" fontSize="9" fill="#d1d5db" textAnchor="middle">Digest</text>
+      {ladder.map(size => (
+        <g key={`ladder-${size}`}>
+          <rect x="30" y={bandY(size, minSize, maxSize)} width="40" height="2" fill="#e5e7eb" />
+          <text x="26" y={bandY(size, minSize, maxSize) + 3} fontSize="7" fill="#9ca3af" textAnchor="end">{size}</text>
+        </g>
+      ))}
+      {fragments.map((fragment, idx) => (
+        <rect
+          key={`band-${idx}`}
+          x="115"
+          y={bandY(Math.max(fragment.size, minSize), minSize, maxSize)}
+          width="50"
+          height="3"
+          fill="#fde047"
+        >
+          <title>{fragment.size} bp</title>
+        </rect>
+      ))}
+    </svg>
+  );
+};
+
+/**
+ * Restriction map, site table and virtual digest for one sequence
+ */
+const RestrictionPanel = ({ sequence, circular: initialCircular = false }) => {
+  const [circular, setCircular] = useState(initialCircular);
+  const [showAll, setShowAll] = useState(false);
+  const [digestEnzymes, setDigestEnzymes] = useState([]);
+
+  const map = useMemo(
+    () => restrictionUtils.mapRestrictionSites(sequence, circular),
+    [sequence, circular]
+  );
+  const cutters = map.enzymes.filter(item => item.cutCount > 0);
+  const fragments = useMemo(
+    () => (digestEnzymes.length > 0 ? restrictionUtils.digest(sequence, digestEnzymes, circular) : []),
+    [sequence, digestEnzymes, circular]
+  );
+
+  //Enzimas com poucos cortes aparecem no mapa; as demais só na tabela
+  const mapEnzymes = cutters.filter(item => showAll || item.cutCount <= 2);
+  const scaleX = (position) => 20 + (position / sequence.length) * (MAP_WIDTH - 40);
+
+  const toggleDigestEnzyme = (name) => {
+    setDigestEnzymes(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={circular} onChange={(e) => setCircular(e.target.checked)} />
+          Circular sequence
+        </label>
+        <label className="flex items-center gap-2">
+          <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+          Show frequent cutters on map
+        </label>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-2 text-xs">
+        {[
+          { label: 'Single cutters', names: map.singleCutters, color: 'text-green-700' },
+          { label: 'Double cutters', names: map.doubleCutters, color: 'text-blue-700' },
+          { label: 'Non-cutters', names: map.nonCutters, color: 'text-gray-500' }
+        ].map(group => (
+          <div key={group.label} className="bg-gray-50 p-2 rounded">
+            <div className="font-semibold text-gray-700">{group.label} ({group.names.length})</div>
+            <div className={`font-mono ${group.color}`}>{group.names.join(', ') || '-'}</div>
+          </div>
+        ))}
+      </div>
+
+      {/* Map */}
+      <svg viewBox={`0 0 ${MAP_WIDTH} ${60 + mapEnzymes.length * 4}`} className="w-full bg-white rounded border border-gray-200">
+        <line x1="20" x2={MAP_WIDTH - 20} y1="40" y2="40" stroke="#4b5563" strokeWidth="3" />
+        <text x="20" y="55" fontSize="9" fill="#6b7280">1</text>
+        <text x={MAP_WIDTH - 20} y="55" fontSize="9" fill="#6b7280" textAnchor="end">{sequence.length}</text>
+        {mapEnzymes.flatMap((item, enzymeIdx) =>
+          item.sites.map((site, siteIdx) => (
+            <g key={`${item.enzyme.name}-${siteIdx}`}>
+              <line x1={scaleX(site.cut)} x2={scaleX(site.cut)} y1="32" y2="48" stroke="#dc2626" />
+              <text
+                x={scaleX(site.cut)}
+                y={28 - (enzymeIdx % 3) * 9}
+                fontSize="8"
+                fill="#dc2626"
+                textAnchor="middle"
+              >
+                {item.enzyme.name}
+              </text>
+            </g>
+          ))
+        )}
+      </svg>
+
+      {/* Site table */}
+      <div className="bg-gray-50 p-3 rounded max-h-64 overflow-y-auto">
+        <table className="w-full text-xs font-mono">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="pr-2">Digest</th>
+              <th className="pr-2">Enzyme</th>
+              <th className="pr-2">Site</th>
+              <th className="pr-2">Overhang</th>
+              <th>Cuts after base</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cutters.map(item => (
+              <tr key={item.enzyme.name}>
+                <td className="pr-2">
+                  <input
+                    type="checkbox"
+                    checked={digestEnzymes.includes(item.enzyme.name)}
+                    onChange={() => toggleDigestEnzyme(item.enzyme.name)}
+                  />
+                </td>
+                <td className="pr-2 font-bold text-indigo-600">{item.enzyme.name}</td>
+                <td className="pr-2">{item.enzyme.site}</td>
+                <td className="pr-2">
+                  {item.overhang.type === 'blunt' ? 'blunt' : `${item.overhang.type} (${item.overhang.length} nt)`}
+                </td>
+                <td>{item.sites.map(site => site.cut).join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Virtual digest */}
+      {digestEnzymes.length > 0 && (
+        <div className="flex flex-wrap gap-4">
+          <GelLane fragments={fragments} />
+          <div className="text-sm">
+            <div className="font-semibold text-gray-700 mb-1">
+              {digestEnzymes.join(' + ')} digest ({circular ? 'circular' : 'linear'}): {fragments.length} fragment(s)
+            </div>
+            {fragments.map((fragment, idx) => (
+              <div key={idx} className="font-mono text-xs">
+                {fragment.size} bp {fragment.uncut ? '(uncut circle)' : `(${fragment.start}-${fragment.end})`}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RestrictionPanel;
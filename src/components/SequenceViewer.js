@@ -0,0 +1,337 @@
+import React, { useMemo, useState } from 'react';
+import * as bioUtils from '../bioUtils';
+import { useVirtualWindow } from './virtualization';
+
+//Ordem de prioridade: a primeira anotação que cobre a base define a cor
+const ANNOTATION_STYLES = {
+  selection: { className: 'bg-indigo-300', label: 'Selection' },
+  stop: { className: 'bg-red-200 text-red-900', label: 'Stop codon' },
+  start: { className: 'bg-green-200 text-green-900', label: 'Start codon' },
+  motif: { className: 'bg-yellow-200', label: 'Motif' },
+  repeat: { className: 'bg-pink-100', label: 'Repeat' },
+  orf: { className: 'bg-indigo-100', label: 'ORF' },
+  feature: { className: 'bg-sky-100', label: 'Feature' },
+  exon: { className: 'bg-amber-100', label: 'Exon' }
+};
+const STYLE_ORDER = Object.keys(ANNOTATION_STYLES);
+
+const FRAMES = [1, 2, 3, -1, -2, -3];
+const LINE_WIDTHS = [30, 60, 90, 120];
+
+//Altura fixa das linhas para a virtualização (px)
+const ROW_HEIGHT = 16;
+const BLOCK_GAP = 8;
+const VIEWPORT_HEIGHT = 384;
+const SELECTION_PREVIEW = 1000;
+
+/**
+ * One reading frame: its full translation plus start/stop codons, with codon
+ * starts as 0-based coordinates of the displayed strand
+ * Negative frames are read on the reverse complement, as in findORFs
+ */
+const getFrameData = (sequence, frame, tableId) => {
+  const offset = Math.abs(frame) - 1;
+  const strand = frame > 0 ? sequence : bioUtils.getReverseComplement(sequence);
+  const rna = bioUtils.transcribe(strand.substring(offset));
+  const toDisplayed = (position) => {
+    //position: 1-based first base of the codon in rna
+    const start = position - 1 + offset;
+    return frame > 0 ? start : sequence.length - start - 3;
+  };
+
+  const aminoAcids = [];
+  for (let i = 0; i + 3 <= rna.length; i += 3) {
+    aminoAcids.push(bioUtils.translateCodon(rna.substring(i, i + 3), tableId) || 'X');
+  }
+
+  return {
+    offset,
+    protein: aminoAcids.join(''),
+    stops: bioUtils.findStopCodons(rna, tableId).map(stop => toDisplayed(stop.position)),
+    starts: bioUtils.findStartCodons(rna, tableId).map(start => toDisplayed(start.position))
+  };
+};
+
+/**
+ * Translation track for one line: each amino acid sits under the middle base of its codon
+ */
+const buildTranslationLine = (frameData, frame, sequenceLength, lineStart, lineEnd) => {
+  const chars = [];
+  for (let p = lineStart; p < lineEnd; p++) {
+    //Índice do códon cuja base central é p (0-based)
+    const k = frame > 0 ? p - 1 - frameData.offset : sequenceLength - frameData.offset - 2 - p;
+    chars.push(k >= 0 && k % 3 === 0 && k / 3 < frameData.protein.length ? frameData.protein[k / 3] : ' ');
+  }
+  return chars.join('');
+};
+
+/**
+ * Ruler text for one line: position numbers every 10 bases, right-aligned on their base
+ */
+const buildRuler = (lineStart, length) => {
+  const chars = new Array(length).fill(' ');
+  for (let col = 0; col < length; col++) {
+    const position = lineStart + col + 1;
+    if (position % 10 === 0) {
+      const label = String(position);
+      for (let k = 0; k < label.length && col - k >= 0; k++) {
+        chars[col - k] = label[label.length - 1 - k];
+      }
+    }
+  }
+  return chars.join('');
+};
+
+/**
+ * Extra per-residue track for one line, split in runs of the same character
+ * so each character can have its own color
+ */
+const renderTrackLine = (track, lineStart, lineEnd) => {
+  const runs = [];
+  let runStart = lineStart;
+  for (let i = lineStart + 1; i <= lineEnd; i++) {
+    if (i === lineEnd || track.text[i] !== track.text[runStart]) {
+      const char = track.text[runStart] || ' ';
+      runs.push(
+        <span key={runStart} className={(track.styles && track.styles[char]) || undefined}>
+          {track.text.substring(runStart, i).padEnd(i - runStart)}
+        </span>
+      );
+      runStart = i;
+    }
+  }
+  return runs;
+};
+
+/**
+ * Sequence viewer with rulers, fixed-width lines, translation track and highlights
+ * annotations: [{ start, end (1-based, inclusive), type: 'orf' | 'motif' | 'feature' | 'exon' }]
+ *   end < start marks a range crossing the origin of a circular sequence
+ * alphabet: 'nucleotide' (GC of the selection) or 'protein'
+ * translate: reading frame track and start/stop highlights (DNA 5' to 3' only)
+ * tracks: extra rows under the sequence, [{ label, text (one character per residue),
+ *   styles ({ character: className }, optional) }]
+ */
+const SequenceViewer = ({
+  sequence,
+  tableId = bioUtils.DEFAULT_GENETIC_CODE,
+  annotations = [],
+  alphabet = 'nucleotide',
+  translate = false,
+  defaultFrame = 1,
+  tracks = [],
+  className = 'bg-gray-50'
+}) => {
+  const [lineWidth, setLineWidth] = useState(60);
+  const [frame, setFrame] = useState(defaultFrame);
+  const [translationOn, setTranslationOn] = useState(translate);
+  const [selection, setSelection] = useState(null);
+  const [anchor, setAnchor] = useState(null);
+
+  const isNucleotide = alphabet === 'nucleotide';
+
+  const frameData = useMemo(
+    () => (translate ? getFrameData(sequence, frame, tableId) : null),
+    [translate, sequence, frame, tableId]
+  );
+  const showTrack = frameData !== null && translationOn;
+
+  //Estilo de cada base (índice em STYLE_ORDER, -1 sem destaque)
+  const baseStyles = useMemo(() => {
+    const styles = new Int8Array(sequence.length).fill(-1);
+    const paint = (start, end, type) => {
+      const styleIndex = STYLE_ORDER.indexOf(type);
+      for (let i = Math.max(0, start); i < Math.min(sequence.length, end); i++) {
+        if (styles[i] === -1 || styleIndex < styles[i]) styles[i] = styleIndex;
+      }
+    };
+
+    annotations.forEach(annotation => {
+      //Faixas que cruzam a origem (sequência circular) pintam o fim e o começo
+      if (annotation.end < annotation.start) {
+        paint(annotation.start - 1, sequence.length, annotation.type);
+        paint(0, annotation.end, annotation.type);
+      } else {
+        paint(annotation.start - 1, annotation.end, annotation.type);
+      }
+    });
+    if (frameData) {
+      frameData.starts.forEach(start => paint(start, start + 3, 'start'));
+      frameData.stops.forEach(stop => paint(stop, stop + 3, 'stop'));
+    }
+    return styles;
+  }, [sequence.length, annotations, frameData]);
+
+  const selectionInfo = useMemo(() => {
+    if (!selection) return null;
+    const text = sequence.substring(selection.start - 1, selection.end);
+    const info = { ...selection, length: text.length, text };
+
+    if (isNucleotide) {
+      info.gcContent = bioUtils.calculateGC(text);
+    }
+    if (translate) {
+      //Tradução da seleção no sentido do quadro de leitura escolhido
+      const rna = bioUtils.transcribe(frame > 0 ? text : bioUtils.getReverseComplement(text));
+      let protein = '';
+      for (let i = 0; i + 3 <= rna.length; i += 3) {
+        protein += bioUtils.translateCodon(rna.substring(i, i + 3), tableId) || 'X';
+      }
+      info.translation = protein;
+    }
+    return info;
+  }, [selection, sequence, isNucleotide, translate, frame, tableId]);
+
+  const preview = (text) => (text.length > SELECTION_PREVIEW ? `${text.substring(0, SELECTION_PREVIEW)}...` : text);
+
+  const positionFromEvent = (e) => {
+    const position = Number(e.target.dataset.pos);
+    return Number.isInteger(position) && position > 0 ? position : null;
+  };
+
+  const handleMouseDown = (e) => {
+    const position = positionFromEvent(e);
+    if (position === null) return;
+    e.preventDefault();
+    if (e.shiftKey && selection) {
+      setSelection({ start: Math.min(selection.start, position), end: Math.max(selection.end, position) });
+      return;
+    }
+    setAnchor(position);
+    setSelection({ start: position, end: position });
+  };
+
+  const handleMouseOver = (e) => {
+    if (anchor === null) return;
+    const position = positionFromEvent(e);
+    if (position === null) return;
+    setSelection({ start: Math.min(anchor, position), end: Math.max(anchor, position) });
+  };
+
+  //Só as linhas visíveis são renderizadas
+  const labelWidth = Math.max(String(sequence.length).length, ...tracks.map(track => track.label.length));
+  const lineCount = Math.ceil(sequence.length / lineWidth);
+  const blockHeight = (2 + (showTrack ? 1 : 0) + tracks.length) * ROW_HEIGHT + BLOCK_GAP;
+  const viewport = useVirtualWindow(lineCount, blockHeight, VIEWPORT_HEIGHT);
+  const lines = [];
+  for (let line = viewport.first; line < viewport.last; line++) {
+    lines.push(line * lineWidth);
+  }
+
+  const renderBases = (lineStart) => {
+    const lineEnd = Math.min(sequence.length, lineStart + lineWidth);
+    const bases = [];
+    for (let i = lineStart; i < lineEnd; i++) {
+      const selected = selection && i + 1 >= selection.start && i + 1 <= selection.end;
+      const style = selected ? ANNOTATION_STYLES.selection : ANNOTATION_STYLES[STYLE_ORDER[baseStyles[i]]];
+      bases.push(
+        <span key={i} data-pos={i + 1} className={style ? style.className : undefined}>
+          {sequence[i]}
+        </span>
+      );
+    }
+    return bases;
+  };
+
+  const legend = STYLE_ORDER.filter(type =>
+    type !== 'selection' && (
+      (translate && (type === 'start' || type === 'stop')) ||
+      annotations.some(annotation => annotation.type === type)
+    )
+  );
+
+  if (!sequence) return null;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-700">
+        <label className="flex items-center gap-1">
+          Line width
+          <select value={lineWidth} onChange={(e) => setLineWidth(Number(e.target.value))} className="p-1 border border-gray-300 rounded">
+            {LINE_WIDTHS.map(width => (
+              <option key={width} value={width}>{width}</option>
+            ))}
+          </select>
+        </label>
+        {translate && (
+          <>
+            <label className="flex items-center gap-1">
+              <input type="checkbox" checked={translationOn} onChange={(e) => setTranslationOn(e.target.checked)} />
+              Translation
+            </label>
+            <label className="flex items-center gap-1">
+              Frame
+              <select value={frame} onChange={(e) => setFrame(Number(e.target.value))} className="p-1 border border-gray-300 rounded">
+                {FRAMES.map(value => (
+                  <option key={value} value={value}>{value > 0 ? `+${value}` : value}</option>
+                ))}
+              </select>
+            </label>
+          </>
+        )}
+        {legend.map(type => (
+          <span key={type} className={`px-1 rounded ${ANNOTATION_STYLES[type].className}`}>
+            {ANNOTATION_STYLES[type].label}
+          </span>
+        ))}
+      </div>
+
+      <div
+        className={`${className} px-3 rounded font-mono text-xs overflow-auto select-none cursor-text`}
+        style={{ height: Math.min(VIEWPORT_HEIGHT, lineCount * blockHeight + BLOCK_GAP), lineHeight: `${ROW_HEIGHT}px` }}
+        onScroll={viewport.onScroll}
+        onMouseDown={handleMouseDown}
+        onMouseOver={handleMouseOver}
+        onMouseUp={() => setAnchor(null)}
+        onMouseLeave={() => setAnchor(null)}
+      >
+        <div style={{ paddingTop: viewport.paddingTop + BLOCK_GAP, paddingBottom: viewport.paddingBottom }}>
+          {lines.map(lineStart => {
+            const lineEnd = Math.min(sequence.length, lineStart + lineWidth);
+            return (
+              <div key={lineStart} className="whitespace-pre" style={{ height: blockHeight }}>
+                <div className="text-gray-400">
+                  {''.padStart(labelWidth + 1)}{buildRuler(lineStart, lineEnd - lineStart)}
+                </div>
+                <div>
+                  <span className="text-gray-400">{String(lineStart + 1).padStart(labelWidth)} </span>
+                  {renderBases(lineStart)}
+                </div>
+                {showTrack && (
+                  <div className="text-orange-700">
+                    {''.padStart(labelWidth + 1)}{buildTranslationLine(frameData, frame, sequence.length, lineStart, lineEnd)}
+                  </div>
+                )}
+                {tracks.map(track => (
+                  <div key={track.label}>
+                    <span className="text-gray-400">{track.label.padStart(labelWidth)} </span>
+                    {renderTrackLine(track, lineStart, lineEnd)}
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {selectionInfo && (
+        <div className="bg-white border border-gray-200 rounded p-2 text-xs text-gray-700 space-y-1">
+          <div>
+            Selection: <span className="font-semibold">{selectionInfo.start}-{selectionInfo.end}</span>
+            {' '}({selectionInfo.length} {isNucleotide ? 'nt' : 'aa'})
+            {isNucleotide && <> | GC {selectionInfo.gcContent}%</>}
+            <button onClick={() => setSelection(null)} className="ml-3 text-indigo-600 hover:underline">Clear</button>
+          </div>
+          <div className="font-mono break-all">{preview(selectionInfo.text)}</div>
+          {translate && (
+            <div className="font-mono break-all text-orange-700">
+              Translation ({frame > 0 ? '+' : '-'} strand): {preview(selectionInfo.translation) || '-'}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SequenceViewer;
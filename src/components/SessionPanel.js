@@ -0,0 +1,362 @@
+import React, { useEffect, useState } from 'react';
+import * as sessionUtils from '../sessionUtils';
+import { loadItem, saveItem, STORE_KEYS } from '../sessionStore';
+import { downloadText } from '../fileUtils';
+import { FORMAT_NAMES } from '../sequenceParsers';
+import { Download, Link, Upload } from 'lucide-react';
+
+//Espera antes de salvar, para não gravar a cada tecla nas notas
+const SAVE_DELAY = 400;
+
+/**
+ * History of recent analyses and projects, loaded from and saved to browser storage
+ * @returns {Object} - { history, projects, storageError, addHistory, removeHistory,
+ *   clearHistory, setProjects, importWorkspace }
+ */
+export const useWorkspace = () => {
+  const [history, setHistory] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [loaded, setLoaded] = useState(false);
+  const [storageError, setStorageError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+    Promise.all([loadItem(STORE_KEYS.HISTORY), loadItem(STORE_KEYS.PROJECTS)])
+      .then(([storedHistory, storedProjects]) => {
+        if (!active) return;
+        //Valores guardados podem ser de versões antigas ou editados à mão: passam pela mesma checagem da importação
+        //Análises feitas antes de terminar a leitura (ex.: link compartilhado) ficam no topo
+        setHistory(prev => prev.reduceRight(
+          (list, entry) => sessionUtils.addToHistory(list, entry),
+          sessionUtils.normalizeHistory(storedHistory)
+        ));
+        setProjects(prev => [...sessionUtils.normalizeProjects(storedProjects), ...prev]);
+      })
+      .catch(err => {
+        if (active) setStorageError(`Could not read saved sessions: ${err.message}`);
+      })
+      .finally(() => {
+        if (active) setLoaded(true);
+      });
+    return () => { active = false; };
+  }, []);
+
+  //Só salva depois de carregar, para não sobrescrever o que está guardado com listas vazias
+  useEffect(() => {
+    if (!loaded) return undefined;
+    const timer = setTimeout(() => {
+      Promise.all([saveItem(STORE_KEYS.HISTORY, history), saveItem(STORE_KEYS.PROJECTS, projects)])
+        .then(() => setStorageError(''))
+        .catch(err => setStorageError(`Could not save sessions: ${err.message}`));
+    }, SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [history, projects, loaded]);
+
+  return {
+    history,
+    projects,
+    storageError,
+    addHistory: (entry) => setHistory(prev => sessionUtils.addToHistory(prev, entry)),
+    removeHistory: (id) => setHistory(prev => prev.filter(entry => entry.id !== id)),
+    clearHistory: () => setHistory([]),
+    setProjects,
+    importWorkspace: (imported) => {
+      const merged = sessionUtils.mergeWorkspace({ history, projects }, imported);
+      setHistory(merged.history);
+      setProjects(merged.projects);
+    }
+  };
+};
+
+//Resumo das opções de uma sessão
+const describeSession = (session) => {
+  const size = session.input.length.toLocaleString();
+  return `${size} chars, table ${session.geneticCode}, ${session.strand} strand`;
+};
+
+const formatDate = (date) => new Date(date).toLocaleString();
+
+/**
+ * Share links, history of recent analyses, projects and the workspace file
+ * workspace: from useWorkspace; getSession: returns the current input and options;
+ * onLoad: called with a session to restore and convert
+ */
+const SessionPanel = ({ workspace, getSession, onLoad }) => {
+  const [shareURL, setShareURL] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [selectedId, setSelectedId] = useState('');
+  const [newProjectName, setNewProjectName] = useState('');
+  const [itemName, setItemName] = useState('');
+
+  const { history, projects, setProjects } = workspace;
+  const project = projects.find(item => item.id === selectedId) || null;
+
+  const report = (text, isError = false) => {
+    setMessage(isError ? '' : text);
+    setError(isError ? text : '');
+  };
+
+  const handleShare = async () => {
+    try {
+      const base = `${window.location.origin}${window.location.pathname}${window.location.search}`;
+      const url = await sessionUtils.createShareURL(getSession(), base);
+      window.history.replaceState(null, '', url);
+      setShareURL(url);
+      try {
+        await navigator.clipboard.writeText(url);
+        report('Link copied to the clipboard');
+      } catch (err) {
+        report('Copy the link below');
+      }
+    } catch (err) {
+      setShareURL('');
+      report(err.message, true);
+    }
+  };
+
+  //Atualiza um projeto e a data de modificação
+  const updateProject = (id, changes) => {
+    setProjects(prev => prev.map(item => (
+      item.id === id ? { ...item, ...changes(item), updated: new Date().toISOString() } : item
+    )));
+  };
+
+  const handleCreateProject = () => {
+    const created = sessionUtils.createProject(newProjectName);
+    setProjects(prev => [...prev, created]);
+    setSelectedId(created.id);
+    setNewProjectName('');
+    report(`Project "${created.name}" created`);
+  };
+
+  const handleDeleteProject = () => {
+    if (!project || !window.confirm(`Delete the project "${project.name}" and its ${project.items.length} sequence(s)?`)) return;
+    setProjects(prev => prev.filter(item => item.id !== project.id));
+    setSelectedId('');
+  };
+
+  const addToProject = (session, name) => {
+    if (!project) return;
+    if (!session.input.trim()) {
+      report('Enter a sequence before adding it to a project', true);
+      return;
+    }
+    const item = sessionUtils.createProjectItem(session, name);
+    updateProject(project.id, current => ({ items: [...current.items, item] }));
+    setItemName('');
+    report(`"${item.name}" added to ${project.name}`);
+  };
+
+  const updateItem = (itemId, changes) => {
+    updateProject(project.id, current => ({
+      items: current.items.map(item => (item.id === itemId ? { ...item, ...changes } : item))
+    }));
+  };
+
+  const removeItem = (itemId) => {
+    updateProject(project.id, current => ({ items: current.items.filter(item => item.id !== itemId) }));
+  };
+
+  const handleExport = () => {
+    const data = sessionUtils.exportWorkspace(history, projects);
+    const date = new Date().toISOString().substring(0, 10);
+    downloadText(`dna-converter-workspace-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+  };
+
+  const handleImport = async (file) => {
+    if (!file) return;
+    try {
+      const imported = sessionUtils.parseWorkspace(await file.text());
+      workspace.importWorkspace(imported);
+      report(`Imported ${imported.history.length} history entries and ${imported.projects.length} project(s) from ${file.name}`);
+    } catch (err) {
+      report(`Could not import ${file.name}: ${err.message}`, true);
+    }
+  };
+
+  return (
+    <div className="space-y-4 text-sm text-gray-700">
+      {/* Share Link and Workspace File */}
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={handleShare}
+          className="inline-flex items-center gap-1 bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg"
+        >
+          <Link size={14} />
+          Copy Share Link
+        </button>
+        <button
+          onClick={handleExport}
+          className="inline-flex items-center gap-1 bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded-lg"
+        >
+          <Download size={14} />
+          Export workspace
+        </button>
+        <label className="inline-flex items-center gap-1 cursor-pointer bg-indigo-50 hover:bg-indigo-100 text-indigo-700 px-3 py-1 rounded-lg">
+          <Upload size={14} />
+          Import workspace
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={(e) => {
+              handleImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {shareURL && (
+        <input
+          type="text"
+          readOnly
+          value={shareURL}
+          onFocus={(e) => e.target.select()}
+          className="w-full p-1 border border-gray-300 rounded font-mono text-xs"
+        />
+      )}
+      {message && <div className="text-xs text-green-700">{message}</div>}
+      {(error || workspace.storageError) && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error || workspace.storageError}</div>
+      )}
+
+      {/* Recent Analyses */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-sm font-semibold text-gray-700">Recent Analyses ({history.length})</h3>
+          {history.length > 0 && (
+            <button onClick={workspace.clearHistory} className="text-xs text-red-600 hover:underline">
+              Clear history
+            </button>
+          )}
+        </div>
+        {history.length === 0 ? (
+          <div className="bg-gray-50 p-3 rounded text-gray-600">
+            Converted inputs are listed here (stored only in this browser)
+          </div>
+        ) : (
+          <ul className="bg-gray-50 p-3 rounded max-h-56 overflow-y-auto space-y-1">
+            {history.map(entry => (
+              <li key={entry.id} className="flex flex-wrap items-center gap-2 text-xs">
+                <span className="text-gray-500">{formatDate(entry.date)}</span>
+                <span className="font-mono font-semibold">{entry.title}</span>
+                <span className="text-gray-500">
+                  {FORMAT_NAMES[entry.summary.format] || entry.summary.format}, {entry.summary.records} record(s),{' '}
+                  {entry.summary.length.toLocaleString()} bp
+                </span>
+                <span className="ml-auto flex gap-2">
+                  <button onClick={() => onLoad(entry.session)} className="text-indigo-600 hover:underline">Load</button>
+                  {project && (
+                    <button onClick={() => addToProject(entry.session, entry.title)} className="text-indigo-600 hover:underline">
+                      Add to project
+                    </button>
+                  )}
+                  <button onClick={() => workspace.removeHistory(entry.id)} className="text-gray-500 hover:underline">Remove</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {/* Projects */}
+      <div>
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Projects</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+            className="p-1 border border-gray-300 rounded max-w-xs"
+          >
+            <option value="">{projects.length > 0 ? 'Select a project' : 'No projects yet'}</option>
+            {projects.map(item => (
+              <option key={item.id} value={item.id}>{item.name} ({item.items.length})</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={newProjectName}
+            onChange={(e) => setNewProjectName(e.target.value)}
+            placeholder="New project name"
+            className="p-1 border border-gray-300 rounded"
+          />
+          <button onClick={handleCreateProject} className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded-lg">
+            Create
+          </button>
+        </div>
+
+        {project && (
+          <div className="mt-3 space-y-3 border-t border-gray-200 pt-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={project.name}
+                onChange={(e) => updateProject(project.id, () => ({ name: e.target.value }))}
+                className="flex-1 p-1 border border-gray-300 rounded font-semibold"
+              />
+              <span className="text-xs text-gray-500">Updated {formatDate(project.updated)}</span>
+              <button onClick={handleDeleteProject} className="text-xs text-red-600 hover:underline">Delete project</button>
+            </div>
+            <textarea
+              value={project.notes}
+              onChange={(e) => updateProject(project.id, () => ({ notes: e.target.value }))}
+              placeholder="Project notes"
+              className="w-full h-20 p-2 border border-gray-300 rounded"
+            />
+
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="text"
+                value={itemName}
+                onChange={(e) => setItemName(e.target.value)}
+                placeholder="Name (default: first record id)"
+                className="flex-1 p-1 border border-gray-300 rounded"
+              />
+              <button
+                onClick={() => addToProject(getSession(), itemName)}
+                className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg"
+              >
+                Add current input
+              </button>
+            </div>
+
+            {project.items.length === 0 ? (
+              <div className="bg-gray-50 p-3 rounded text-gray-600">No sequences in this project yet</div>
+            ) : (
+              <ul className="space-y-2">
+                {project.items.map(item => (
+                  <li key={item.id} className="bg-gray-50 p-2 rounded space-y-1">
+                    <div className="flex flex-wrap items-center gap-2 text-xs">
+                      <input
+                        type="text"
+                        value={item.name}
+                        onChange={(e) => updateItem(item.id, { name: e.target.value })}
+                        className="p-1 border border-gray-300 rounded font-mono font-semibold"
+                      />
+                      <span className="text-gray-500">{describeSession(item.session)}</span>
+                      <span className="ml-auto flex gap-2">
+                        <button onClick={() => onLoad(item.session)} className="text-indigo-600 hover:underline">Load</button>
+                        <button onClick={() => removeItem(item.id)} className="text-gray-500 hover:underline">Remove</button>
+                      </span>
+                    </div>
+                    <input
+                      type="text"
+                      value={item.notes}
+                      onChange={(e) => updateItem(item.id, { notes: e.target.value })}
+                      placeholder="Notes"
+                      className="w-full p-1 border border-gray-300 rounded text-xs"
+                    />
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SessionPanel;
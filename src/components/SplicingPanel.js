@@ -0,0 +1,304 @@
+import React, { useMemo, useState } from 'react';
+import * as spliceUtils from '../spliceUtils';
+import SequenceViewer from './SequenceViewer';
+
+//Rótulo de uma feature CDS no seletor
+const cdsLabel = (feature) => {
+  const name = feature.qualifiers.gene || feature.qualifiers.product || feature.qualifiers.locus_tag || 'CDS';
+  return `${name} - ${feature.location}`;
+};
+
+/**
+ * Exon/intron model: splices exon coordinates (typed or from GenBank/EMBL CDS
+ * features) into the CDS and translates it; suggests GT-AG introns
+ */
+const SplicingPanel = ({ sequence, features = [], tableId }) => {
+  const cdsFeatures = useMemo(
+    () => features.filter(feature => feature.type === 'CDS'),
+    [features]
+  );
+  const [location, setLocation] = useState(cdsFeatures.length > 0 ? cdsFeatures[0].location : '');
+  const [codonStart, setCodonStart] = useState(
+    cdsFeatures.length > 0 ? Number(cdsFeatures[0].qualifiers.codon_start) || 1 : 1
+  );
+  const [source, setSource] = useState(cdsFeatures.length > 0 ? 0 : -1);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [intronSettings, setIntronSettings] = useState({ ...spliceUtils.SPLICE_DEFAULTS });
+  const [introns, setIntrons] = useState(null);
+
+  const selectSource = (value) => {
+    const index = Number(value);
+    setSource(index);
+    setResult(null);
+    if (index >= 0) {
+      setLocation(cdsFeatures[index].location);
+      setCodonStart(Number(cdsFeatures[index].qualifiers.codon_start) || 1);
+    }
+  };
+
+  const handleSplice = () => {
+    setError('');
+    try {
+      setResult(spliceUtils.spliceExons(sequence, location, { tableId, codonStart }));
+    } catch (err) {
+      setError(err.message);
+      setResult(null);
+    }
+  };
+
+  const handlePredict = () => {
+    setIntrons(spliceUtils.predictIntrons(sequence, intronSettings));
+  };
+
+  const applyIntrons = () => {
+    setSource(-1);
+    setCodonStart(1);
+    setLocation(spliceUtils.intronsToLocation(introns, sequence.length));
+    setResult(null);
+  };
+
+  //Éxons alternados destacados no CDS para mostrar as junções
+  const exonAnnotations = useMemo(() => {
+    if (!result) return [];
+    const offset = result.codonStart - 1;
+    return result.exons
+      .filter(exon => exon.number % 2 === 1)
+      .map(exon => ({ start: exon.cdsStart - offset, end: exon.cdsEnd - offset, type: 'exon' }));
+  }, [result]);
+
+  const expectedTranslation = source >= 0 ? cdsFeatures[source].qualifiers.translation : null;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-gray-700">
+        {cdsFeatures.length > 0 && (
+          <select
+            value={source}
+            onChange={(e) => selectSource(e.target.value)}
+            className="p-1 border border-gray-300 rounded max-w-xs"
+          >
+            {cdsFeatures.map((feature, idx) => (
+              <option key={idx} value={idx}>{cdsLabel(feature)}</option>
+            ))}
+            <option value={-1}>Custom exon coordinates</option>
+          </select>
+        )}
+        <input
+          type="text"
+          value={location}
+          onChange={(e) => { setLocation(e.target.value); setSource(-1); }}
+          placeholder="join(1..120,300..450)"
+          className="flex-1 min-w-[14rem] p-1 border border-gray-300 rounded font-mono"
+        />
+        <label className="flex items-center gap-2">
+          Codon start
+          <select
+            value={codonStart}
+            onChange={(e) => setCodonStart(Number(e.target.value))}
+            className="p-1 border border-gray-300 rounded"
+          >
+            {[1, 2, 3].map(value => <option key={value} value={value}>{value}</option>)}
+          </select>
+        </label>
+        <button
+          onClick={handleSplice}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg"
+        >
+          Splice &amp; Translate
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>
+      )}
+
+      {result && (
+        <div className="space-y-4">
+          {result.warnings.length > 0 && (
+            <div className="p-2 bg-yellow-50 border border-yellow-200 rounded text-yellow-800 text-sm">
+              {result.warnings.map((warning, idx) => <div key={idx}>{warning}</div>)}
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">
+              Exons ({result.strand === 1 ? '+' : '-'} strand, {result.cds.length} bp CDS)
+            </h3>
+            <table className="w-full text-xs font-mono">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="pr-2">#</th>
+                  <th className="pr-2">Start</th>
+                  <th className="pr-2">End</th>
+                  <th className="pr-2">Length</th>
+                  <th className="pr-2">CDS</th>
+                  <th className="pr-2">Phase</th>
+                  <th>End phase</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.exons.map(exon => (
+                  <tr key={exon.number}>
+                    <td className="pr-2">{exon.number}</td>
+                    <td className="pr-2">{exon.start}</td>
+                    <td className="pr-2">{exon.end}</td>
+                    <td className="pr-2">{exon.length}</td>
+                    <td className="pr-2">{exon.cdsStart}-{exon.cdsEnd}</td>
+                    <td className="pr-2">{exon.phase}</td>
+                    <td>{exon.endPhase}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {result.introns.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Introns</h3>
+              <table className="w-full text-xs font-mono">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="pr-2">#</th>
+                    <th className="pr-2">Start</th>
+                    <th className="pr-2">End</th>
+                    <th className="pr-2">Length</th>
+                    <th className="pr-2">Phase</th>
+                    <th>Splice sites</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.introns.map(intron => (
+                    <tr key={intron.number}>
+                      <td className="pr-2">{intron.number}</td>
+                      <td className="pr-2">{intron.start}</td>
+                      <td className="pr-2">{intron.end}</td>
+                      <td className="pr-2">{intron.length}</td>
+                      <td className="pr-2">{result.exons[intron.number - 1].endPhase}</td>
+                      <td className={intron.canonical ? 'text-green-700' : 'text-red-600'}>
+                        {intron.donor}-{intron.acceptor}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {result.splitCodons.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Codons Split Across Junctions</h3>
+              <ul className="text-xs font-mono space-y-1">
+                {result.splitCodons.map(split => (
+                  <li key={split.intron}>
+                    Intron {split.intron}: codon {split.codonNumber}{' '}
+                    <span className="text-indigo-600">{split.upstream}</span>|
+                    <span className="text-indigo-600">{split.downstream}</span> ({split.codon} → {split.aminoAcid})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div>
+            <div className="text-sm font-semibold text-gray-600 mb-1">
+              Spliced CDS (odd-numbered exons highlighted)
+            </div>
+            <SequenceViewer
+              key={result.cds}
+              sequence={result.cds}
+              tableId={tableId}
+              annotations={exonAnnotations}
+              translate
+              className="bg-blue-50"
+            />
+          </div>
+
+          <div>
+            <div className="text-sm font-semibold text-gray-600 mb-1">
+              Protein ({result.protein === 'No protein found' ? 0 : result.protein.length} aa)
+              {expectedTranslation && (
+                result.protein === expectedTranslation
+                  ? <span className="ml-2 text-green-700">matches the /translation qualifier</span>
+                  : <span className="ml-2 text-red-600">differs from the /translation qualifier</span>
+              )}
+            </div>
+            <SequenceViewer key={result.protein} sequence={result.protein} alphabet="protein" className="bg-orange-50" />
+          </div>
+        </div>
+      )}
+
+      {/* Splice Site Prediction */}
+      <div className="border-t border-gray-200 pt-3">
+        <h3 className="text-sm font-semibold text-gray-700 mb-2">Guess Introns from GT-AG Splice Sites</h3>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+          {[
+            { name: 'minIntron', label: 'Min intron (bp)', min: 10, step: 1 },
+            { name: 'maxIntron', label: 'Max intron (bp)', min: 10, step: 1 },
+            { name: 'minDonorScore', label: 'Donor score ≥', min: 0, step: 0.05 },
+            { name: 'minAcceptorScore', label: 'Acceptor score ≥', min: 0, step: 0.05 }
+          ].map(field => (
+            <label key={field.name} className="flex items-center gap-2">
+              {field.label}
+              <input
+                type="number"
+                min={field.min}
+                step={field.step}
+                value={intronSettings[field.name]}
+                onChange={(e) => setIntronSettings(prev => ({
+                  ...prev,
+                  [field.name]: Math.max(field.min, Number(e.target.value) || field.min)
+                }))}
+                className="w-20 p-1 border border-gray-300 rounded"
+              />
+            </label>
+          ))}
+          <button
+            onClick={handlePredict}
+            className="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1 rounded-lg"
+          >
+            Find Introns
+          </button>
+        </div>
+
+        {introns && (
+          introns.length > 0 ? (
+            <div className="mt-2 space-y-2">
+              <div className="bg-gray-50 p-3 rounded max-h-48 overflow-y-auto">
+                <table className="w-full text-xs font-mono">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="pr-2">Start</th>
+                      <th className="pr-2">End</th>
+                      <th className="pr-2">Length</th>
+                      <th className="pr-2">Donor score</th>
+                      <th>Acceptor score</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {introns.map(intron => (
+                      <tr key={intron.start}>
+                        <td className="pr-2">{intron.start}</td>
+                        <td className="pr-2">{intron.end}</td>
+                        <td className="pr-2">{intron.length}</td>
+                        <td className="pr-2">{intron.donorScore.toFixed(2)}</td>
+                        <td>{intron.acceptorScore.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <button onClick={applyIntrons} className="text-sm text-indigo-600 hover:underline">
+                Use the remaining regions as exons
+              </button>
+            </div>
+          ) : (
+            <div className="mt-2 bg-gray-50 p-3 rounded text-sm text-gray-600">No GT-AG introns found with these settings</div>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SplicingPanel;
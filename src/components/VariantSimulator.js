@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import * as variantUtils from '../variantUtils';
+
+//Residues per line in the protein comparison
+const LINE_WIDTH = 60;
+
+const EFFECT_STYLES = {
+  [variantUtils.VARIANT_EFFECTS.SYNONYMOUS]: 'bg-green-100 text-green-800',
+  [variantUtils.VARIANT_EFFECTS.NONCODING]: 'bg-gray-100 text-gray-700',
+  [variantUtils.VARIANT_EFFECTS.MISSENSE]: 'bg-yellow-100 text-yellow-800',
+  [variantUtils.VARIANT_EFFECTS.INFRAME_DELETION]: 'bg-yellow-100 text-yellow-800',
+  [variantUtils.VARIANT_EFFECTS.INFRAME_INSERTION]: 'bg-yellow-100 text-yellow-800'
+};
+
+//Agrupa resíduos consecutivos iguais/diferentes em poucos <span>
+const diffSegments = (protein, other) => {
+  const segments = [];
+  for (let i = 0; i < protein.length; i++) {
+    const changed = protein[i] !== other[i];
+    const last = segments[segments.length - 1];
+    if (last && last.changed === changed) {
+      last.text += protein[i];
+    } else {
+      segments.push({ changed, text: protein[i] });
+    }
+  }
+  return segments;
+};
+
+const ProteinLines = ({ title, protein, other }) => {
+  const lines = [];
+  for (let i = 0; i < protein.length; i += LINE_WIDTH) {
+    lines.push(i);
+  }
+
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-gray-700 mb-1">{title} ({protein.length} aa)</h3>
+      <div className="bg-gray-50 p-3 rounded font-mono text-xs max-h-64 overflow-y-auto">
+        {lines.map(start => (
+          <div key={start} className="whitespace-pre">
+            <span className="text-gray-400">{String(start + 1).padStart(6)} </span>
+            {diffSegments(protein.substring(start, start + LINE_WIDTH), other.substring(start, start + LINE_WIDTH)).map((segment, idx) => (
+              <span key={idx} className={segment.changed ? 'bg-red-200 text-red-900' : ''}>{segment.text}</span>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Applies HGVS-like variants to the input and compares original and mutant proteins
+ */
+const VariantSimulator = ({ sequence, strand, tableId }) => {
+  const [text, setText] = useState('');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleApply = () => {
+    setError('');
+    try {
+      setResult(variantUtils.simulateVariants(sequence, text, { strand, tableId }));
+    } catch (err) {
+      setError(err.message);
+      setResult(null);
+    }
+  };
+
+  const proteinText = (protein) => (protein === 'No protein found' ? '' : protein);
+
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        One variant per line (or separated by commas). Positions are 1-based on the coding strand,
+        e.g. <span className="font-mono">c.76A&gt;T</span>, <span className="font-mono">c.100delG</span>,{' '}
+        <span className="font-mono">c.100_101insA</span>, <span className="font-mono">c.100_102dup</span>,{' '}
+        <span className="font-mono">c.100_102delinsTT</span>.
+      </p>
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={3}
+        placeholder="c.76A>T"
+        className="w-full p-2 border border-gray-300 rounded font-mono text-sm"
+      />
+      <button
+        onClick={handleApply}
+        className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-lg text-sm"
+      >
+        Apply Variants
+      </button>
+
+      {error && (
+        <div className="p-2 bg-red-50 border border-red-200 rounded text-red-700 text-sm">{error}</div>
+      )}
+
+      {result && (
+        <>
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b">
+                <th className="py-1 pr-2">Variant</th>
+                <th className="py-1 pr-2">Effect</th>
+                <th className="py-1">Protein change</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.variants.map((variant, idx) => (
+                <tr key={idx} className="border-b border-gray-100">
+                  <td className="py-1 pr-2 font-mono">{variant.notation}</td>
+                  <td className="py-1 pr-2">
+                    <span className={`px-2 py-0.5 rounded text-xs font-semibold ${EFFECT_STYLES[variant.effect] || 'bg-red-100 text-red-800'}`}>
+                      {variant.effect}
+                    </span>
+                  </td>
+                  <td className="py-1 font-mono">{variant.proteinChange}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.variants.length > 1 && (
+            <p className="text-xs text-gray-500">
+              Each variant is classified on its own; the mutant protein below carries all of them.
+            </p>
+          )}
+
+          <div className="grid md:grid-cols-2 gap-4">
+            <ProteinLines
+              title="Original protein"
+              protein={proteinText(result.originalProtein)}
+              other={proteinText(result.mutantProtein)}
+            />
+            <ProteinLines
+              title="Mutant protein"
+              protein={proteinText(result.mutantProtein)}
+              other={proteinText(result.originalProtein)}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VariantSimulator;
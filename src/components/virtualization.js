@@ -0,0 +1,50 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+/**
+ * Window of fixed-height rows visible in a scrolling container
+ * Only rows first..last-1 are rendered; paddingTop/paddingBottom stand in for the rest
+ */
+export const useVirtualWindow = (count, rowHeight, viewportHeight, overscan = 5) => {
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const first = Math.min(count, Math.max(0, Math.floor(scrollTop / rowHeight) - overscan));
+  const last = Math.min(count, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+  return {
+    first,
+    last,
+    paddingTop: first * rowHeight,
+    paddingBottom: (count - last) * rowHeight,
+    onScroll: (e) => setScrollTop(e.currentTarget.scrollTop)
+  };
+};
+
+/**
+ * Renders its children only while near the viewport (cards of variable height)
+ * Off-screen it keeps the last measured height so the page does not jump
+ */
+export const LazyRender = ({ estimatedHeight = 400, rootMargin = '800px', id, className, children }) => {
+  const ref = useRef(null);
+  const height = useRef(estimatedHeight);
+  const [visible, setVisible] = useState(typeof IntersectionObserver === 'undefined');
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!element || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver(([entry]) => {
+      //Mede antes de esconder, enquanto o conteúdo ainda está na página
+      if (!entry.isIntersecting) height.current = element.offsetHeight || height.current;
+      setVisible(entry.isIntersecting);
+    }, { rootMargin });
+
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [rootMargin]);
+
+  return (
+    <div ref={ref} id={id} className={className} style={visible ? undefined : { height: height.current }}>
+      {visible ? children : null}
+    </div>
+  );
+};
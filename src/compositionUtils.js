@@ -0,0 +1,217 @@
+/**
+ * Composition Utilities Module
+ * Local base composition: sliding-window GC content and GC skew,
+ * cumulative skew and CpG island detection
+ *
+ * References:
+ * - Lobry (1996) Mol Biol Evol 13:660 (GC skew)
+ * - Grigoriev (1998) Nucleic Acids Res 26:2286 (cumulative skew, origin/terminus)
+ * - Gardiner-Garden & Frommer (1987) J Mol Biol 196:261 (CpG islands)
+ */
+
+/**
+ * Default options for the composition functions
+ */
+export const COMPOSITION_DEFAULTS = {
+    window: 100,        // Sliding window (bp)
+    step: 10            // Distance between windows (bp)
+};
+
+/**
+ * Gardiner-Garden & Frommer criteria
+ */
+export const CPG_ISLAND_DEFAULTS = {
+    window: 200,        // Scanning window (bp)
+    minLength: 200,     // Minimum island length (bp)
+    minGC: 50,          // Minimum GC% (strictly greater)
+    minObsExp: 0.6      // Minimum observed/expected CpG ratio (strictly greater)
+};
+
+const G = 71;
+const C = 67;
+
+/**
+ * GC content and GC skew in sliding windows
+ * Counts are updated as the window slides, so the cost is linear in the sequence length
+ * @param {string} sequence - DNA sequence
+ * @param {number} windowSize - Window length in bp (default: 100)
+ * @param {number} step - Distance between window starts in bp (default: 10)
+ * @param {boolean} circular - Whether the sequence is circular (windows may span the origin)
+ * @returns {Array} - [{ start, end (1-based), position (window center), gc (%), skew }]
+ *   skew = (G - C) / (G + C), 0 when the window has no G or C
+ *   For circular sequences end and position wrap around (end < start across the origin)
+ */
+export const getSlidingWindowComposition = (
+    sequence,
+    windowSize = COMPOSITION_DEFAULTS.window,
+    step = COMPOSITION_DEFAULTS.step,
+    circular = false
+) => {
+    if (circular && windowSize > 1 && sequence.length >= windowSize) {
+        //For circular sequences the start is appended so windows spanning the origin are counted
+        const length = sequence.length;
+        const wrap = (position) => ((position - 1) % length) + 1;
+        return getSlidingWindowComposition(sequence + sequence.substring(0, windowSize - 1), windowSize, step)
+            .filter(window => window.start <= length)
+            .map(window => ({ ...window, end: wrap(window.end), position: wrap(window.position) }));
+    }
+
+    const windows = [];
+    if (windowSize < 1 || step < 1 || sequence.length < windowSize) return windows;
+
+    let g = 0;
+    let c = 0;
+    const add = (index, delta) => {
+        const code = sequence.charCodeAt(index);
+        if (code === G) g += delta;
+        else if (code === C) c += delta;
+    };
+
+    for (let i = 0; i < windowSize; i++) add(i, 1);
+
+    for (let start = 0; start + windowSize <= sequence.length; start += step) {
+        if (start > 0 && step < windowSize) {
+            //Slide from the previous window (start - step) to this one
+            for (let i = start - step; i < start; i++) add(i, -1);
+            for (let i = start - step + windowSize; i < start + windowSize; i++) add(i, 1);
+        } else if (start > 0) {
+            //Windows do not overlap: count this one from scratch
+            g = 0;
+            c = 0;
+            for (let i = start; i < start + windowSize; i++) add(i, 1);
+        }
+
+        windows.push({
+            start: start + 1,
+            end: start + windowSize,
+            position: start + Math.floor(windowSize / 2) + 1,
+            gc: ((g + c) / windowSize) * 100,
+            skew: g + c > 0 ? (g - c) / (g + c) : 0
+        });
+    }
+
+    return windows;
+};
+
+/**
+ * Cumulative GC skew (running sum of the window skews)
+ * In bacterial genomes the minimum marks the likely replication origin and
+ * the maximum the terminus
+ * @param {Array} windows - Result of getSlidingWindowComposition
+ * @returns {Object} - { points: [{ position, value }], minimum, maximum } (extremes are points)
+ */
+export const getCumulativeSkew = (windows) => {
+    const points = [];
+    let total = 0;
+    let minimum = null;
+    let maximum = null;
+
+    windows.forEach(window => {
+        total += window.skew;
+        const point = { position: window.position, value: total };
+        points.push(point);
+        if (!minimum || point.value < minimum.value) minimum = point;
+        if (!maximum || point.value > maximum.value) maximum = point;
+    });
+
+    return { points, minimum, maximum };
+};
+
+/**
+ * Observed/expected CpG ratio (Gardiner-Garden & Frommer)
+ * obs/exp = CpG * length / (C * G)
+ */
+const observedExpected = (cpg, c, g, length) => (c > 0 && g > 0 ? (cpg * length) / (c * g) : 0);
+
+/**
+ * Composition of a region (0-based start, exclusive end)
+ */
+const regionStats = (sequence, start, end) => {
+    let g = 0;
+    let c = 0;
+    let cpg = 0;
+
+    for (let i = start; i < end; i++) {
+        const code = sequence.charCodeAt(i);
+        if (code === G) g++;
+        else if (code === C) {
+            c++;
+            if (i + 1 < end && sequence.charCodeAt(i + 1) === G) cpg++;
+        }
+    }
+
+    const length = end - start;
+    return {
+        gcContent: ((g + c) / length) * 100,
+        obsExp: observedExpected(cpg, c, g, length)
+    };
+};
+
+/**
+ * Finds CpG islands
+ * Every window meeting the GC% and obs/exp criteria is marked, overlapping
+ * windows are merged and the merged regions are checked again as a whole
+ * @param {string} sequence - DNA sequence
+ * @param {Object} options - See CPG_ISLAND_DEFAULTS
+ * @returns {Array} - Islands: { start, end (1-based), length, gcContent (%), obsExp }
+ */
+export const findCpGIslands = (sequence, options = {}) => {
+    const settings = { ...CPG_ISLAND_DEFAULTS, ...options };
+    const windowSize = settings.window;
+    const islands = [];
+    if (windowSize < 2 || sequence.length < windowSize) return islands;
+
+    let g = 0;
+    let c = 0;
+    let cpg = 0;
+    const codeAt = (i) => sequence.charCodeAt(i);
+    const count = (i, delta) => {
+        const code = codeAt(i);
+        if (code === G) g += delta;
+        else if (code === C) c += delta;
+    };
+
+    for (let i = 0; i < windowSize; i++) {
+        count(i, 1);
+        if (i + 1 < windowSize && codeAt(i) === C && codeAt(i + 1) === G) cpg++;
+    }
+
+    let regionStart = -1;
+    let regionEnd = -1;
+    const closeRegion = () => {
+        if (regionStart < 0) return;
+        const stats = regionStats(sequence, regionStart, regionEnd);
+        const length = regionEnd - regionStart;
+        if (length >= settings.minLength && stats.gcContent > settings.minGC && stats.obsExp > settings.minObsExp) {
+            islands.push({ start: regionStart + 1, end: regionEnd, length, ...stats });
+        }
+        regionStart = -1;
+    };
+
+    for (let start = 0; start + windowSize <= sequence.length; start++) {
+        if (start > 0) {
+            //Base leaving on the left, base entering on the right (CpG pairs too)
+            count(start - 1, -1);
+            if (codeAt(start - 1) === C && codeAt(start) === G) cpg--;
+            const last = start + windowSize - 1;
+            count(last, 1);
+            if (codeAt(last - 1) === C && codeAt(last) === G) cpg++;
+        }
+
+        const gcContent = ((g + c) / windowSize) * 100;
+        const passes = gcContent > settings.minGC && observedExpected(cpg, c, g, windowSize) > settings.minObsExp;
+
+        if (passes) {
+            if (regionStart >= 0 && start <= regionEnd) {
+                regionEnd = start + windowSize;
+            } else {
+                closeRegion();
+                regionStart = start;
+                regionEnd = start + windowSize;
+            }
+        }
+    }
+    closeRegion();
+
+    return islands;
+};
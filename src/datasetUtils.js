@@ -0,0 +1,276 @@
+/**
+ * Dataset Utilities Module
+ * Aggregate statistics for multi-record input (N50, length and GC
+ * distributions) and detection of duplicate and near-duplicate records
+ *
+ * References:
+ * - Lander & Waterman / assembly statistics: N50 and L50
+ * - Broder (1997) On the resemblance and containment of documents (MinHash)
+ * - Li, Owen & Zhang (2012) One Permutation Hashing, NIPS 25
+ * - Ondov et al. (2016) Genome Biol 17:132 (Mash distance from Jaccard index)
+ */
+
+import { getReverseComplement } from './bioUtils';
+
+/**
+ * Default options for findDuplicateRecords
+ */
+export const DUPLICATE_DEFAULTS = {
+    kmer: 12,             // k-mer length for sketches (k <= 15)
+    sketchSize: 64,       // Bins of the one-permutation MinHash sketch
+    bandRows: 2,          // Sketch bins per LSH band
+    minIdentity: 95       // Minimum estimated identity (%) for near-duplicates
+};
+
+/**
+ * Nx statistic: length such that records at least this long hold x% of all bases
+ * @param {Array} lengths - Record lengths
+ * @param {number} x - Percentage (default: 50)
+ * @returns {Object} - { value (Nx length), count (Lx, records needed) }
+ */
+export const calculateNx = (lengths, x = 50) => {
+    const sorted = [...lengths].sort((a, b) => b - a);
+    const total = sorted.reduce((sum, length) => sum + length, 0);
+    const target = total * (x / 100);
+    let running = 0;
+
+    for (let i = 0; i < sorted.length; i++) {
+        running += sorted[i];
+        if (running >= target) return { value: sorted[i], count: i + 1 };
+    }
+    return { value: 0, count: 0 };
+};
+
+/**
+ * Histogram with equal-width bins
+ * @param {Array} values - Numbers
+ * @param {Object} options - { bins (default 20), min, max (default: data range) }
+ * @returns {Array} - [{ start, end, count }] (last bin includes its end)
+ */
+export const getHistogram = (values, { bins = 20, min, max } = {}) => {
+    if (values.length === 0) return [];
+    const low = min !== undefined ? min : values.reduce((a, b) => Math.min(a, b), Infinity);
+    const high = max !== undefined ? max : values.reduce((a, b) => Math.max(a, b), -Infinity);
+    const count = high > low ? bins : 1;
+    const width = (high - low) / count || 1;
+
+    const histogram = Array.from({ length: count }, (_, i) => ({
+        start: low + i * width,
+        end: low + (i + 1) * width,
+        count: 0
+    }));
+    values.forEach(value => {
+        const bin = Math.min(count - 1, Math.max(0, Math.floor((value - low) / width)));
+        histogram[bin].count++;
+    });
+
+    return histogram;
+};
+
+/**
+ * Aggregate statistics of analyzed records
+ * @param {Array} records - Analyzed records ({ length, gcContent, proteinLength })
+ * @returns {Object} - { count, totalLength, minLength, maxLength, meanLength, medianLength,
+ *   n50, l50, n90, l90, meanGC, gcStdDev, overallGC }
+ */
+export const summarizeRecords = (records) => {
+    const lengths = records.map(record => record.length);
+    const gcValues = records.map(record => Number(record.gcContent));
+    const count = records.length;
+    if (count === 0) return null;
+
+    const sorted = [...lengths].sort((a, b) => a - b);
+    const totalLength = lengths.reduce((sum, length) => sum + length, 0);
+    const middle = Math.floor(count / 2);
+    const meanGC = gcValues.reduce((sum, gc) => sum + gc, 0) / count;
+    const gcBases = records.reduce((sum, record) => sum + (Number(record.gcContent) / 100) * record.length, 0);
+    const n50 = calculateNx(lengths, 50);
+    const n90 = calculateNx(lengths, 90);
+
+    return {
+        count,
+        totalLength,
+        minLength: sorted[0],
+        maxLength: sorted[count - 1],
+        meanLength: totalLength / count,
+        medianLength: count % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2,
+        n50: n50.value,
+        l50: n50.count,
+        n90: n90.value,
+        l90: n90.count,
+        meanGC,
+        gcStdDev: Math.sqrt(gcValues.reduce((sum, gc) => sum + (gc - meanGC) ** 2, 0) / count),
+        overallGC: totalLength > 0 ? (gcBases / totalLength) * 100 : 0
+    };
+};
+
+//2-bit codes (A, C, G, T); other bases break k-mers
+const BASE_BITS = new Int8Array(128).fill(-1);
+BASE_BITS[65] = 0;
+BASE_BITS[67] = 1;
+BASE_BITS[71] = 2;
+BASE_BITS[84] = 3;
+
+//32-bit integer mixer (murmur3 finalizer)
+const mix = (value) => {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+};
+
+/**
+ * One-permutation MinHash sketch of the canonical k-mers of a sequence
+ * (k-mer and reverse complement count as the same, so either strand matches)
+ * Empty bins are filled from the next non-empty one (rotation densification)
+ * @returns {Uint32Array|null} - null when the sequence has no valid k-mer
+ */
+const sketchSequence = (sequence, k, size) => {
+    const sketch = new Uint32Array(size).fill(0xffffffff);
+    const filled = new Uint8Array(size);
+    const mask = (1 << (2 * k)) - 1;
+    const shift = 2 * (k - 1);
+    let forward = 0;
+    let reverse = 0;
+    let valid = 0;
+    let any = false;
+
+    for (let i = 0; i < sequence.length; i++) {
+        const bits = BASE_BITS[sequence.charCodeAt(i)];
+        if (bits === undefined || bits < 0) {
+            valid = 0;
+            continue;
+        }
+        forward = ((forward << 2) | bits) & mask;
+        reverse = (reverse >>> 2) | ((3 - bits) << shift);
+        if (++valid < k) continue;
+
+        const hash = mix(Math.min(forward, reverse));
+        const bin = hash % size;
+        if (hash < sketch[bin] || !filled[bin]) {
+            sketch[bin] = hash;
+            filled[bin] = 1;
+        }
+        any = true;
+    }
+
+    if (!any) return null;
+    for (let bin = 0; bin < size; bin++) {
+        if (filled[bin]) continue;
+        let next = (bin + 1) % size;
+        while (!filled[next]) next = (next + 1) % size;
+        sketch[bin] = sketch[next];
+    }
+    return sketch;
+};
+
+/**
+ * Identity (%) estimated from the Jaccard index of two sketches (Mash distance)
+ */
+const estimateIdentity = (a, b, k) => {
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) equal++;
+    }
+    const jaccard = equal / a.length;
+    if (jaccard === 0) return 0;
+    const distance = -Math.log((2 * jaccard) / (1 + jaccard)) / k;
+    return Math.max(0, (1 - distance) * 100);
+};
+
+/**
+ * Finds duplicate and near-duplicate records
+ * Exact duplicates have the same sequence on either strand; near-duplicates
+ * are found with MinHash sketches and locality-sensitive hashing, so the
+ * cost grows about linearly with the number of records
+ * @param {Array} records - [{ id, original (DNA) }]
+ * @param {Object} options - See DUPLICATE_DEFAULTS
+ * @returns {Object} - {
+ *   exact: [[{ index, id, reverse }]] (reverse: matches the first record's reverse complement),
+ *   near: [[{ index, id, identity }]] (identity (%) to the first record of the group) }
+ */
+export const findDuplicateRecords = (records, options = {}) => {
+    const settings = { ...DUPLICATE_DEFAULTS, ...options };
+    const k = Math.min(15, Math.max(4, settings.kmer));
+
+    //Exact duplicates: canonical key is the smaller of the sequence and its reverse complement
+    const groups = new Map();
+    records.forEach((record, index) => {
+        const reverseComplement = getReverseComplement(record.original);
+        const reverse = reverseComplement < record.original;
+        const key = reverse ? reverseComplement : record.original;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ index, id: record.id, reverse });
+    });
+
+    const exact = [];
+    const representatives = [];
+    groups.forEach(members => {
+        representatives.push(members[0].index);
+        if (members.length > 1) {
+            //'reverse' is relative to the first member of the group
+            exact.push(members.map(member => ({ ...member, reverse: member.reverse !== members[0].reverse })));
+        }
+    });
+
+    //Near duplicates among one representative per exact group
+    const sketches = new Map();
+    representatives.forEach(index => {
+        const sketch = sketchSequence(records[index].original, k, settings.sketchSize);
+        if (sketch) sketches.set(index, sketch);
+    });
+
+    const parent = new Map();
+    const find = (index) => {
+        let root = index;
+        while (parent.get(root) !== root) root = parent.get(root);
+        parent.set(index, root);
+        return root;
+    };
+    sketches.forEach((_, index) => parent.set(index, index));
+
+    const rows = Math.max(1, settings.bandRows);
+    for (let band = 0; band + rows <= settings.sketchSize; band += rows) {
+        const buckets = new Map();
+        sketches.forEach((sketch, index) => {
+            const key = Array.from(sketch.subarray(band, band + rows)).join(',');
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(index);
+        });
+
+        //Each bucket member is checked against the bucket's first record only
+        buckets.forEach(members => {
+            const first = members[0];
+            for (let i = 1; i < members.length; i++) {
+                if (find(members[i]) === find(first)) continue;
+                if (estimateIdentity(sketches.get(first), sketches.get(members[i]), k) >= settings.minIdentity) {
+                    parent.set(find(members[i]), find(first));
+                }
+            }
+        });
+    }
+
+    const clusters = new Map();
+    sketches.forEach((_, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(index);
+    });
+
+    const near = [];
+    clusters.forEach(members => {
+        if (members.length < 2) return;
+        members.sort((a, b) => a - b);
+        const first = sketches.get(members[0]);
+        near.push(members.map(index => ({
+            index,
+            id: records[index].id,
+            identity: index === members[0] ? 100 : estimateIdentity(first, sketches.get(index), k)
+        })));
+    });
+
+    return { exact, near };
+};
@@ -0,0 +1,178 @@
+/**
+ * Dot Plot Utilities Module
+ * Dot matrix comparison of two DNA sequences (or one against itself):
+ * a dot marks a window of one sequence that matches a window of the other
+ * in at least `stringency` of its `window` positions, on the forward strand
+ * or as a reverse complement. Dots are binned into a grid of at most
+ * `size` x `size` cells, so long sequences are drawn at a fixed resolution
+ * and any region can be recomputed in detail (zoom)
+ *
+ * References:
+ * - Gibbs & McIntyre (1970) Eur J Biochem 16:1 (diagram / dot plot)
+ * - Maizel & Lenk (1981) PNAS 78:7665 (window and stringency filter)
+ */
+
+import { getReverseComplement } from './bioUtils';
+
+/**
+ * Default options for computeDotPlot
+ */
+export const DOTPLOT_DEFAULTS = {
+    window: 11,             // Window (word) length (bp)
+    stringency: 11,         // Minimum identical positions per window (window = exact words)
+    forward: true,          // Forward (direct) matches
+    reverse: true,          // Reverse-complement matches
+    size: 480,              // Grid cells per axis (at most)
+    maxCells: 40000000,     // Largest region compared window by window; beyond it only exact words are used
+    maxWordOccurrences: 50  // Exact-word mode: words seen more often than this are skipped (low complexity)
+};
+
+/**
+ * Marks matches along every diagonal with a sliding count of identical
+ * positions (any window/stringency; cost = length A x length B)
+ * mark(i, j): window starting at i in a matches window starting at j in b
+ */
+const scanDiagonals = (a, b, window, stringency, mark) => {
+    const identical = (x, y) => x === y && x !== 'N';
+
+    for (let diagonal = -(a.length - window); diagonal <= b.length - window; diagonal++) {
+        let i = Math.max(0, -diagonal);
+        let j = i + diagonal;
+        let count = 0;
+        let filled = 0;
+
+        for (; i < a.length && j < b.length; i++, j++) {
+            if (identical(a[i], b[j])) count++;
+            if (filled === window) {
+                if (identical(a[i - window], b[j - window])) count--;
+            } else {
+                filled++;
+            }
+            if (filled === window && count >= stringency) mark(i - window + 1, j - window + 1);
+        }
+    }
+};
+
+/**
+ * Marks exact matches of `window`-long words through a word index of b
+ * (cost grows with the number of matches, not with the area)
+ * @returns {number} - Number of distinct words skipped for being too frequent
+ */
+const scanWords = (a, b, window, maxOccurrences, mark) => {
+    const index = new Map();
+    for (let j = 0; j + window <= b.length; j++) {
+        const word = b.substring(j, j + window);
+        const positions = index.get(word);
+        if (!positions) index.set(word, [j]);
+        else if (positions.length <= maxOccurrences) positions.push(j);
+    }
+
+    const skipped = new Set();
+    for (let i = 0; i + window <= a.length; i++) {
+        const word = a.substring(i, i + window);
+        const positions = index.get(word);
+        if (!positions || word.includes('N')) continue;
+        if (positions.length > maxOccurrences) {
+            skipped.add(word);
+            continue;
+        }
+        positions.forEach(j => mark(i, j));
+    }
+    return skipped.size;
+};
+
+/**
+ * Computes a binned dot plot of region A against region B
+ * @param {string} sequenceA - First DNA sequence (x axis)
+ * @param {string} sequenceB - Second DNA sequence (y axis); the same string for a self comparison
+ * @param {Object} options - See DOTPLOT_DEFAULTS, plus the regions compared:
+ *   rangeA, rangeB: { start, end } (1-based, inclusive; default: whole sequence)
+ * @returns {Object} - {
+ *   rangeA, rangeB: regions compared (1-based),
+ *   columns, rows: grid size; binA, binB: bases per cell along each axis,
+ *   forward, reverse: Uint8Array(columns x rows), matches per cell (row-major, saturates at 255),
+ *   forwardCount, reverseCount: number of matching windows,
+ *   window, stringency (stringency is raised to window when exact words were used),
+ *   method: 'window' | 'word', skippedWords: frequent words left out (word method)
+ * }
+ * A reverse-complement dot at (i, j) means A[i..i+w-1] pairs with B[j..j+w-1]
+ * read backwards, so inversions show as lines running against the diagonal
+ */
+export const computeDotPlot = (sequenceA, sequenceB, options = {}) => {
+    const settings = { ...DOTPLOT_DEFAULTS, ...options };
+    const clampRange = (range, length) => {
+        const start = Math.min(length, Math.max(1, Math.round(range ? range.start : 1)));
+        const end = Math.min(length, Math.max(start, Math.round(range ? range.end : length)));
+        return { start, end };
+    };
+
+    const rangeA = clampRange(settings.rangeA, sequenceA.length);
+    const rangeB = clampRange(settings.rangeB, sequenceB.length);
+    const a = sequenceA.substring(rangeA.start - 1, rangeA.end).toUpperCase();
+    const b = sequenceB.substring(rangeB.start - 1, rangeB.end).toUpperCase();
+
+    const window = Math.max(1, Math.min(settings.window, a.length, b.length));
+    const byWindow = a.length * b.length <= settings.maxCells;
+    const stringency = byWindow ? Math.min(window, Math.max(1, settings.stringency)) : window;
+
+    const binA = Math.max(1, Math.ceil(a.length / settings.size));
+    const binB = Math.max(1, Math.ceil(b.length / settings.size));
+    const columns = Math.ceil(a.length / binA);
+    const rows = Math.ceil(b.length / binB);
+
+    const result = {
+        rangeA,
+        rangeB,
+        columns,
+        rows,
+        binA,
+        binB,
+        forward: new Uint8Array(columns * rows),
+        reverse: new Uint8Array(columns * rows),
+        forwardCount: 0,
+        reverseCount: 0,
+        window,
+        stringency,
+        method: byWindow ? 'window' : 'word',
+        skippedWords: 0
+    };
+    if (a.length === 0 || b.length === 0) return result;
+
+    const scan = (other, grid, toB) => {
+        let count = 0;
+        const mark = (i, j) => {
+            const cell = Math.floor(toB(j) / binB) * columns + Math.floor(i / binA);
+            if (grid[cell] < 255) grid[cell]++;
+            count++;
+        };
+        if (byWindow) scanDiagonals(a, other, window, stringency, mark);
+        else result.skippedWords += scanWords(a, other, window, settings.maxWordOccurrences, mark);
+        return count;
+    };
+
+    if (settings.forward) {
+        result.forwardCount = scan(b, result.forward, j => j);
+    }
+    if (settings.reverse) {
+        //Window j of the reverse complement covers B positions b.length - j - window .. b.length - j - 1
+        result.reverseCount = scan(getReverseComplement(b), result.reverse, j => b.length - j - window);
+    }
+
+    return result;
+};
+
+/**
+ * Sequence positions (1-based) covered by one grid cell
+ * @param {Object} plot - computeDotPlot() result
+ * @param {number} column - Cell column (A axis)
+ * @param {number} row - Cell row (B axis)
+ * @returns {Object} - { a: { start, end }, b: { start, end } }
+ */
+export const cellToPositions = (plot, column, row) => {
+    const startA = plot.rangeA.start + column * plot.binA;
+    const startB = plot.rangeB.start + row * plot.binB;
+    return {
+        a: { start: startA, end: Math.min(plot.rangeA.end, startA + plot.binA - 1) },
+        b: { start: startB, end: Math.min(plot.rangeB.end, startB + plot.binB - 1) }
+    };
+};
@@ -0,0 +1,202 @@
+/**
+ * File Utilities Module
+ * Reading local sequence files and exporting results
+ * (the formatters are shared with the dna-convert command line tool)
+ */
+
+/**
+ * File extensions offered by the file picker (gzip versions are accepted too)
+ */
+export const ACCEPTED_EXTENSIONS = [
+    '.fa', '.fasta', '.fna', '.ffn', '.faa',
+    '.fq', '.fastq',
+    '.gb', '.gbk', '.genbank',
+    '.embl', '.txt', '.gz'
+];
+
+/**
+ * Detects gzip data by its magic number (1f 8b)
+ * @param {Uint8Array} bytes - First bytes of the file
+ * @returns {boolean}
+ */
+const isGzip = (bytes) => bytes.length > 1 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+/**
+ * Reads a local file as text, decompressing gzip files
+ * Uses the browser's DecompressionStream, so no extra library is needed
+ * @param {File} file - File from an <input type="file"> or a drop event
+ * @returns {Promise<string>} - File contents
+ */
+export const readSequenceFile = async (file) => {
+    const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+
+    if (!isGzip(header)) {
+        return file.text();
+    }
+
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress gzip files');
+    }
+
+    const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+};
+
+/**
+ * Formats records as multi-FASTA
+ * @param {Array} records - Array of { id, description, sequence }
+ * @param {number} lineWidth - Residues per line (default: 60)
+ * @returns {string} - FASTA text
+ */
+export const formatFASTA = (records, lineWidth = 60) => {
+    return records.map(record => {
+        const header = `>${record.id}${record.description ? ' ' + record.description : ''}`;
+        const lines = [];
+        for (let i = 0; i < record.sequence.length; i += lineWidth) {
+            lines.push(record.sequence.substring(i, i + lineWidth));
+        }
+        return [header, ...lines].join('\n');
+    }).join('\n') + '\n';
+};
+
+/**
+ * Quotes a field if it contains the delimiter, quotes or line breaks
+ */
+const escapeField = (value, delimiter) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    if (text.includes(delimiter) || text.includes('"') || text.includes('\n')) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+};
+
+/**
+ * Formats one row of a CSV or TSV table (no line break), for streamed output
+ * @param {Array} columns - Array of { key, label }
+ * @param {Object} row - Values by column key
+ * @param {string} delimiter - ',' for CSV, '\t' for TSV
+ * @returns {string} - Delimited line
+ */
+export const formatTableRow = (columns, row, delimiter = ',') => {
+    return columns.map(column => escapeField(row[column.key], delimiter)).join(delimiter);
+};
+
+/**
+ * Formats rows as CSV or TSV
+ * @param {Array} columns - Array of { key, label }
+ * @param {Array} rows - Array of objects
+ * @param {string} delimiter - ',' for CSV, '\t' for TSV
+ * @returns {string} - Delimited text with a header row
+ */
+export const formatTable = (columns, rows, delimiter = ',') => {
+    const header = columns.map(column => escapeField(column.label, delimiter)).join(delimiter);
+    const body = rows.map(row => formatTableRow(columns, row, delimiter));
+    return [header, ...body].join('\n') + '\n';
+};
+
+/**
+ * Columns of the per-record statistics table (CSV/TSV export and dna-convert stats)
+ */
+export const STATS_COLUMNS = [
+    { key: 'id', label: 'id' },
+    { key: 'description', label: 'description' },
+    { key: 'length', label: 'length_bp' },
+    { key: 'gcContent', label: 'gc_percent' },
+    { key: 'proteinLength', label: 'protein_length_aa' },
+    { key: 'molecularWeight', label: 'molecular_weight_da' },
+    { key: 'stopCount', label: 'stop_codons' },
+    { key: 'countA', label: 'A' },
+    { key: 'countT', label: 'T' },
+    { key: 'countG', label: 'G' },
+    { key: 'countC', label: 'C' }
+];
+
+/**
+ * Statistics row of an analyzed record (see STATS_COLUMNS)
+ * @param {Object} record - { id, description, ...analyzeSequence output }
+ * @returns {Object} - Values by STATS_COLUMNS key
+ */
+export const getStatsRow = (record) => ({
+    id: record.id,
+    description: record.description,
+    length: record.length,
+    gcContent: record.gcContent,
+    proteinLength: record.proteinLength,
+    molecularWeight: record.molecularWeight,
+    stopCount: record.stopCodons.length,
+    countA: record.nucleotideCounts.A,
+    countT: record.nucleotideCounts.T,
+    countG: record.nucleotideCounts.G,
+    countC: record.nucleotideCounts.C
+});
+
+/**
+ * Starts a browser download of text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type (default: text/plain)
+ */
+export const downloadText = (filename, content, mimeType = 'text/plain') => {
+    downloadBlob(filename, new Blob([content], { type: `${mimeType};charset=utf-8` }));
+};
+
+/**
+ * Starts a browser download of binary content
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+export const downloadBlob = (filename, blob) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    //Some browsers (Safari, older Firefox) start the download after click() returns
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Serializes an SVG element as a standalone .svg file
+ * Only attributes are kept, so drawings meant for export must not rely on CSS classes
+ * @param {SVGSVGElement} svg - Rendered SVG element
+ * @returns {string} - SVG document text
+ */
+export const serializeSVG = (svg) => {
+    //XMLSerializer writes the SVG namespace itself
+    const copy = svg.cloneNode(true);
+    copy.removeAttribute('class');
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(copy);
+};
+
+/**
+ * Rasterizes an SVG element to PNG
+ * @param {SVGSVGElement} svg - Rendered SVG element (with a viewBox)
+ * @param {number} scale - Pixels per viewBox unit (default: 2, for print)
+ * @returns {Promise<Blob>} - PNG image on a white background
+ * @throws {Error} - When the browser cannot draw the image
+ */
+export const svgToPNG = (svg, scale = 2) => new Promise((resolve, reject) => {
+    const { width, height } = svg.viewBox.baseVal;
+    const url = URL.createObjectURL(new Blob([serializeSVG(svg)], { type: 'image/svg+xml;charset=utf-8' }));
+    const image = new Image();
+
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(image, 0, 0, canvas.width, canvas.height);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the PNG image'))), 'image/png');
+    };
+    image.onerror = () => {
+        URL.revokeObjectURL(url);
+        reject(new Error('Could not draw the SVG image'));
+    };
+    image.src = url;
+});
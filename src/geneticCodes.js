@@ -0,0 +1,218 @@
+/**
+ * Genetic Codes Module
+ * NCBI translation tables used by the translation functions in bioUtils
+ *
+ * References:
+ * - NCBI "The Genetic Codes" (gc.prt)
+ * - https://www.ncbi.nlm.nih.gov/Taxonomy/Utils/wprintgc.cgi
+ */
+
+/**
+ * Codon order used by the NCBI compact table format
+ * Each table string below has one character per codon in this order
+ */
+const BASES = 'UCAG';
+
+/**
+ * NCBI translation tables
+ * aminoAcids: amino acid per codon ('*' = stop)
+ * starts: 'M' marks codons that can initiate translation
+ */
+export const GENETIC_CODES = {
+    1: {
+        name: 'Standard',
+        aminoAcids: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '---M------**--*----M---------------M----------------------------'
+    },
+    2: {
+        name: 'Vertebrate Mitochondrial',
+        aminoAcids: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSS**VVVVAAAADDEEGGGG',
+        starts:     '----------**--------------------MMMM----------**---M------------'
+    },
+    3: {
+        name: 'Yeast Mitochondrial',
+        aminoAcids: 'FFLLSSSSYY**CCWWTTTTPPPPHHQQRRRRIIMMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '----------**----------------------MM---------------M------------'
+    },
+    4: {
+        name: 'Mold, Protozoan, and Coelenterate Mitochondrial and Mycoplasma/Spiroplasma',
+        aminoAcids: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '--MM------**-------M------------MMMM---------------M------------'
+    },
+    5: {
+        name: 'Invertebrate Mitochondrial',
+        aminoAcids: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSSSVVVVAAAADDEEGGGG',
+        starts:     '---M------**--------------------MMMM---------------M------------'
+    },
+    6: {
+        name: 'Ciliate, Dasycladacean and Hexamita Nuclear',
+        aminoAcids: 'FFLLSSSSYYQQCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '--------------*--------------------M----------------------------'
+    },
+    9: {
+        name: 'Echinoderm and Flatworm Mitochondrial',
+        aminoAcids: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG',
+        starts:     '----------**-----------------------M---------------M------------'
+    },
+    10: {
+        name: 'Euplotid Nuclear',
+        aminoAcids: 'FFLLSSSSYY**CCCWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '----------**-----------------------M----------------------------'
+    },
+    11: {
+        name: 'Bacterial, Archaeal and Plant Plastid',
+        aminoAcids: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '---M------**--*----M------------MMMM---------------M------------'
+    },
+    12: {
+        name: 'Alternative Yeast Nuclear',
+        aminoAcids: 'FFLLSSSSYY**CC*WLLLSPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '----------**--*----M---------------M----------------------------'
+    },
+    13: {
+        name: 'Ascidian Mitochondrial',
+        aminoAcids: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSGGVVVVAAAADDEEGGGG',
+        starts:     '---M------**----------------------MM---------------M------------'
+    },
+    14: {
+        name: 'Alternative Flatworm Mitochondrial',
+        aminoAcids: 'FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG',
+        starts:     '-----------*-----------------------M----------------------------'
+    },
+    15: {
+        name: 'Blepharisma Nuclear',
+        aminoAcids: 'FFLLSSSSYY*QCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '----------*---*--------------------M----------------------------'
+    },
+    16: {
+        name: 'Chlorophycean Mitochondrial',
+        aminoAcids: 'FFLLSSSSYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '----------*---*--------------------M----------------------------'
+    },
+    21: {
+        name: 'Trematode Mitochondrial',
+        aminoAcids: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNNKSSSSVVVVAAAADDEEGGGG',
+        starts:     '----------**-----------------------M---------------M------------'
+    },
+    22: {
+        name: 'Scenedesmus obliquus Mitochondrial',
+        aminoAcids: 'FFLLSS*SYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '------*---*---*--------------------M----------------------------'
+    },
+    23: {
+        name: 'Thraustochytrium Mitochondrial',
+        aminoAcids: 'FF*LSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '--*-------**--*-----------------M--M---------------M------------'
+    },
+    24: {
+        name: 'Rhabdopleuridae Mitochondrial',
+        aminoAcids: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSSKVVVVAAAADDEEGGGG',
+        starts:     '---M------**-------M---------------M---------------M------------'
+    },
+    25: {
+        name: 'Candidate Division SR1 and Gracilibacteria',
+        aminoAcids: 'FFLLSSSSYY**CCGWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '---M------**-----------------------M---------------M------------'
+    },
+    26: {
+        name: 'Pachysolen tannophilus Nuclear',
+        aminoAcids: 'FFLLSSSSYY**CC*WLLLAPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '----------**--*----M---------------M----------------------------'
+    },
+    27: {
+        name: 'Karyorelict Nuclear',
+        aminoAcids: 'FFLLSSSSYYQQCCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '--------------*--------------------M----------------------------'
+    },
+    28: {
+        name: 'Condylostoma Nuclear',
+        aminoAcids: 'FFLLSSSSYYQQCCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '----------**--*--------------------M----------------------------'
+    },
+    29: {
+        name: 'Mesodinium Nuclear',
+        aminoAcids: 'FFLLSSSSYYYYCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '--------------*--------------------M----------------------------'
+    },
+    30: {
+        name: 'Peritrich Nuclear',
+        aminoAcids: 'FFLLSSSSYYEECC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '--------------*--------------------M----------------------------'
+    },
+    31: {
+        name: 'Blastocrithidia Nuclear',
+        aminoAcids: 'FFLLSSSSYYEECCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '----------**-----------------------M----------------------------'
+    },
+    32: {
+        name: 'Balanophoraceae Plastid',
+        aminoAcids: 'FFLLSSSSYY*WCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG',
+        starts:     '---M------*---*----M------------MMMM---------------M------------'
+    },
+    33: {
+        name: 'Cephalodiscidae Mitochondrial',
+        aminoAcids: 'FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSSKVVVVAAAADDEEGGGG',
+        starts:     '---M-------*-------M---------------M---------------M------------'
+    }
+};
+
+/**
+ * Default table (Standard Code)
+ */
+export const DEFAULT_GENETIC_CODE = 1;
+
+//Built tables are cached, they never change
+const builtCodes = {};
+
+/**
+ * Expands a compact NCBI table into codon lookups
+ * @param {number|string} tableId - NCBI translation table ID
+ * @returns {Object} - codonTable (RNA codon -> amino acid), stopCodons, startCodons
+ */
+export const getGeneticCode = (tableId = DEFAULT_GENETIC_CODE) => {
+    const id = Number(tableId);
+    const code = GENETIC_CODES[id];
+
+    if (!code) {
+        throw new Error(`Unknown genetic code table: ${tableId}`);
+    }
+
+    if (!builtCodes[id]) {
+        const codonTable = {};
+        const stopCodons = [];
+        const startCodons = [];
+        let index = 0;
+
+        for (const first of BASES) {
+            for (const second of BASES) {
+                for (const third of BASES) {
+                    const codon = first + second + third;
+                    codonTable[codon] = code.aminoAcids[index];
+
+                    if (code.aminoAcids[index] === '*') {
+                        stopCodons.push(codon);
+                    }
+                    if (code.starts[index] === 'M') {
+                        startCodons.push(codon);
+                    }
+                    index++;
+                }
+            }
+        }
+
+        builtCodes[id] = { id, name: code.name, codonTable, stopCodons, startCodons };
+    }
+
+    return builtCodes[id];
+};
+
+/**
+ * Lists available translation tables (for selectors)
+ * @returns {Array} - Array of { id, name }
+ */
+export const listGeneticCodes = () => {
+    return Object.keys(GENETIC_CODES).map(id => ({
+        id: Number(id),
+        name: GENETIC_CODES[id].name
+    }));
+};
@@ -0,0 +1,14 @@
+/**
+ * Library Entry Point
+ * Public API of the standalone bioUtils package (npm run build:lib writes
+ * dist/bioUtils.mjs and dist/bioUtils.cjs). The web page and the dna-convert
+ * command line tool use these same functions, so their results are identical
+ *
+ * Not part of the React bundle: nothing here touches the DOM
+ */
+
+export * from './bioUtils';
+export { getGeneticCode } from './geneticCodes';
+export { analyzeSequence } from './sequenceAnalysis';
+export { formatFASTA, formatTable, formatTableRow, STATS_COLUMNS, getStatsRow } from './fileUtils';
+export { CLI_COMMANDS, convertRecord } from './commandLine';
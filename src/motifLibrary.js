@@ -0,0 +1,34 @@
+/**
+ * Motif Library Module
+ * Bundled regulatory DNA motifs (IUPAC) and PROSITE protein patterns
+ *
+ * References:
+ * - Bucher (1990) J Mol Biol 212:563 (TATA, CAAT and GC boxes)
+ * - Kozak (1987) Nucleic Acids Res 15:8125
+ * - Shine & Dalgarno (1974) PNAS 71:1342
+ * - Harley & Reynolds (1987) Nucleic Acids Res 15:2343 (bacterial -10/-35)
+ * - Proudfoot & Brownlee (1976) Nature 263:211 (polyadenylation signal)
+ * - PROSITE (https://prosite.expasy.org), accession in each entry
+ */
+export const MOTIF_LIBRARY = [
+    { name: 'TATA box', pattern: 'TATAWAWR', type: 'iupac', description: 'Eukaryotic core promoter, ~30 bp upstream of the TSS' },
+    { name: 'CAAT box', pattern: 'GGCCAATCT', type: 'iupac', description: 'Eukaryotic promoter element, ~75 bp upstream of the TSS' },
+    { name: 'GC box', pattern: 'GGGCGG', type: 'iupac', description: 'Sp1 binding site' },
+    { name: 'Kozak', pattern: 'GCCRCCATGG', type: 'iupac', description: 'Vertebrate translation initiation context' },
+    { name: 'Shine-Dalgarno', pattern: 'AGGAGG', type: 'iupac', description: 'Bacterial ribosome binding site, ~8 bp before the start codon' },
+    { name: 'Pribnow box (-10)', pattern: 'TATAAT', type: 'iupac', description: 'Bacterial sigma70 promoter, -10 element' },
+    { name: '-35 box', pattern: 'TTGACA', type: 'iupac', description: 'Bacterial sigma70 promoter, -35 element' },
+    { name: 'Poly(A) signal', pattern: 'AATAAA', type: 'iupac', description: 'Eukaryotic polyadenylation signal' },
+    { name: 'E-box', pattern: 'CACGTG', type: 'iupac', description: 'bHLH transcription factor binding site (Myc, CLOCK)' },
+    { name: 'CRE', pattern: 'TGACGTCA', type: 'iupac', description: 'cAMP response element (CREB)' },
+    { name: 'NF-kB', pattern: 'GGGRNWYYCC', type: 'iupac', description: 'NF-kB binding site' },
+    { name: 'Splice donor', pattern: 'GTRAGT', type: 'iupac', description: "Intron 5' splice site" },
+    { name: 'N-glycosylation', pattern: 'N-{P}-[ST]-{P}', type: 'prosite', description: 'PS00001' },
+    { name: 'PKC phosphorylation', pattern: '[ST]-x-[RK]', type: 'prosite', description: 'PS00005' },
+    { name: 'CK2 phosphorylation', pattern: '[ST]-x(2)-[DE]', type: 'prosite', description: 'PS00006' },
+    { name: 'N-myristoylation', pattern: 'G-{EDRKHPFYW}-x(2)-[STAGCN]-{P}', type: 'prosite', description: 'PS00008' },
+    { name: 'Cell attachment (RGD)', pattern: 'R-G-D', type: 'prosite', description: 'PS00016' },
+    { name: 'P-loop (ATP/GTP binding)', pattern: '[AG]-x(4)-G-K-[ST]', type: 'prosite', description: 'PS00017' },
+    { name: 'Zinc finger C2H2', pattern: 'C-x(2,4)-C-x(3)-[LIVMFYWC]-x(8)-H-x(3,5)-H', type: 'prosite', description: 'PS00028' },
+    { name: 'Leucine zipper', pattern: 'L-x(6)-L-x(6)-L-x(6)-L', type: 'prosite', description: 'PS00029' }
+];
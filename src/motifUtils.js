@@ -0,0 +1,232 @@
+/**
+ * Motif Utilities Module
+ * Nucleotide motif search (IUPAC codes, mismatches, regular expressions) on both
+ * strands and PROSITE pattern search in proteins
+ *
+ * References:
+ * - PROSITE pattern syntax (https://prosite.expasy.org/scanprosite/scanprosite_doc.html)
+ * - Motif data: motifLibrary.js
+ */
+
+import { IUPAC_CODES, getReverseComplement } from './bioUtils';
+import { siteToPattern } from './restrictionUtils';
+
+export { MOTIF_LIBRARY } from './motifLibrary';
+
+/**
+ * Query types accepted by searchMotif
+ */
+export const MOTIF_TYPES = {
+    IUPAC: 'iupac',
+    REGEX: 'regex',
+    PROSITE: 'prosite'
+};
+
+/**
+ * Default options for searchMotif
+ */
+export const MOTIF_DEFAULTS = {
+    type: MOTIF_TYPES.IUPAC,
+    mismatches: 0,          // Allowed mismatches (IUPAC only)
+    bothStrands: true,      // Also search the reverse complement (nucleotide queries)
+    maxHits: 10000,         // Stop after this many hits
+    wrapLength: 1000        // Bases read past the origin of circular records (regex matches)
+};
+
+/**
+ * Converts a PROSITE pattern into a regular expression source
+ * Supports x, [..], {..}, repeats e(n) / e(n,m), and the < > terminal anchors
+ * @param {string} pattern - e.g. 'N-{P}-[ST]-{P}' or '<M-x(2,4)-[KR]>'
+ * @returns {string} - Regex source
+ * @throws {Error} - On malformed patterns
+ */
+export const prositeToRegex = (pattern) => {
+    const cleaned = pattern.toUpperCase().replace(/\s/g, '').replace(/\.$/, '');
+    if (!cleaned) throw new Error('Empty PROSITE pattern');
+
+    return cleaned.split('-').map(element => {
+        const match = element.match(/^(<?)(X|[A-Z]|\[[A-Z>]+\]|\{[A-Z]+\})(?:\((\d+)(?:,(\d+))?\))?(>?)$/);
+        if (!match) throw new Error(`Invalid PROSITE element '${element}'`);
+
+        const [, start, residue, min, max, end] = match;
+        let source;
+        if (residue === 'X') {
+            source = '.';
+        } else if (residue.startsWith('[')) {
+            //'>' inside brackets: the residue or the C-terminus
+            const residues = residue.slice(1, -1);
+            source = residues.includes('>') ? `(?:[${residues.replace('>', '')}]|$)` : `[${residues}]`;
+        } else if (residue.startsWith('{')) {
+            source = `[^${residue.slice(1, -1)}]`;
+        } else {
+            source = residue;
+        }
+
+        if (min !== undefined) {
+            source += max !== undefined ? `{${min},${max}}` : `{${min}}`;
+        }
+        return `${start ? '^' : ''}${source}${end ? '$' : ''}`;
+    }).join('');
+};
+
+/**
+ * All regex matches, overlapping ones included (zero-length matches skipped)
+ * The pattern runs as written (backreferences keep their numbers); each search
+ * restarts one position after the previous match start
+ */
+const findRegexMatches = (text, source, flags, limit) => {
+    const regex = new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+    const matches = [];
+    let match;
+
+    while (matches.length < limit && (match = regex.exec(text)) !== null) {
+        if (match[0].length > 0) {
+            matches.push({ index: match.index, text: match[0] });
+        }
+        regex.lastIndex = match.index + 1;
+    }
+
+    return matches;
+};
+
+/**
+ * Matches of an IUPAC motif allowing up to k mismatches (bases outside the code set)
+ */
+const findIupacMatches = (text, motif, mismatches, limit) => {
+    if (mismatches === 0) {
+        return findRegexMatches(text, siteToPattern(motif), '', limit);
+    }
+
+    const allowed = motif.split('').map(code => IUPAC_CODES[code]);
+    const matches = [];
+
+    for (let i = 0; i + motif.length <= text.length && matches.length < limit; i++) {
+        let count = 0;
+        for (let j = 0; j < motif.length && count <= mismatches; j++) {
+            if (!allowed[j].includes(text[i + j])) count++;
+        }
+        if (count <= mismatches) {
+            matches.push({ index: i, text: text.substring(i, i + motif.length), mismatches: count });
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Validates a query and returns its cleaned form
+ */
+const prepareQuery = (query, type) => {
+    const trimmed = query.trim();
+    if (!trimmed) throw new Error('Enter a motif or pattern');
+
+    if (type === MOTIF_TYPES.IUPAC) {
+        const motif = trimmed.toUpperCase().replace(/\s/g, '').replace(/U/g, 'T');
+        const invalid = motif.split('').find(code => !IUPAC_CODES[code]);
+        if (invalid) throw new Error(`'${invalid}' is not an IUPAC nucleotide code`);
+        return motif;
+    }
+
+    if (type === MOTIF_TYPES.REGEX) {
+        try {
+            new RegExp(trimmed);
+        } catch (err) {
+            throw new Error(`Invalid regular expression: ${err.message}`);
+        }
+        return trimmed;
+    }
+
+    return prositeToRegex(trimmed);
+};
+
+/**
+ * Searches a motif in a list of records
+ * IUPAC and regex queries search the DNA (both strands by default);
+ * PROSITE queries search each record's protein
+ * @param {Array} records - [{ id, sequence (DNA), protein, circular (optional) }]
+ * @param {string} query - Motif, regular expression or PROSITE pattern
+ * @param {Object} options - See MOTIF_DEFAULTS
+ * @returns {Object} - { hits, truncated }
+ *   hits: [{ recordId, recordIndex (position in records; ids may repeat), strand ('+', '-' or null for proteins), start, end (1-based, on the
+ *   input strand or the protein), match (as read on its strand), mismatches }]
+ *   In circular records a DNA hit spanning the origin has end < start
+ * @throws {Error} - On empty or invalid queries
+ */
+export const searchMotif = (records, query, options = {}) => {
+    const settings = { ...MOTIF_DEFAULTS, ...options };
+    const source = prepareQuery(query, settings.type);
+    const hits = [];
+    const remaining = () => settings.maxHits - hits.length;
+
+    const find = (text) => {
+        if (settings.type === MOTIF_TYPES.IUPAC) {
+            return findIupacMatches(text, source, settings.mismatches, remaining());
+        }
+        //Regex in DNA is case-insensitive; PROSITE is uppercase already
+        return findRegexMatches(text, source, settings.type === MOTIF_TYPES.REGEX ? 'i' : '', remaining());
+    };
+
+    for (const [recordIndex, record] of records.entries()) {
+        if (remaining() <= 0) break;
+
+        if (settings.type === MOTIF_TYPES.PROSITE) {
+            const protein = record.protein && record.protein !== 'No protein found' ? record.protein : '';
+            find(protein).forEach(match => hits.push({
+                recordId: record.id,
+                recordIndex,
+                strand: null,
+                start: match.index + 1,
+                end: match.index + match.text.length,
+                match: match.text,
+                mismatches: 0
+            }));
+            continue;
+        }
+
+        const length = record.sequence.length;
+        const recordHits = [];
+
+        //For circular records the start is appended so hits spanning the origin match;
+        //hits starting in the appended part are repeats of earlier ones
+        const wrap = !record.circular ? 0 : Math.min(
+            length - 1,
+            settings.type === MOTIF_TYPES.IUPAC ? source.length - 1 : settings.wrapLength
+        );
+        const findOnStrand = (text) => find(wrap > 0 ? text + text.substring(0, wrap) : text)
+            .filter(match => match.index < length);
+        const wrapped = (position) => ((position % length) + length) % length;
+
+        findOnStrand(record.sequence).forEach(match => recordHits.push({
+            recordId: record.id,
+            recordIndex,
+            strand: '+',
+            start: match.index + 1,
+            end: wrapped(match.index + match.text.length - 1) + 1,
+            match: match.text,
+            mismatches: match.mismatches || 0
+        }));
+
+        //Palindromic IUPAC motifs are already found on the forward strand
+        const palindromic = settings.type === MOTIF_TYPES.IUPAC && getReverseComplement(source) === source;
+
+        if (settings.bothStrands && !palindromic && remaining() - recordHits.length > 0) {
+            //Reverse strand hits are reported in input strand coordinates
+            findOnStrand(getReverseComplement(record.sequence)).forEach(match => recordHits.push({
+                recordId: record.id,
+                recordIndex,
+                strand: '-',
+                start: wrapped(length - match.index - match.text.length) + 1,
+                end: length - match.index,
+                match: match.text,
+                mismatches: match.mismatches || 0
+            }));
+        }
+
+        recordHits
+            .sort((a, b) => a.start - b.start)
+            .slice(0, remaining())
+            .forEach(hit => hits.push(hit));
+    }
+
+    return { hits, truncated: hits.length >= settings.maxHits };
+};
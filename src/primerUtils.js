@@ -0,0 +1,365 @@
+/**
+ * Primer Utilities Module
+ * Melting temperature, secondary structure checks and primer pair design
+ *
+ * References:
+ * - Wallace et al. (1979) Nucleic Acids Res 6:3543 (basic Tm)
+ * - Howley et al. (1979) J Biol Chem 254:4876 (salt-adjusted Tm)
+ * - SantaLucia (1998) PNAS 95:1460 (unified nearest-neighbour parameters)
+ * - von Ahsen et al. (2001) Clin Chem 47:1956 (Mg2+ to Na+ equivalent)
+ */
+
+import { calculateGC, getReverseComplement } from './bioUtils';
+
+/**
+ * Default reaction conditions
+ * Concentrations: Na+ and Mg2+ and dNTP in mM, oligo in nM
+ */
+export const PRIMER_CONDITIONS = {
+    na: 50,
+    mg: 1.5,
+    dntp: 0.2,
+    oligo: 250
+};
+
+/**
+ * Default primer design constraints
+ */
+export const PRIMER_DEFAULTS = {
+    minLength: 18,
+    maxLength: 25,
+    minTm: 55,
+    maxTm: 65,
+    optimalTm: 60,
+    minGC: 40,
+    maxGC: 60,
+    maxTmDifference: 5,
+    searchDistance: 200,   // How far from the region primers may start (bp)
+    maxPairs: 5
+};
+
+/**
+ * SantaLucia 1998 unified nearest-neighbour parameters
+ * Key: dinucleotide 5'->3' on the primer strand
+ * dH in kcal/mol, dS in cal/(K mol)
+ */
+const NN_PARAMS = {
+    'AA': { dH: -7.9, dS: -22.2 }, 'TT': { dH: -7.9, dS: -22.2 },
+    'AT': { dH: -7.2, dS: -20.4 },
+    'TA': { dH: -7.2, dS: -21.3 },
+    'CA': { dH: -8.5, dS: -22.7 }, 'TG': { dH: -8.5, dS: -22.7 },
+    'GT': { dH: -8.4, dS: -22.4 }, 'AC': { dH: -8.4, dS: -22.4 },
+    'CT': { dH: -7.8, dS: -21.0 }, 'AG': { dH: -7.8, dS: -21.0 },
+    'GA': { dH: -8.2, dS: -22.2 }, 'TC': { dH: -8.2, dS: -22.2 },
+    'CG': { dH: -10.6, dS: -27.2 },
+    'GC': { dH: -9.8, dS: -24.4 },
+    'GG': { dH: -8.0, dS: -19.9 }, 'CC': { dH: -8.0, dS: -19.9 }
+};
+
+const NN_INIT_GC = { dH: 0.1, dS: -2.8 };
+const NN_INIT_AT = { dH: 2.3, dS: 4.1 };
+const GAS_CONSTANT = 1.987; // cal/(K mol)
+
+const COMPLEMENT = { 'A': 'T', 'T': 'A', 'G': 'C', 'C': 'G' };
+
+/**
+ * Counts G and C bases
+ */
+const countGC = (primer) => (primer.match(/[GC]/g) || []).length;
+
+/**
+ * Basic Tm (Wallace rule below 14 nt, GC formula above)
+ * @param {string} primer - Primer sequence (5' to 3')
+ * @returns {number} - Tm in °C
+ */
+export const calculateTmBasic = (primer) => {
+    const gc = countGC(primer);
+    const at = (primer.match(/[AT]/g) || []).length;
+
+    if (primer.length < 14) {
+        return 2 * at + 4 * gc;
+    }
+    return 64.9 + 41 * (gc - 16.4) / primer.length;
+};
+
+/**
+ * Converts Mg2+ to a Na+ equivalent concentration (mM)
+ * Free Mg2+ is what is left after dNTPs chelate it
+ */
+const sodiumEquivalent = ({ na, mg, dntp }) => {
+    const freeMg = Math.max(mg - dntp, 0);
+    return na + 120 * Math.sqrt(freeMg);
+};
+
+/**
+ * Salt-adjusted Tm
+ * @param {string} primer - Primer sequence (5' to 3')
+ * @param {Object} conditions - See PRIMER_CONDITIONS
+ * @returns {number} - Tm in °C
+ */
+export const calculateTmSalt = (primer, conditions = {}) => {
+    const settings = { ...PRIMER_CONDITIONS, ...conditions };
+    const sodium = sodiumEquivalent(settings) / 1000;
+    const gcPercent = (countGC(primer) / primer.length) * 100;
+
+    return 81.5 + 16.6 * Math.log10(sodium) + 0.41 * gcPercent - 675 / primer.length;
+};
+
+/**
+ * Nearest-neighbour thermodynamics (SantaLucia 1998)
+ * @param {string} primer - Primer sequence (5' to 3')
+ * @returns {Object} - { dH (kcal/mol), dS (cal/K/mol) } before salt correction
+ */
+const nearestNeighbourThermo = (primer) => {
+    let dH = 0;
+    let dS = 0;
+
+    for (let i = 0; i < primer.length - 1; i++) {
+        const params = NN_PARAMS[primer.substring(i, i + 2)];
+        if (params) {
+            dH += params.dH;
+            dS += params.dS;
+        }
+    }
+
+    [primer[0], primer[primer.length - 1]].forEach(base => {
+        const init = base === 'G' || base === 'C' ? NN_INIT_GC : NN_INIT_AT;
+        dH += init.dH;
+        dS += init.dS;
+    });
+
+    return { dH, dS };
+};
+
+/**
+ * Nearest-neighbour Tm (SantaLucia 1998) with salt correction
+ * @param {string} primer - Primer sequence (5' to 3')
+ * @param {Object} conditions - See PRIMER_CONDITIONS
+ * @returns {number} - Tm in °C
+ */
+export const calculateTmNN = (primer, conditions = {}) => {
+    if (primer.length < 2) return 0;
+
+    const settings = { ...PRIMER_CONDITIONS, ...conditions };
+    const sodium = sodiumEquivalent(settings) / 1000;
+    const oligo = settings.oligo * 1e-9;
+    const { dH, dS } = nearestNeighbourThermo(primer);
+
+    //Entropy salt correction, non self-complementary duplex (Ct/4)
+    const correctedDS = dS + 0.368 * (primer.length - 1) * Math.log(sodium);
+
+    return (dH * 1000) / (correctedDS + GAS_CONSTANT * Math.log(oligo / 4)) - 273.15;
+};
+
+/**
+ * Finds the best complementary alignment between two primers
+ * b is reversed so both read antiparallel, as they would pair
+ * @param {string} a - First primer (5' to 3')
+ * @param {string} b - Second primer (5' to 3')
+ * @returns {Object} - { maxRun, threePrimeRun }
+ *   maxRun: longest run of consecutive paired bases
+ *   threePrimeRun: paired bases counted from the 3' end of a (extendable dimers)
+ */
+export const checkDimer = (a, b) => {
+    const reversedB = b.split('').reverse().join('');
+    let maxRun = 0;
+    let threePrimeRun = 0;
+
+    for (let offset = -(reversedB.length - 1); offset < a.length; offset++) {
+        let run = 0;
+        let endRun = 0;
+
+        for (let i = Math.max(0, offset); i < Math.min(a.length, offset + reversedB.length); i++) {
+            const paired = COMPLEMENT[a[i]] === reversedB[i - offset];
+            run = paired ? run + 1 : 0;
+            maxRun = Math.max(maxRun, run);
+            if (i === a.length - 1) endRun = run;
+        }
+
+        threePrimeRun = Math.max(threePrimeRun, endRun);
+    }
+
+    return { maxRun, threePrimeRun };
+};
+
+/**
+ * Finds the longest hairpin stem in a primer
+ * @param {string} primer - Primer sequence (5' to 3')
+ * @param {number} minLoop - Minimum loop size (default: 3)
+ * @returns {Object} - { stem, loop, position } (stem 0 = no hairpin)
+ */
+export const checkHairpin = (primer, minLoop = 3) => {
+    let best = { stem: 0, loop: 0, position: 0 };
+
+    for (let i = 0; i < primer.length; i++) {
+        for (let j = primer.length - 1; j > i + minLoop; j--) {
+            let stem = 0;
+            while (
+                i + stem < j - stem - minLoop &&
+                COMPLEMENT[primer[i + stem]] === primer[j - stem]
+            ) {
+                stem++;
+            }
+
+            if (stem > best.stem) {
+                best = { stem, loop: (j - stem) - (i + stem) + 1, position: i + 1 };
+            }
+        }
+    }
+
+    return best;
+};
+
+/**
+ * Full analysis of a single primer
+ * @param {string} primer - Primer sequence (5' to 3')
+ * @param {Object} conditions - See PRIMER_CONDITIONS
+ * @returns {Object} - Tm by three methods, GC, clamp and secondary structure warnings
+ */
+export const analyzePrimer = (primer, conditions = {}) => {
+    const hairpin = checkHairpin(primer);
+    const selfDimer = checkDimer(primer, primer);
+    const warnings = [];
+
+    if (hairpin.stem >= 4) warnings.push(`Hairpin with ${hairpin.stem} bp stem`);
+    if (selfDimer.maxRun >= 5) warnings.push(`Self-dimer (${selfDimer.maxRun} bp)`);
+    if (selfDimer.threePrimeRun >= 3) warnings.push(`3' self-dimer (${selfDimer.threePrimeRun} bp)`);
+
+    return {
+        sequence: primer,
+        length: primer.length,
+        gcContent: calculateGC(primer),
+        gcClamp: /[GC]$/.test(primer),
+        tmBasic: calculateTmBasic(primer),
+        tmSalt: calculateTmSalt(primer, conditions),
+        tmNN: calculateTmNN(primer, conditions),
+        hairpin,
+        selfDimer,
+        warnings
+    };
+};
+
+/**
+ * Cross-dimer between two primers, checked both ways: the 3' run is the
+ * worst of either primer's 3' end annealing to the other
+ */
+const checkCrossDimer = (forward, reverse) => {
+    const crossDimer = checkDimer(forward, reverse);
+    const reverseCross = checkDimer(reverse, forward);
+    crossDimer.threePrimeRun = Math.max(crossDimer.threePrimeRun, reverseCross.threePrimeRun);
+    return crossDimer;
+};
+
+/**
+ * Analyzes a forward/reverse primer pair
+ * @param {string} forward - Forward primer (5' to 3')
+ * @param {string} reverse - Reverse primer (5' to 3')
+ * @param {Object} conditions - See PRIMER_CONDITIONS
+ * @returns {Object} - { forward, reverse, crossDimer, tmDifference, warnings }
+ */
+export const analyzePrimerPair = (forward, reverse, conditions = {}) => {
+    const forwardInfo = analyzePrimer(forward, conditions);
+    const reverseInfo = analyzePrimer(reverse, conditions);
+    const crossDimer = checkCrossDimer(forward, reverse);
+    const warnings = [];
+
+    if (crossDimer.maxRun >= 5) warnings.push(`Cross-dimer (${crossDimer.maxRun} bp)`);
+    if (crossDimer.threePrimeRun >= 3) warnings.push(`3' cross-dimer (${crossDimer.threePrimeRun} bp)`);
+
+    return {
+        forward: forwardInfo,
+        reverse: reverseInfo,
+        crossDimer,
+        tmDifference: Math.abs(forwardInfo.tmNN - reverseInfo.tmNN),
+        warnings
+    };
+};
+
+/**
+ * Scores a candidate primer (lower is better), null if it fails the constraints
+ */
+const scorePrimer = (primer, settings, conditions) => {
+    const gc = (countGC(primer) / primer.length) * 100;
+    if (gc < settings.minGC || gc > settings.maxGC) return null;
+    if (/[^ACGT]/.test(primer)) return null;
+
+    const tm = calculateTmNN(primer, conditions);
+    if (tm < settings.minTm || tm > settings.maxTm) return null;
+
+    const hairpin = checkHairpin(primer);
+    const selfDimer = checkDimer(primer, primer);
+    if (hairpin.stem >= 4 || selfDimer.threePrimeRun >= 4) return null;
+
+    return {
+        sequence: primer,
+        tm,
+        score: Math.abs(tm - settings.optimalTm) + Math.abs(gc - 50) / 10 +
+            (/[GC]$/.test(primer) ? 0 : 2) + hairpin.stem / 2 + selfDimer.maxRun / 2
+    };
+};
+
+/**
+ * Suggests primer pairs flanking a target region
+ * @param {string} sequence - Template DNA (5' to 3')
+ * @param {number} regionStart - First base of the region to amplify (1-based)
+ * @param {number} regionEnd - Last base of the region to amplify (1-based)
+ * @param {Object} options - Design constraints (PRIMER_DEFAULTS) and conditions (PRIMER_CONDITIONS)
+ * @returns {Array} - Pairs sorted by score: { forward, reverse, forwardStart, reverseEnd,
+ *   productSize, analysis }
+ */
+export const designPrimers = (sequence, regionStart, regionEnd, options = {}) => {
+    const settings = { ...PRIMER_DEFAULTS, ...options };
+    const conditions = { ...PRIMER_CONDITIONS, ...options };
+    const forwardCandidates = [];
+    const reverseCandidates = [];
+
+    //Forward primers end before the region, reverse primers start after it
+    const forwardFrom = Math.max(0, regionStart - 1 - settings.searchDistance);
+    for (let start = forwardFrom; start < regionStart - 1; start++) {
+        for (let length = settings.minLength; length <= settings.maxLength; length++) {
+            if (start + length > regionStart - 1) break;
+            const candidate = scorePrimer(sequence.substring(start, start + length), settings, conditions);
+            if (candidate) forwardCandidates.push({ ...candidate, start: start + 1 });
+        }
+    }
+
+    const reverseTo = Math.min(sequence.length, regionEnd + settings.searchDistance);
+    for (let end = regionEnd + settings.minLength; end <= reverseTo; end++) {
+        for (let length = settings.minLength; length <= settings.maxLength; length++) {
+            const start = end - length;
+            if (start < regionEnd) break;
+            const primer = getReverseComplement(sequence.substring(start, end));
+            const candidate = scorePrimer(primer, settings, conditions);
+            if (candidate) reverseCandidates.push({ ...candidate, end });
+        }
+    }
+
+    //Only the best candidates of each side are paired up
+    const bestForward = forwardCandidates.sort((a, b) => a.score - b.score).slice(0, 30);
+    const bestReverse = reverseCandidates.sort((a, b) => a.score - b.score).slice(0, 30);
+    const pairs = [];
+
+    bestForward.forEach(forward => {
+        bestReverse.forEach(reverse => {
+            const tmDifference = Math.abs(forward.tm - reverse.tm);
+            if (tmDifference > settings.maxTmDifference) return;
+
+            const cross = checkCrossDimer(forward.sequence, reverse.sequence);
+            if (cross.threePrimeRun >= 4) return;
+
+            pairs.push({
+                forward: forward.sequence,
+                reverse: reverse.sequence,
+                forwardStart: forward.start,
+                reverseEnd: reverse.end,
+                productSize: reverse.end - forward.start + 1,
+                score: forward.score + reverse.score + tmDifference + cross.maxRun / 2
+            });
+        });
+    });
+
+    return pairs
+        .sort((a, b) => a.score - b.score)
+        .slice(0, settings.maxPairs)
+        .map(pair => ({ ...pair, analysis: analyzePrimerPair(pair.forward, pair.reverse, conditions) }));
+};
@@ -0,0 +1,256 @@
+/**
+ * Protein Utilities Module
+ * Physicochemical properties of protein sequences (ProtParam style)
+ *
+ * References:
+ * - Gasteiger et al. (2005) Protein Identification and Analysis Tools on the ExPASy Server
+ * - Kyte & Doolittle (1982) J Mol Biol 157:105 (hydropathy)
+ * - Pace et al. (1995) Protein Sci 4:2411 (extinction coefficient)
+ * - Guruprasad et al. (1990) Protein Eng 4:155 (instability index)
+ * - Ikai (1980) J Biochem 88:1895 (aliphatic index)
+ */
+
+/**
+ * Kyte-Doolittle hydropathy values
+ */
+export const KYTE_DOOLITTLE = {
+    'A': 1.8, 'R': -4.5, 'N': -3.5, 'D': -3.5, 'C': 2.5,
+    'Q': -3.5, 'E': -3.5, 'G': -0.4, 'H': -3.2, 'I': 4.5,
+    'L': 3.8, 'K': -3.9, 'M': 1.9, 'F': 2.8, 'P': -1.6,
+    'S': -0.8, 'T': -0.7, 'W': -0.9, 'Y': -1.3, 'V': 4.2
+};
+
+/**
+ * Average residue masses (Da), water added once per chain
+ */
+const AVERAGE_MASSES = {
+    'A': 71.0788, 'R': 156.1875, 'N': 114.1038, 'D': 115.0886, 'C': 103.1388,
+    'E': 129.1155, 'Q': 128.1307, 'G': 57.0519, 'H': 137.1411, 'I': 113.1594,
+    'L': 113.1594, 'K': 128.1741, 'M': 131.1926, 'F': 147.1766, 'P': 97.1167,
+    'S': 87.0782, 'T': 101.1051, 'W': 186.2132, 'Y': 163.1760, 'V': 99.1326
+};
+const AVERAGE_WATER = 18.01524;
+
+/**
+ * Monoisotopic residue masses (Da)
+ */
+const MONOISOTOPIC_MASSES = {
+    'A': 71.03711, 'R': 156.10111, 'N': 114.04293, 'D': 115.02694, 'C': 103.00919,
+    'E': 129.04259, 'Q': 128.05858, 'G': 57.02146, 'H': 137.05891, 'I': 113.08406,
+    'L': 113.08406, 'K': 128.09496, 'M': 131.04049, 'F': 147.06841, 'P': 97.05276,
+    'S': 87.03203, 'T': 101.04768, 'W': 186.07931, 'Y': 163.06333, 'V': 99.06841
+};
+const MONOISOTOPIC_WATER = 18.01056;
+
+/**
+ * pKa values of ionizable groups (same set as Biopython's IsoelectricPoint)
+ */
+const POSITIVE_PKA = { Nterm: 7.5, K: 10.0, R: 12.0, H: 5.98 };
+const NEGATIVE_PKA = { Cterm: 3.55, D: 4.05, E: 4.45, C: 9.0, Y: 10.0 };
+
+/**
+ * Dipeptide instability weight values (DIWV), Guruprasad et al. 1990
+ * DIWV[first][second]
+ */
+const DIWV = {
+    'A': { 'A': 1.0, 'C': 44.94, 'E': 1.0, 'D': -7.49, 'G': 1.0, 'F': 1.0, 'I': 1.0, 'H': -7.49, 'K': 1.0, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': 1.0, 'P': 20.26, 'S': 1.0, 'R': 1.0, 'T': 1.0, 'W': 1.0, 'V': 1.0, 'Y': 1.0 },
+    'C': { 'A': 1.0, 'C': 1.0, 'E': 1.0, 'D': 20.26, 'G': 1.0, 'F': 1.0, 'I': 1.0, 'H': 33.6, 'K': 1.0, 'M': 33.6, 'L': 20.26, 'N': 1.0, 'Q': -6.54, 'P': 20.26, 'S': 1.0, 'R': 1.0, 'T': 33.6, 'W': 24.68, 'V': -6.54, 'Y': 1.0 },
+    'E': { 'A': 1.0, 'C': 44.94, 'E': 33.6, 'D': 20.26, 'G': 1.0, 'F': 1.0, 'I': 20.26, 'H': -6.54, 'K': 1.0, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': 20.26, 'P': 20.26, 'S': 20.26, 'R': 1.0, 'T': 1.0, 'W': -14.03, 'V': 1.0, 'Y': 1.0 },
+    'D': { 'A': 1.0, 'C': 1.0, 'E': 1.0, 'D': 1.0, 'G': 1.0, 'F': -6.54, 'I': 1.0, 'H': 1.0, 'K': -7.49, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': 1.0, 'P': 1.0, 'S': 20.26, 'R': -6.54, 'T': -14.03, 'W': 1.0, 'V': 1.0, 'Y': 1.0 },
+    'G': { 'A': -7.49, 'C': 1.0, 'E': -6.54, 'D': 1.0, 'G': 13.34, 'F': 1.0, 'I': -7.49, 'H': 1.0, 'K': -7.49, 'M': 1.0, 'L': 1.0, 'N': -7.49, 'Q': 1.0, 'P': 1.0, 'S': 1.0, 'R': 1.0, 'T': -7.49, 'W': 13.34, 'V': 1.0, 'Y': -7.49 },
+    'F': { 'A': 1.0, 'C': 1.0, 'E': 1.0, 'D': 13.34, 'G': 1.0, 'F': 1.0, 'I': 1.0, 'H': 1.0, 'K': -14.03, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': 1.0, 'P': 20.26, 'S': 1.0, 'R': 1.0, 'T': 1.0, 'W': 1.0, 'V': 1.0, 'Y': 33.601 },
+    'I': { 'A': 1.0, 'C': 1.0, 'E': 44.94, 'D': 1.0, 'G': 1.0, 'F': 1.0, 'I': 1.0, 'H': 13.34, 'K': -7.49, 'M': 1.0, 'L': 20.26, 'N': 1.0, 'Q': 1.0, 'P': -1.88, 'S': 1.0, 'R': 1.0, 'T': 1.0, 'W': 1.0, 'V': -7.49, 'Y': 1.0 },
+    'H': { 'A': 1.0, 'C': 1.0, 'E': 1.0, 'D': 1.0, 'G': -9.37, 'F': -9.37, 'I': 44.94, 'H': 1.0, 'K': 24.68, 'M': 1.0, 'L': 1.0, 'N': 24.68, 'Q': 1.0, 'P': -1.88, 'S': 1.0, 'R': 1.0, 'T': -6.54, 'W': -1.88, 'V': 1.0, 'Y': 44.94 },
+    'K': { 'A': 1.0, 'C': 1.0, 'E': 1.0, 'D': 1.0, 'G': -7.49, 'F': 1.0, 'I': -7.49, 'H': 1.0, 'K': 1.0, 'M': 33.6, 'L': -7.49, 'N': 1.0, 'Q': 24.64, 'P': -6.54, 'S': 1.0, 'R': 33.6, 'T': 1.0, 'W': 1.0, 'V': -7.49, 'Y': 1.0 },
+    'M': { 'A': 13.34, 'C': 1.0, 'E': 1.0, 'D': 1.0, 'G': 1.0, 'F': 1.0, 'I': 1.0, 'H': 58.28, 'K': 1.0, 'M': -1.88, 'L': 1.0, 'N': 1.0, 'Q': -6.54, 'P': 44.94, 'S': 44.94, 'R': -6.54, 'T': -1.88, 'W': 1.0, 'V': 1.0, 'Y': 24.68 },
+    'L': { 'A': 1.0, 'C': 1.0, 'E': 1.0, 'D': 1.0, 'G': 1.0, 'F': 1.0, 'I': 1.0, 'H': 1.0, 'K': -7.49, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': 33.6, 'P': 20.26, 'S': 1.0, 'R': 20.26, 'T': 1.0, 'W': 24.68, 'V': 1.0, 'Y': 1.0 },
+    'N': { 'A': 1.0, 'C': -1.88, 'E': 1.0, 'D': 1.0, 'G': -14.03, 'F': -14.03, 'I': 44.94, 'H': 1.0, 'K': 24.68, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': -6.54, 'P': -1.88, 'S': 1.0, 'R': 1.0, 'T': -7.49, 'W': -9.37, 'V': 1.0, 'Y': 1.0 },
+    'Q': { 'A': 1.0, 'C': -6.54, 'E': 20.26, 'D': 20.26, 'G': 1.0, 'F': -6.54, 'I': 1.0, 'H': 1.0, 'K': 1.0, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': 20.26, 'P': 20.26, 'S': 44.94, 'R': 1.0, 'T': 1.0, 'W': 1.0, 'V': -6.54, 'Y': -6.54 },
+    'P': { 'A': 20.26, 'C': -6.54, 'E': 18.38, 'D': -6.54, 'G': 1.0, 'F': 20.26, 'I': 1.0, 'H': 1.0, 'K': 1.0, 'M': -6.54, 'L': 1.0, 'N': 1.0, 'Q': 20.26, 'P': 20.26, 'S': 20.26, 'R': -6.54, 'T': 1.0, 'W': -1.88, 'V': 20.26, 'Y': 1.0 },
+    'S': { 'A': 1.0, 'C': 33.6, 'E': 20.26, 'D': 1.0, 'G': 1.0, 'F': 1.0, 'I': 1.0, 'H': 1.0, 'K': 1.0, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': 20.26, 'P': 44.94, 'S': 20.26, 'R': 20.26, 'T': 1.0, 'W': 1.0, 'V': 1.0, 'Y': 1.0 },
+    'R': { 'A': 1.0, 'C': 1.0, 'E': 1.0, 'D': 1.0, 'G': -7.49, 'F': 1.0, 'I': 1.0, 'H': 20.26, 'K': 1.0, 'M': 1.0, 'L': 1.0, 'N': 13.34, 'Q': 20.26, 'P': 20.26, 'S': 44.94, 'R': 58.28, 'T': 1.0, 'W': 58.28, 'V': 1.0, 'Y': -6.54 },
+    'T': { 'A': 1.0, 'C': 1.0, 'E': 20.26, 'D': 1.0, 'G': -7.49, 'F': 13.34, 'I': 1.0, 'H': 1.0, 'K': 1.0, 'M': 1.0, 'L': 1.0, 'N': -14.03, 'Q': -6.54, 'P': 1.0, 'S': 1.0, 'R': 1.0, 'T': 1.0, 'W': -14.03, 'V': 1.0, 'Y': 1.0 },
+    'W': { 'A': -14.03, 'C': 1.0, 'E': 1.0, 'D': 1.0, 'G': -9.37, 'F': 1.0, 'I': 1.0, 'H': 24.68, 'K': 1.0, 'M': 24.68, 'L': 13.34, 'N': 13.34, 'Q': 1.0, 'P': 1.0, 'S': 1.0, 'R': 1.0, 'T': -14.03, 'W': 1.0, 'V': -7.49, 'Y': 1.0 },
+    'V': { 'A': 1.0, 'C': 1.0, 'E': 1.0, 'D': -14.03, 'G': -7.49, 'F': 1.0, 'I': 1.0, 'H': 1.0, 'K': -1.88, 'M': 1.0, 'L': 1.0, 'N': 1.0, 'Q': 1.0, 'P': 20.26, 'S': 1.0, 'R': 1.0, 'T': -7.49, 'W': 1.0, 'V': 1.0, 'Y': -6.54 },
+    'Y': { 'A': 24.68, 'C': 1.0, 'E': -6.54, 'D': 24.68, 'G': -7.49, 'F': 1.0, 'I': 1.0, 'H': 13.34, 'K': 1.0, 'M': 44.94, 'L': 1.0, 'N': 1.0, 'Q': 1.0, 'P': 13.34, 'S': 1.0, 'R': -15.91, 'T': -7.49, 'W': -9.37, 'V': 1.0, 'Y': 13.34 }
+};
+
+/**
+ * Counts each residue in a protein sequence
+ */
+const countResidues = (protein) => {
+    const counts = {};
+    for (const aa of protein) {
+        counts[aa] = (counts[aa] || 0) + 1;
+    }
+    return counts;
+};
+
+/**
+ * Sums residue masses plus one water molecule
+ * Unknown residues (X) are skipped
+ */
+const sumMass = (protein, masses, water) => {
+    let mass = 0;
+    for (const aa of protein) {
+        mass += masses[aa] || 0;
+    }
+    return protein.length > 0 ? mass + water : 0;
+};
+
+/**
+ * Calculates net charge of a protein at a given pH
+ * Uses the Henderson-Hasselbalch equation for each ionizable group
+ * @param {string} protein - Protein sequence (one-letter codes)
+ * @param {number} pH - pH value
+ * @returns {number} - Net charge
+ */
+export const calculateNetCharge = (protein, pH = 7.0) => {
+    const counts = countResidues(protein);
+    let charge = 0;
+
+    Object.keys(POSITIVE_PKA).forEach(group => {
+        const count = group === 'Nterm' ? 1 : (counts[group] || 0);
+        charge += count / (1 + Math.pow(10, pH - POSITIVE_PKA[group]));
+    });
+
+    Object.keys(NEGATIVE_PKA).forEach(group => {
+        const count = group === 'Cterm' ? 1 : (counts[group] || 0);
+        charge -= count / (1 + Math.pow(10, NEGATIVE_PKA[group] - pH));
+    });
+
+    return charge;
+};
+
+/**
+ * Calculates the isoelectric point (pH where net charge is zero)
+ * Bisection between pH 0 and 14
+ * @param {string} protein - Protein sequence
+ * @returns {number} - Isoelectric point
+ */
+export const calculateIsoelectricPoint = (protein) => {
+    let low = 0;
+    let high = 14;
+
+    while (high - low > 0.0001) {
+        const mid = (low + high) / 2;
+        if (calculateNetCharge(protein, mid) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+
+    return (low + high) / 2;
+};
+
+/**
+ * Calculates GRAVY (grand average of hydropathy)
+ * @param {string} protein - Protein sequence
+ * @returns {number} - Average Kyte-Doolittle value
+ */
+export const calculateGRAVY = (protein) => {
+    const known = protein.split('').filter(aa => KYTE_DOOLITTLE[aa] !== undefined);
+    if (known.length === 0) return 0;
+
+    return known.reduce((sum, aa) => sum + KYTE_DOOLITTLE[aa], 0) / known.length;
+};
+
+/**
+ * Calculates molar extinction coefficients at 280 nm (water)
+ * @param {string} protein - Protein sequence
+ * @returns {Object} - { reduced, oxidized } in M-1 cm-1
+ *   reduced: all Cys reduced, oxidized: all Cys pairs form cystines
+ */
+export const calculateExtinctionCoefficient = (protein) => {
+    const counts = countResidues(protein);
+    const reduced = (counts.W || 0) * 5500 + (counts.Y || 0) * 1490;
+
+    return {
+        reduced,
+        oxidized: reduced + Math.floor((counts.C || 0) / 2) * 125
+    };
+};
+
+/**
+ * Calculates the instability index
+ * Proteins with an index above 40 are predicted unstable
+ * @param {string} protein - Protein sequence
+ * @returns {number} - Instability index
+ */
+export const calculateInstabilityIndex = (protein) => {
+    if (protein.length < 2) return 0;
+
+    let score = 0;
+    for (let i = 0; i < protein.length - 1; i++) {
+        const row = DIWV[protein[i]];
+        if (row && row[protein[i + 1]] !== undefined) {
+            score += row[protein[i + 1]];
+        }
+    }
+
+    return (10 / protein.length) * score;
+};
+
+/**
+ * Calculates the aliphatic index (relative volume of A, V, I, L side chains)
+ * @param {string} protein - Protein sequence
+ * @returns {number} - Aliphatic index
+ */
+export const calculateAliphaticIndex = (protein) => {
+    if (protein.length === 0) return 0;
+
+    const counts = countResidues(protein);
+    const fraction = (aa) => ((counts[aa] || 0) / protein.length) * 100;
+
+    return fraction('A') + 2.9 * fraction('V') + 3.9 * (fraction('I') + fraction('L'));
+};
+
+/**
+ * Kyte-Doolittle hydropathy profile with a sliding window
+ * @param {string} protein - Protein sequence
+ * @param {number} windowSize - Window length in residues (default: 9)
+ * @returns {Array} - Array of { position, value } (position = window center, 1-based)
+ */
+export const getHydropathyProfile = (protein, windowSize = 9) => {
+    const profile = [];
+    if (protein.length < windowSize) return profile;
+
+    for (let i = 0; i + windowSize <= protein.length; i++) {
+        const window = protein.substring(i, i + windowSize);
+        profile.push({
+            position: i + Math.floor(windowSize / 2) + 1,
+            value: calculateGRAVY(window)
+        });
+    }
+
+    return profile;
+};
+
+/**
+ * Gets ProtParam style physicochemical properties
+ * @param {string} protein - Protein sequence
+ * @param {number} pH - pH for the net charge (default: 7.0)
+ * @returns {Object|null} - Properties, or null when there is no protein
+ */
+export const getProteinProperties = (protein, pH = 7.0) => {
+    if (!protein || protein === 'No protein found') {
+        return null;
+    }
+
+    const instabilityIndex = calculateInstabilityIndex(protein);
+
+    return {
+        length: protein.length,
+        averageMass: sumMass(protein, AVERAGE_MASSES, AVERAGE_WATER),
+        monoisotopicMass: sumMass(protein, MONOISOTOPIC_MASSES, MONOISOTOPIC_WATER),
+        isoelectricPoint: calculateIsoelectricPoint(protein),
+        netCharge: calculateNetCharge(protein, pH),
+        pH,
+        gravy: calculateGRAVY(protein),
+        extinctionCoefficient: calculateExtinctionCoefficient(protein),
+        instabilityIndex,
+        isStable: instabilityIndex <= 40,
+        aliphaticIndex: calculateAliphaticIndex(protein)
+    };
+};
@@ -0,0 +1,331 @@
+/**
+ * Repeat Utilities Module
+ * Sequence structure: microsatellites (SSRs, periods 1-6), longer tandem
+ * repeats, direct (dispersed) repeats and inverted repeats / palindromes,
+ * the candidate hairpins and rho-independent terminators
+ *
+ * Only perfect repeats are reported; sequences are scanned as linear
+ *
+ * References:
+ * - Beier et al. (2017) Bioinformatics 33:2583 (MISA, SSR minimum repeat numbers)
+ * - Benson (1999) Nucleic Acids Res 27:573 (Tandem Repeats Finder)
+ * - d'Aubenton Carafa, Brody & Thermes (1990) J Mol Biol 216:835 (terminators: GC-rich stem + U-tract)
+ */
+
+/**
+ * Repeat kinds reported by findRepeats
+ */
+export const REPEAT_TYPES = {
+    MICROSATELLITE: 'microsatellite',
+    TANDEM: 'tandem',
+    DIRECT: 'direct',
+    INVERTED: 'inverted'
+};
+
+/**
+ * Default options for the repeat finders
+ */
+export const REPEAT_DEFAULTS = {
+    types: Object.values(REPEAT_TYPES), // Kinds searched by findRepeats
+    minCopies: { 1: 10, 2: 6, 3: 5, 4: 5, 5: 5, 6: 5 }, // SSR copies per unit length (MISA), or one number for all
+    tandemMaxPeriod: 50,    // Longest tandem unit (bp); units of 7 bp and up
+    tandemMinCopies: 2,     // Minimum copies of a tandem unit
+    tandemMinLength: 20,    // Minimum tandem array length (bp)
+    directMinLength: 15,    // Minimum direct repeat copy length (bp)
+    directMaxSeeds: 20,     // Seeds seen more often than this are low complexity and skipped
+    directMaxLength: 2000000, // Longer sequences are not searched for direct repeats (memory)
+    stemMinLength: 8,       // Minimum inverted repeat arm (bp); ~1 hairpin per 2 kb of random sequence
+    stemMinGC: 0,           // Minimum GC% of the arm (50 keeps terminator-like stems only)
+    loopMinLength: 3,       // Shortest hairpin loop (bp); palindromes have no loop
+    loopMaxLength: 30,      // Longest hairpin loop (bp)
+    maxHits: 5000           // Stop after this many repeats per record
+};
+
+//Watson-Crick pairs only (ambiguity codes never pair)
+const PAIRS = { A: 'T', T: 'A', G: 'C', C: 'G' };
+const pairs = (a, b) => PAIRS[a] === b;
+
+const isPlainDNA = (text) => /^[ACGT]+$/.test(text);
+
+/**
+ * True when a unit is not a repeat of a shorter one (AT, not ATAT)
+ */
+const isPrimitiveUnit = (unit) => {
+    for (let period = 1; period < unit.length; period++) {
+        if (unit.length % period === 0 && unit.substring(0, period).repeat(unit.length / period) === unit) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Perfect periodic regions of one period
+ * A region [start, end) has s[k] === s[k - period] for every k past its first unit
+ * @returns {Array} - [{ start, end }] (0-based, end exclusive), at least minLength long
+ */
+const findPeriodicRegions = (sequence, period, minLength) => {
+    const regions = [];
+    let start = 0;
+
+    for (let j = period; j <= sequence.length; j++) {
+        if (j < sequence.length && sequence[j] === sequence[j - period]) continue;
+
+        if (j - start >= minLength) {
+            regions.push({ start, end: j });
+        }
+        //The next region can start one unit before the mismatch
+        start = j - period + 1;
+    }
+
+    return regions;
+};
+
+/**
+ * Tandem arrays for a range of periods
+ */
+const findPeriodicRepeats = (sequence, minPeriod, maxPeriod, minLengthOf, type, limit) => {
+    const repeats = [];
+
+    for (let period = minPeriod; period <= maxPeriod && repeats.length < limit; period++) {
+        for (const region of findPeriodicRegions(sequence, period, minLengthOf(period))) {
+            const unit = sequence.substring(region.start, region.start + period);
+            if (!isPlainDNA(unit) || !isPrimitiveUnit(unit)) continue;
+
+            const length = region.end - region.start;
+            repeats.push({
+                type,
+                start: region.start + 1,
+                end: region.end,
+                length,
+                period,
+                unit,
+                copies: Math.round((length / period) * 10) / 10,
+                ranges: [{ start: region.start + 1, end: region.end }]
+            });
+            if (repeats.length >= limit) break;
+        }
+    }
+
+    return repeats.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Finds microsatellites (simple sequence repeats, unit of 1 to 6 bp)
+ * @param {string} sequence - DNA sequence
+ * @param {Object|number} minCopies - Minimum copies per unit length, or one number for all
+ * @param {number} limit - Maximum repeats returned
+ * @returns {Array} - [{ type, start, end (1-based), length, period, unit, copies, ranges }]
+ *   copies may be fractional (a partial last unit counts as a fraction)
+ */
+export const findMicrosatellites = (sequence, minCopies = REPEAT_DEFAULTS.minCopies, limit = REPEAT_DEFAULTS.maxHits) => {
+    const copiesFor = (period) => (typeof minCopies === 'number' ? minCopies : minCopies[period]);
+    return findPeriodicRepeats(
+        sequence, 1, 6,
+        period => Math.max(2, copiesFor(period)) * period,
+        REPEAT_TYPES.MICROSATELLITE, limit
+    );
+};
+
+/**
+ * Finds tandem repeats with units longer than microsatellites (7 bp up to tandemMaxPeriod)
+ * @param {string} sequence - DNA sequence
+ * @param {Object} options - See REPEAT_DEFAULTS (tandemMaxPeriod, tandemMinCopies, tandemMinLength)
+ * @returns {Array} - Same shape as findMicrosatellites
+ */
+export const findTandemRepeats = (sequence, options = {}) => {
+    const settings = { ...REPEAT_DEFAULTS, ...options };
+    return findPeriodicRepeats(
+        sequence, 7, settings.tandemMaxPeriod,
+        period => Math.max(settings.tandemMinLength, Math.max(2, settings.tandemMinCopies) * period),
+        REPEAT_TYPES.TANDEM, settings.maxHits
+    );
+};
+
+/**
+ * Finds direct repeats: the same stretch at two places, not adjacent
+ * (adjacent copies are tandem repeats). Exact seeds of directMinLength bp
+ * are extended to the longest common stretch
+ * @param {string} sequence - DNA sequence
+ * @param {Object} options - See REPEAT_DEFAULTS (directMinLength, directMaxSeeds, maxHits)
+ * @returns {Array} - [{ type, start, end (first copy, 1-based), length, period (distance
+ *   between copy starts), unit (copy sequence), copies (2), ranges (both copies) }]
+ */
+export const findDirectRepeats = (sequence, options = {}) => {
+    const settings = { ...REPEAT_DEFAULTS, ...options };
+    const k = settings.directMinLength;
+    const seeds = new Map();
+
+    for (let i = 0; i + k <= sequence.length; i++) {
+        const seed = sequence.substring(i, i + k);
+        const positions = seeds.get(seed);
+        if (!positions) {
+            seeds.set(seed, [i]);
+        } else if (positions.length <= settings.directMaxSeeds) {
+            positions.push(i);
+        }
+    }
+
+    const repeats = [];
+    for (const [seed, positions] of seeds) {
+        if (positions.length < 2 || positions.length > settings.directMaxSeeds || !isPlainDNA(seed)) continue;
+
+        for (let a = 0; a < positions.length; a++) {
+            for (let b = a + 1; b < positions.length; b++) {
+                const first = positions[a];
+                const second = positions[b];
+                //Pairs that extend to the left were reported from the seed one base earlier,
+                //unless that seed was left out (ambiguous base or too frequent)
+                if (first > 0 && sequence[first - 1] === sequence[second - 1] && isPlainDNA(sequence[first - 1]) &&
+                    seeds.get(sequence.substring(first - 1, first - 1 + k)).length <= settings.directMaxSeeds) continue;
+
+                let length = k;
+                while (second + length < sequence.length && sequence[first + length] === sequence[second + length]) {
+                    length++;
+                }
+                //Overlapping copies are a periodic (tandem) region
+                if (second < first + length) continue;
+
+                repeats.push({
+                    type: REPEAT_TYPES.DIRECT,
+                    start: first + 1,
+                    end: first + length,
+                    length,
+                    period: second - first,
+                    unit: sequence.substring(first, first + length),
+                    copies: 2,
+                    ranges: [
+                        { start: first + 1, end: first + length },
+                        { start: second + 1, end: second + length }
+                    ]
+                });
+                if (repeats.length >= settings.maxHits) return repeats.sort((x, y) => x.start - y.start);
+            }
+        }
+    }
+
+    return repeats.sort((x, y) => x.start - y.start);
+};
+
+/**
+ * Finds inverted repeats: an arm followed (after a loop) by its reverse
+ * complement, which can fold into a hairpin. Palindromes (GAATTC) have no loop
+ * Terminator candidates: GC-rich stem (>= 50%) with a T-tract (TTTT) right
+ * after it (+ strand), or an A-tract right before it (- strand)
+ * @param {string} sequence - DNA sequence
+ * @param {Object} options - See REPEAT_DEFAULTS (stemMinLength, stemMinGC, loopMinLength, loopMaxLength, maxHits)
+ * @returns {Array} - [{ type, start, end (whole hairpin, 1-based), length, stemLength, loopLength,
+ *   leftArm, loop, rightArm, palindrome, stemGC (%), terminator ('+', '-' or null), ranges (both arms) }]
+ */
+export const findInvertedRepeats = (sequence, options = {}) => {
+    const settings = { ...REPEAT_DEFAULTS, ...options };
+    const length = sequence.length;
+    const loops = [0];
+    for (let loop = Math.max(1, settings.loopMinLength); loop <= settings.loopMaxLength; loop++) loops.push(loop);
+    const allowedLoop = new Set(loops);
+
+    const repeats = [];
+
+    //center: first base after the left arm
+    for (let center = 1; center < length; center++) {
+        for (const loop of loops) {
+            const right = center + loop;
+            if (right >= length) break;
+
+            let stem = 0;
+            while (center - 1 - stem >= 0 && right + stem < length && pairs(sequence[center - 1 - stem], sequence[right + stem])) {
+                stem++;
+            }
+            if (stem < settings.stemMinLength) continue;
+
+            //When the innermost loop bases pair, the same hairpin is reported with a tighter allowed loop
+            let tighter = false;
+            for (let inner = loop, k = 0; inner >= 2 && pairs(sequence[center + k], sequence[right - 1 - k]); k++) {
+                inner -= 2;
+                if (allowedLoop.has(inner)) {
+                    tighter = true;
+                    break;
+                }
+            }
+            if (tighter) continue;
+
+            const start = center - stem;
+            const end = right + stem;
+            const leftArm = sequence.substring(start, center);
+            const gc = (leftArm.match(/[GC]/g) || []).length / stem * 100;
+            if (gc < settings.stemMinGC) continue;
+            let terminator = null;
+            if (gc >= 50 && sequence.substring(end, end + 8).includes('TTTT')) terminator = '+';
+            else if (gc >= 50 && sequence.substring(Math.max(0, start - 8), start).includes('AAAA')) terminator = '-';
+
+            repeats.push({
+                type: REPEAT_TYPES.INVERTED,
+                start: start + 1,
+                end,
+                length: end - start,
+                period: loop,
+                stemLength: stem,
+                loopLength: loop,
+                leftArm,
+                loop: sequence.substring(center, right),
+                rightArm: sequence.substring(right, end),
+                unit: leftArm,
+                copies: 2,
+                palindrome: loop === 0,
+                stemGC: Math.round(gc * 10) / 10,
+                terminator,
+                ranges: [{ start: start + 1, end: center }, { start: right + 1, end }]
+            });
+            if (repeats.length >= settings.maxHits) return repeats;
+        }
+    }
+
+    return repeats.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Runs the repeat finders on a list of records
+ * @param {Array} records - [{ id, sequence (DNA) }]
+ * @param {Object} options - See REPEAT_DEFAULTS
+ * @returns {Object} - { repeats, truncated, skipped }
+ *   repeats: [{ recordId, recordIndex (position in records; ids may repeat), ...repeat }] sorted by record then start
+ *   truncated: some finder stopped at maxHits; skipped: ids of records too long for direct repeats
+ */
+export const findRepeats = (records, options = {}) => {
+    const settings = { ...REPEAT_DEFAULTS, ...options };
+    const repeats = [];
+    const skipped = [];
+    let truncated = false;
+
+    records.forEach((record, recordIndex) => {
+        const sequence = record.sequence;
+        const found = [];
+        const collect = (list) => {
+            if (list.length >= settings.maxHits) truncated = true;
+            found.push(...list);
+        };
+
+        if (settings.types.includes(REPEAT_TYPES.MICROSATELLITE)) {
+            collect(findMicrosatellites(sequence, settings.minCopies, settings.maxHits));
+        }
+        if (settings.types.includes(REPEAT_TYPES.TANDEM)) {
+            collect(findTandemRepeats(sequence, settings));
+        }
+        if (settings.types.includes(REPEAT_TYPES.DIRECT)) {
+            if (sequence.length > settings.directMaxLength) {
+                skipped.push(record.id);
+            } else {
+                collect(findDirectRepeats(sequence, settings));
+            }
+        }
+        if (settings.types.includes(REPEAT_TYPES.INVERTED)) {
+            collect(findInvertedRepeats(sequence, settings));
+        }
+
+        found
+            .sort((a, b) => a.start - b.start || b.length - a.length)
+            .forEach(repeat => repeats.push({ recordId: record.id, recordIndex, ...repeat }));
+    });
+
+    return { repeats, truncated, skipped };
+};
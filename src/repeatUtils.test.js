@@ -0,0 +1,23 @@
+import { findDirectRepeats } from './repeatUtils';
+
+describe('repeatUtils', () => {
+    const unit = 'GATTACACGTGCTAGCAT';
+    const spacer = 'CCTGAGTCAAGTCGATCGGTACATTGCACG';
+
+    test('direct repeats are found once, from their leftmost seed', () => {
+        const repeats = findDirectRepeats('ACT' + unit + spacer + 'T' + unit);
+        expect(repeats.map(repeat => [repeat.start, repeat.length])).toEqual([[3, 19]]);
+    });
+
+    test('direct repeats preceded by an ambiguous base are still reported', () => {
+        const repeats = findDirectRepeats('ACN' + unit + spacer + 'N' + unit);
+        expect(repeats.map(repeat => [repeat.start, repeat.length])).toEqual([[4, 18]]);
+    });
+
+    test('direct repeats next to a skipped low-complexity seed are still reported', () => {
+        //AGAT occurs a third time in the spacer, so its seed is over directMaxSeeds
+        const sequence = 'ACA' + unit + 'CCTGAGTCAGATCGGTACATTGCACGA' + unit;
+        const repeats = findDirectRepeats(sequence, { directMinLength: 4, directMaxSeeds: 2 });
+        expect(repeats.some(repeat => repeat.unit === unit)).toBe(true);
+    });
+});
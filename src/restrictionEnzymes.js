@@ -0,0 +1,70 @@
+/**
+ * Restriction Enzymes Module
+ * Bundled (offline) enzyme database used by restrictionUtils
+ *
+ * References:
+ * - REBASE, The Restriction Enzyme Database (http://rebase.neb.com)
+ *
+ * site: recognition sequence 5' to 3' (may contain IUPAC codes)
+ * cut: top strand cut, counted from the first base of the site
+ *   (EcoRI G^AATTC = 1, cuts after the G)
+ * cutComplement: bottom strand cut, in the same top strand coordinates
+ * Overhang = cutComplement - cut: > 0 is a 5' overhang, < 0 a 3' overhang, 0 blunt
+ * Type IIS enzymes (BsaI, BsmBI, ...) cut outside their site
+ */
+export const RESTRICTION_ENZYMES = [
+    { name: 'AatII', site: 'GACGTC', cut: 5, cutComplement: 1 },
+    { name: 'AgeI', site: 'ACCGGT', cut: 1, cutComplement: 5 },
+    { name: 'AluI', site: 'AGCT', cut: 2, cutComplement: 2 },
+    { name: 'ApaI', site: 'GGGCCC', cut: 5, cutComplement: 1 },
+    { name: 'AscI', site: 'GGCGCGCC', cut: 2, cutComplement: 6 },
+    { name: 'AvaI', site: 'CYCGRG', cut: 1, cutComplement: 5 },
+    { name: 'BamHI', site: 'GGATCC', cut: 1, cutComplement: 5 },
+    { name: 'BglII', site: 'AGATCT', cut: 1, cutComplement: 5 },
+    { name: 'BsaI', site: 'GGTCTC', cut: 7, cutComplement: 11 },
+    { name: 'BsmBI', site: 'CGTCTC', cut: 7, cutComplement: 11 },
+    { name: 'BsrGI', site: 'TGTACA', cut: 1, cutComplement: 5 },
+    { name: 'ClaI', site: 'ATCGAT', cut: 2, cutComplement: 4 },
+    { name: 'DpnII', site: 'GATC', cut: 0, cutComplement: 4 },
+    { name: 'EagI', site: 'CGGCCG', cut: 1, cutComplement: 5 },
+    { name: 'EcoRI', site: 'GAATTC', cut: 1, cutComplement: 5 },
+    { name: 'EcoRV', site: 'GATATC', cut: 3, cutComplement: 3 },
+    { name: 'HaeIII', site: 'GGCC', cut: 2, cutComplement: 2 },
+    { name: 'HhaI', site: 'GCGC', cut: 3, cutComplement: 1 },
+    { name: 'HincII', site: 'GTYRAC', cut: 3, cutComplement: 3 },
+    { name: 'HindIII', site: 'AAGCTT', cut: 1, cutComplement: 5 },
+    { name: 'HpaI', site: 'GTTAAC', cut: 3, cutComplement: 3 },
+    { name: 'KpnI', site: 'GGTACC', cut: 5, cutComplement: 1 },
+    { name: 'MluI', site: 'ACGCGT', cut: 1, cutComplement: 5 },
+    { name: 'MspI', site: 'CCGG', cut: 1, cutComplement: 3 },
+    { name: 'NcoI', site: 'CCATGG', cut: 1, cutComplement: 5 },
+    { name: 'NdeI', site: 'CATATG', cut: 2, cutComplement: 4 },
+    { name: 'NheI', site: 'GCTAGC', cut: 1, cutComplement: 5 },
+    { name: 'NotI', site: 'GCGGCCGC', cut: 2, cutComplement: 6 },
+    { name: 'PacI', site: 'TTAATTAA', cut: 5, cutComplement: 3 },
+    { name: 'PmeI', site: 'GTTTAAAC', cut: 4, cutComplement: 4 },
+    { name: 'PstI', site: 'CTGCAG', cut: 5, cutComplement: 1 },
+    { name: 'PvuI', site: 'CGATCG', cut: 4, cutComplement: 2 },
+    { name: 'PvuII', site: 'CAGCTG', cut: 3, cutComplement: 3 },
+    { name: 'RsaI', site: 'GTAC', cut: 2, cutComplement: 2 },
+    { name: 'SacI', site: 'GAGCTC', cut: 5, cutComplement: 1 },
+    { name: 'SacII', site: 'CCGCGG', cut: 4, cutComplement: 2 },
+    { name: 'SalI', site: 'GTCGAC', cut: 1, cutComplement: 5 },
+    { name: 'ScaI', site: 'AGTACT', cut: 3, cutComplement: 3 },
+    { name: 'SfiI', site: 'GGCCNNNNNGGCC', cut: 8, cutComplement: 5 },
+    { name: 'SmaI', site: 'CCCGGG', cut: 3, cutComplement: 3 },
+    { name: 'SpeI', site: 'ACTAGT', cut: 1, cutComplement: 5 },
+    { name: 'SphI', site: 'GCATGC', cut: 5, cutComplement: 1 },
+    { name: 'StuI', site: 'AGGCCT', cut: 3, cutComplement: 3 },
+    { name: 'StyI', site: 'CCWWGG', cut: 1, cutComplement: 5 },
+    { name: 'SwaI', site: 'ATTTAAAT', cut: 4, cutComplement: 4 },
+    { name: 'TaqI', site: 'TCGA', cut: 1, cutComplement: 3 },
+    { name: 'XbaI', site: 'TCTAGA', cut: 1, cutComplement: 5 },
+    { name: 'XhoI', site: 'CTCGAG', cut: 1, cutComplement: 5 },
+    { name: 'XmaI', site: 'CCCGGG', cut: 1, cutComplement: 5 }
+];
+
+/**
+ * DNA size ladder used for the virtual gel (1 kb ladder, bp)
+ */
+export const GEL_LADDER = [10000, 8000, 6000, 5000, 4000, 3000, 2000, 1500, 1000, 500, 250];
@@ -0,0 +1,177 @@
+/**
+ * Restriction Utilities Module
+ * Restriction site mapping and virtual digests
+ *
+ * Enzyme data lives in restrictionEnzymes.js
+ */
+
+import { IUPAC_CODES, getReverseComplement } from './bioUtils';
+import { RESTRICTION_ENZYMES } from './restrictionEnzymes';
+
+export { RESTRICTION_ENZYMES, GEL_LADDER } from './restrictionEnzymes';
+
+/**
+ * Converts an IUPAC site into a regular expression source
+ * Only definite bases in the sequence match (an N in the sequence never matches)
+ * @param {string} site - Recognition site (IUPAC codes)
+ * @returns {string} - Regex source
+ */
+export const siteToPattern = (site) => {
+    return site.split('').map(code => {
+        const bases = IUPAC_CODES[code];
+        return bases.length === 1 ? bases : `[${bases}]`;
+    }).join('');
+};
+
+/**
+ * Describes the overhang left by an enzyme
+ * @param {Object} enzyme - Enzyme from RESTRICTION_ENZYMES
+ * @returns {Object} - { type: "5'" | "3'" | 'blunt', length }
+ */
+export const getOverhang = (enzyme) => {
+    const length = enzyme.cutComplement - enzyme.cut;
+    if (length === 0) return { type: 'blunt', length: 0 };
+    return { type: length > 0 ? "5'" : "3'", length: Math.abs(length) };
+};
+
+/**
+ * Finds every start position of a pattern, overlapping matches included
+ */
+const findMatches = (sequence, pattern) => {
+    const regex = new RegExp(`(?=${pattern})`, 'g');
+    const positions = [];
+    let match;
+
+    while ((match = regex.exec(sequence)) !== null) {
+        positions.push(match.index);
+        regex.lastIndex++;
+    }
+
+    return positions;
+};
+
+/**
+ * Finds the sites and cut positions of one enzyme
+ * Both strands are searched (non-palindromic and Type IIS sites)
+ * @param {string} sequence - DNA sequence (5' to 3')
+ * @param {Object} enzyme - Enzyme from RESTRICTION_ENZYMES
+ * @param {boolean} circular - Whether the sequence is circular (sites may span the origin)
+ * @returns {Array} - Sites: { position (1-based site start), strand, cut, cutComplement }
+ *   cut/cutComplement: number of bases before the cut on the top strand
+ */
+export const findEnzymeSites = (sequence, enzyme, circular = false) => {
+    const length = sequence.length;
+    const siteLength = enzyme.site.length;
+    const reach = Math.max(siteLength, enzyme.cut, enzyme.cutComplement);
+
+    //For circular sequences the start is appended so sites spanning the origin match
+    const searchable = circular ? sequence + sequence.substring(0, reach - 1) : sequence;
+    const sites = [];
+
+    const addSite = (start, strand, cut, cutComplement) => {
+        let topCut = start + cut;
+        let bottomCut = start + cutComplement;
+
+        if (circular) {
+            topCut = ((topCut % length) + length) % length;
+            bottomCut = ((bottomCut % length) + length) % length;
+        } else if (topCut <= 0 || topCut >= length || bottomCut <= 0 || bottomCut >= length) {
+            //Cut falls outside a linear sequence
+            return;
+        }
+
+        sites.push({ position: start + 1, strand, cut: topCut, cutComplement: bottomCut });
+    };
+
+    const forwardPattern = siteToPattern(enzyme.site);
+    findMatches(searchable, forwardPattern)
+        .filter(start => start < length)
+        .forEach(start => addSite(start, '+', enzyme.cut, enzyme.cutComplement));
+
+    //Palindromic sites are already found on the top strand
+    const reverseSite = getReverseComplement(enzyme.site);
+    if (reverseSite !== enzyme.site) {
+        findMatches(searchable, siteToPattern(reverseSite))
+            .filter(start => start < length)
+            .forEach(start => addSite(
+                start,
+                '-',
+                siteLength - enzyme.cutComplement,
+                siteLength - enzyme.cut
+            ));
+    }
+
+    return sites.sort((a, b) => a.cut - b.cut);
+};
+
+/**
+ * Maps all enzymes on a sequence
+ * @param {string} sequence - DNA sequence (5' to 3')
+ * @param {boolean} circular - Whether the sequence is circular
+ * @param {Array} enzymes - Enzymes to map (default: full database)
+ * @returns {Object} - { enzymes: [{ enzyme, overhang, sites, cutCount }],
+ *   singleCutters, doubleCutters, nonCutters } (the last three are enzyme names)
+ */
+export const mapRestrictionSites = (sequence, circular = false, enzymes = RESTRICTION_ENZYMES) => {
+    const mapped = enzymes.map(enzyme => {
+        const sites = findEnzymeSites(sequence, enzyme, circular);
+        return {
+            enzyme,
+            overhang: getOverhang(enzyme),
+            sites,
+            cutCount: sites.length
+        };
+    });
+
+    const namesWithCount = (test) => mapped.filter(item => test(item.cutCount)).map(item => item.enzyme.name);
+
+    return {
+        enzymes: mapped,
+        singleCutters: namesWithCount(count => count === 1),
+        doubleCutters: namesWithCount(count => count === 2),
+        nonCutters: namesWithCount(count => count === 0)
+    };
+};
+
+/**
+ * Simulates a digest with one or more enzymes
+ * @param {string} sequence - DNA sequence (5' to 3')
+ * @param {Array} enzymeNames - Names of the enzymes in the digest
+ * @param {boolean} circular - Whether the sequence is circular
+ * @returns {Array} - Fragments sorted by size: { start, end (1-based), size }
+ */
+export const digest = (sequence, enzymeNames, circular = false) => {
+    const length = sequence.length;
+    const cutSet = new Set();
+
+    RESTRICTION_ENZYMES
+        .filter(enzyme => enzymeNames.includes(enzyme.name))
+        .forEach(enzyme => {
+            findEnzymeSites(sequence, enzyme, circular).forEach(site => cutSet.add(site.cut));
+        });
+
+    const cuts = [...cutSet].sort((a, b) => a - b);
+    const fragments = [];
+
+    if (circular) {
+        if (cuts.length === 0) {
+            return [{ start: 1, end: length, size: length, uncut: true }];
+        }
+
+        cuts.forEach((cut, idx) => {
+            const next = idx + 1 < cuts.length ? cuts[idx + 1] : cuts[0] + length;
+            fragments.push({
+                start: cut + 1,
+                end: ((next - 1) % length) + 1,
+                size: next - cut
+            });
+        });
+    } else {
+        const bounds = [0, ...cuts, length];
+        for (let i = 0; i < bounds.length - 1; i++) {
+            fragments.push({ start: bounds[i] + 1, end: bounds[i + 1], size: bounds[i + 1] - bounds[i] });
+        }
+    }
+
+    return fragments.sort((a, b) => b.size - a.size);
+};
@@ -0,0 +1,158 @@
+/**
+ * Sequence Analysis Module
+ * Conversion pipeline behind the Convert button: format detection, parsing,
+ * strands, transcription, translation and per-record statistics
+ *
+ * Everything here is plain data in / plain data out so it can run inside
+ * analysis.worker.js (see analysisClient.js)
+ */
+
+import * as bioUtils from './bioUtils';
+import * as sequenceParsers from './sequenceParsers';
+import * as codonUtils from './codonUtils';
+import { searchMotif } from './motifUtils';
+import { findRepeats } from './repeatUtils';
+import { computeDotPlot } from './dotPlotUtils';
+import * as datasetUtils from './datasetUtils';
+
+/**
+ * CAI against every reference host
+ * @param {string} rna - RNA coding sequence
+ * @param {number} tableId - NCBI translation table ID
+ * @returns {Object} - host -> CAI
+ */
+export const calculateAllCAI = (rna, tableId) => {
+    const cai = {};
+    Object.keys(codonUtils.CODON_USAGE_TABLES).forEach(host => {
+        cai[host] = codonUtils.calculateCAI(rna, host, tableId);
+    });
+    return cai;
+};
+
+/**
+ * Full analysis of one cleaned sequence, shared by raw input and every record
+ * @param {string} sequence - Validated DNA sequence
+ * @param {Object} options - { strand, tableId, throughStops, topology ('linear' or 'circular') }
+ * @param {Function} onProgress - Called with { stage, done, total } (stages 1 to 3 of 4)
+ * @returns {Object} - Strands, mRNA, protein and their statistics
+ */
+export const analyzeSequence = (
+    sequence,
+    { strand, tableId, throughStops = false, topology = bioUtils.TOPOLOGIES.LINEAR },
+    onProgress = () => {}
+) => {
+    const circular = topology === bioUtils.TOPOLOGIES.CIRCULAR;
+    const total = 4;
+
+    onProgress({ stage: 'Building strands', done: 1, total });
+    const complement = bioUtils.getComplement(sequence);
+    const reverseComplement = bioUtils.getReverseComplement(sequence);
+
+    onProgress({ stage: 'Transcribing and translating', done: 2, total });
+    const rna = bioUtils.transcribe(sequence, strand);
+    const protein = bioUtils.translate(rna, tableId, throughStops, circular);
+    const proteinInfo = bioUtils.getProteinInfo(protein);
+
+    onProgress({ stage: 'Counting', done: 3, total });
+    return {
+        original: sequence,
+        strand,
+        complement,
+        reverseComplement,
+        rna,
+        protein,
+        nucleotideCounts: bioUtils.countNucleotides(sequence),
+        gcContent: bioUtils.calculateGC(sequence),
+        length: sequence.length,
+        proteinLength: proteinInfo.length,
+        molecularWeight: proteinInfo.molecularWeight,
+        stopCodons: bioUtils.findStopCodons(rna, tableId, circular),
+        translation: bioUtils.getTranslationSummary(rna, tableId, throughStops, circular),
+        aaComposition: proteinInfo.composition,
+        codonUsage: codonUtils.getCodonUsage(rna, tableId),
+        cai: calculateAllCAI(rna, tableId),
+        geneticCode: tableId,
+        throughStops,
+        topology
+    };
+};
+
+/**
+ * Analyzes one parsed record (FASTA, FASTQ, GenBank or EMBL)
+ * GenBank and EMBL records keep the topology they declare; the others take options.topology
+ */
+const analyzeRecord = (record, options) => ({
+    id: record.id,
+    description: record.description,
+    ...analyzeSequence(record.sequence, { ...options, topology: record.topology || options.topology }),
+    validation: record.validation,
+    features: record.features || [],
+    meanQuality: record.meanQuality
+});
+
+/**
+ * Analyzes the text typed or loaded by the user
+ * @param {string} input - Raw sequence, FASTA, FASTQ, GenBank or EMBL text
+ * @param {Object} options - { strand, tableId, throughStops, topology }
+ * @param {Function} onProgress - Called with { stage, done, total }
+ * @returns {Object} - { format, records (multi-record formats), result (raw sequence, else null),
+ *   dataset ({ summary, duplicates } for multi-record formats, else null) }
+ * @throws {Error} - When no valid sequence is found
+ */
+export const analyzeInput = (input, options, onProgress = () => {}) => {
+    onProgress({ stage: 'Parsing', done: 0, total: 1 });
+    const { format, records } = sequenceParsers.parseSequences(input);
+
+    if (format !== sequenceParsers.FORMATS.RAW) {
+        if (records.length === 0) {
+            throw new Error(`No valid sequences found in ${sequenceParsers.FORMAT_NAMES[format]} input`);
+        }
+
+        //Report about every 1% so the page is not flooded with messages
+        const step = Math.max(1, Math.floor(records.length / 100));
+        const analyzed = [];
+
+        records.forEach((record, idx) => {
+            if (record.sequence.length > 0) {
+                analyzed.push(analyzeRecord(record, options));
+            }
+            if ((idx + 1) % step === 0 || idx + 1 === records.length) {
+                onProgress({ stage: 'Analyzing records', done: idx + 1, total: records.length });
+            }
+        });
+
+        onProgress({ stage: 'Comparing records', done: records.length, total: records.length });
+        const dataset = {
+            summary: datasetUtils.summarizeRecords(analyzed),
+            duplicates: datasetUtils.findDuplicateRecords(analyzed)
+        };
+
+        return { format, records: analyzed, result: null, dataset };
+    }
+
+    const total = 4;
+    onProgress({ stage: 'Validating', done: 0, total });
+    const { sequence: cleaned, removed, ambiguous } = bioUtils.validateSequenceReport(input);
+
+    if (cleaned.length === 0) {
+        throw new Error('Invalid sequence. Please use only A, T, G, C or IUPAC ambiguity codes (N, R, Y, ...).');
+    }
+
+    //Only the report is kept: the cleaned sequence is already in result.original
+    const result = { ...analyzeSequence(cleaned, options, onProgress), validation: { removed, ambiguous } };
+    onProgress({ stage: 'Done', done: total, total });
+
+    return { format, records: [], result, dataset: null };
+};
+
+/**
+ * Tasks that analysisClient can run off the main thread
+ * Each task receives a plain payload and an onProgress callback
+ */
+export const ANALYSIS_TASKS = {
+    analyze: ({ input, options }, onProgress) => analyzeInput(input, options, onProgress),
+    orfs: ({ sequence, options }) => bioUtils.findORFs(sequence, options),
+    motifs: ({ records, query, options }) => searchMotif(records, query, options),
+    repeats: ({ records, options }) => findRepeats(records, options),
+    dotplot: ({ sequenceA, sequenceB, options }) => computeDotPlot(sequenceA, sequenceB, options)
+};
@@ -0,0 +1,330 @@
+/**
+ * Sequence Parsers Module
+ * Format detection and parsers for FASTA, FASTQ, GenBank and EMBL input
+ *
+ * References:
+ * - FASTQ: Cock et al. (2010) Nucleic Acids Res 38:1767 (Sanger/Phred+33 qualities)
+ * - GenBank flat file: https://www.ncbi.nlm.nih.gov/genbank/samplerecord/
+ * - EMBL flat file: https://ftp.ebi.ac.uk/pub/databases/embl/doc/usrman.txt
+ * - Feature locations: https://www.insdc.org/submitting-standards/feature-table/
+ */
+
+import { isFASTA, parseFASTA, validateSequenceReport } from './bioUtils';
+
+/**
+ * Supported input formats
+ */
+export const FORMATS = {
+    RAW: 'raw',
+    FASTA: 'fasta',
+    FASTQ: 'fastq',
+    GENBANK: 'genbank',
+    EMBL: 'embl'
+};
+
+/**
+ * Human readable format names
+ */
+export const FORMAT_NAMES = {
+    raw: 'Raw sequence',
+    fasta: 'FASTA',
+    fastq: 'FASTQ',
+    genbank: 'GenBank',
+    embl: 'EMBL'
+};
+
+/**
+ * Detects the format of the input text
+ * @param {string} input - Input text
+ * @returns {string} - One of FORMATS
+ */
+export const detectFormat = (input) => {
+    const text = input.trim();
+
+    if (isFASTA(text)) return FORMATS.FASTA;
+    if (/^LOCUS\s/.test(text)) return FORMATS.GENBANK;
+    if (/^ID {3}/.test(text)) return FORMATS.EMBL;
+
+    //FASTQ: @header, one or more sequence lines (wrapped FASTQ), then a '+' separator line
+    if (text.startsWith('@')) {
+        const lines = text.split('\n');
+        let i = 1;
+        while (i < lines.length && /^[A-Za-z*.-]+$/.test(lines[i].trim())) i++;
+        if (i > 1 && i < lines.length && lines[i].trim().startsWith('+')) {
+            return FORMATS.FASTQ;
+        }
+    }
+
+    return FORMATS.RAW;
+};
+
+/**
+ * Splits a header line into id and description
+ */
+const splitHeader = (header) => {
+    const parts = header.trim().split(/\s+/);
+    return {
+        id: parts[0] || 'sequence',
+        description: parts.slice(1).join(' ')
+    };
+};
+
+/**
+ * Parses FASTQ format input (Phred+33 qualities)
+ * @param {string} input - FASTQ formatted text
+ * @returns {Array} - Array of records with id, description, sequence, validation,
+ *   quality (Phred score per base) and meanQuality
+ */
+export const parseFASTQ = (input) => {
+    const records = [];
+    const lines = input.trim().split('\n').map(line => line.trim());
+    let i = 0;
+
+    while (i < lines.length) {
+        if (!lines[i].startsWith('@')) {
+            i++;
+            continue;
+        }
+
+        const { id, description } = splitHeader(lines[i].substring(1));
+        i++;
+
+        //Sequence lines run until the '+' separator
+        let rawSequence = '';
+        while (i < lines.length && !lines[i].startsWith('+')) {
+            rawSequence += lines[i];
+            i++;
+        }
+        i++; // skip '+'
+
+        //Quality lines run until they cover the whole sequence
+        let rawQuality = '';
+        while (i < lines.length && rawQuality.length < rawSequence.length) {
+            rawQuality += lines[i];
+            i++;
+        }
+
+        const { sequence, removed, ambiguous } = validateSequenceReport(rawSequence);
+
+        //Drop the qualities of removed characters so scores stay aligned with bases
+        const removedIndexes = new Set(removed.map(item => item.position - 1));
+        const quality = [];
+        for (let q = 0; q < rawSequence.length; q++) {
+            if (!removedIndexes.has(q) && q < rawQuality.length) {
+                quality.push(rawQuality.charCodeAt(q) - 33);
+            }
+        }
+
+        const meanQuality = quality.length > 0
+            ? (quality.reduce((sum, score) => sum + score, 0) / quality.length).toFixed(2)
+            : '0.00';
+
+        records.push({
+            id,
+            description,
+            sequence,
+            validation: { removed, ambiguous },
+            quality,
+            meanQuality
+        });
+    }
+
+    return records;
+};
+
+/**
+ * Parses a feature location string
+ * Handles complement(), join(), order() and partial markers (<, >)
+ * @param {string} location - Location, e.g. "complement(join(1..120,300..450))"
+ * @returns {Object} - { strand: 1 | -1, ranges: [{ start, end }] } (1-based, inclusive)
+ */
+export const parseLocation = (location) => {
+    const strand = location.includes('complement(') ? -1 : 1;
+    const ranges = [];
+
+    location.replace(/[<>]/g, '').split(',').forEach(part => {
+        const range = part.match(/(\d+)\.\.(\d+)/);
+        const single = part.match(/(\d+)/);
+
+        if (range) {
+            ranges.push({ start: Number(range[1]), end: Number(range[2]) });
+        } else if (single) {
+            ranges.push({ start: Number(single[1]), end: Number(single[1]) });
+        }
+    });
+
+    return { strand, ranges };
+};
+
+/**
+ * Parses feature table lines (shared by GenBank and EMBL)
+ * Lines must already have their 5 character prefix layout:
+ * key in columns 6-20, location/qualifiers from column 22
+ */
+const parseFeatureLines = (lines) => {
+    const features = [];
+    let current = null;
+    let lastQualifier = null;
+
+    lines.forEach(line => {
+        const key = line.substring(5, 21).trim();
+        const value = line.substring(21).trim();
+
+        if (key) {
+            current = { type: key, location: value, qualifiers: {} };
+            lastQualifier = null;
+            features.push(current);
+        } else if (current && value.startsWith('/')) {
+            const match = value.match(/^\/([^=]+)(?:=(.*))?$/);
+            if (match) {
+                lastQualifier = match[1];
+                current.qualifiers[lastQualifier] = match[2] === undefined ? true : match[2];
+            }
+        } else if (current && lastQualifier) {
+            //Continuation of a qualifier value (translations are joined without spaces)
+            const separator = lastQualifier === 'translation' ? '' : ' ';
+            current.qualifiers[lastQualifier] += separator + value;
+        } else if (current) {
+            //Continuation of a long location
+            current.location += value;
+        }
+    });
+
+    features.forEach(feature => {
+        Object.keys(feature.qualifiers).forEach(name => {
+            const qualifier = feature.qualifiers[name];
+            if (typeof qualifier === 'string') {
+                feature.qualifiers[name] = qualifier.replace(/^"|"$/g, '');
+            }
+        });
+        Object.assign(feature, parseLocation(feature.location));
+    });
+
+    return features;
+};
+
+/**
+ * Builds a validated record from flat file fields
+ */
+const buildRecord = ({ id, description, topology, rawSequence, featureLines }) => {
+    const { sequence, removed, ambiguous } = validateSequenceReport(rawSequence);
+
+    return {
+        id: id || 'sequence',
+        description: description || '',
+        sequence,
+        validation: { removed, ambiguous },
+        topology: topology || 'linear',
+        features: parseFeatureLines(featureLines)
+    };
+};
+
+/**
+ * Parses GenBank flat file input (one or more records)
+ * @param {string} input - GenBank formatted text
+ * @returns {Array} - Array of records with id, description, sequence, validation,
+ *   topology and features ({ type, location, strand, ranges, qualifiers })
+ */
+export const parseGenBank = (input) => {
+    const records = [];
+
+    input.split(/^\/\/\s*$/m).forEach(block => {
+        const lines = block.split('\n').map(line => line.replace(/\r$/, ''));
+        const locusLine = lines.find(line => line.startsWith('LOCUS'));
+        if (!locusLine) return;
+
+        const fields = { featureLines: [], rawSequence: '', description: '' };
+        const locusParts = locusLine.split(/\s+/);
+        fields.id = locusParts[1];
+        fields.topology = /\bcircular\b/i.test(locusLine) ? 'circular' : 'linear';
+
+        let section = null;
+        lines.forEach(line => {
+            //Top level keywords start in column 1
+            if (/^[A-Z]/.test(line)) {
+                section = line.split(/\s+/)[0];
+                if (section === 'DEFINITION') {
+                    fields.description = line.substring(12).trim();
+                } else if (section === 'VERSION' || (section === 'ACCESSION' && !fields.accession)) {
+                    fields.accession = line.substring(12).trim().split(/\s+/)[0];
+                }
+                return;
+            }
+
+            if (section === 'DEFINITION') {
+                fields.description += ' ' + line.trim();
+            } else if (section === 'FEATURES') {
+                fields.featureLines.push(line);
+            } else if (section === 'ORIGIN') {
+                fields.rawSequence += line.replace(/[\d\s]/g, '');
+            }
+        });
+
+        if (fields.accession) {
+            fields.id = fields.accession;
+        }
+        records.push(buildRecord(fields));
+    });
+
+    return records;
+};
+
+/**
+ * Parses EMBL flat file input (one or more records)
+ * @param {string} input - EMBL formatted text
+ * @returns {Array} - Array of records, same shape as parseGenBank
+ */
+export const parseEMBL = (input) => {
+    const records = [];
+
+    input.split(/^\/\/\s*$/m).forEach(block => {
+        const lines = block.split('\n').map(line => line.replace(/\r$/, ''));
+        const idLine = lines.find(line => line.startsWith('ID   '));
+        if (!idLine) return;
+
+        const fields = { featureLines: [], rawSequence: '', description: '' };
+        fields.id = idLine.substring(5).split(';')[0].trim();
+        fields.topology = /;\s*circular\s*;/i.test(idLine) ? 'circular' : 'linear';
+
+        let inSequence = false;
+        lines.forEach(line => {
+            const code = line.substring(0, 2);
+
+            if (inSequence && code === '  ') {
+                fields.rawSequence += line.replace(/[\d\s]/g, '');
+            } else if (code === 'SQ') {
+                inSequence = true;
+            } else if (code === 'DE') {
+                fields.description = (fields.description + ' ' + line.substring(5).trim()).trim();
+            } else if (code === 'FT') {
+                fields.featureLines.push(line);
+            }
+        });
+
+        records.push(buildRecord(fields));
+    });
+
+    return records;
+};
+
+/**
+ * Detects the input format and parses it
+ * @param {string} input - Input text in any supported format
+ * @returns {Object} - { format, records } (records is empty for raw sequences)
+ */
+export const parseSequences = (input) => {
+    const format = detectFormat(input);
+
+    switch (format) {
+        case FORMATS.FASTA:
+            return { format, records: parseFASTA(input) };
+        case FORMATS.FASTQ:
+            return { format, records: parseFASTQ(input) };
+        case FORMATS.GENBANK:
+            return { format, records: parseGenBank(input) };
+        case FORMATS.EMBL:
+            return { format, records: parseEMBL(input) };
+        default:
+            return { format, records: [] };
+    }
+};
@@ -0,0 +1,89 @@
+/**
+ * Session Store Module
+ * Keeps the history and projects (see sessionUtils.js) in the browser:
+ * IndexedDB when available, since inputs can be large, else localStorage
+ *
+ * Nothing leaves the machine; use the workspace file to move data
+ */
+
+const DB_NAME = 'dna-sequence-converter';
+const DB_VERSION = 1;
+const STORE_NAME = 'workspace';
+const LOCAL_PREFIX = 'dna-sequence-converter:';
+
+//Workspace keys kept by this module
+export const STORE_KEYS = {
+    HISTORY: 'history',
+    PROJECTS: 'projects'
+};
+
+let databasePromise = null;
+
+/**
+ * Opens (once) the IndexedDB database
+ * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is unavailable (e.g. private mode)
+ */
+const openDatabase = () => {
+    if (!databasePromise) {
+        databasePromise = new Promise(resolve => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+                request.onblocked = () => resolve(null);
+            } catch (err) {
+                resolve(null);
+            }
+        });
+    }
+    return databasePromise;
+};
+
+/**
+ * Runs one request on the object store
+ */
+const runRequest = (database, mode, makeRequest) => new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted'));
+});
+
+/**
+ * Reads a stored value
+ * @param {string} key - One of STORE_KEYS
+ * @returns {Promise<*>} - Stored value, or undefined
+ */
+export const loadItem = async (key) => {
+    const database = await openDatabase();
+    if (database) {
+        return runRequest(database, 'readonly', store => store.get(key));
+    }
+    const text = typeof localStorage === 'undefined' ? null : localStorage.getItem(LOCAL_PREFIX + key);
+    return text ? JSON.parse(text) : undefined;
+};
+
+/**
+ * Stores a value
+ * @param {string} key - One of STORE_KEYS
+ * @param {*} value - Structured-cloneable (IndexedDB) and JSON-serializable (localStorage) value
+ * @returns {Promise<void>}
+ * @throws {Error} - When the browser storage is full or disabled
+ */
+export const saveItem = async (key, value) => {
+    const database = await openDatabase();
+    if (database) {
+        await runRequest(database, 'readwrite', store => store.put(value, key));
+        return;
+    }
+    if (typeof localStorage === 'undefined') {
+        throw new Error('Browser storage is not available');
+    }
+    localStorage.setItem(LOCAL_PREFIX + key, JSON.stringify(value));
+};
@@ -0,0 +1,351 @@
+/**
+ * Session Utilities Module
+ * Snapshots of the converter input and options ("sessions"), compressed
+ * share links, the history of recent analyses and named projects, and the
+ * JSON workspace file used to move history and projects between machines
+ *
+ * Share links keep the session in the URL fragment (#s=...), which browsers
+ * never send to the server
+ *
+ * References:
+ * - RFC 1951 DEFLATE (CompressionStream 'deflate-raw')
+ * - RFC 4648 section 5, base64url encoding
+ */
+
+import { STRANDS, TOPOLOGIES, ORF_DEFAULTS, DEFAULT_GENETIC_CODE, listGeneticCodes } from './bioUtils';
+import { CODON_USAGE_TABLES, DEFAULT_HOST } from './codonUtils';
+
+/**
+ * Limits for links, history and workspace files
+ */
+export const SESSION_LIMITS = {
+    maxShareLength: 100000,      // Longest share link fragment (characters)
+    maxHistoryInput: 5000000,    // Larger inputs are not kept in the history (characters)
+    historySize: 20              // Recent analyses kept
+};
+
+export const SHARE_HASH_PREFIX = '#s=';
+
+//Identifies workspace files written by exportWorkspace
+const WORKSPACE_FORMAT = 'dna-sequence-converter-workspace';
+const WORKSPACE_VERSION = 1;
+
+/**
+ * Default session (empty input, default options)
+ */
+export const SESSION_DEFAULTS = {
+    input: '',
+    fileName: '',
+    geneticCode: DEFAULT_GENETIC_CODE,
+    strand: STRANDS.CODING,
+    throughStops: false,
+    topology: TOPOLOGIES.LINEAR,
+    codonHost: DEFAULT_HOST,
+    orfOptions: {
+        minLength: ORF_DEFAULTS.minLength,
+        startMode: ORF_DEFAULTS.startMode,
+        nested: ORF_DEFAULTS.nested
+    },
+    chargePH: 7.0,
+    hydropathyWindow: 9
+};
+
+/**
+ * Unique id for history entries, projects and project items
+ */
+export const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const asString = (value, fallback = '') => (typeof value === 'string' ? value : fallback);
+const asNumber = (value, fallback) => {
+    if (value === null || value === '' || typeof value === 'boolean') return fallback;
+    return Number.isFinite(Number(value)) ? Number(value) : fallback;
+};
+
+//ORF start modes accepted by findORFs
+const START_MODES = ['atg', 'alternative', 'any'];
+
+/**
+ * Checks a session from a link, history or file, replacing unknown or
+ * missing options with the defaults
+ * @param {Object} session - Session-like object
+ * @returns {Object} - Session with every field of SESSION_DEFAULTS
+ */
+export const normalizeSession = (session) => {
+    const source = isObject(session) ? session : {};
+    const orfSource = isObject(source.orfOptions) ? source.orfOptions : {};
+    const geneticCode = asNumber(source.geneticCode, DEFAULT_GENETIC_CODE);
+
+    return {
+        input: asString(source.input),
+        fileName: asString(source.fileName),
+        geneticCode: listGeneticCodes().some(code => code.id === geneticCode) ? geneticCode : DEFAULT_GENETIC_CODE,
+        strand: Object.values(STRANDS).includes(source.strand) ? source.strand : STRANDS.CODING,
+        throughStops: source.throughStops === true,
+        topology: Object.values(TOPOLOGIES).includes(source.topology) ? source.topology : TOPOLOGIES.LINEAR,
+        codonHost: CODON_USAGE_TABLES[source.codonHost] ? source.codonHost : DEFAULT_HOST,
+        orfOptions: {
+            minLength: Math.max(1, asNumber(orfSource.minLength, SESSION_DEFAULTS.orfOptions.minLength)),
+            startMode: START_MODES.includes(orfSource.startMode) ? orfSource.startMode : SESSION_DEFAULTS.orfOptions.startMode,
+            nested: typeof orfSource.nested === 'boolean' ? orfSource.nested : SESSION_DEFAULTS.orfOptions.nested
+        },
+        chargePH: Math.min(14, Math.max(0, asNumber(source.chargePH, SESSION_DEFAULTS.chargePH))),
+        hydropathyWindow: Math.max(1, Math.round(asNumber(source.hydropathyWindow, SESSION_DEFAULTS.hydropathyWindow)))
+    };
+};
+
+/**
+ * Bytes -> base64url (no padding)
+ */
+const toBase64Url = (bytes) => {
+    const chunks = [];
+    //String.fromCharCode in blocks: spreading a large array overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        chunks.push(String.fromCharCode(...bytes.subarray(i, i + 0x8000)));
+    }
+    return btoa(chunks.join('')).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * base64url -> bytes
+ */
+const fromBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+};
+
+/**
+ * Runs bytes through a CompressionStream or DecompressionStream
+ */
+const pipeBytes = async (bytes, transform) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Compresses a session into the text used in share links
+ * @param {Object} session - Session (see SESSION_DEFAULTS)
+ * @returns {Promise<string>} - base64url of the deflated JSON
+ */
+export const encodeSession = async (session) => {
+    const json = JSON.stringify(normalizeSession(session));
+    return toBase64Url(await pipeBytes(new TextEncoder().encode(json), new CompressionStream('deflate-raw')));
+};
+
+/**
+ * Reads a session from share link text
+ * @param {string} token - Output of encodeSession
+ * @returns {Promise<Object>} - Normalized session
+ * @throws {Error} - When the link is damaged
+ */
+export const decodeSession = async (token) => {
+    try {
+        const bytes = await pipeBytes(fromBase64Url(token), new DecompressionStream('deflate-raw'));
+        return normalizeSession(JSON.parse(new TextDecoder().decode(bytes)));
+    } catch (err) {
+        throw new Error('This share link is incomplete or damaged');
+    }
+};
+
+/**
+ * Share link for a session on the current page
+ * @param {Object} session - Session to share
+ * @param {string} baseURL - Page address without the fragment
+ * @returns {Promise<string>} - Full URL
+ * @throws {Error} - When the session is too large for a link
+ */
+export const createShareURL = async (session, baseURL) => {
+    const tooLarge = new Error('This input is too large for a link. Save it in a project and export the workspace file instead.');
+    //DNA deflates to about a quarter of its size: inputs far above the limit are not compressed at all
+    if (session.input.length > SESSION_LIMITS.maxShareLength * 10) throw tooLarge;
+
+    const token = await encodeSession(session);
+    if (token.length > SESSION_LIMITS.maxShareLength) throw tooLarge;
+    return `${baseURL}${SHARE_HASH_PREFIX}${token}`;
+};
+
+/**
+ * Session token of a URL fragment
+ * @param {string} hash - location.hash
+ * @returns {string|null} - Token, or null when the fragment is not a share link
+ */
+export const readShareHash = (hash) => {
+    if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) return null;
+    return hash.substring(SHARE_HASH_PREFIX.length) || null;
+};
+
+/**
+ * Short title of a session: first record id, file name or start of the input
+ */
+export const getSessionTitle = (session) => {
+    const header = session.input.match(/^\s*[>@]\s*(\S+)/) || session.input.match(/^\s*(?:LOCUS|ID)\s+(\S+?);?\s/);
+    if (header) return header[1];
+    if (session.fileName) return session.fileName;
+    const text = session.input.substring(0, 200).replace(/\s+/g, '');
+    return text.length > 24 ? `${text.substring(0, 24)}...` : text || 'Empty input';
+};
+
+/**
+ * History entry for a finished analysis
+ * @param {Object} session - Session that was analyzed
+ * @param {Object} summary - { format, records (count), length (total bp) }
+ * @returns {Object|null} - { id, date, title, summary, session }, null when the input is too large to keep
+ */
+export const createHistoryEntry = (session, summary) => {
+    const normalized = normalizeSession(session);
+    if (normalized.input.length > SESSION_LIMITS.maxHistoryInput) return null;
+
+    return {
+        id: createId(),
+        date: new Date().toISOString(),
+        title: getSessionTitle(normalized),
+        summary: {
+            format: asString(summary.format),
+            records: asNumber(summary.records, 0),
+            length: asNumber(summary.length, 0)
+        },
+        session: normalized
+    };
+};
+
+//Same input and options (the entry is moved to the top instead of repeated)
+const sameSession = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Adds an entry to the top of the history
+ * @param {Array} history - Current entries (newest first)
+ * @param {Object} entry - From createHistoryEntry
+ * @returns {Array} - New history, at most SESSION_LIMITS.historySize entries
+ */
+export const addToHistory = (history, entry) => {
+    if (!entry) return history;
+    const rest = history.filter(item => !sameSession(item.session, entry.session));
+    return [entry, ...rest].slice(0, SESSION_LIMITS.historySize);
+};
+
+/**
+ * New empty project
+ * @param {string} name - Project name
+ * @returns {Object} - { id, name, notes, created, updated, items: [{ id, name, notes, session }] }
+ */
+export const createProject = (name) => {
+    const date = new Date().toISOString();
+    return { id: createId(), name: name.trim() || 'Untitled project', notes: '', created: date, updated: date, items: [] };
+};
+
+/**
+ * Sequence of a project
+ * @param {Object} session - Session to keep
+ * @param {string} name - Item name (default: session title)
+ * @returns {Object} - { id, name, notes, session }
+ */
+export const createProjectItem = (session, name = '') => {
+    const normalized = normalizeSession(session);
+    return { id: createId(), name: name.trim() || getSessionTitle(normalized), notes: '', session: normalized };
+};
+
+const normalizeHistoryEntry = (entry) => ({
+    id: asString(entry.id) || createId(),
+    date: asString(entry.date, new Date().toISOString()),
+    title: asString(entry.title, 'Untitled'),
+    summary: {
+        format: asString(isObject(entry.summary) ? entry.summary.format : ''),
+        records: asNumber(isObject(entry.summary) ? entry.summary.records : 0, 0),
+        length: asNumber(isObject(entry.summary) ? entry.summary.length : 0, 0)
+    },
+    session: normalizeSession(entry.session)
+});
+
+const normalizeProject = (project) => ({
+    id: asString(project.id) || createId(),
+    name: asString(project.name, 'Untitled project'),
+    notes: asString(project.notes),
+    created: asString(project.created, new Date().toISOString()),
+    updated: asString(project.updated, new Date().toISOString()),
+    items: (Array.isArray(project.items) ? project.items : []).filter(isObject).map(item => ({
+        id: asString(item.id) || createId(),
+        name: asString(item.name, 'Untitled'),
+        notes: asString(item.notes),
+        session: normalizeSession(item.session)
+    }))
+});
+
+/**
+ * Checks and normalizes stored or imported history entries
+ * @param {Array} history - History entries (anything else gives an empty list)
+ * @returns {Array} - Entries with every field present and valid
+ */
+export const normalizeHistory = (history) => (Array.isArray(history) ? history : []).filter(isObject).map(normalizeHistoryEntry);
+
+/**
+ * Checks and normalizes stored or imported projects
+ * @param {Array} projects - Projects (anything else gives an empty list)
+ * @returns {Array} - Projects whose items hold normalized sessions
+ */
+export const normalizeProjects = (projects) => (Array.isArray(projects) ? projects : []).filter(isObject).map(normalizeProject);
+
+/**
+ * Workspace file with the history and all projects
+ * @param {Array} history - History entries
+ * @param {Array} projects - Projects
+ * @returns {Object} - JSON-ready object
+ */
+export const exportWorkspace = (history, projects) => ({
+    format: WORKSPACE_FORMAT,
+    version: WORKSPACE_VERSION,
+    exported: new Date().toISOString(),
+    history,
+    projects
+});
+
+/**
+ * Reads a workspace file
+ * @param {string} text - File contents
+ * @returns {Object} - { history, projects } (checked and normalized)
+ * @throws {Error} - When the file is not a workspace file
+ */
+export const parseWorkspace = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('The file is not valid JSON');
+    }
+    if (!isObject(data) || data.format !== WORKSPACE_FORMAT) {
+        throw new Error('The file is not a DNA Sequence Converter workspace');
+    }
+    if (data.version > WORKSPACE_VERSION) {
+        throw new Error(`Workspace version ${data.version} is newer than this page supports (${WORKSPACE_VERSION})`);
+    }
+
+    return {
+        history: normalizeHistory(data.history),
+        projects: normalizeProjects(data.projects)
+    };
+};
+
+/**
+ * Merges an imported workspace into the current one
+ * Entries and projects with the same id are replaced by the imported ones
+ * @param {Object} current - { history, projects }
+ * @param {Object} imported - From parseWorkspace
+ * @returns {Object} - { history (newest first, limited), projects }
+ */
+export const mergeWorkspace = (current, imported) => {
+    const byId = (items) => new Map(items.map(item => [item.id, item]));
+
+    const history = byId(current.history);
+    imported.history.forEach(entry => history.set(entry.id, entry));
+    const projects = byId(current.projects);
+    imported.projects.forEach(project => projects.set(project.id, project));
+
+    return {
+        history: [...history.values()]
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, SESSION_LIMITS.historySize),
+        projects: [...projects.values()]
+    };
+};
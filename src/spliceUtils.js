@@ -0,0 +1,266 @@
+/**
+ * Splicing Utilities Module
+ * Exon/intron models: splices exons given as a feature location into the
+ * CDS, translates it and reports exon phases and codons split by introns.
+ * Also scans for canonical GT-AG splice sites to suggest intron boundaries
+ *
+ * References:
+ * - INSDC Feature Table, location syntax (https://www.insdc.org/submitting-standards/feature-table/)
+ * - Mount (1982) Nucleic Acids Res 10:459 (splice site consensus)
+ * - Burset, Seledtsov & Solovyev (2000) Nucleic Acids Res 28:4364 (GT-AG, GC-AG, AT-AC introns)
+ */
+
+import { transcribe, translate, translateCodon, getReverseComplement, IUPAC_CODES } from './bioUtils';
+import { DEFAULT_GENETIC_CODE } from './geneticCodes';
+import { parseLocation } from './sequenceParsers';
+
+/**
+ * Default options for findSpliceSites and predictIntrons
+ */
+export const SPLICE_DEFAULTS = {
+    minDonorScore: 0.75,    // Fraction of donor consensus positions matched
+    minAcceptorScore: 0.75, // Fraction of acceptor consensus positions matched
+    minIntron: 60,          // Shortest intron considered (bp)
+    maxIntron: 10000        // Longest intron considered (bp)
+};
+
+//Consensus around the junction (IUPAC), exon | intron for donors, intron | exon for acceptors
+const DONOR_CONSENSUS = { exon: 'MAG', intron: 'GTRAGT' };
+const ACCEPTOR_CONSENSUS = { intron: 'YYYYYYYYYYNCAG', exon: 'G' };
+
+/**
+ * Fraction of consensus positions matched by a window (positions outside the sequence do not match)
+ */
+const consensusScore = (sequence, start, consensus) => {
+    let matches = 0;
+    for (let i = 0; i < consensus.length; i++) {
+        const base = sequence[start + i];
+        if (base && IUPAC_CODES[consensus[i]].includes(base)) matches++;
+    }
+    return matches / consensus.length;
+};
+
+/**
+ * Candidate splice sites on the input strand
+ * Donors are GT dinucleotides and acceptors AG dinucleotides scored against
+ * the MAG|GTRAGT and (Y)10NCAG|G consensus sequences
+ * @param {string} sequence - DNA sequence (5' to 3')
+ * @param {Object} options - See SPLICE_DEFAULTS (minDonorScore, minAcceptorScore)
+ * @returns {Object} - { donors: [{ position (first intron base, 1-based), score }],
+ *   acceptors: [{ position (last intron base, 1-based), score }] }
+ */
+export const findSpliceSites = (sequence, options = {}) => {
+    const settings = { ...SPLICE_DEFAULTS, ...options };
+    const donorConsensus = DONOR_CONSENSUS.exon + DONOR_CONSENSUS.intron;
+    const acceptorConsensus = ACCEPTOR_CONSENSUS.intron + ACCEPTOR_CONSENSUS.exon;
+    const donors = [];
+    const acceptors = [];
+
+    for (let i = 0; i < sequence.length - 1; i++) {
+        const pair = sequence[i] + sequence[i + 1];
+        if (pair === 'GT') {
+            const score = consensusScore(sequence, i - DONOR_CONSENSUS.exon.length, donorConsensus);
+            if (score >= settings.minDonorScore) donors.push({ position: i + 1, score });
+        } else if (pair === 'AG') {
+            const score = consensusScore(sequence, i + 2 - ACCEPTOR_CONSENSUS.intron.length, acceptorConsensus);
+            if (score >= settings.minAcceptorScore) acceptors.push({ position: i + 2, score });
+        }
+    }
+
+    return { donors, acceptors };
+};
+
+/**
+ * Suggests non-overlapping GT-AG introns from the candidate splice sites
+ * Scanning 5' to 3', each donor is paired with the best scoring acceptor
+ * within the allowed intron length
+ * @param {string} sequence - DNA sequence (5' to 3')
+ * @param {Object} options - See SPLICE_DEFAULTS
+ * @returns {Array} - Introns: { start, end (1-based, inclusive), length, donorScore, acceptorScore }
+ */
+export const predictIntrons = (sequence, options = {}) => {
+    const settings = { ...SPLICE_DEFAULTS, ...options };
+    const { donors, acceptors } = findSpliceSites(sequence, settings);
+    const introns = [];
+    let lastEnd = 0;
+    let first = 0;
+
+    donors.forEach(donor => {
+        if (donor.position <= lastEnd) return;
+
+        const minEnd = donor.position + settings.minIntron - 1;
+        const maxEnd = donor.position + settings.maxIntron - 1;
+        while (first < acceptors.length && acceptors[first].position < minEnd) first++;
+
+        let best = null;
+        for (let i = first; i < acceptors.length && acceptors[i].position <= maxEnd; i++) {
+            if (!best || acceptors[i].score > best.score) best = acceptors[i];
+        }
+        //Keep one exon base after the intron
+        if (!best || best.position >= sequence.length) return;
+
+        introns.push({
+            start: donor.position,
+            end: best.position,
+            length: best.position - donor.position + 1,
+            donorScore: donor.score,
+            acceptorScore: best.score
+        });
+        lastEnd = best.position;
+    });
+
+    return introns;
+};
+
+/**
+ * Exon location covering everything outside the given introns
+ * @param {Array} introns - [{ start, end }] sorted and non-overlapping
+ * @param {number} length - Sequence length
+ * @returns {string} - e.g. 'join(1..120,300..450)' ('1..450' without introns)
+ */
+export const intronsToLocation = (introns, length) => {
+    const exons = [];
+    let start = 1;
+    introns.forEach(intron => {
+        exons.push(`${start}..${intron.start - 1}`);
+        start = intron.end + 1;
+    });
+    exons.push(`${start}..${length}`);
+
+    return exons.length > 1 ? `join(${exons.join(',')})` : exons[0];
+};
+
+/**
+ * Parses and checks an exon location against the sequence
+ * @param {string} location - e.g. 'join(1..120,300..450)', 'complement(join(...))' or '1..120,300..450'
+ * @param {number} length - Sequence length
+ * @returns {Object} - { strand: 1 | -1, ranges (sorted 5' to 3' on the input) }
+ * @throws {Error} - On empty, out of range or overlapping exons
+ */
+export const parseExonLocation = (location, length) => {
+    const { strand, ranges } = parseLocation(location.trim());
+    if (ranges.length === 0) throw new Error('Enter exon coordinates, e.g. join(1..120,300..450)');
+
+    const sorted = [...ranges].sort((a, b) => a.start - b.start);
+    sorted.forEach((range, idx) => {
+        if (range.start < 1 || range.end < range.start) {
+            throw new Error(`Invalid exon ${range.start}..${range.end}`);
+        }
+        if (range.end > length) {
+            throw new Error(`Exon ${range.start}..${range.end} is beyond the sequence end (${length} bp)`);
+        }
+        if (idx > 0 && range.start <= sorted[idx - 1].end) {
+            throw new Error(`Exons ${sorted[idx - 1].start}..${sorted[idx - 1].end} and ${range.start}..${range.end} overlap`);
+        }
+    });
+
+    return { strand, ranges: sorted };
+};
+
+/**
+ * Splices exons into a CDS and translates it
+ * Minus strand locations (complement) are read on the reverse complement, so
+ * exons are numbered in transcript order
+ * @param {string} sequence - Genomic DNA (5' to 3')
+ * @param {string} location - Exon location (see parseExonLocation)
+ * @param {Object} options - { tableId, codonStart (1-3, GenBank /codon_start) }
+ * @returns {Object} - {
+ *   strand, codonStart, cds, rna, protein,
+ *   exons: [{ number, start, end (genomic, 1-based), length, cdsStart, cdsEnd, phase, endPhase }],
+ *   introns: [{ number, start, end, length, donor, acceptor (dinucleotides), canonical (GT-AG) }],
+ *   splitCodons: [{ intron, codonNumber, codon, aminoAcid, upstream, downstream }],
+ *   warnings: [] }
+ *   phase: codon bases already read when the exon starts (0 = the exon starts a codon);
+ *   an intron has the endPhase of the exon before it
+ * @throws {Error} - On invalid locations
+ */
+export const spliceExons = (sequence, location, { tableId = DEFAULT_GENETIC_CODE, codonStart = 1 } = {}) => {
+    const { strand, ranges } = parseExonLocation(location, sequence.length);
+    const offset = Math.min(2, Math.max(0, Number(codonStart) - 1));
+
+    //Transcript order: 5' to 3' on the coding strand
+    const ordered = strand === 1 ? ranges : [...ranges].reverse();
+    const exonSequence = (range) => {
+        const bases = sequence.substring(range.start - 1, range.end);
+        return strand === 1 ? bases : getReverseComplement(bases);
+    };
+
+    const parts = [];
+    const exons = [];
+    let cdsLength = 0;
+    ordered.forEach((range, idx) => {
+        const bases = exonSequence(range);
+        parts.push(bases);
+        const cdsStart = cdsLength + 1;
+        cdsLength += bases.length;
+        exons.push({
+            number: idx + 1,
+            start: range.start,
+            end: range.end,
+            length: bases.length,
+            cdsStart,
+            cdsEnd: cdsLength,
+            phase: ((cdsStart - 1 - offset) % 3 + 3) % 3,
+            endPhase: ((cdsLength - offset) % 3 + 3) % 3
+        });
+    });
+
+    const spliced = parts.join('');
+    const cds = spliced.substring(offset);
+    const rna = transcribe(cds);
+    const protein = translate(rna, tableId);
+
+    const introns = [];
+    const splitCodons = [];
+    exons.slice(0, -1).forEach((exon, idx) => {
+        const next = exons[idx + 1];
+        const start = strand === 1 ? exon.end + 1 : next.end + 1;
+        const end = strand === 1 ? next.start - 1 : exon.start - 1;
+        const intronBases = exonSequence({ start, end });
+        const donor = intronBases.substring(0, 2);
+        const acceptor = intronBases.substring(intronBases.length - 2);
+
+        introns.push({
+            number: idx + 1,
+            start,
+            end,
+            length: end - start + 1,
+            donor,
+            acceptor,
+            canonical: donor === 'GT' && acceptor === 'AG'
+        });
+
+        //Codon interrupted by this intron (phase 1 or 2)
+        if (exon.endPhase !== 0 && exon.cdsEnd > offset) {
+            const codonStartIndex = exon.cdsEnd - offset - exon.endPhase;
+            const codon = rna.substring(codonStartIndex, codonStartIndex + 3);
+            if (codon.length === 3) {
+                splitCodons.push({
+                    intron: idx + 1,
+                    codonNumber: codonStartIndex / 3 + 1,
+                    codon,
+                    aminoAcid: translateCodon(codon, tableId),
+                    upstream: codon.substring(0, exon.endPhase),
+                    downstream: codon.substring(exon.endPhase)
+                });
+            }
+        }
+    });
+
+    const warnings = [];
+    if (cds.length % 3 !== 0) {
+        warnings.push(`CDS length (${cds.length} bp) is not a multiple of 3`);
+    }
+    const proteinLength = protein === 'No protein found' ? 0 : protein.length;
+    const fullCodons = Math.floor(cds.length / 3);
+    if (proteinLength < fullCodons - 1) {
+        warnings.push(`Premature stop codon at codon ${proteinLength + 1} of ${fullCodons}`);
+    }
+    introns.forEach(intron => {
+        if (!intron.canonical) {
+            warnings.push(`Intron ${intron.number} (${intron.start}..${intron.end}) is ${intron.donor}-${intron.acceptor}, not GT-AG`);
+        }
+    });
+
+    return { strand, codonStart: offset + 1, cds, rna, protein, exons, introns, splitCodons, warnings };
+};
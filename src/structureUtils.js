@@ -0,0 +1,361 @@
+/**
+ * Structure Utilities Module
+ * Offline predictions on a translated protein: Chou-Fasman secondary
+ * structure, transmembrane helix candidates from hydropathy windows,
+ * N-terminal signal peptides and N-glycosylation sequons
+ *
+ * These are classic sequence-only rules, useful for a first look; they are
+ * far less accurate than modern predictors
+ *
+ * References:
+ * - Chou & Fasman (1978) Adv Enzymol 47:45 (conformational parameters and rules)
+ * - Kyte & Doolittle (1982) J Mol Biol 157:105 (19-residue windows, mean >= 1.6 for membrane spans)
+ * - von Heijne (1985) J Mol Biol 184:99 (n-, h- and c-regions of signal peptides)
+ * - von Heijne (1983) Eur J Biochem 133:17 (-3, -1 rule for cleavage sites)
+ * - PROSITE PS00001 N-glycosylation site: N-{P}-[ST]-{P}
+ */
+
+import { KYTE_DOOLITTLE, getHydropathyProfile } from './proteinUtils';
+
+/**
+ * Default options for the predictions
+ */
+export const STRUCTURE_DEFAULTS = {
+    tmWindow: 19,           // Hydropathy window for membrane spans (residues)
+    tmThreshold: 1.6,       // Minimum mean hydropathy of a membrane span window
+    tmMaxLength: 25,        // Longer spans are split at their lowest window (residues)
+    signalRegion: 35,       // N-terminal residues searched for a signal peptide
+    hRegionLength: 8,       // Window used for the hydrophobic core (h-region)
+    hRegionThreshold: 1.8   // Minimum mean hydropathy of the h-region
+};
+
+/**
+ * Chou-Fasman parameters: P(a) helix, P(b) sheet, P(turn) (x100) and turn
+ * position frequencies f(i), f(i+1), f(i+2), f(i+3)
+ */
+const CHOU_FASMAN = {
+    'A': [142, 83, 66, 0.060, 0.076, 0.035, 0.058],
+    'R': [98, 93, 95, 0.070, 0.106, 0.099, 0.085],
+    'D': [101, 54, 146, 0.147, 0.110, 0.179, 0.081],
+    'N': [67, 89, 156, 0.161, 0.083, 0.191, 0.091],
+    'C': [70, 119, 119, 0.149, 0.050, 0.117, 0.128],
+    'E': [151, 37, 74, 0.056, 0.060, 0.077, 0.064],
+    'Q': [111, 110, 98, 0.074, 0.098, 0.037, 0.098],
+    'G': [57, 75, 156, 0.102, 0.085, 0.190, 0.152],
+    'H': [100, 87, 95, 0.140, 0.047, 0.093, 0.054],
+    'I': [108, 160, 47, 0.043, 0.034, 0.013, 0.056],
+    'L': [121, 130, 59, 0.061, 0.025, 0.036, 0.070],
+    'K': [114, 74, 101, 0.055, 0.115, 0.072, 0.095],
+    'M': [145, 105, 60, 0.068, 0.082, 0.014, 0.055],
+    'F': [113, 138, 60, 0.059, 0.041, 0.065, 0.065],
+    'P': [57, 55, 152, 0.102, 0.301, 0.034, 0.068],
+    'S': [77, 75, 143, 0.120, 0.139, 0.125, 0.106],
+    'T': [83, 119, 96, 0.086, 0.108, 0.065, 0.079],
+    'W': [108, 137, 96, 0.077, 0.013, 0.064, 0.167],
+    'Y': [69, 147, 114, 0.082, 0.065, 0.114, 0.125],
+    'V': [106, 170, 50, 0.062, 0.048, 0.028, 0.053]
+};
+//Unknown residues (X, B, Z, U...) are neutral
+const NEUTRAL_PARAMETERS = [100, 100, 100, 0.08, 0.08, 0.08, 0.08];
+
+//Turn tetrapeptide: product of positional frequencies above this value
+const TURN_PROBABILITY = 0.000075;
+
+//Small neutral residues accepted at -1 and -3 of a cleavage site
+const CLEAVAGE_MINUS_ONE = 'AGSCT';
+const CLEAVAGE_MINUS_THREE = 'AGSCTVIL';
+
+/**
+ * Secondary structure letters used by predictSecondaryStructure
+ */
+export const STRUCTURE_STATES = {
+    H: 'Helix',
+    E: 'Strand',
+    T: 'Turn',
+    '-': 'Coil'
+};
+
+/**
+ * Prefix sums of one Chou-Fasman column (window averages in O(1))
+ */
+const prefixSums = (params, column) => {
+    const sums = new Float64Array(params.length + 1);
+    params.forEach((param, i) => { sums[i + 1] = sums[i] + param[column]; });
+    return sums;
+};
+
+/**
+ * Nucleates and extends helices or sheets (Chou-Fasman rules)
+ * @returns {Uint8Array} - 1 for residues inside a predicted region
+ */
+const findRegions = (params, sums, column, nucleus, formers) => {
+    const n = params.length;
+    const marked = new Uint8Array(n);
+    const average = (start, end) => (sums[end] - sums[start]) / (end - start);
+
+    for (let i = 0; i + nucleus <= n; i++) {
+        if (marked[i + nucleus - 1]) continue;
+        let count = 0;
+        for (let j = i; j < i + nucleus; j++) {
+            if (params[j][column] >= 100) count++;
+        }
+        if (count < formers) continue;
+
+        //Extends while the next 4-residue window stays at or above 100
+        let start = i;
+        let end = i + nucleus;
+        while (start > 0 && average(start - 1, Math.min(n, start + 3)) >= 100) start--;
+        while (end < n && average(Math.max(0, end - 3), end + 1) >= 100) end++;
+        marked.fill(1, start, end);
+    }
+    return marked;
+};
+
+/**
+ * Contiguous runs of a marker array as [start, end) pairs
+ */
+const runsOf = (marked) => {
+    const runs = [];
+    let start = -1;
+    for (let i = 0; i <= marked.length; i++) {
+        if (i < marked.length && marked[i]) {
+            if (start < 0) start = i;
+        } else if (start >= 0) {
+            runs.push([start, i]);
+            start = -1;
+        }
+    }
+    return runs;
+};
+
+/**
+ * Chou-Fasman secondary structure prediction
+ * Helices nucleate where 4 of 6 residues are helix formers, strands where
+ * 3 of 5 are sheet formers; both extend while 4-residue windows average
+ * >= 100. Overlaps go to the conformation with the higher mean parameter
+ * and turns are predicted from tetrapeptide frequencies
+ * @param {string} protein - Protein sequence (one-letter codes)
+ * @returns {Object} - { states (one letter per residue, see STRUCTURE_STATES),
+ *   fractions: { H, E, T, '-' } (% of residues) }
+ */
+export const predictSecondaryStructure = (protein) => {
+    const n = protein.length;
+    const params = Array.from(protein, aa => CHOU_FASMAN[aa] || NEUTRAL_PARAMETERS);
+    const alphaSums = prefixSums(params, 0);
+    const betaSums = prefixSums(params, 1);
+    const turnSums = prefixSums(params, 2);
+    const mean = (sums, start, end) => (sums[end] - sums[start]) / (end - start);
+
+    const helix = findRegions(params, alphaSums, 0, 6, 4);
+    const sheet = findRegions(params, betaSums, 1, 5, 3);
+
+    //Helices need a mean P(a) above 103, strands a mean P(b) above 105
+    runsOf(helix).forEach(([start, end]) => {
+        if (mean(alphaSums, start, end) <= 103) helix.fill(0, start, end);
+    });
+    runsOf(sheet).forEach(([start, end]) => {
+        if (mean(betaSums, start, end) <= 105) sheet.fill(0, start, end);
+    });
+
+    const states = new Array(n).fill('-');
+    for (let i = 0; i < n; i++) {
+        if (helix[i] && !sheet[i]) states[i] = 'H';
+        else if (sheet[i] && !helix[i]) states[i] = 'E';
+    }
+
+    //Overlaps: the conformation with the higher mean parameter over the overlap
+    const overlap = new Uint8Array(n);
+    for (let i = 0; i < n; i++) overlap[i] = helix[i] && sheet[i] ? 1 : 0;
+    runsOf(overlap).forEach(([start, end]) => {
+        const state = mean(alphaSums, start, end) >= mean(betaSums, start, end) ? 'H' : 'E';
+        states.fill(state, start, end);
+    });
+
+    //Turns only replace coil
+    for (let i = 0; i + 4 <= n; i++) {
+        const probability = params[i][3] * params[i + 1][4] * params[i + 2][5] * params[i + 3][6];
+        const turn = mean(turnSums, i, i + 4);
+        if (probability > TURN_PROBABILITY && turn > 100 &&
+            turn > mean(alphaSums, i, i + 4) && turn > mean(betaSums, i, i + 4)) {
+            for (let j = i; j < i + 4; j++) {
+                if (states[j] === '-') states[j] = 'T';
+            }
+        }
+    }
+
+    const fractions = { H: 0, E: 0, T: 0, '-': 0 };
+    states.forEach(state => { fractions[state]++; });
+    Object.keys(fractions).forEach(state => {
+        fractions[state] = n > 0 ? (fractions[state] / n) * 100 : 0;
+    });
+
+    return { states: states.join(''), fractions };
+};
+
+/**
+ * Transmembrane helix candidates: runs of consecutive hydropathy windows whose
+ * mean Kyte-Doolittle value reaches the threshold. A segment spans the centers
+ * of its windows, widened to one window around its middle when shorter (the
+ * length needed to cross the bilayer); runs longer than tmMaxLength are split
+ * at their lowest window
+ * @param {string} protein - Protein sequence
+ * @param {Object} options - See STRUCTURE_DEFAULTS (tmWindow, tmThreshold, tmMaxLength)
+ * @returns {Array} - [{ start, end (1-based, inclusive), length, maxHydropathy }]
+ */
+export const findTransmembraneSegments = (protein, options = {}) => {
+    const settings = { ...STRUCTURE_DEFAULTS, ...options };
+    const runs = [];
+    let current = null;
+
+    //A dip below the threshold closes the run
+    getHydropathyProfile(protein, settings.tmWindow).forEach(point => {
+        if (point.value < settings.tmThreshold) {
+            current = null;
+        } else if (current) {
+            current.push(point);
+        } else {
+            current = [point];
+            runs.push(current);
+        }
+    });
+
+    const split = (run) => {
+        if (run[run.length - 1].position - run[0].position + 1 <= settings.tmMaxLength) return [run];
+        //Keep the cut away from the ends so each part still holds a helix core
+        const margin = Math.min(Math.floor(settings.tmWindow / 2), Math.floor((run.length - 1) / 2));
+        let lowest = margin;
+        for (let i = margin + 1; i < run.length - margin; i++) {
+            if (run[i].value < run[lowest].value) lowest = i;
+        }
+        return [...split(run.slice(0, lowest)), ...split(run.slice(lowest + 1))];
+    };
+
+    const segments = [];
+    runs.flatMap(split).forEach((run, index, all) => {
+        let start = run[0].position;
+        let end = run[run.length - 1].position;
+        const missing = settings.tmWindow - (end - start + 1);
+        if (missing > 0) {
+            //Widening never reaches into the neighbouring segments
+            const previous = segments.length > 0 ? segments[segments.length - 1].end : 0;
+            const next = index + 1 < all.length ? all[index + 1][0].position : protein.length + 1;
+            start = Math.max(1, previous + 1, start - Math.floor(missing / 2));
+            end = Math.min(protein.length, next - 1, end + Math.ceil(missing / 2));
+        }
+        segments.push({
+            start,
+            end,
+            length: end - start + 1,
+            maxHydropathy: Math.max(...run.map(point => point.value))
+        });
+    });
+    return segments;
+};
+
+/**
+ * Mean hydropathy of protein[start, end)
+ */
+const meanHydropathy = (protein, start, end) => {
+    let sum = 0;
+    for (let i = start; i < end; i++) sum += KYTE_DOOLITTLE[protein[i]] || 0;
+    return sum / (end - start);
+};
+
+/**
+ * N-terminal signal peptide (Sec pathway) from its three regions:
+ * a positively charged n-region, a hydrophobic h-region and a c-region
+ * ending in a cleavage site that follows the -3, -1 rule (small neutral residues)
+ * @param {string} protein - Protein sequence (from the initiator Met)
+ * @param {Object} options - See STRUCTURE_DEFAULTS
+ * @returns {Object} - { likelihood: 'likely' | 'possible' | 'unlikely', score (0-3),
+ *   hRegion: { start, end, hydropathy } | null, nRegionCharge,
+ *   cleavageSite (last residue of the signal peptide, 1-based) | null }
+ */
+export const predictSignalPeptide = (protein, options = {}) => {
+    const settings = { ...STRUCTURE_DEFAULTS, ...options };
+    const region = protein.substring(0, settings.signalRegion);
+    const size = settings.hRegionLength;
+    const result = { likelihood: 'unlikely', score: 0, hRegion: null, nRegionCharge: 0, cleavageSite: null };
+    if (region.length < size + 4) return result;
+
+    //Most hydrophobic window after the first residue
+    let best = null;
+    for (let i = 1; i + size <= region.length; i++) {
+        const hydropathy = meanHydropathy(region, i, i + size);
+        if (!best || hydropathy > best.hydropathy) best = { start: i, end: i + size, hydropathy };
+    }
+    //Extends the core over neighbouring hydrophobic residues
+    while (best.end < region.length && (KYTE_DOOLITTLE[region[best.end]] || 0) > 0) best.end++;
+
+    let charge = 0;
+    for (let i = 0; i < best.start; i++) {
+        if (region[i] === 'K' || region[i] === 'R') charge++;
+        if (region[i] === 'D' || region[i] === 'E') charge--;
+    }
+
+    //Cleavage 3 to 12 residues after the core, with no Pro from -3 to +1
+    let cleavage = null;
+    for (let site = best.end + 3; site <= Math.min(best.end + 12, protein.length - 1); site++) {
+        const minusOne = protein[site - 1];
+        const minusThree = protein[site - 3];
+        const noProline = !protein.substring(site - 3, site + 1).includes('P');
+        if (CLEAVAGE_MINUS_ONE.includes(minusOne) && CLEAVAGE_MINUS_THREE.includes(minusThree) && noProline) {
+            cleavage = site;
+            break;
+        }
+    }
+
+    const hydrophobic = best.hydropathy >= settings.hRegionThreshold;
+    const score = (hydrophobic ? 1 : 0) + (charge > 0 ? 1 : 0) + (cleavage ? 1 : 0);
+    let likelihood = 'unlikely';
+    if (hydrophobic && score === 3) likelihood = 'likely';
+    else if (hydrophobic && score === 2) likelihood = 'possible';
+
+    return {
+        likelihood,
+        score,
+        hRegion: { start: best.start + 1, end: best.end, hydropathy: best.hydropathy },
+        nRegionCharge: charge,
+        cleavageSite: cleavage
+    };
+};
+
+/**
+ * N-glycosylation sequons N-X-S/T (X and the next residue not Pro, PROSITE PS00001)
+ * The residue after S/T is not required at the C-terminus
+ * @param {string} protein - Protein sequence
+ * @returns {Array} - [{ position (Asn, 1-based), sequon }]
+ */
+export const findGlycosylationSites = (protein) => {
+    const sites = [];
+    const pattern = /N(?=[^P][ST](?:[^P]|$))/g;
+    let match;
+    while ((match = pattern.exec(protein)) !== null) {
+        sites.push({ position: match.index + 1, sequon: protein.substring(match.index, match.index + 3) });
+    }
+    return sites;
+};
+
+/**
+ * All predictions for one protein, with per-residue tracks for the viewer
+ * @param {string} protein - Protein sequence
+ * @param {Object} options - See STRUCTURE_DEFAULTS
+ * @returns {Object} - { secondary, transmembrane, signalPeptide, glycosylation,
+ *   featureTrack (S = signal peptide, M = membrane span, N = glycosylated Asn, ' ' otherwise) }
+ */
+export const predictProteinFeatures = (protein, options = {}) => {
+    const secondary = predictSecondaryStructure(protein);
+    const transmembrane = findTransmembraneSegments(protein, options);
+    const signalPeptide = predictSignalPeptide(protein, options);
+    const glycosylation = findGlycosylationSites(protein);
+
+    const track = new Array(protein.length).fill(' ');
+    transmembrane.forEach(segment => track.fill('M', segment.start - 1, segment.end));
+    //A signal peptide's h-region also looks like a membrane span; the signal peptide wins
+    if (signalPeptide.likelihood !== 'unlikely' && signalPeptide.cleavageSite) {
+        track.fill('S', 0, signalPeptide.cleavageSite);
+    }
+    glycosylation.forEach(site => { track[site.position - 1] = 'N'; });
+
+    return { secondary, transmembrane, signalPeptide, glycosylation, featureTrack: track.join('') };
+};
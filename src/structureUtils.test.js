@@ -0,0 +1,18 @@
+import { findTransmembraneSegments } from './structureUtils';
+
+describe('structureUtils', () => {
+    const helix = 'LLIVALLFAVLIGLLAVLF';
+
+    test('transmembrane helices separated by a polar loop stay apart', () => {
+        const protein = 'MKRDESK' + helix + 'GKDNRSE' + helix + 'KDERKSTQNE';
+        const segments = findTransmembraneSegments(protein);
+        expect(segments.map(segment => [segment.start, segment.end])).toEqual([[8, 26], [34, 52]]);
+    });
+
+    test('hydrophobic spans longer than tmMaxLength are split', () => {
+        const segments = findTransmembraneSegments('MKR' + helix + 'AG' + helix + 'KDE');
+        expect(segments).toHaveLength(2);
+        segments.forEach(segment => expect(segment.length).toBeLessThanOrEqual(25));
+        expect(segments[0].end).toBeLessThan(segments[1].start);
+    });
+});
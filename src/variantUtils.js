@@ -0,0 +1,379 @@
+/**
+ * Variant Utilities Module
+ * Applies HGVS-like DNA variants (substitutions, deletions, insertions,
+ * duplications and delins) to a coding sequence and predicts their effect
+ * on the protein
+ *
+ * Positions are 1-based on the coding strand, position 1 being the first
+ * base of the sequence (c.1 = first base of the start codon for a CDS)
+ *
+ * References:
+ * - HGVS Nomenclature (https://hgvs-nomenclature.org), DNA and protein recommendations
+ * - den Dunnen et al. (2016) Hum Mutat 37:564
+ */
+
+import { transcribe, translate, translateCodon, getReverseComplement, STRANDS, THREE_LETTER_CODES } from './bioUtils';
+import { getGeneticCode, DEFAULT_GENETIC_CODE } from './geneticCodes';
+
+/**
+ * Effect classes reported by predictVariantEffect
+ */
+export const VARIANT_EFFECTS = {
+    SYNONYMOUS: 'synonymous',
+    MISSENSE: 'missense',
+    NONSENSE: 'nonsense',
+    FRAMESHIFT: 'frameshift',
+    INFRAME_DELETION: 'in-frame deletion',
+    INFRAME_INSERTION: 'in-frame insertion',
+    START_LOSS: 'start loss',
+    STOP_LOSS: 'stop loss',
+    NONCODING: 'non-coding'
+};
+
+//Variant grammar, tried in order (delins before del)
+const VARIANT_PATTERNS = [
+    { kind: 'substitution', regex: /^(\d+)([ACGTU])>([ACGTU])$/i },
+    { kind: 'delins', regex: /^(\d+)(?:_(\d+))?delins([ACGTU]+)$/i },
+    { kind: 'deletion', regex: /^(\d+)(?:_(\d+))?del([ACGTU]*)$/i },
+    { kind: 'insertion', regex: /^(\d+)_(\d+)ins([ACGTU]+)$/i },
+    { kind: 'duplication', regex: /^(\d+)(?:_(\d+))?dup([ACGTU]*)$/i }
+];
+
+/**
+ * Parses one variant in HGVS-like notation
+ * Accepted: c.76A>T, c.100delG, c.100_102del, c.100_101insA, c.100dupG,
+ * c.100_102delinsTT (the 'c.' or 'g.' prefix is optional)
+ * @param {string} notation - Variant description
+ * @returns {Object} - { notation, kind, start, end (1-based, inclusive), ref, alt }
+ *   ref is the stated reference ('' when not given), alt the inserted bases
+ * @throws {Error} - On unsupported or malformed notation
+ */
+export const parseVariant = (notation) => {
+    const text = notation.trim();
+    const body = text.replace(/^[cg]\./i, '');
+    const bases = (value) => (value || '').toUpperCase().replace(/U/g, 'T');
+
+    for (const { kind, regex } of VARIANT_PATTERNS) {
+        const match = body.match(regex);
+        if (!match) continue;
+
+        if (kind === 'substitution') {
+            const position = Number(match[1]);
+            if (position < 1) throw new Error(`${text}: invalid position`);
+            return { notation: text, kind, start: position, end: position, ref: bases(match[2]), alt: bases(match[3]) };
+        }
+
+        const start = Number(match[1]);
+        const end = match[2] !== undefined ? Number(match[2]) : start;
+        if (start < 1 || end < start) {
+            throw new Error(`${text}: invalid position range`);
+        }
+
+        switch (kind) {
+            case 'insertion':
+                if (end !== start + 1) {
+                    throw new Error(`${text}: insertion positions must be adjacent (e.g. 100_101insA)`);
+                }
+                return { notation: text, kind, start, end, ref: '', alt: bases(match[3]) };
+            case 'delins':
+                return { notation: text, kind, start, end, ref: '', alt: bases(match[3]) };
+            default:
+                //Deletion and duplication: optional reference bases
+                if (match[3] && match[3].length !== end - start + 1) {
+                    throw new Error(`${text}: ${match[3].length} base(s) given for a ${end - start + 1} bp range`);
+                }
+                return { notation: text, kind, start, end, ref: bases(match[3]), alt: '' };
+        }
+    }
+
+    throw new Error(`${text}: unsupported notation (use e.g. c.76A>T, c.100delG, c.100_101insA)`);
+};
+
+/**
+ * Splits a list of variants (one per line, or separated by ',' or ';';
+ * HGVS allele brackets c.[76A>T;100del] are accepted)
+ * @param {string} text - Variants
+ * @returns {Array} - Parsed variants (see parseVariant)
+ */
+export const parseVariantList = (text) => {
+    const expanded = text.replace(/([cg]\.)\[([^\]]*)\]/gi, (_, prefix, list) => (
+        list.split(';').map(item => prefix + item.trim()).join(';')
+    ));
+
+    return expanded
+        .split(/[\n,;]+/)
+        .map(item => item.trim())
+        .filter(item => item.length > 0)
+        .map(parseVariant);
+};
+
+/**
+ * Converts a parsed variant into a sequence edit (0-based, replaces [from, to) by bases)
+ * and checks it against the reference
+ */
+const toEdit = (sequence, variant) => {
+    const { notation, kind, start, end, ref, alt } = variant;
+    if (end > sequence.length) {
+        throw new Error(`${notation}: position ${end} is beyond the sequence end (${sequence.length} bp)`);
+    }
+
+    const reference = sequence.substring(start - 1, end);
+    if (ref && ref !== reference) {
+        throw new Error(`${notation}: reference is ${reference} at ${start}${end > start ? `_${end}` : ''}, not ${ref}`);
+    }
+
+    switch (kind) {
+        case 'insertion':
+            return { from: start, to: start, bases: alt };
+        case 'duplication':
+            return { from: end, to: end, bases: reference };
+        default:
+            return { from: start - 1, to: end, bases: alt };
+    }
+};
+
+/**
+ * Applies a list of edits (must not overlap)
+ */
+const applyEdits = (sequence, edits) => {
+    const sorted = [...edits].sort((a, b) => a.from - b.from);
+    const parts = [];
+    let position = 0;
+
+    sorted.forEach(edit => {
+        if (edit.from < position) {
+            throw new Error(`${edit.notation}: overlaps another variant`);
+        }
+        parts.push(sequence.substring(position, edit.from), edit.bases);
+        position = edit.to;
+    });
+    parts.push(sequence.substring(position));
+
+    return parts.join('');
+};
+
+/**
+ * Applies variants to a coding sequence
+ * @param {string} sequence - Coding strand DNA
+ * @param {Array} variants - Parsed variants (see parseVariant)
+ * @returns {string} - Mutant sequence
+ * @throws {Error} - When a variant is out of range, does not match the reference or overlaps another
+ */
+export const applyVariants = (sequence, variants) => {
+    return applyEdits(sequence, variants.map(variant => ({ ...toEdit(sequence, variant), notation: variant.notation })));
+};
+
+/**
+ * Amino acids of codons [from, to) of a coding sequence ('X' for untranslatable codons)
+ */
+const translateCodons = (rna, from, to, tableId) => {
+    const aminoAcids = [];
+    for (let i = from; i < to && i * 3 + 3 <= rna.length; i++) {
+        aminoAcids.push(translateCodon(rna.substring(i * 3, i * 3 + 3), tableId) || 'X');
+    }
+    return aminoAcids;
+};
+
+/**
+ * Reading frame +1 translated up to and including the first stop
+ */
+const translateToStop = (rna, tableId) => {
+    const aminoAcids = [];
+    for (let i = 0; i + 3 <= rna.length; i += 3) {
+        const aminoAcid = translateCodon(rna.substring(i, i + 3), tableId) || 'X';
+        aminoAcids.push(aminoAcid);
+        if (aminoAcid === '*') break;
+    }
+    return aminoAcids;
+};
+
+const three = (aminoAcid) => THREE_LETTER_CODES[aminoAcid] || 'Xaa';
+const threeList = (aminoAcids) => aminoAcids.map(three).join('');
+
+/**
+ * HGVS residue or residue range for reference indices [from, to)
+ */
+const residueRange = (reference, from, to) => {
+    const first = `${three(reference[from])}${from + 1}`;
+    return to - from > 1 ? `${first}_${three(reference[to - 1])}${to}` : first;
+};
+
+/**
+ * HGVS protein description of an in-frame change at 1-based residue position
+ * Deletions and insertions are shifted to their most 3' position and
+ * insertions repeating the preceding residues are reported as duplications
+ */
+const describeInFrame = (reference, refRegion, mutRegion, position) => {
+    const stopIndex = reference[reference.length - 1] === '*' ? reference.length - 1 : reference.length;
+
+    if (refRegion.length === 1 && mutRegion.length === 1) {
+        return { effect: VARIANT_EFFECTS.MISSENSE, proteinChange: `p.${residueRange(reference, position - 1, position)}${three(mutRegion[0])}` };
+    }
+
+    if (mutRegion.length === 0) {
+        let from = position - 1;
+        let to = from + refRegion.length;
+        while (to < stopIndex && reference[to] === reference[from]) {
+            from++;
+            to++;
+        }
+        return { effect: VARIANT_EFFECTS.INFRAME_DELETION, proteinChange: `p.${residueRange(reference, from, to)}del` };
+    }
+
+    if (refRegion.length === 0) {
+        //Insertion before reference index 'at'
+        let inserted = [...mutRegion];
+        let at = position - 1;
+        if (!inserted.includes('*')) {
+            while (at < stopIndex && reference[at] === inserted[0]) {
+                inserted = [...inserted.slice(1), inserted[0]];
+                at++;
+            }
+            const preceding = reference.slice(at - inserted.length, at);
+            if (at - inserted.length >= 0 && preceding.join('') === inserted.join('')) {
+                return {
+                    effect: VARIANT_EFFECTS.INFRAME_INSERTION,
+                    proteinChange: `p.${residueRange(reference, at - inserted.length, at)}dup`
+                };
+            }
+        }
+        //Insertions are described by their flanking residues
+        return {
+            effect: VARIANT_EFFECTS.INFRAME_INSERTION,
+            proteinChange: `p.${three(reference[at - 1])}${at}_${three(reference[at])}${at + 1}ins${threeList(inserted)}`
+        };
+    }
+
+    const effect = mutRegion.length === refRegion.length
+        ? VARIANT_EFFECTS.MISSENSE
+        : mutRegion.length < refRegion.length ? VARIANT_EFFECTS.INFRAME_DELETION : VARIANT_EFFECTS.INFRAME_INSERTION;
+    return {
+        effect,
+        proteinChange: `p.${residueRange(reference, position - 1, position - 1 + refRegion.length)}delins${threeList(mutRegion)}`
+    };
+};
+
+/**
+ * Stop loss: the reference stop codon at index stopIndex now codes for an amino acid
+ */
+const describeStopLoss = (mutant, stopIndex) => {
+    const newStop = mutant.indexOf('*', stopIndex);
+    const extension = newStop >= 0 ? newStop - stopIndex : '?';
+    return {
+        effect: VARIANT_EFFECTS.STOP_LOSS,
+        proteinChange: `p.Ter${stopIndex + 1}${three(mutant[stopIndex])}extTer${extension}`
+    };
+};
+
+/**
+ * Predicts the effect of one variant on the protein encoded from position 1
+ * @param {string} sequence - Coding strand DNA
+ * @param {Object} variant - Parsed variant (see parseVariant)
+ * @param {number} tableId - NCBI translation table ID (default: 1, Standard)
+ * @returns {Object} - { effect (see VARIANT_EFFECTS), proteinChange (HGVS, e.g. 'p.Lys26Ter') }
+ */
+export const predictVariantEffect = (sequence, variant, tableId = DEFAULT_GENETIC_CODE) => {
+    const edit = toEdit(sequence, variant);
+    const refRna = transcribe(sequence);
+    const mutRna = transcribe(applyEdits(sequence, [edit]));
+    const reference = translateToStop(refRna, tableId);
+    const delta = edit.bases.length - (edit.to - edit.from);
+    const firstCodon = Math.floor(edit.from / 3);
+
+    //Changes after the stop codon (or in a trailing partial codon) do not reach the protein
+    if (firstCodon >= reference.length) {
+        return { effect: VARIANT_EFFECTS.NONCODING, proteinChange: 'p.=' };
+    }
+
+    const { startCodons } = getGeneticCode(tableId);
+    if (firstCodon === 0 && startCodons.includes(refRna.substring(0, 3)) && !startCodons.includes(mutRna.substring(0, 3))) {
+        return { effect: VARIANT_EFFECTS.START_LOSS, proteinChange: 'p.Met1?' };
+    }
+
+    if (delta % 3 !== 0) {
+        const mutant = translateToStop(mutRna, tableId);
+        let index = firstCodon;
+        while (index < reference.length && mutant[index] === reference[index]) index++;
+
+        if (index >= reference.length) {
+            return { effect: VARIANT_EFFECTS.SYNONYMOUS, proteinChange: 'p.=' };
+        }
+        if (reference[index] === '*') return describeStopLoss(mutant, index);
+        if (mutant[index] === '*') {
+            return { effect: VARIANT_EFFECTS.NONSENSE, proteinChange: `p.${three(reference[index])}${index + 1}Ter` };
+        }
+
+        //New stop counted from the first changed residue (1), '?' when none is reached
+        const newStop = mutant.indexOf('*', index);
+        return {
+            effect: VARIANT_EFFECTS.FRAMESHIFT,
+            proteinChange: `p.${three(reference[index])}${index + 1}${three(mutant[index])}fs` +
+                `Ter${newStop >= 0 ? newStop - index + 1 : '?'}`
+        };
+    }
+
+    //In frame: compare only the codons touched by the edit
+    const refEnd = edit.to > edit.from
+        ? Math.floor((edit.to - 1) / 3) + 1
+        : firstCodon + (edit.from % 3 === 0 ? 0 : 1);
+    let refRegion = translateCodons(refRna, firstCodon, refEnd, tableId);
+    let mutRegion = translateCodons(mutRna, firstCodon, refEnd + delta / 3, tableId);
+
+    let prefix = 0;
+    while (prefix < refRegion.length && prefix < mutRegion.length && refRegion[prefix] === mutRegion[prefix]) prefix++;
+    let suffix = 0;
+    while (
+        suffix < refRegion.length - prefix &&
+        suffix < mutRegion.length - prefix &&
+        refRegion[refRegion.length - 1 - suffix] === mutRegion[mutRegion.length - 1 - suffix]
+    ) suffix++;
+    refRegion = refRegion.slice(prefix, refRegion.length - suffix);
+    mutRegion = mutRegion.slice(prefix, mutRegion.length - suffix);
+    const position = firstCodon + prefix + 1;
+
+    if (refRegion.length === 0 && mutRegion.length === 0) {
+        return { effect: VARIANT_EFFECTS.SYNONYMOUS, proteinChange: `p.${three(reference[firstCodon])}${firstCodon + 1}=` };
+    }
+
+    if (refRegion.includes('*')) {
+        return describeStopLoss(translateToStop(mutRna, tableId), reference.length - 1);
+    }
+
+    const stop = mutRegion.indexOf('*');
+    if (stop === 0) {
+        return { effect: VARIANT_EFFECTS.NONSENSE, proteinChange: `p.${three(reference[position - 1])}${position}Ter` };
+    }
+    if (stop > 0) {
+        const change = describeInFrame(reference, refRegion, mutRegion.slice(0, stop + 1), position);
+        return { effect: VARIANT_EFFECTS.NONSENSE, proteinChange: change.proteinChange };
+    }
+
+    return describeInFrame(reference, refRegion, mutRegion, position);
+};
+
+/**
+ * Applies variants to the input and translates the mutant
+ * Each variant is classified on its own against the reference; the mutant
+ * sequence and protein carry all variants together
+ * @param {string} sequence - Input DNA
+ * @param {string} text - Variants (see parseVariantList)
+ * @param {Object} options - { strand ('coding' or 'template', positions refer to the coding strand), tableId }
+ * @returns {Object} - { variants: [{ ...parsed, effect, proteinChange }], coding, mutant,
+ *   originalProtein, mutantProtein }
+ * @throws {Error} - On invalid variants
+ */
+export const simulateVariants = (sequence, text, { strand = STRANDS.CODING, tableId = DEFAULT_GENETIC_CODE } = {}) => {
+    const variants = parseVariantList(text);
+    if (variants.length === 0) throw new Error('Enter at least one variant (e.g. c.76A>T)');
+
+    const coding = strand === STRANDS.TEMPLATE ? getReverseComplement(sequence) : sequence;
+    const mutant = applyVariants(coding, variants);
+
+    return {
+        variants: variants.map(variant => ({ ...variant, ...predictVariantEffect(coding, variant, tableId) })),
+        coding,
+        mutant,
+        originalProtein: translate(transcribe(coding), tableId),
+        mutantProtein: translate(transcribe(mutant), tableId)
+    };
+};